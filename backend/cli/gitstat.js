@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+require('dotenv').config({ path: __dirname + '/../.env' });
+const { parseArgs } = require('util');
+const localGit = require('../src/localGit');
+const { createProvider, providerNames } = require('../src/providers');
+const { summarize, aggregateAuthors, buildTimeSeries, intervals } = require('../src/stats');
+const { authorColumns, toCsv } = require('../src/reports');
+
+// The modules using the database, loaded by `loadBackend()` once a command needs them,
+// so `gitstat help` works without a generated Prisma client
+let prisma;
+let ingest;
+let backfillJobs;
+let identities;
+let workspaces;
+
+/**
+ * Command-line interface to the backend, for cron jobs and CI pipelines: tracks and backfills repositories and prints
+ * their stats, working on the database directly (through the same ingestion code and Prisma models as the backend),
+ * so the backend doesn't have to be running. <br>
+ * Output goes to stdout as a table, JSON or CSV (`--format`). Progress and the backend modules' logging go to stderr.
+ * Run `gitstat help` for the commands. Installed as `gitstat` with `npm link` in /backend, or run as `node cli/gitstat.js`.
+ */
+
+const usage = `Usage: gitstat <command> [owner/repo] [options]
+
+Commands:
+  repos                      List the tracked repositories
+  track <owner/repo>         Track a repository and download its history
+      --provider <name>        ${providerNames.join(', ')} (default github)
+      --api-url <url>          API of a self-hosted forge
+      --token-env <name>       .env variable holding the forge token
+      --local-path <path>      Read the history from a git clone instead
+      --branch <name>          Extra branch to track (repeatable)
+      --workspace <id>         Add the repository to this workspace (default the admin's)
+      --queue                  Leave the download to the backend's job runner instead of doing it here
+      --resume                 Resume the repository, if it is paused
+  backfill [owner/repo]      Sync, and download or resume the missing history (every tracked repository when none is given)
+      --branch <name>          Only this branch (repeatable)
+  stats <owner/repo>         Totals: commits, authors, added/deleted lines
+      --interval <day|week|month>  Print the codebase size per period instead
+  authors <owner/repo>       Commits and lines per author
+
+Filters (stats, authors):
+  --since <date|30d|12w|6m|1y>   Only commits since this date, or this long ago
+  --until <date>
+  --branch <name>                Only commits seen on this branch
+
+Output:
+  --format <table|json|csv>      Default table
+`;
+
+const formats = ['table', 'json', 'csv'];
+const units = { d: 1, w: 7, m: 30, y: 365 }; // Days per unit of a relative `--since`, like "30d"
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Columns of `gitstat repos`
+const repoColumns = [
+    { header: 'repo', value: tracked => tracked.repo },
+    { header: 'provider', value: tracked => (tracked.localPath ? 'local' : tracked.provider) },
+    { header: 'branches', value: tracked => ingest.listBranches(tracked).join(' ') },
+    { header: 'paused', value: tracked => tracked.paused },
+    { header: 'commits', value: tracked => tracked.commits },
+    { header: 'last_polled', value: tracked => tracked.lastPolledAt?.toISOString() ?? '' },
+];
+
+// Columns of `gitstat track` and `gitstat backfill`, one row per branch, with the backfill job that downloaded it (if any)
+const jobColumns = [
+    { header: 'repo', value: row => row.repo },
+    { header: 'branch', value: row => row.branch },
+    { header: 'job', value: row => row.job },
+    { header: 'status', value: row => row.status },
+    { header: 'checked', value: row => row.processed },
+    { header: 'downloaded', value: row => row.inserted },
+    { header: 'error', value: row => row.error },
+];
+
+// Columns of `gitstat stats`, one row with the totals of `summarize()` in stats.js
+const summaryColumns = [
+    { header: 'repo', value: summary => summary.repo },
+    { header: 'commits', value: summary => summary.totalCommits },
+    { header: 'authors', value: summary => summary.authors },
+    { header: 'additions', value: summary => summary.additions },
+    { header: 'deletions', value: summary => summary.deletions },
+    { header: 'net_lines', value: summary => summary.netLines },
+    { header: 'first_commit', value: summary => summary.firstCommitAt?.toISOString() ?? '' },
+    { header: 'last_commit', value: summary => summary.lastCommitAt?.toISOString() ?? '' },
+];
+
+// Columns of `gitstat stats --interval`, one row per period of `buildTimeSeries()`
+const seriesColumns = [
+    { header: 'period', value: point => point.period },
+    { header: 'commits', value: point => point.commits },
+    { header: 'additions', value: point => point.additions },
+    { header: 'deletions', value: point => point.deletions },
+    { header: 'net_lines', value: point => point.netLines },
+    { header: 'total_lines', value: point => point.totalLines },
+];
+
+/**
+ * An error the user can fix, printed without a stack trace.
+ */
+class UsageError extends Error {}
+
+/**
+ * Loads the modules using the database.
+ */
+function loadBackend() {
+    ({ prisma } = require('../src/db'));
+    ingest = require('../src/ingest');
+    backfillJobs = require('../src/backfillJobs');
+    identities = require('../src/identities');
+    workspaces = require('../src/workspaces');
+}
+
+/**
+ * Writes a progress line to stderr.
+ * @param message
+ */
+const progress = (message) => process.stderr.write(`${message}\n`);
+
+/**
+ * Lines rows up in columns, numbers right-aligned.
+ * @param rows
+ * @param columns `{header, value}` per column, like reports.js
+ * @returns {string}
+ */
+function toTable(rows, columns) {
+    const cells = rows.map(row => columns.map(column => {
+        const value = column.value(row);
+        return value === null || value === undefined ? '' : String(value);
+    }));
+    const widths = columns.map((column, index) => Math.max(column.header.length, ...cells.map(line => line[index].length)));
+    const numeric = columns.map((column, index) => cells.length > 0 && cells.every(line => line[index] === '' || !isNaN(line[index])));
+    const pad = (text, index) => (numeric[index] ? text.padStart(widths[index]) : text.padEnd(widths[index]));
+    return [
+        columns.map((column, index) => pad(column.header, index)).join('  '),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...cells.map(line => line.map(pad).join('  ')),
+    ].map(line => line.trimEnd()).join('\n') + '\n';
+}
+
+/**
+ * Prints rows in the chosen format. JSON is the rows themselves (or `json`, when given), not the columns.
+ * @param rows
+ * @param columns
+ * @param format 'table', 'json' or 'csv'
+ * @param json What to print as JSON instead of the rows
+ */
+function print(rows, columns, format, json = rows) {
+    if (format === 'json') process.stdout.write(JSON.stringify(json, null, 2) + '\n');
+    else if (format === 'csv') process.stdout.write(toCsv(rows, columns));
+    else process.stdout.write(toTable(rows, columns));
+}
+
+/**
+ * Reads "owner/repo" from the arguments.
+ * @param value
+ * @returns {string}
+ */
+function parseRepo(value) {
+    const [owner, repo, extra] = (value ?? '').split('/');
+    if (!owner || !repo || extra !== undefined) throw new UsageError('Give the repository as owner/repo');
+    return `${owner}/${repo}`;
+}
+
+/**
+ * Reads a `--since`/`--until` value: an ISO date, or for `--since`, a time back from now like "30d", "12w", "6m" or "1y".
+ * @param value
+ * @param name Option name, for the error message
+ * @returns {Date|null}
+ */
+function parseDate(value, name) {
+    if (value === undefined) return null;
+    const relative = value.match(/^(\d+)([dwmy])$/);
+    const date = relative ? new Date(Date.now() - parseInt(relative[1], 10) * units[relative[2]] * dayMs) : new Date(value);
+    if (isNaN(date)) throw new UsageError(`--${name} must be a date like 2024-05-13, or a time back like 30d, 12w, 6m or 1y`);
+    return date;
+}
+
+/**
+ * The workspace `gitstat track` adds repositories to when `--workspace` isn't given: the first admin's own.
+ * @returns {Promise<number|null>} null while there are no accounts, the first admin's workspace takes the repositories over then
+ */
+async function adminWorkspaceId() {
+    const membership = await prisma.workspaceMember.findFirst({
+        where: { role: 'owner', user: { isAdmin: true } },
+        orderBy: [{ userId: 'asc' }, { id: 'asc' }],
+    });
+    return membership?.workspaceId ?? null;
+}
+
+/**
+ * Loads a tracked repository.
+ * @param fullRepo
+ * @returns {Promise<object>} TrackedRepo row
+ */
+async function findTracked(fullRepo) {
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked) throw new UsageError(`${fullRepo} is not tracked. Track it with: gitstat track ${fullRepo}`);
+    return tracked;
+}
+
+/**
+ * The stored commits of a repository matching the filters, with the fields stats.js needs.
+ * Commits a rewritten history left behind don't count, like in the dashboard.
+ * @param fullRepo
+ * @param filters `{since, until, branch}`, see `main()`
+ * @returns {Promise<{commits: object[], where: object}>}
+ */
+async function loadCommits(fullRepo, { since, until, branch }) {
+    const where = {
+        repo: fullRepo,
+        unreachableAt: null,
+        ...(branch && { branches: { some: { branch } } }),
+        timestamp: {
+            ...(since && { gte: since }),
+            ...(until && { lte: until }),
+        },
+    };
+    const commits = await prisma.repoCommit.findMany({
+        where,
+        select: {
+            author: true, authorEmail: true, authorLogin: true, timestamp: true, additions: true, deletions: true,
+            coAuthors: { select: { name: true, email: true } },
+        },
+    });
+    return { commits, where };
+}
+
+/**
+ * Downloads the history of a branch right here, as a backfill job run inline with `runJob()` from backfillJobs.js,
+ * so the backend knows the branch was walked (and resumes it from its checkpoint, if this gets interrupted). <br>
+ * A job the backend already queued for the branch is taken over. One it's running is left to it, unless it was left
+ * behind (see `requeueAbandonedJobs()`). When the branch's last job failed or was cancelled, it's resumed from its
+ * checkpoint, rather than listing the history from the newest commit again (unless the branch needs a history check).
+ * @param fullRepo
+ * @param branch
+ * @param oldHead Old head of the branch, when the job should also check it for rewritten history (see historyRewrites.js)
+ * @returns {Promise<object>} The BackfillJob row, once done
+ */
+async function runBackfill(fullRepo, branch, oldHead = null) {
+    await backfillJobs.requeueAbandonedJobs();
+    const last = await prisma.backfillJob.findFirst({ where: { repo: fullRepo, branch }, orderBy: { id: 'desc' } });
+    let job;
+    if (last?.status === 'queued' || last?.status === 'running') job = last;
+    else if (!oldHead && (last?.status === 'failed' || last?.status === 'cancelled')) job = await backfillJobs.restartJob(last.id);
+    else job = await backfillJobs.enqueueBackfill(fullRepo, branch, { oldHead });
+    if (oldHead && !job.oldHead) job = await prisma.backfillJob.update({ where: { id: job.id }, data: { oldHead } });
+    // Claimed, so a backend picking up the same job at the same time doesn't run it twice
+    if (!(await backfillJobs.claimJob(job.id))) {
+        progress(`[${fullRepo}] Backfill job ${job.id} of ${branch} is already running in the backend`);
+        return job;
+    }
+    progress(`[${fullRepo}] Downloading the history of ${branch}${job.cursor ? ' (resumed)' : ''}...`);
+    await backfillJobs.runJob(job);
+    return prisma.backfillJob.findUnique({ where: { id: job.id } });
+}
+
+/**
+ * A row of the output of `track` and `backfill`.
+ * @param job BackfillJob row
+ * @returns {object}
+ */
+const jobRow = (job) => ({
+    repo: job.repo, branch: job.branch, job: job.id, status: job.status, processed: job.processed, inserted: job.inserted, error: job.error,
+});
+
+/**
+ * A row of the output of `track` and `backfill`, for a branch syncing brought up to date without a backfill.
+ * @param fullRepo
+ * @param branch
+ * @returns {object}
+ */
+const syncedRow = (fullRepo, branch) => ({ repo: fullRepo, branch, job: null, status: 'synced', processed: 0, inserted: 0, error: null });
+
+/**
+ * Prints the branches synced or backfilled. A failed backfill fails the command, so cron and CI notice.
+ * @param rows See `jobRow()`
+ * @param format
+ */
+function printJobs(rows, format) {
+    print(rows, jobColumns, format);
+    if (rows.some(row => row.status === 'failed')) process.exitCode = 1;
+}
+
+/**
+ * `gitstat repos`
+ * @param options
+ * @returns {Promise<void>}
+ */
+async function listRepos(options) {
+    const repos = await prisma.trackedRepo.findMany({ orderBy: { createdAt: 'asc' } });
+    for (const tracked of repos) tracked.commits = await prisma.repoCommit.count({ where: { repo: tracked.repo, unreachableAt: null } });
+    print(repos, repoColumns, options.format, repos.map(tracked => Object.fromEntries(repoColumns.map(column => [column.header, column.value(tracked)]))));
+}
+
+/**
+ * `gitstat track owner/repo`: registers the repository like '/track-repo' does, syncs it, and downloads the missing history
+ * right away (or with `--queue`, leaves that to the backend's job runner). <br>
+ * Tracking a repository again changes its settings, but a paused one stays paused unless `--resume` is given.
+ * @param fullRepo
+ * @param options
+ * @returns {Promise<void>}
+ */
+async function track(fullRepo, options) {
+    const provider = options.provider;
+    if (provider !== undefined && !providerNames.includes(provider)) {
+        throw new UsageError(`--provider must be one of: ${providerNames.join(', ')}`);
+    }
+    const settings = { provider, apiUrl: options['api-url'], tokenEnv: options['token-env'], localPath: options['local-path'] };
+    try {
+        createProvider({ repo: fullRepo, ...settings }); // Catches missing provider settings, like a Gitea repo without --api-url
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    if (settings.localPath !== undefined) await localGit.checkRepository(settings.localPath);
+    const workspaceId = options.workspace === undefined ? await adminWorkspaceId() : parseInt(options.workspace, 10);
+    if (options.workspace !== undefined && !(await prisma.workspace.findUnique({ where: { id: workspaceId || 0 } }))) {
+        throw new UsageError(`There is no workspace ${options.workspace}`);
+    }
+
+    const existing = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    const branchList = options.branch ? options.branch.join('\n') : undefined;
+    const tracked = await prisma.trackedRepo.upsert({
+        where: { repo: fullRepo },
+        create: { repo: fullRepo, ...settings, branches: branchList },
+        update: {
+            ...(options.resume && { paused: false }),
+            ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined)),
+            ...(branchList !== undefined && { branches: branchList }),
+        },
+    });
+    let backfillBranches;
+    let rewriteChecks;
+    try {
+        ({ backfillBranches, rewriteChecks } = await ingest.syncTrackedRepo(tracked));
+    } catch (err) {
+        // A repo that never synced (doesn't exist, no access, ...) shouldn't stay in the registry, like in the backend
+        if (!existing) await prisma.trackedRepo.deleteMany({ where: { repo: fullRepo } });
+        throw err;
+    }
+    if (workspaceId !== null) await workspaces.linkRepo(workspaceId, fullRepo);
+    await prisma.trackedRepo.update({ where: { repo: fullRepo }, data: { lastPolledAt: new Date() } });
+
+    const rows = [];
+    for (const branch of ingest.listBranches(tracked)) {
+        if (!backfillBranches.includes(branch)) {
+            rows.push(syncedRow(fullRepo, branch));
+            continue;
+        }
+        const oldHead = rewriteChecks[branch];
+        rows.push(jobRow(options.queue ? await backfillJobs.enqueueBackfill(fullRepo, branch, { oldHead }) : await runBackfill(fullRepo, branch, oldHead)));
+    }
+    printJobs(rows, options.format);
+}
+
+/**
+ * `gitstat backfill [owner/repo]`: downloads whatever history is missing, of one repository or of every (unpaused) one. <br>
+ * The repository is synced first, like a poll of the backend, and only the branches that sync leaves to a backfill
+ * are downloaded (see `syncTrackedRepo()` in ingest.js), each resuming its last unfinished job. So a branch whose
+ * history was downloaded before isn't listed again from the newest commit.
+ * @param fullRepo null for every tracked repository
+ * @param options
+ * @returns {Promise<void>}
+ */
+async function backfill(fullRepo, options) {
+    const repos = fullRepo ? [await findTracked(fullRepo)] : await prisma.trackedRepo.findMany({ where: { paused: false } });
+    const rows = [];
+    for (const tracked of repos) {
+        const { backfillBranches, rewriteChecks } = await ingest.syncTrackedRepo(tracked);
+        await prisma.trackedRepo.update({ where: { repo: tracked.repo }, data: { lastPolledAt: new Date() } });
+        for (const branch of options.branch ?? ingest.listBranches(tracked)) {
+            if (!backfillBranches.includes(branch)) rows.push(syncedRow(tracked.repo, branch));
+            else rows.push(jobRow(await runBackfill(tracked.repo, branch, rewriteChecks[branch])));
+        }
+    }
+    printJobs(rows, options.format);
+}
+
+/**
+ * `gitstat stats owner/repo`: the totals, or with `--interval`, the codebase size per period.
+ * @param fullRepo
+ * @param filters
+ * @param options
+ * @returns {Promise<void>}
+ */
+async function stats(fullRepo, filters, options) {
+    if (options.interval !== undefined && !intervals.includes(options.interval)) {
+        throw new UsageError(`--interval must be one of: ${intervals.join(', ')}`);
+    }
+    await findTracked(fullRepo);
+    await identities.ensureRepoIdentities(fullRepo);
+    const { commits, where } = await loadCommits(fullRepo, filters);
+    const { since, until } = filters;
+    const resolve = await identities.loadIdentityResolver();
+    if (options.interval === undefined) {
+        const summary = { repo: fullRepo, ...summarize(commits, resolve) };
+        print([summary], summaryColumns, options.format, summary);
+        return;
+    }
+    // With a since date, the running total starts from the net lines before it, like the dashboard's chart
+    let baseline = 0;
+    if (since) {
+        const before = await prisma.repoCommit.aggregate({ where: { ...where, timestamp: { lt: since } }, _sum: { additions: true, deletions: true } });
+        baseline = (before._sum.additions ?? 0) - (before._sum.deletions ?? 0);
+    }
+    const series = buildTimeSeries(commits, options.interval, baseline, since, until && until < new Date() ? until : null);
+    print(series, seriesColumns, options.format);
+}
+
+/**
+ * `gitstat authors owner/repo`: commits and lines per author identity, most commits first.
+ * @param fullRepo
+ * @param filters
+ * @param options
+ * @returns {Promise<void>}
+ */
+async function authors(fullRepo, filters, options) {
+    await findTracked(fullRepo);
+    await identities.ensureRepoIdentities(fullRepo);
+    const { commits } = await loadCommits(fullRepo, filters);
+    print(aggregateAuthors(commits, await identities.loadIdentityResolver()), authorColumns, options.format);
+}
+
+/**
+ * Runs the command given on the command line.
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'table' },
+            since: { type: 'string' },
+            until: { type: 'string' },
+            branch: { type: 'string', multiple: true },
+            interval: { type: 'string' },
+            provider: { type: 'string' },
+            'api-url': { type: 'string' },
+            'token-env': { type: 'string' },
+            'local-path': { type: 'string' },
+            workspace: { type: 'string' },
+            queue: { type: 'boolean', default: false },
+            resume: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+    const [command, repoArgument] = positionals;
+    if (options.help || !command || command === 'help') {
+        process.stdout.write(usage);
+        return;
+    }
+    if (!formats.includes(options.format)) throw new UsageError(`--format must be one of: ${formats.join(', ')}`);
+    loadBackend();
+    const filters = { since: parseDate(options.since, 'since'), until: parseDate(options.until, 'until'), branch: options.branch?.[0] ?? null };
+
+    switch (command) {
+        case 'repos': return listRepos(options);
+        case 'track': return track(parseRepo(repoArgument), options);
+        case 'backfill': return backfill(repoArgument === undefined ? null : parseRepo(repoArgument), options);
+        case 'stats': return stats(parseRepo(repoArgument), filters, options);
+        case 'authors': return authors(parseRepo(repoArgument), filters, options);
+        default: throw new UsageError(`Unknown command '${command}'. Run gitstat help for the commands`);
+    }
+}
+
+// Run as a command, rather than required by the tests
+if (require.main === module) {
+    // The backend modules log their progress with console.log. It goes to stderr here, so stdout only has the output
+    console.log = (...args) => console.error(...args);
+
+    main()
+        .catch((err) => {
+            if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+                console.error(err.message);
+                process.exitCode = 2;
+            } else {
+                console.error('gitstat failed:', err.response?.data?.message || err.message);
+                process.exitCode = 1;
+            }
+        })
+        .finally(() => prisma?.$disconnect());
+}
+
+module.exports = { UsageError, loadBackend, parseRepo, parseDate, toTable, printJobs, track };
@@ -0,0 +1,304 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { prisma } = require('./db');
+const { publish, subscribe } = require('./liveEvents');
+const { identityCommitFilter } = require('./identities');
+
+/**
+ * Alerts: rules per repository that fire when something noteworthy happens, recorded in the Alert table,
+ * published as an 'alert' event (see liveEvents.js) and POSTed to the outgoing webhooks (AlertWebhook). <br>
+ * A rule belongs to the workspace that made it: its alerts are only shown and sent to that workspace,
+ * even when other workspaces track the repository too. <br>
+ * Rule kinds: <br>
+ *  `largeCommit` - a new commit changes more than `threshold` lines (additions + deletions, ignored files left out), <br>
+ *  `firstTimeContributor` - a new commit by someone with no other commit in the repository, <br>
+ *  `historyRewrite` - a branch's history was rewritten (force-pushed), see historyRewrites.js, <br>
+ *  `inactivity` - no commits for `threshold` days. Fires once per quiet period. <br>
+ * Commit rules only look at commits stored after the rule was created (RepoCommit.storedAt), so a commit made earlier but pushed
+ * later still counts. Commits a history download (backfill job) stores only count when they were also made after it,
+ * so downloading a repository's history doesn't fire them. <br>
+ * Webhooks are only sent to public addresses: the host is resolved and checked on every delivery (see `checkWebhookUrl()`).
+ */
+
+const alertKinds = {
+    largeCommit: { threshold: 'lines', defaultThreshold: 1000 },
+    firstTimeContributor: { threshold: null },
+    historyRewrite: { threshold: null },
+    inactivity: { threshold: 'days', defaultThreshold: 7 },
+};
+const webhookFormats = ['json', 'slack'];
+const inactivityCheckInterval = 15 * 60 * 1000; // How often the "no commits for X days" rules are checked
+const deliveryTimeout = 10 * 1000;
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Where webhooks can't be sent: this machine, private networks (RFC 1918, unique local IPv6), link-local addresses
+// (which is where cloud metadata endpoints like 169.254.169.254 live), carrier-grade NAT, multicast and reserved ranges. <br>
+// One list per family, since a BlockList matches IPv4 addresses against the IPv4-mapped IPv6 subnets too
+const blockedAddresses = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) blockedAddresses.ipv4.addSubnet(network, prefix, 'ipv4');
+// IPv4-compatible and -mapped addresses (and ::, ::1) are blocked whole, rather than checked by the IPv4 address inside
+for (const [network, prefix] of [['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    blockedAddresses.ipv6.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether a webhook can't be sent to the IP address, see `blockedAddresses`.
+ * @param address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return blockedAddresses[family].check(address, family);
+}
+
+/**
+ * `dns.lookup()` that fails when the host resolves to a blocked address. The agents webhooks are sent through look hosts up with it,
+ * so the address connected to is the one that was checked, even if the DNS answer changed since `checkWebhookUrl()`.
+ * @param hostname
+ * @param options
+ * @param callback
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) return callback(new Error(`${hostname} resolves to ${blocked.address}, which webhooks can't be sent to`));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const webhookAgents = { httpAgent: new http.Agent({ lookup: publicLookup }), httpsAgent: new https.Agent({ lookup: publicLookup }) };
+
+/**
+ * Checks that a webhook URL is http(s), and that its host resolves to public addresses only (see `blockedAddresses`).
+ * @param url
+ * @returns {Promise<string|null>} What's wrong with it, null when nothing is
+ */
+async function checkWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'url must be a valid URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be http(s)';
+    const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1'); // IPv6 addresses come in brackets
+    let addresses = [host];
+    if (!net.isIP(host)) {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+        } catch {
+            return `url's host ${host} could not be resolved`;
+        }
+    }
+    if (addresses.some(isBlockedAddress)) return 'url must not point to a private, loopback or link-local address';
+    return null;
+}
+
+/**
+ * POSTs an alert to a webhook, after checking its destination again (it may resolve elsewhere by now). Redirects aren't followed,
+ * since they could point anywhere.
+ * @param webhook AlertWebhook row
+ * @param alert Alert row
+ * @returns {Promise<void>} Throws when the destination is blocked or the delivery failed
+ */
+async function post(webhook, alert) {
+    const error = await checkWebhookUrl(webhook.url);
+    if (error) throw new Error(error);
+    await axios.post(webhook.url, webhookPayload(alert, webhook.format), { timeout: deliveryTimeout, maxRedirects: 0, ...webhookAgents });
+}
+
+/**
+ * Checks the kind and threshold of a rule from a request body.
+ * @param kind
+ * @param threshold Left out for the kind's default
+ * @returns {{data?: {kind: string, threshold: (number|null)}, error?: string}}
+ */
+function parseRule({ kind, threshold }) {
+    const definition = alertKinds[kind];
+    if (!definition) return { error: `kind must be one of: ${Object.keys(alertKinds).join(', ')}` };
+    if (!definition.threshold) return { data: { kind, threshold: null } };
+    if (threshold === undefined || threshold === null) return { data: { kind, threshold: definition.defaultThreshold } };
+    if (!Number.isInteger(threshold) || threshold < 1) {
+        return { error: `threshold must be a whole number of ${definition.threshold}, at least 1` };
+    }
+    return { data: { kind, threshold } };
+}
+
+/**
+ * The body POSTed to an outgoing webhook.
+ * @param alert Alert row
+ * @param format 'json' (the alert itself) or 'slack' (`{text}`, which Slack's incoming webhooks and compatible chat tools show)
+ * @returns {object}
+ */
+function webhookPayload(alert, format) {
+    if (format === 'slack') return { text: `*${alert.repo}*: ${alert.message}` };
+    return {
+        type: 'alert',
+        alert: { ...alert, details: alert.details ? JSON.parse(alert.details) : null },
+    };
+}
+
+/**
+ * POSTs an alert to the webhooks of the workspace whose rule fired it: the ones for its repository, and the ones for all of them.
+ * Nothing is sent once the workspace stopped tracking the repository, even to a webhook made for it. Failed deliveries are only logged.
+ * @param alert Alert row
+ * @returns {Promise<void>}
+ */
+async function deliver(alert) {
+    if (alert.workspaceId === null) return;
+    const link = await prisma.workspaceRepo.findUnique({ where: { workspaceId_repo: { workspaceId: alert.workspaceId, repo: alert.repo } } });
+    if (!link) return;
+    const webhooks = await prisma.alertWebhook.findMany({
+        where: { workspaceId: alert.workspaceId, OR: [{ repo: alert.repo }, { repo: null }] },
+    });
+    await Promise.all(webhooks.map(webhook => post(webhook, alert)
+        .catch(err => console.error(`Alert webhook ${webhook.id} failed:`, err.response?.status || err.message))));
+}
+
+/**
+ * Sends a made-up alert to a webhook, to check it's set up right.
+ * @param webhook AlertWebhook row
+ * @returns {Promise<void>} Throws when the delivery failed
+ */
+async function testWebhook(webhook) {
+    const alert = {
+        id: null, workspaceId: webhook.workspaceId, repo: webhook.repo || 'owner/repo', ruleId: null, kind: 'test', message: 'Test alert from GitStatViewer', details: null, createdAt: new Date(),
+    };
+    await post(webhook, alert);
+}
+
+/**
+ * Records that a rule fired, tells the dashboard and sends it to the webhooks.
+ * @param rule AlertRule row
+ * @param message One line, e.g. "Commit 1a2b3c4 by Jane changed 2400 lines"
+ * @param details Specifics, stored as JSON
+ * @returns {Promise<object>} The Alert row
+ */
+async function fireAlert(rule, message, details) {
+    const alert = await prisma.alert.create({
+        data: { workspaceId: rule.workspaceId, repo: rule.repo, ruleId: rule.id, kind: rule.kind, message, details: JSON.stringify(details) },
+    });
+    await prisma.alertRule.update({ where: { id: rule.id }, data: { lastFiredAt: alert.createdAt } });
+    console.log(`[${rule.repo}] Alert: ${message}`);
+    publish('alert', { repo: rule.repo, workspaceId: rule.workspaceId, alert });
+    await deliver(alert);
+    return alert;
+}
+
+/**
+ * Runs the commit rules (`largeCommit`, `firstTimeContributor`) on a newly stored commit.
+ * @param event Data of a 'commit' event, see `storeCommit()` in ingest.js
+ * @returns {Promise<void>}
+ */
+async function checkCommit({ repo, commit, identity, updated, history }) {
+    if (updated) return; // Stored before, so already checked
+    const rules = await prisma.alertRule.findMany({
+        where: { repo, enabled: true, kind: { in: ['largeCommit', 'firstTimeContributor'] } },
+    });
+    const shortSha = commit.sha.slice(0, 7);
+    for (const rule of rules) {
+        if (commit.storedAt < rule.createdAt || (history && commit.timestamp < rule.createdAt)) continue;
+        if (rule.kind === 'largeCommit') {
+            const lines = (commit.additions ?? 0) + (commit.deletions ?? 0);
+            if (lines <= rule.threshold) continue;
+            await fireAlert(rule, `Commit ${shortSha} by ${identity.name} changed ${lines} lines (more than ${rule.threshold})`, {
+                sha: commit.sha, author: identity.name, additions: commit.additions, deletions: commit.deletions,
+                message: commit.message?.split('\n')[0] ?? null,
+            });
+        } else if (identity.id !== null) {
+            const others = await prisma.repoCommit.count({
+                where: { repo, sha: { not: commit.sha }, ...(await identityCommitFilter([identity.id])) },
+            });
+            if (others > 0) continue;
+            await fireAlert(rule, `First commit by ${identity.name}: ${shortSha}`, {
+                sha: commit.sha, author: identity.name, identityId: identity.id,
+            });
+        }
+    }
+}
+
+/**
+ * Runs the `historyRewrite` rules of a repository, when a branch was found to be force-pushed (see historyRewrites.js).
+ * @param repo "owner/repo"
+ * @param branch
+ * @param details How it was found, `{source: 'poll' | 'webhook', before, after, orphaned}` with the branch's old and new head,
+ * and how many stored commits are no longer on it
+ * @returns {Promise<void>}
+ */
+async function reportHistoryRewrite(repo, branch, details) {
+    const rules = await prisma.alertRule.findMany({ where: { repo, enabled: true, kind: 'historyRewrite' } });
+    for (const rule of rules) {
+        await fireAlert(rule, `History of ${branch} was rewritten (force-push), ${details.orphaned} stored commits are no longer on it`, { branch, ...details });
+    }
+}
+
+/**
+ * Runs the `inactivity` rules: fires when the newest commit is more than `threshold` days old,
+ * unless the rule already fired since that commit.
+ * @param now
+ * @returns {Promise<void>}
+ */
+async function checkInactivity(now = new Date()) {
+    const rules = await prisma.alertRule.findMany({ where: { enabled: true, kind: 'inactivity' } });
+    for (const rule of rules) {
+        const newest = await prisma.repoCommit.findFirst({
+            where: { repo: rule.repo, unreachableAt: null },
+            orderBy: { timestamp: 'desc' },
+            select: { timestamp: true },
+        });
+        if (!newest || (rule.lastFiredAt && rule.lastFiredAt > newest.timestamp)) continue;
+        const days = Math.floor((now - newest.timestamp) / dayMs);
+        if (days < rule.threshold) continue;
+        await fireAlert(rule, `No commits for ${days} days (last one on ${newest.timestamp.toISOString().slice(0, 10)})`, {
+            days, lastCommitAt: newest.timestamp,
+        });
+    }
+}
+
+/**
+ * Gives the rules made before rules belonged to a workspace (and their alerts) to the workspace that started tracking
+ * their repository, which is the one that can change its settings (see `canManageRepo()` in workspaces.js).
+ * Rules of repositories no workspace tracks are left for the first account's workspace, see `createWorkspace()`.
+ * @returns {Promise<number>} How many rules were given to a workspace
+ */
+async function claimUnownedRules() {
+    const rules = await prisma.alertRule.findMany({ where: { workspaceId: null }, select: { id: true, repo: true } });
+    let claimed = 0;
+    for (const rule of rules) {
+        const first = await prisma.workspaceRepo.findFirst({ where: { repo: rule.repo }, orderBy: { id: 'asc' } });
+        if (!first) continue;
+        await prisma.alertRule.update({ where: { id: rule.id }, data: { workspaceId: first.workspaceId } });
+        await prisma.alert.updateMany({ where: { ruleId: rule.id, workspaceId: null }, data: { workspaceId: first.workspaceId } });
+        claimed++;
+    }
+    return claimed;
+}
+
+/**
+ * Starts checking alert rules: commit rules on every 'commit' event, and the inactivity rules every `inactivityCheckInterval`.
+ * Rules without a workspace are given one.
+ */
+function startAlerts() {
+    claimUnownedRules()
+        .then((claimed) => { if (claimed > 0) console.log(`Gave ${claimed} alert rules made before workspaces to their repositories' workspaces`); })
+        .catch(err => console.error('Error giving alert rules a workspace:', err.message));
+    subscribe((event) => {
+        if (event.type !== 'commit') return;
+        checkCommit(event.data).catch(err => console.error(`Alert check error for ${event.repo}:`, err.message));
+    });
+    const runInactivityCheck = () => checkInactivity().catch(err => console.error('Inactivity check error:', err.message));
+    runInactivityCheck();
+    setInterval(runInactivityCheck, inactivityCheckInterval);
+}
+
+module.exports = {
+    alertKinds, webhookFormats, parseRule, checkWebhookUrl, testWebhook, checkCommit, reportHistoryRewrite, claimUnownedRules, startAlerts,
+};
@@ -0,0 +1,210 @@
+const { resolveAuthor, identityKey } = require('./stats');
+
+/**
+ * Contribution analytics on top of the stats in stats.js: when people commit (a day-of-week × hour-of-day heatmap),
+ * how regularly (weekly cadence, streaks and inactive periods) and how concentrated the knowledge is
+ * (how few authors account for most of the changes, a.k.a. the bus factor). <br>
+ * Days and hours are in the viewer's time zone, given as `utcOffset` (minutes east of UTC), since "commits at 3 AM"
+ * means little in UTC. Weeks start on Monday, like in stats.js. Authors are grouped by identity, through `resolve`.
+ */
+
+const dayMs = 24 * 60 * 60 * 1000;
+const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Shifts a timestamp into the viewer's time zone. Read the result with the `getUTC...()` methods.
+ * @param timestamp
+ * @param utcOffset Minutes east of UTC
+ * @returns {Date}
+ */
+const toLocal = (timestamp, utcOffset) => new Date(timestamp.getTime() + utcOffset * 60 * 1000);
+
+/**
+ * Number of the local day a timestamp falls on (days since 1970-01-01), so consecutive days differ by 1.
+ * @param timestamp
+ * @param utcOffset
+ * @returns {number}
+ */
+const dayNumber = (timestamp, utcOffset) => Math.floor(toLocal(timestamp, utcOffset).getTime() / dayMs);
+
+/**
+ * "2024-05-13" of a day number.
+ * @param day
+ * @returns {string}
+ */
+const dayLabel = (day) => new Date(day * dayMs).toISOString().slice(0, 10);
+
+/**
+ * Groups commits by author identity.
+ * @param commits
+ * @param resolve
+ * @returns {Map<string, {identityId: (number|null), author: string, commits: object[]}>}
+ */
+function groupByAuthor(commits, resolve) {
+    const authors = new Map();
+    for (const commit of commits) {
+        const identity = resolveAuthor(commit, resolve);
+        const key = identityKey(identity);
+        if (!authors.has(key)) authors.set(key, { identityId: identity.id, author: identity.name, commits: [] });
+        authors.get(key).commits.push(commit);
+    }
+    return authors;
+}
+
+/**
+ * Counts commits per day of the week (rows, Monday first) and hour of the day (columns).
+ * @param commits
+ * @param utcOffset
+ * @returns {{weekdays: string[], grid: number[][], max: number}}
+ */
+function activityHeatmap(commits, utcOffset = 0) {
+    const grid = weekdays.map(() => new Array(24).fill(0));
+    let max = 0;
+    for (const commit of commits) {
+        const local = toLocal(commit.timestamp, utcOffset);
+        const row = grid[(local.getUTCDay() + 6) % 7];
+        row[local.getUTCHours()] += 1;
+        max = Math.max(max, row[local.getUTCHours()]);
+    }
+    return { weekdays, grid, max };
+}
+
+/**
+ * Commits per author per week, over the `weeks` weeks up to the newest commit. <br>
+ * `averagePerWeek` is over all those weeks, `activeWeeks` counts the weeks with at least one commit.
+ * Authors without commits in the window are left out.
+ * @param commits
+ * @param resolve
+ * @param utcOffset
+ * @param weeks
+ * @returns {{weeks: string[], authors: {identityId: (number|null), author: string, counts: number[], total: number, activeWeeks: number, averagePerWeek: number}[]}}
+ */
+function weeklyCadence(commits, resolve, utcOffset = 0, weeks = 26) {
+    if (commits.length === 0) return { weeks: [], authors: [] };
+    const weekOf = (timestamp) => {
+        const day = dayNumber(timestamp, utcOffset);
+        return day - ((new Date(day * dayMs).getUTCDay() + 6) % 7); // Day number of the Monday
+    };
+    const lastWeek = commits.reduce((last, commit) => Math.max(last, weekOf(commit.timestamp)), -Infinity);
+    const firstWeek = lastWeek - (weeks - 1) * 7;
+
+    const authors = [];
+    for (const { identityId, author, commits: authored } of groupByAuthor(commits, resolve).values()) {
+        const counts = new Array(weeks).fill(0);
+        for (const commit of authored) {
+            const week = weekOf(commit.timestamp);
+            if (week >= firstWeek) counts[(week - firstWeek) / 7] += 1;
+        }
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total === 0) continue;
+        authors.push({ identityId, author, counts, total, activeWeeks: counts.filter(count => count > 0).length, averagePerWeek: total / weeks });
+    }
+    authors.sort((a, b) => b.total - a.total);
+    return { weeks: Array.from({ length: weeks }, (_, i) => dayLabel(firstWeek + i * 7)), authors };
+}
+
+/**
+ * Runs of consecutive days with commits, and the gaps between them.
+ * @param days Day numbers with at least one commit, ascending, without duplicates
+ * @param today Day number of today, for the current streak
+ * @returns {{longestStreak: object, currentStreak: number, gaps: {days: number, from: string, to: string}[]}}
+ */
+function findStreaks(days, today) {
+    let longest = { days: 0, from: null, to: null };
+    let runStart = days[0];
+    const gaps = [];
+    for (let i = 0; i < days.length; i++) {
+        if (i > 0 && days[i] !== days[i - 1] + 1) {
+            gaps.push({ days: days[i] - days[i - 1] - 1, from: dayLabel(days[i - 1] + 1), to: dayLabel(days[i] - 1) });
+            runStart = days[i];
+        }
+        const length = days[i] - runStart + 1;
+        if (length > longest.days) longest = { days: length, from: dayLabel(runStart), to: dayLabel(days[i]) };
+    }
+    // The current streak is the run ending today, or yesterday (today may just not have had its commit yet)
+    const last = days[days.length - 1];
+    const currentStreak = last >= today - 1 ? last - runStart + 1 : 0;
+    return { longestStreak: longest, currentStreak, gaps };
+}
+
+/**
+ * Streaks (consecutive days with commits) and inactive periods, for the whole repository and per author. <br>
+ * The repository's `inactivePeriods` are its longest stretches without any commit (`limit` of them, longest first).
+ * @param commits
+ * @param resolve
+ * @param utcOffset
+ * @param now
+ * @param limit
+ * @returns {{repo: object, authors: object[]}}
+ */
+function activityStreaks(commits, resolve, utcOffset = 0, now = new Date(), limit = 5) {
+    const today = dayNumber(now, utcOffset);
+    const activeDays = (someCommits) => [...new Set(someCommits.map(commit => dayNumber(commit.timestamp, utcOffset)))].sort((a, b) => a - b);
+    const days = activeDays(commits);
+    if (days.length === 0) return { repo: null, authors: [] };
+
+    const repoStreaks = findStreaks(days, today);
+    const authors = [];
+    for (const { identityId, author, commits: authored } of groupByAuthor(commits, resolve).values()) {
+        const authorDays = activeDays(authored);
+        const { longestStreak, currentStreak, gaps } = findStreaks(authorDays, today);
+        authors.push({
+            identityId,
+            author,
+            activeDays: authorDays.length,
+            longestStreak,
+            currentStreak,
+            longestGap: gaps.reduce((longest, gap) => (!longest || gap.days > longest.days ? gap : longest), null),
+            daysSinceLastCommit: today - authorDays[authorDays.length - 1],
+        });
+    }
+    authors.sort((a, b) => b.activeDays - a.activeDays);
+    return {
+        repo: {
+            activeDays: days.length,
+            longestStreak: repoStreaks.longestStreak,
+            currentStreak: repoStreaks.currentStreak,
+            daysSinceLastCommit: today - days[days.length - 1],
+            inactivePeriods: [...repoStreaks.gaps].sort((a, b) => b.days - a.days).slice(0, limit),
+        },
+        authors,
+    };
+}
+
+/**
+ * How concentrated the knowledge of the codebase is: the fewest authors that together made 50% and 80% of the changes
+ * (lines added + removed). `busFactor` is the 50% number: that many people leaving would take half the code's authors with them. <br>
+ * When no line counts are stored yet, commits are counted instead.
+ * @param authors Output of `aggregateAuthors()` in stats.js
+ * @param top How many of the biggest contributors to list
+ * @returns {{measure: string, totalAuthors: number, busFactor: number, authorsFor50: number, authorsFor80: number, topAuthors: object[]}}
+ */
+function knowledgeConcentration(authors, top = 5) {
+    const linesChanged = authors.reduce((sum, author) => sum + author.additions + author.deletions, 0);
+    const measure = linesChanged > 0 ? 'lines' : 'commits';
+    const weightOf = (author) => (measure === 'lines' ? author.additions + author.deletions : author.commits);
+    const weighted = authors
+        .map(author => ({ identityId: author.identityId, author: author.author, weight: weightOf(author) }))
+        .filter(author => author.weight > 0)
+        .sort((a, b) => b.weight - a.weight);
+    const total = weighted.reduce((sum, author) => sum + author.weight, 0);
+    const authorsFor = (share) => {
+        let cumulative = 0;
+        for (let i = 0; i < weighted.length; i++) {
+            cumulative += weighted[i].weight;
+            if (cumulative >= share * total) return i + 1;
+        }
+        return weighted.length;
+    };
+    const authorsFor50 = authorsFor(0.5);
+    return {
+        measure,
+        totalAuthors: weighted.length,
+        busFactor: authorsFor50,
+        authorsFor50,
+        authorsFor80: authorsFor(0.8),
+        topAuthors: weighted.slice(0, top).map(({ identityId, author, weight }) => ({ identityId, author, share: (weight / total) * 100 })),
+    };
+}
+
+module.exports = { activityHeatmap, weeklyCadence, activityStreaks, knowledgeConcentration };
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { prisma } = require('./db');
+
+/**
+ * Accounts and API authentication. <br>
+ * Every request (apart from `publicPaths`) needs a token, sent as `Authorization: Bearer <token>`:
+ * either a session token from signing in ('/auth/login'), which expires after `sessionLifetime`,
+ * or an API token the user made for scripts ('/auth/tokens'), kept until revoked. Only a hash of each token is stored. <br>
+ * EventSource and plain links can't send headers, and a token in a URL ends up in logs and the browser history.
+ * So these URLs get a link token of their own ('/auth/link-token'): passed as `?access_token=`, it only opens
+ * the URLs of its purpose (`linkTokenPaths`), for GET requests, and expires after `linkTokenLifetime`.
+ * The other tokens are only accepted in the Authorization header. <br>
+ * The request is then in one of the user's workspaces (see workspaces.js): the one named by the `X-Workspace-Id`
+ * header (or `?workspace=`), or else the first one they joined.
+ */
+
+const sessionLifetime = 30 * 24 * 60 * 60 * 1000; // 30 days
+const lastUsedPrecision = 60 * 1000; // `lastUsedAt` is only written when it's older than this, not on every request
+const publicPaths = ['/auth/register', '/auth/login', '/webhooks/github']; // Signing up and in, and GitHub (which signs its deliveries)
+const linkTokenLifetime = 60 * 1000; // Long enough to open the URL. The event stream only needs it to connect
+const linkTokenPaths = { events: ['/events'], export: ['/export/'] }; // Link token kind (purpose) -> path prefixes it opens
+const tokenPrefix = 'gsv_';
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param password
+ * @returns {Promise<string>} "salt:hash" in hex
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(`${salt}:${key.toString('hex')}`)));
+    });
+}
+
+/**
+ * Checks a password against a hash from `hashPassword()`, in constant time.
+ * @param password
+ * @param passwordHash
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, passwordHash) {
+    const [salt, hash] = passwordHash.split(':');
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(crypto.timingSafeEqual(key, Buffer.from(hash, 'hex')))));
+    });
+}
+
+/**
+ * SHA-256 of a token, which is what's stored. Tokens are random, so a slow hash like scrypt isn't needed.
+ * @param token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether a token kind is a link token's (see `linkTokenPaths`).
+ * @param kind
+ * @returns {boolean}
+ */
+const isLinkToken = (kind) => Object.hasOwn(linkTokenPaths, kind);
+
+/**
+ * Makes a new token for a user.
+ * @param userId
+ * @param kind 'session' (expires after `sessionLifetime`), 'api', or a link token's purpose ('events' or 'export', expires after `linkTokenLifetime`)
+ * @param name Label of an API token
+ * @returns {Promise<{token: string, record: object}>} The token itself (only available now) and its AuthToken row
+ */
+async function issueToken(userId, kind, name = null) {
+    const lifetime = kind === 'session' ? sessionLifetime : isLinkToken(kind) ? linkTokenLifetime : null;
+    const token = tokenPrefix + crypto.randomBytes(32).toString('hex');
+    const record = await prisma.authToken.create({
+        data: {
+            userId,
+            kind,
+            name,
+            tokenHash: hashToken(token),
+            expiresAt: lifetime ? new Date(Date.now() + lifetime) : null,
+        },
+    });
+    if (isLinkToken(kind)) { // Link tokens pile up otherwise, as nothing revokes them
+        await prisma.authToken.deleteMany({ where: { kind: { in: Object.keys(linkTokenPaths) }, expiresAt: { lt: new Date() } } });
+    }
+    return { token, record };
+}
+
+/**
+ * Reads the token of a request, from the Authorization header or, for GET requests, `?access_token=`.
+ * @param request
+ * @returns {{token: string, inUrl: boolean}|null}
+ */
+function requestToken(request) {
+    const header = request.get('Authorization');
+    if (header?.startsWith('Bearer ')) return { token: header.slice('Bearer '.length).trim(), inUrl: false };
+    if (request.method === 'GET' && typeof request.query.access_token === 'string') return { token: request.query.access_token, inUrl: true };
+    return null;
+}
+
+/**
+ * Whether a token is sent where its kind may be: link tokens in the URL of their purpose, the others in the Authorization header.
+ * @param record AuthToken row
+ * @param inUrl Whether the token came as `?access_token=`
+ * @param path Path of the request
+ * @returns {boolean}
+ */
+function tokenFits(record, inUrl, path) {
+    if (!isLinkToken(record.kind)) return !inUrl;
+    return inUrl && linkTokenPaths[record.kind].some(prefix => path.startsWith(prefix));
+}
+
+/**
+ * Express middleware rejecting requests without a valid token (401), except to `publicPaths`. <br>
+ * Sets `request.user`, `request.authToken` (the AuthToken row) and `request.workspace` (`{id, name, role}`, null if the user
+ * has none). Naming a workspace the user isn't a member of is rejected (403).
+ * @param request
+ * @param response
+ * @param next
+ * @returns {Promise<void>}
+ */
+async function authenticate(request, response, next) {
+    if (request.method === 'OPTIONS' || publicPaths.includes(request.path)) return next();
+    const sent = requestToken(request);
+    const record = sent && await prisma.authToken.findUnique({ where: { tokenHash: hashToken(sent.token) }, include: { user: true } });
+    if (!record || (record.expiresAt && record.expiresAt < new Date()) || !tokenFits(record, sent.inUrl, request.path)) {
+        return response.status(401).json({ error: 'Sign in, or send an API token as "Authorization: Bearer <token>"' });
+    }
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > lastUsedPrecision) {
+        await prisma.authToken.update({ where: { id: record.id }, data: { lastUsedAt: new Date() } });
+    }
+
+    const memberships = await prisma.workspaceMember.findMany({
+        where: { userId: record.userId },
+        include: { workspace: { select: { id: true, name: true } } },
+        orderBy: { id: 'asc' },
+    });
+    const requested = request.get('X-Workspace-Id') || request.query.workspace;
+    const membership = requested
+        ? memberships.find(member => member.workspaceId === parseInt(requested, 10))
+        : memberships[0];
+    if (requested && !membership) return response.status(403).json({ error: 'You are not a member of that workspace' });
+
+    request.user = record.user;
+    request.authToken = record;
+    request.workspace = membership ? { ...membership.workspace, role: membership.role } : null;
+    next();
+}
+
+/**
+ * Whether someone may sign up ('/auth/register'): the first account always can, since it becomes the admin.
+ * Anyone else only when ALLOW_SIGNUP=true in .env, otherwise admins add accounts ('/users').
+ * @param first Whether there are no accounts yet
+ * @returns {boolean}
+ */
+function canSignUp(first) {
+    return first || process.env.ALLOW_SIGNUP === 'true';
+}
+
+/**
+ * A user as returned by the API, without the password hash.
+ * @param user User row
+ * @returns {{id: number, email: string, name: string, isAdmin: boolean, createdAt: Date}}
+ */
+function publicUser({ passwordHash, ...user }) {
+    return user;
+}
+
+module.exports = { linkTokenPaths, hashPassword, verifyPassword, issueToken, authenticate, canSignUp, publicUser };
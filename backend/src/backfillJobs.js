@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const os = require('os');
+const { prisma } = require('./db');
+const { createProvider } = require('./providers');
+const { publish } = require('./liveEvents');
+const { fetchFullHistory, syncLocalRepo, findNewLocalShas, addMissingStats, resolveDefaultBranch } = require('./ingest');
+const { unlinkUnseen } = require('./historyRewrites');
+
+/**
+ * Backfill jobs download the history of a repository's branch in the background, instead of inside the '/track-repo' request. <br>
+ * Jobs are stored in the BackfillJob table, and run one at a time (they share the same rate limit budget anyway). <br>
+ * After every page of commits the job checkpoints the cursor of the next page, so a job interrupted by a restart
+ * (or cancelled and restarted later) carries on from there instead of starting over.
+ * Status goes queued -> running -> completed/failed/cancelled. <br>
+ * Jobs are run by the backend's job runner and by the CLI (`gitstat track/backfill`), possibly at the same time.
+ * A process takes a job by leasing it (`claimJob()`), and renews the lease while it runs the job. A running job whose
+ * lease ran out was left behind by a process that stopped (crash, restart), and is queued again (`requeueAbandonedJobs()`). <br>
+ * Every change of a job (status, progress) is published as a 'backfill' event, see liveEvents.js.
+ */
+
+const runnerIdleWait = 2000; // How often the runner looks for queued jobs, when there are none
+const leaseDuration = 60 * 1000; // How long a job stays leased without being renewed
+const leaseRenewal = 20 * 1000; // How often a running job's lease is renewed. Pages may take longer (rate limit waits), so it isn't done per page
+const leaseOwner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`; // This process, in the leases it takes
+const runs = new Map(); // Job id -> {since, processedAtStart} of the current run, for the ETA
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A lease of a job for this process, starting now.
+ * @returns {{leaseOwner: string, leaseExpiresAt: Date}}
+ */
+const lease = () => ({ leaseOwner, leaseExpiresAt: new Date(Date.now() + leaseDuration) });
+
+/**
+ * Publishes the job's current state to the dashboards, and returns it.
+ * @param job BackfillJob row
+ * @returns {object} The job
+ */
+function announce(job) {
+    publish('backfill', { repo: job.repo, job: describeJob(job) });
+    return job;
+}
+
+/**
+ * Announces the stored state of a job, after it was changed with `updateMany()` (which doesn't return the rows).
+ * @param id
+ * @returns {Promise<void>}
+ */
+async function announceById(id) {
+    const job = await prisma.backfillJob.findUnique({ where: { id } });
+    if (job) announce(job);
+}
+
+/**
+ * Queues a backfill of a repository's branch, unless one is already queued or running (which is returned instead). <br>
+ * With `oldHead`, the job also finishes checking the branch for rewritten history (see historyRewrites.js).
+ * An active job takes the check over, unless it has one already.
+ * @param fullRepo
+ * @param branch
+ * @param oldHead
+ * @returns {Promise<object>} BackfillJob row
+ */
+async function enqueueBackfill(fullRepo, branch, { oldHead = null } = {}) {
+    const active = await prisma.backfillJob.findFirst({ where: { repo: fullRepo, branch, status: { in: ['queued', 'running'] } } });
+    if (active && oldHead && !active.oldHead) return prisma.backfillJob.update({ where: { id: active.id }, data: { oldHead } });
+    if (active) return active;
+    const job = await prisma.backfillJob.create({ data: { repo: fullRepo, branch, oldHead } });
+    console.log(`[${fullRepo}] Backfill job ${job.id} queued for ${branch}`);
+    return announce(job);
+}
+
+/**
+ * Cancels a queued or running job. A running job stops after the page it's working on.
+ * @param id
+ * @returns {Promise<object|null>} The job, or null if it doesn't exist
+ */
+async function cancelJob(id) {
+    const job = await prisma.backfillJob.findUnique({ where: { id } });
+    if (!job) return null;
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+    return announce(await prisma.backfillJob.update({ where: { id }, data: { status: 'cancelled', finishedAt: new Date() } }));
+}
+
+/**
+ * Queues a cancelled, failed or completed job again. <br>
+ * By default it resumes from its last checkpoint. With `fromStart`, the checkpoint and counters are reset,
+ * which re-checks the entire history (commits already stored are skipped, but still have to be listed).
+ * The start time is reset too, since a history check (`oldHead`) counts what the walk came across since then.
+ * @param id
+ * @param fromStart
+ * @returns {Promise<object|null>} The job, or null if it doesn't exist
+ */
+async function restartJob(id, fromStart = false) {
+    const job = await prisma.backfillJob.findUnique({ where: { id } });
+    if (!job) return null;
+    if (job.status === 'queued' || job.status === 'running') return job;
+    return announce(await prisma.backfillJob.update({
+        where: { id },
+        data: {
+            status: 'queued',
+            error: null,
+            finishedAt: null,
+            ...(fromStart && { cursor: null, processed: 0, inserted: 0, estimatedTotal: null, startedAt: null }),
+        },
+    }));
+}
+
+/**
+ * Takes a queued job for this process to run, unless another process took it first.
+ * @param id
+ * @returns {Promise<boolean>} Whether it was taken
+ */
+async function claimJob(id) {
+    const { count } = await prisma.backfillJob.updateMany({ where: { id, status: 'queued' }, data: { status: 'running', ...lease() } });
+    return count > 0;
+}
+
+/**
+ * Queues the running jobs whose lease ran out again, so they resume from their checkpoint.
+ * Jobs left running before leases existed have none, and are queued too.
+ * @returns {Promise<number>} How many were queued
+ */
+async function requeueAbandonedJobs() {
+    const { count } = await prisma.backfillJob.updateMany({
+        where: { status: 'running', OR: [{ leaseExpiresAt: null }, { leaseExpiresAt: { lt: new Date() } }] },
+        data: { status: 'queued', leaseOwner: null, leaseExpiresAt: null },
+    });
+    if (count > 0) console.log(`Resuming ${count} interrupted backfill jobs`);
+    return count;
+}
+
+/**
+ * Adds the progress fields the frontend shows: percentage done and the estimated seconds left. <br>
+ * The ETA is based on the speed of the current run, so it's only there for running jobs (and once something has been done).
+ * The lease is left out, as it names the server's host.
+ * @param job BackfillJob row
+ * @returns {object}
+ */
+function describeJob({ leaseOwner: owner, leaseExpiresAt, ...job }) {
+    const percent = job.status === 'completed' ? 100
+        : job.estimatedTotal ? Math.min(99, Math.floor((job.processed / job.estimatedTotal) * 100)) : null;
+    let etaSeconds = null;
+    const run = runs.get(job.id);
+    if (job.status === 'running' && run && job.estimatedTotal) {
+        const done = job.processed - run.processedAtStart;
+        const elapsed = (Date.now() - run.since) / 1000;
+        if (done > 0) etaSeconds = Math.round(Math.max(job.estimatedTotal - job.processed, 0) / (done / elapsed));
+    }
+    return { ...job, percent, etaSeconds };
+}
+
+/**
+ * Estimates how many commits a job will go through, for the progress bar. Null when the provider can't tell.
+ * @param tracked TrackedRepo row
+ * @param branch
+ * @returns {Promise<number|null>}
+ */
+async function estimateTotal(tracked, branch) {
+    if (tracked.localPath) return (await findNewLocalShas(tracked.repo, tracked.localPath, branch)).length;
+    const provider = createProvider(tracked);
+    return provider.estimateTotal ? provider.estimateTotal(branch) : null;
+}
+
+/**
+ * Runs a single job until it completes, fails or is cancelled, or its lease is lost to another process.
+ * @param job BackfillJob row, claimed by this process (see `claimJob()`)
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+    const fullRepo = job.repo;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked) {
+        announce(await prisma.backfillJob.update({
+            where: { id: job.id },
+            data: { status: 'failed', error: `${fullRepo} is not tracked`, finishedAt: new Date() },
+        }));
+        return;
+    }
+    job = await prisma.backfillJob.update({
+        where: { id: job.id },
+        data: { status: 'running', startedAt: job.startedAt ?? new Date(), ...lease() },
+    });
+    runs.set(job.id, { since: Date.now(), processedAtStart: job.processed });
+    announce(job);
+    console.log(`[${fullRepo}] Backfill job ${job.id} running${job.cursor ? ' (resumed)' : ''}`);
+    const renewal = setInterval(() => {
+        prisma.backfillJob.updateMany({ where: { id: job.id, status: 'running', leaseOwner }, data: lease() })
+            .catch(err => console.error(`[${fullRepo}] Renewing the lease of backfill job ${job.id} failed:`, err.message));
+    }, leaseRenewal);
+
+    try {
+        const branch = job.branch ?? await resolveDefaultBranch(tracked);
+        if (job.estimatedTotal === null) {
+            const estimatedTotal = await estimateTotal(tracked, branch);
+            if (estimatedTotal !== null) announce(await prisma.backfillJob.update({ where: { id: job.id }, data: { estimatedTotal } }));
+        }
+        // Checkpoints the progress, and tells the download whether to carry on (it stops once the job is cancelled,
+        // or was queued again and taken by another process after this one failed to renew the lease)
+        const stillRunning = (updated) => announce(updated).status === 'running' && updated.leaseOwner === leaseOwner;
+        let finished;
+        if (tracked.localPath) {
+            let storedBefore = 0;
+            finished = await syncLocalRepo(fullRepo, tracked.localPath, {
+                branch,
+                history: true,
+                onProgress: async (stored) => {
+                    const step = stored - storedBefore;
+                    storedBefore = stored;
+                    return stillRunning(await prisma.backfillJob.update({
+                        where: { id: job.id },
+                        data: { processed: { increment: step }, inserted: { increment: step } },
+                    }));
+                },
+            });
+        } else {
+            finished = await fetchFullHistory(createProvider(tracked), fullRepo, {
+                branch,
+                cursor: job.cursor === null ? null : JSON.parse(job.cursor),
+                onPage: async ({ next, checked, inserted }) => stillRunning(await prisma.backfillJob.update({
+                    where: { id: job.id },
+                    data: { cursor: JSON.stringify(next), processed: { increment: checked }, inserted: { increment: inserted } },
+                })),
+            });
+        }
+        if (!finished) {
+            console.log(`[${fullRepo}] Backfill job ${job.id} cancelled`);
+            return;
+        }
+        if (job.oldHead && !tracked.localPath) await unlinkUnseen(fullRepo, branch, job);
+        await addMissingStats(fullRepo); // Add 'additions' and 'deletions' if they're missing
+        await prisma.backfillJob.updateMany({
+            where: { id: job.id, status: 'running', leaseOwner },
+            data: { status: 'completed', finishedAt: new Date() },
+        });
+        await announceById(job.id);
+        console.log(`[${fullRepo}] Backfill job ${job.id} completed`);
+    } catch (err) {
+        const message = err.response?.data?.message || err.message;
+        console.error(`[${fullRepo}] Backfill job ${job.id} failed:`, message);
+        await prisma.backfillJob.updateMany({
+            where: { id: job.id, status: 'running', leaseOwner },
+            data: { status: 'failed', error: message, finishedAt: new Date() },
+        });
+        await announceById(job.id);
+    } finally {
+        clearInterval(renewal);
+        runs.delete(job.id);
+    }
+}
+
+/**
+ * Runs queued jobs one after the other, for as long as the backend runs. <br>
+ * Jobs left running by a process that stopped (a previous run of the backend, or a gitstat command) are queued again
+ * once their lease runs out, so they resume from their checkpoint. Jobs other processes are running are left to them.
+ * @returns {Promise<void>}
+ */
+async function startJobRunner() {
+    for (;;) {
+        try {
+            await requeueAbandonedJobs();
+            const job = await prisma.backfillJob.findFirst({ where: { status: 'queued' }, orderBy: { createdAt: 'asc' } });
+            if (job && await claimJob(job.id)) await runJob(job);
+            else if (!job) await sleep(runnerIdleWait);
+        } catch (err) {
+            console.error('Backfill runner error:', err.message);
+            await sleep(runnerIdleWait);
+        }
+    }
+}
+
+module.exports = { enqueueBackfill, cancelJob, restartJob, describeJob, claimJob, requeueAbandonedJobs, runJob, startJobRunner };
@@ -0,0 +1,117 @@
+const { resolveAuthor, identityKey, summarize, buildTimeSeries, periodStart, nextPeriod } = require('./stats');
+
+/**
+ * Side-by-side comparison of several repositories (e.g. teams working on the same assignment): codebase size and
+ * commits per week, active contributors per month, and churn (additions + deletions) against net growth per week. <br>
+ * The series are normalised onto one axis, so they can be drawn over each other: every row is a period, with a value
+ * per repository (null where that repository has no history yet, or anymore). <br>
+ * Periods are either calendar periods (`align` 'calendar', "2024-05-13") or counted from each repository's first commit
+ * (`align` 'start', 0, 1, 2, ...), for comparing projects that started at different times. <br>
+ * With `scale` 'percent', every value is a percentage of the repository's own total (size of its latest size),
+ * so a big and a small project can be compared by their shape.
+ */
+
+const aligns = ['calendar', 'start'];
+const scales = ['absolute', 'percent'];
+
+/**
+ * A value as a percentage of a total, with one decimal. 0 when the total is 0.
+ * @param value
+ * @param total
+ * @returns {number}
+ */
+const percentOf = (value, total) => (total === 0 ? 0 : Math.round((value / total) * 1000) / 10);
+
+/**
+ * Counts the distinct authors active in every month, from the month of `from` to the month of `to`.
+ * @param commits
+ * @param resolve
+ * @param from
+ * @param to
+ * @returns {{period: string, contributors: number}[]}
+ */
+function monthlyContributors(commits, resolve, from, to) {
+    const months = new Map(); // Month start (ms) -> author keys
+    for (const commit of commits) {
+        const key = periodStart(commit.timestamp, 'month').getTime();
+        if (!months.has(key)) months.set(key, new Set());
+        months.get(key).add(identityKey(resolveAuthor(commit, resolve)));
+    }
+    const series = [];
+    for (let start = periodStart(from, 'month'); start <= to; start = nextPeriod(start, 'month')) {
+        series.push({ period: start.toISOString().slice(0, 7), contributors: months.get(start.getTime())?.size ?? 0 });
+    }
+    return series;
+}
+
+/**
+ * Puts the per-repository series into rows, one per period, with a column per repository.
+ * @param perRepo Repo -> its series, each point `{period, value}`
+ * @param align 'calendar' (rows by period label) or 'start' (rows by position in each series)
+ * @returns {object[]} `{period, [repo]: value}`, missing values null
+ */
+function mergeSeries(perRepo, align) {
+    const rows = new Map();
+    for (const [repo, series] of perRepo) {
+        series.forEach((point, index) => {
+            const period = align === 'start' ? index : point.period;
+            if (!rows.has(period)) rows.set(period, { period });
+            rows.get(period)[repo] = point.value;
+        });
+    }
+    const sorted = [...rows.values()].sort((a, b) => (a.period < b.period ? -1 : a.period > b.period ? 1 : 0));
+    for (const row of sorted) for (const repo of perRepo.keys()) row[repo] ??= null;
+    return sorted;
+}
+
+/**
+ * Compares repositories.
+ * @param commitsByRepo Repo -> its commits (with the fields stats.js needs), in the order the repositories are shown
+ * @param resolve Identity resolver, see `loadIdentityResolver()` in identities.js
+ * @param align 'calendar' or 'start'
+ * @param scale 'absolute' or 'percent'
+ * @param until Last period of the calendar axis. Defaults to the newest commit of any repository
+ * @param baselines Repo -> net lines of its commits before the compared range, which its size curve starts from (0 when left out)
+ * @returns {{summaries: object, size: object[], commits: object[], contributors: object[], churn: object[]}}
+ * `churn` rows have `<repo>:churn` and `<repo>:net` columns
+ */
+function compareRepos(commitsByRepo, resolve, { align = 'calendar', scale = 'absolute', until = null, baselines = new Map() } = {}) {
+    const summaries = {};
+    const size = new Map();
+    const commits = new Map();
+    const contributors = new Map();
+    const churn = new Map();
+    let last = until;
+    if (!last) {
+        for (const repoCommits of commitsByRepo.values()) {
+            for (const { timestamp } of repoCommits) if (!last || timestamp > last) last = timestamp;
+        }
+    }
+
+    for (const [repo, repoCommits] of commitsByRepo) {
+        const summary = summarize(repoCommits, resolve);
+        summaries[repo] = summary;
+        if (repoCommits.length === 0) continue;
+        const to = align === 'calendar' ? last : summary.lastCommitAt;
+        const weeks = buildTimeSeries(repoCommits, 'week', baselines.get(repo) ?? 0, null, to);
+        const months = monthlyContributors(repoCommits, resolve, summary.firstCommitAt, to);
+        const finalSize = weeks[weeks.length - 1]?.totalLines ?? 0;
+        const totalChurn = summary.additions + summary.deletions;
+        const scaled = (value, total) => (scale === 'percent' ? percentOf(value, total) : value);
+        size.set(repo, weeks.map(week => ({ period: week.period, value: scaled(week.totalLines, finalSize) })));
+        commits.set(repo, weeks.map(week => ({ period: week.period, value: scaled(week.commits, summary.totalCommits) })));
+        contributors.set(repo, months.map(month => ({ period: month.period, value: scaled(month.contributors, summary.authors) })));
+        churn.set(`${repo}:churn`, weeks.map(week => ({ period: week.period, value: scaled(week.additions + week.deletions, totalChurn) })));
+        churn.set(`${repo}:net`, weeks.map(week => ({ period: week.period, value: scaled(week.netLines, totalChurn) })));
+    }
+
+    return {
+        summaries,
+        size: mergeSeries(size, align),
+        commits: mergeSeries(commits, align),
+        contributors: mergeSeries(contributors, align),
+        churn: mergeSeries(churn, align),
+    };
+}
+
+module.exports = { aligns, scales, compareRepos };
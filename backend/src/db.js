@@ -0,0 +1,8 @@
+const { PrismaClient } = require('@prisma/client');
+
+/**
+ * The one Prisma client shared by every module, so they all go through the same connection to the SQLite database.
+ */
+const prisma = new PrismaClient();
+
+module.exports = { prisma };
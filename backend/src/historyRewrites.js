@@ -0,0 +1,195 @@
+const { prisma } = require('./db');
+const localGit = require('./localGit');
+const { publish } = require('./liveEvents');
+const { reportHistoryRewrite } = require('./alerts');
+
+/**
+ * Rewritten history: branches that were force-pushed (rebased, reset, amended) after their commits were stored. <br>
+ * The newest commit of every tracked branch is remembered after each sync (TrackedRepo.branchHeads). When the branch
+ * has a different head later, its history is listed back to the remembered one. Finding it means the branch only grew,
+ * and the commits listed on the way are exactly the new ones. Not finding it means the history was rewritten: the stored
+ * commits that are no longer on the branch lose their link to it, and those left on no tracked branch at all are marked
+ * unreachable (`unreachableAt`). They stay in the database, but are left out of the stats. <br>
+ * On a forge, the history is only listed back `maxWalk` commits while polling. When the old head isn't found by then, the branch
+ * either grew a lot or was rewritten, which is left to a backfill job (queued with the old head, see backfillJobs.js): it lists the
+ * whole branch anyway, and afterwards `unlinkUnseen()` unlinks the commits it didn't come across. <br>
+ * Every rewrite is recorded (HistoryRewrite), published as a 'rewrite' event and reported to the `historyRewrite` alert rules.
+ */
+
+const perPage = 50; // Commits listed per request while looking for the old head. Gitea returns at most 50
+const maxWalk = 1000; // Commits listed at most while looking for the old head on a forge (20 requests). Further back is left to a backfill
+
+/**
+ * Reads the per-branch heads stored on a TrackedRepo. Anything unreadable just means no head is known yet.
+ * @param branchHeads TrackedRepo.branchHeads
+ * @returns {object} Branch -> sha
+ */
+function parseHeads(branchHeads) {
+    try {
+        const heads = JSON.parse(branchHeads);
+        return heads && typeof heads === 'object' ? heads : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Remembers the newest commit of a branch, once it's synced.
+ * @param fullRepo
+ * @param branch
+ * @param sha
+ * @returns {Promise<void>}
+ */
+async function saveBranchHead(fullRepo, branch, sha) {
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo }, select: { branchHeads: true } });
+    if (!tracked) return; // Removed while it was being synced
+    const heads = parseHeads(tracked.branchHeads);
+    if (heads[branch] === sha) return;
+    heads[branch] = sha;
+    await prisma.trackedRepo.updateMany({ where: { repo: fullRepo }, data: { branchHeads: JSON.stringify(heads) } });
+}
+
+/**
+ * Lists the commits of a branch, newest first, until `stopAt` (not included) or the start of the history.
+ * On a forge, listing stops after `maxWalk` commits, which is reported as `capped`.
+ * @param tracked TrackedRepo row
+ * @param branch
+ * @param provider Forge provider of the repository (unused for local clones)
+ * @param latestShas The branch's newest commits, if already listed
+ * @param stopAt
+ * @returns {Promise<{shas: string[], found: boolean, capped: boolean}>} `found` tells whether `stopAt` was reached
+ */
+async function listBranchUntil(tracked, branch, provider, latestShas, stopAt) {
+    if (tracked.localPath) {
+        const all = await localGit.listCommitShas(tracked.localPath, branch);
+        const index = all.indexOf(stopAt);
+        return index === -1 ? { shas: all, found: false, capped: false } : { shas: all.slice(0, index), found: true, capped: false };
+    }
+    const shortcut = latestShas?.indexOf(stopAt) ?? -1; // The latest commits usually reach back to the old head already
+    if (shortcut !== -1) return { shas: latestShas.slice(0, shortcut), found: true, capped: false };
+    const shas = [];
+    let cursor = null;
+    do {
+        if (shas.length >= maxWalk) return { shas, found: false, capped: true };
+        const page = await provider.listCommits(cursor, perPage, { branch });
+        const index = page.shas.indexOf(stopAt);
+        if (index !== -1) return { shas: [...shas, ...page.shas.slice(0, index)], found: true, capped: false };
+        if (page.shas.length === 0) break;
+        shas.push(...page.shas);
+        cursor = page.next;
+    } while (cursor);
+    return { shas, found: false, capped: false };
+}
+
+/**
+ * Compares a branch with the head remembered at the last sync. <br>
+ * A grown branch returns the commits added on top of the old head. A rewritten one is reconciled (see above) and recorded,
+ * and its new head is remembered right away, so the same rewrite isn't reported twice. Otherwise, the caller remembers the
+ * new head with `saveBranchHead()` once the new commits are stored. <br>
+ * When the old head isn't within `maxWalk` commits of a forge's branch, it's returned as `checkFrom`, and the caller
+ * queues a backfill with it (`enqueueBackfill(repo, branch, {oldHead: checkFrom})`), which finishes the check.
+ * The new head is remembered right away then too, so the next polls don't list the same commits again.
+ * @param tracked TrackedRepo row
+ * @param branch
+ * @param source 'poll' or 'webhook', recorded with a rewrite
+ * @param provider Forge provider of the repository (unused for local clones)
+ * @param latestShas The branch's newest commits, newest first, if already listed
+ * @returns {Promise<{head: (string|null), rewritten: boolean, newShas: (string[]|null), checkFrom: (string|null)}>} `newShas` is null when no
+ * head was known (or the history was rewritten, or was too long to check), so which commits are new is up to the caller
+ */
+async function reconcileBranch(tracked, branch, { source, provider = null, latestShas = null }) {
+    const stored = await prisma.trackedRepo.findUnique({ where: { repo: tracked.repo }, select: { branchHeads: true } });
+    const oldHead = parseHeads(stored?.branchHeads)[branch] ?? null;
+    const head = tracked.localPath
+        ? (await localGit.listCommitShas(tracked.localPath, branch))[0] ?? null
+        : (latestShas ?? (await provider.listCommits(null, 5, { branch })).shas)[0] ?? null;
+    if (!head || !oldHead) return { head, rewritten: false, newShas: null, checkFrom: null };
+    if (head === oldHead) return { head, rewritten: false, newShas: [], checkFrom: null };
+
+    const { shas, found, capped } = await listBranchUntil(tracked, branch, provider, latestShas, oldHead);
+    if (found) return { head, rewritten: false, newShas: shas, checkFrom: null };
+    if (capped) {
+        await saveBranchHead(tracked.repo, branch, head);
+        console.log(`[${tracked.repo}] ${oldHead.slice(0, 7)} is not within the last ${maxWalk} commits of ${branch}, leaving the history check to a backfill`);
+        return { head, rewritten: false, newShas: null, checkFrom: oldHead };
+    }
+
+    const links = await prisma.commitBranch.findMany({ where: { repo: tracked.repo, branch }, select: { commitSha: true } });
+    const reachable = new Set(shas);
+    const orphaned = links.map(link => link.commitSha).filter(sha => !reachable.has(sha));
+    await recordRewrite(tracked.repo, branch, { oldHead, newHead: head, source, orphaned });
+    await saveBranchHead(tracked.repo, branch, head);
+    return { head, rewritten: true, newShas: null, checkFrom: null };
+}
+
+/**
+ * Finishes the history check of a backfill job queued with `oldHead` (see `reconcileBranch()`), once it listed the whole branch:
+ * the commits linked to the branch that the walk didn't come across (not seen since the job started) are no longer on it. <br>
+ * Nothing is recorded when there are none, since the branch then only grew.
+ * @param fullRepo
+ * @param branch
+ * @param job BackfillJob row, with `oldHead` and `startedAt`
+ * @returns {Promise<string[]>} The unlinked shas
+ */
+async function unlinkUnseen(fullRepo, branch, job) {
+    const links = await prisma.commitBranch.findMany({ where: { repo: fullRepo, branch, seenAt: { lt: job.startedAt } }, select: { commitSha: true } });
+    const orphaned = links.map(link => link.commitSha);
+    if (orphaned.length === 0) return orphaned;
+    const stored = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo }, select: { branchHeads: true } });
+    const newHead = parseHeads(stored?.branchHeads)[branch] ?? job.oldHead;
+    await recordRewrite(fullRepo, branch, { oldHead: job.oldHead, newHead, source: 'backfill', orphaned });
+    return orphaned;
+}
+
+/**
+ * Unlinks the commits a rewrite left behind, then records, publishes and reports the rewrite.
+ * @param fullRepo
+ * @param branch
+ * @param oldHead
+ * @param newHead
+ * @param source
+ * @param orphaned Shas linked to the branch that are no longer on it
+ * @returns {Promise<void>}
+ */
+async function recordRewrite(fullRepo, branch, { oldHead, newHead, source, orphaned }) {
+    await unlinkOrphans(fullRepo, branch, orphaned);
+    const rewrite = await prisma.historyRewrite.create({
+        data: { repo: fullRepo, branch, oldHead, newHead, source, orphanedShas: JSON.stringify(orphaned) },
+    });
+    console.log(`[${fullRepo}] History of ${branch} was rewritten, ${orphaned.length} stored commits are no longer on it`);
+    publish('rewrite', { repo: fullRepo, rewrite: { ...rewrite, orphanedShas: orphaned } });
+    if (orphaned.length > 0) publish('stats', { repo: fullRepo });
+    await reportHistoryRewrite(fullRepo, branch, { source, before: oldHead, after: newHead, orphaned: orphaned.length })
+        .catch(err => console.error(`Alert error for ${fullRepo}:`, err.message));
+}
+
+/**
+ * Unlinks commits of a repository from a branch, and marks the ones left on no branch unreachable.
+ * @param fullRepo
+ * @param branch
+ * @param orphaned Shas no longer in the branch's history
+ * @returns {Promise<void>}
+ */
+async function unlinkOrphans(fullRepo, branch, orphaned) {
+    // In chunks, since SQLite limits the number of parameters in one query
+    for (let i = 0; i < orphaned.length; i += 500) {
+        const chunk = orphaned.slice(i, i + 500);
+        await prisma.commitBranch.deleteMany({ where: { repo: fullRepo, branch, commitSha: { in: chunk } } });
+        await prisma.repoCommit.updateMany({
+            where: { repo: fullRepo, sha: { in: chunk }, branches: { none: {} } },
+            data: { unreachableAt: new Date() },
+        });
+    }
+}
+
+/**
+ * The recorded rewrites of a repository, newest first.
+ * @param fullRepo
+ * @returns {Promise<object[]>} HistoryRewrite rows, with `orphanedShas` parsed
+ */
+async function listRewrites(fullRepo) {
+    const rewrites = await prisma.historyRewrite.findMany({ where: { repo: fullRepo }, orderBy: { id: 'desc' } });
+    return rewrites.map(rewrite => ({ ...rewrite, orphanedShas: JSON.parse(rewrite.orphanedShas) }));
+}
+
+module.exports = { reconcileBranch, unlinkUnseen, saveBranchHead, listRewrites };
@@ -0,0 +1,60 @@
+/**
+ * Aggregates per-file change data (CommitFile rows) into hotspots: <br>
+ * the files or directories with the most churn (additions + deletions), and who changed them.
+ */
+
+/**
+ * Returns the key a file is grouped under. <br>
+ * For 'file' it's the path itself, for 'directory' it's the containing directory,
+ * optionally cut down to the first `depth` segments. Files in the repository root are grouped under '.'
+ * @param filename
+ * @param level
+ * @param depth
+ * @returns {string}
+ */
+function groupKey(filename, level, depth) {
+    if (level === 'file') return filename;
+    const directories = filename.split('/').slice(0, -1);
+    if (directories.length === 0) return '.';
+    return (depth ? directories.slice(0, depth) : directories).join('/');
+}
+
+/**
+ * Sums up churn per file or directory. <br>
+ * Each row must have `filename`, `additions`, `deletions`, `commitSha` and `commit.author`.
+ * @param files
+ * @param level 'file' or 'directory'
+ * @param depth
+ * @returns {{path: string, additions: number, deletions: number, churn: number, commits: number, authors: {author: string, churn: number}[]}[]}
+ */
+function computeHotspots(files, level = 'file', depth = null) {
+    const groups = new Map();
+    for (const file of files) {
+        const path = groupKey(file.filename, level, depth);
+        if (!groups.has(path)) {
+            groups.set(path, { path, additions: 0, deletions: 0, shas: new Set(), authors: new Map() });
+        }
+        const group = groups.get(path);
+        const churn = file.additions + file.deletions;
+        group.additions += file.additions;
+        group.deletions += file.deletions;
+        group.shas.add(file.commitSha); // A set, so a commit touching several files in one directory counts once
+        const author = file.commit?.author || 'Unknown';
+        group.authors.set(author, (group.authors.get(author) || 0) + churn);
+    }
+
+    const hotspots = [...groups.values()].map((group) => ({
+        path: group.path,
+        additions: group.additions,
+        deletions: group.deletions,
+        churn: group.additions + group.deletions,
+        commits: group.shas.size,
+        authors: [...group.authors.entries()]
+            .map(([author, churn]) => ({ author, churn }))
+            .sort((a, b) => b.churn - a.churn),
+    }));
+    hotspots.sort((a, b) => b.churn - a.churn || b.commits - a.commits);
+    return hotspots;
+}
+
+module.exports = { computeHotspots };
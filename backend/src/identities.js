@@ -0,0 +1,312 @@
+const { prisma } = require('./db');
+
+/**
+ * Author identities: one AuthorIdentity per person, with every login, email (and, for old commits, name) they commit under
+ * as its AuthorAlias rows. <br>
+ * Identities are created while commits are stored (`ensureIdentity()`), and looked up when stats are computed
+ * (`loadIdentityResolver()`), so merging or splitting identities changes every statistic right away, without touching the commits. <br>
+ * A commit is resolved by its author's login first, then the email, and only by name when it has neither.
+ * So two people sharing a name stay apart, and "P. Holmes" and "PatrickAbildHolmes" can be merged into one. <br>
+ * The identities made while storing commits are shared by every workspace, but renaming, merging and splitting only change
+ * how the workspace doing it sees them: it gets identities of its own, and IdentityAssignment rows crediting aliases
+ * (split off) or whole shared identities (renamed or merged) to them.
+ */
+
+// GitHub's no-reply emails ("12345+login@users.noreply.github.com") tell the login, even when the API doesn't
+const noreplyEmail = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/;
+
+/**
+ * Lowercases email and login, and takes the login from a GitHub no-reply email when there is none.
+ * @param person `{name, email, login}`, where email and login may be missing
+ * @returns {{name: string, email: (string|null), login: (string|null)}}
+ */
+function normalizePerson({ name, email, login }) {
+    const normalizedEmail = email ? email.trim().toLowerCase() : null;
+    const normalizedLogin = login || normalizedEmail?.match(noreplyEmail)?.[1] || null;
+    return { name: name || 'Unknown', email: normalizedEmail || null, login: normalizedLogin ? normalizedLogin.toLowerCase() : null };
+}
+
+/**
+ * Parses "Name <email>", as found in trailers and Bitbucket's raw author.
+ * @param text
+ * @returns {{name: string, email: (string|null)}}
+ */
+function parsePerson(text) {
+    const match = text.match(/^\s*(.*?)\s*<([^>]*)>\s*$/);
+    if (!match) {
+        const bare = text.trim(); // Sometimes written without the name and brackets
+        return /^\S+@\S+$/.test(bare) ? { name: bare, email: bare.toLowerCase() } : { name: bare, email: null };
+    }
+    return { name: match[1] || match[2], email: match[2].trim().toLowerCase() || null };
+}
+
+/**
+ * Finds the co-authors in a commit message's "Co-authored-by: Name <email>" trailers (case-insensitive). Each person is listed once.
+ * @param message
+ * @returns {{name: string, email: (string|null)}[]}
+ */
+function parseCoAuthors(message) {
+    const coAuthors = new Map();
+    for (const line of (message || '').split('\n')) {
+        const trailer = line.match(/^\s*co-authored-by:\s*(.+)$/i);
+        if (!trailer) continue;
+        const person = parsePerson(trailer[1]);
+        coAuthors.set(person.email || person.name, person);
+    }
+    return [...coAuthors.values()];
+}
+
+/**
+ * The aliases a person is looked up by, in order of priority.
+ * @param person Normalized person (see `normalizePerson()`)
+ * @returns {{kind: string, value: string}[]}
+ */
+function aliasKeys({ name, email, login }) {
+    const keys = [];
+    if (login) keys.push({ kind: 'login', value: login });
+    if (email) keys.push({ kind: 'email', value: email });
+    if (keys.length === 0) keys.push({ kind: 'name', value: name });
+    return keys;
+}
+
+/**
+ * Makes sure a person has an identity. <br>
+ * Aliases not seen before join the identity of the person's other aliases (e.g. a new email used with a known login),
+ * or get a new identity when none of them is known.
+ * @param person `{name, email, login}`
+ * @returns {Promise<void>}
+ */
+async function ensureIdentity(person) {
+    const normalized = normalizePerson(person);
+    const keys = aliasKeys(normalized);
+    const existing = await prisma.authorAlias.findMany({ where: { OR: keys } });
+    const find = (key) => existing.find(alias => alias.kind === key.kind && alias.value === key.value);
+    const missing = keys.filter(key => !find(key));
+    if (missing.length === 0) return;
+    const known = keys.map(find).find(Boolean); // The alias with the highest priority decides the identity
+    try {
+        if (known) {
+            await prisma.authorAlias.createMany({ data: missing.map(key => ({ ...key, identityId: known.identityId })) });
+        } else {
+            await prisma.authorIdentity.create({ data: { name: normalized.name, aliases: { create: missing } } });
+        }
+    } catch (err) {
+        if (err.code !== 'P2002') throw err; // Unique constraint: stored by a concurrent ingest (e.g. a webhook) in the meantime
+    }
+}
+
+/**
+ * Looks up the identity of a single person, the same way `loadIdentityResolver()` resolves them.
+ * @param person `{name, email, login}`
+ * @returns {Promise<{id: (number|null), name: string}>}
+ */
+async function findIdentity(person) {
+    const normalized = normalizePerson(person);
+    for (const key of aliasKeys(normalized)) {
+        const alias = await prisma.authorAlias.findUnique({
+            where: { kind_value: key },
+            include: { identity: { select: { id: true, name: true } } },
+        });
+        if (alias) return alias.identity;
+    }
+    return { id: null, name: normalized.name };
+}
+
+/**
+ * Makes sure every author and co-author of a repository's stored commits has an identity,
+ * e.g. for commits stored before identities existed.
+ * @param fullRepo
+ * @returns {Promise<void>}
+ */
+async function ensureRepoIdentities(fullRepo) {
+    const authors = await prisma.repoCommit.groupBy({
+        by: ['author', 'authorEmail', 'authorLogin'],
+        where: { repo: fullRepo },
+    });
+    const coAuthors = await prisma.commitCoAuthor.groupBy({
+        by: ['name', 'email'],
+        where: { commit: { repo: fullRepo } },
+    });
+    for (const { author, authorEmail, authorLogin } of authors) {
+        await ensureIdentity({ name: author, email: authorEmail, login: authorLogin });
+    }
+    for (const { name, email } of coAuthors) await ensureIdentity({ name, email });
+}
+
+/**
+ * Loads the aliases with the identity each one resolves to in a workspace: the identity the workspace assigned the alias to,
+ * or else the one it assigned the alias's shared identity to, or else the shared identity.
+ * @param workspaceId null for the shared identities alone
+ * @param where AuthorAlias filter
+ * @returns {Promise<object[]>} AuthorAlias rows, oldest first, with `identity: {id, name}` as resolved (`identityId` stays the shared one)
+ */
+async function loadAliases(workspaceId, where = {}) {
+    const aliases = await prisma.authorAlias.findMany({
+        where,
+        include: { identity: { select: { id: true, name: true } } },
+        orderBy: { id: 'asc' },
+    });
+    if (workspaceId === null || workspaceId === undefined) return aliases;
+    const assignments = await prisma.identityAssignment.findMany({
+        where: { workspaceId },
+        include: { identity: { select: { id: true, name: true } } },
+    });
+    const byAlias = new Map(assignments.filter(assignment => assignment.aliasId !== null).map(assignment => [assignment.aliasId, assignment.identity]));
+    const byIdentity = new Map(assignments.filter(assignment => assignment.sharedIdentityId !== null)
+        .map(assignment => [assignment.sharedIdentityId, assignment.identity]));
+    return aliases.map(alias => ({ ...alias, identity: byAlias.get(alias.id) ?? byIdentity.get(alias.identityId) ?? alias.identity }));
+}
+
+/**
+ * Loads every alias, and returns a function resolving a person to their identity, as the workspace sees it. <br>
+ * People without an identity (not ingested yet) resolve to `{id: null, name}`.
+ * @param workspaceId null for the shared identities, as seen outside any workspace (e.g. by alerts and the CLI)
+ * @returns {Promise<function({name: string, email?: string, login?: string}): {id: (number|null), name: string}>}
+ */
+async function loadIdentityResolver(workspaceId = null) {
+    const aliases = await loadAliases(workspaceId);
+    const identities = new Map(aliases.map(alias => [`${alias.kind}:${alias.value}`, alias.identity]));
+    return (person) => {
+        const normalized = normalizePerson(person);
+        for (const key of aliasKeys(normalized)) {
+            const identity = identities.get(`${key.kind}:${key.value}`);
+            if (identity) return identity;
+        }
+        return { id: null, name: normalized.name };
+    };
+}
+
+/**
+ * Prisma filter for the commits authored by any of the identities, resolved the same way `loadIdentityResolver()` does
+ * (login first, then email, then name).
+ * @param identityIds
+ * @param workspaceId Workspace the identities are seen from, null for the shared ones
+ * @returns {Promise<object>} RepoCommit `where`
+ */
+async function identityCommitFilter(identityIds, workspaceId = null) {
+    const aliases = workspaceId === null || workspaceId === undefined
+        ? await loadAliases(null, { identityId: { in: identityIds } })
+        : (await loadAliases(workspaceId)).filter(alias => identityIds.includes(alias.identity.id));
+    const values = (kind) => aliases.filter(alias => alias.kind === kind).map(alias => alias.value);
+    return {
+        OR: [
+            { authorLogin: { in: values('login') } },
+            { authorLogin: null, authorEmail: { in: values('email') } },
+            { authorLogin: null, authorEmail: null, author: { in: values('name') } },
+        ],
+    };
+}
+
+/**
+ * The identities some people resolve to in a workspace, by name, each with the aliases these people commit under.
+ * Aliases only seen in other workspaces' repositories are left out, so their emails aren't shown.
+ * @param workspaceId
+ * @param people `{name, email, login}` of the authors and co-authors of the workspace's commits
+ * @returns {Promise<{id: number, name: string, aliases: {id: number, kind: string, value: string}[]}[]>}
+ */
+async function listIdentities(workspaceId, people) {
+    const used = new Set(people.flatMap(person => aliasKeys(normalizePerson(person)).map(key => `${key.kind}:${key.value}`)));
+    const identities = new Map();
+    for (const { id, kind, value, identity } of await loadAliases(workspaceId)) {
+        if (!used.has(`${kind}:${value}`)) continue;
+        if (!identities.has(identity.id)) identities.set(identity.id, { ...identity, aliases: [] });
+        identities.get(identity.id).aliases.push({ id, kind, value });
+    }
+    return [...identities.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The workspace's own identity for an identity it sees. A shared identity gets a copy (same name) with every alias of it
+ * assigned to, so that only the workspace sees what is changed next.
+ * @param tx Prisma client or transaction
+ * @param workspaceId
+ * @param identityId
+ * @returns {Promise<object>} AuthorIdentity of the workspace
+ */
+async function ownIdentity(tx, workspaceId, identityId) {
+    const identity = await tx.authorIdentity.findUnique({ where: { id: identityId } });
+    if (identity.workspaceId === workspaceId) return identity;
+    const own = await tx.authorIdentity.create({ data: { name: identity.name, workspaceId } });
+    await tx.identityAssignment.create({ data: { workspaceId, sharedIdentityId: identity.id, identityId: own.id } });
+    return own;
+}
+
+/**
+ * Deletes the workspace's own identities nothing is credited to anymore (merged into others).
+ * @param tx Prisma client or transaction
+ * @param workspaceId
+ * @returns {Promise<void>}
+ */
+async function deleteUnusedIdentities(tx, workspaceId) {
+    await tx.authorIdentity.deleteMany({ where: { workspaceId, assignments: { none: {} } } });
+}
+
+/**
+ * Renames an identity, for the workspace only.
+ * @param workspaceId
+ * @param identityId An identity the workspace sees
+ * @param name
+ * @returns {Promise<number>} Id of the renamed identity, which is a new one when it was shared
+ */
+async function renameIdentity(workspaceId, identityId, name) {
+    return prisma.$transaction(async (tx) => {
+        const own = await ownIdentity(tx, workspaceId, identityId);
+        await tx.authorIdentity.update({ where: { id: own.id }, data: { name } });
+        return own.id;
+    });
+}
+
+/**
+ * Merges identities into one, for the workspace only: whatever was credited to them is credited to the target identity.
+ * @param workspaceId
+ * @param targetId
+ * @param identityIds Identities merged into the target. All of them, and the target, are identities the workspace sees
+ * @returns {Promise<number>} Id of the merged identity, which is a new one when the target was shared
+ */
+async function mergeIdentities(workspaceId, targetId, identityIds) {
+    return prisma.$transaction(async (tx) => {
+        const target = await ownIdentity(tx, workspaceId, targetId);
+        const others = await tx.authorIdentity.findMany({ where: { id: { in: identityIds.filter(id => id !== targetId && id !== target.id) } } });
+        for (const other of others) {
+            if (other.workspaceId === workspaceId) {
+                await tx.identityAssignment.updateMany({ where: { workspaceId, identityId: other.id }, data: { identityId: target.id } });
+            } else {
+                await tx.identityAssignment.create({ data: { workspaceId, sharedIdentityId: other.id, identityId: target.id } });
+            }
+        }
+        await deleteUnusedIdentities(tx, workspaceId);
+        return target.id;
+    });
+}
+
+/**
+ * Moves some aliases of an identity to a new identity, for the workspace only, e.g. when two people sharing a name were merged.
+ * @param workspaceId
+ * @param aliasIds Aliases the identity has in the workspace that make up the new one
+ * @param name Name of the new identity. Defaults to the first alias
+ * @returns {Promise<number>} Id of the new identity
+ */
+async function splitIdentity(workspaceId, aliasIds, name) {
+    const aliases = await prisma.authorAlias.findMany({ where: { id: { in: aliasIds } }, orderBy: { id: 'asc' } });
+    return prisma.$transaction(async (tx) => {
+        const identity = await tx.authorIdentity.create({ data: { name: name || aliases[0].value, workspaceId } });
+        await tx.identityAssignment.deleteMany({ where: { workspaceId, aliasId: { in: aliases.map(alias => alias.id) } } });
+        await tx.identityAssignment.createMany({ data: aliases.map(alias => ({ workspaceId, aliasId: alias.id, identityId: identity.id })) });
+        await deleteUnusedIdentities(tx, workspaceId);
+        return identity.id;
+    });
+}
+
+module.exports = {
+    normalizePerson,
+    parseCoAuthors,
+    ensureIdentity,
+    ensureRepoIdentities,
+    findIdentity,
+    loadIdentityResolver,
+    identityCommitFilter,
+    listIdentities,
+    renameIdentity,
+    mergeIdentities,
+    splitIdentity,
+};
@@ -0,0 +1,59 @@
+const ignore = require('ignore');
+
+/**
+ * Ignore rules decide which files count towards a commit's additions/deletions (and hotspots). <br>
+ * Rules are written like a .gitignore file, one glob per line, and stored per tracked repo (TrackedRepo.ignoreRules). <br>
+ * Repos without their own rules use `defaultIgnoreRules`.
+ */
+const defaultIgnoreRules = [
+    'package-lock.json', // Dependency lockfiles, in any directory
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    '/target/',          // Build outputs in the repository root
+    '/dist/',
+    '/.next/',           // Next.js build
+    '/build/',
+    '/coverage/',
+];
+
+/**
+ * Turns the stored rules into a list of lines. `null` (no rules stored) gives the default rules.
+ * @param storedRules Newline separated rules, as stored in TrackedRepo.ignoreRules
+ * @returns {string[]}
+ */
+function parseIgnoreRules(storedRules) {
+    if (storedRules === null || storedRules === undefined) return defaultIgnoreRules;
+    return storedRules.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Creates a function that tells whether a file (path relative to the repository root) is ignored by the given rules. <br>
+ * Supports the usual gitignore syntax: `*`, `**`, `?`, leading `/` to anchor at the root, trailing `/` for directories,
+ * `!` to re-include and `#` for comments.
+ * @param rules List of gitignore-style rules
+ * @returns {function(string): boolean}
+ */
+function createIgnoreMatcher(rules) {
+    const matcher = ignore().add(rules);
+    return (filename) => filename.length > 0 && matcher.ignores(filename);
+}
+
+/**
+ * Sums additions and deletions of the files in a commit that aren't ignored.
+ * @param files Objects with `filename`, `additions` and `deletions`
+ * @param isIgnored Matcher from `createIgnoreMatcher()`
+ * @returns {{additions: number, deletions: number}}
+ */
+function sumChanges(files, isIgnored) {
+    let additions = 0;
+    let deletions = 0;
+    for (const file of files) {
+        if (!isIgnored(file.filename)) {
+            additions += file.additions;
+            deletions += file.deletions;
+        }
+    }
+    return { additions, deletions };
+}
+
+module.exports = { defaultIgnoreRules, parseIgnoreRules, createIgnoreMatcher, sumChanges };
@@ -1,8 +1,35 @@
 require('dotenv').config({ path: __dirname + '/../.env' });
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('./db');
+const { computeHotspots } = require('./hotspots');
+const { intervals, summarize, aggregateAuthors, buildTimeSeries, parsePage, pageArgs, pageOf } = require('./stats');
+const { activityHeatmap, weeklyCadence, activityStreaks, knowledgeConcentration } = require('./analytics');
+const { aligns, scales, compareRepos } = require('./comparison');
+const {
+    ensureRepoIdentities, loadIdentityResolver, identityCommitFilter, listIdentities, renameIdentity, mergeIdentities, splitIdentity,
+} = require('./identities');
+const { linkTokenPaths, hashPassword, verifyPassword, issueToken, authenticate, canSignUp, publicUser } = require('./auth');
+const {
+    loadWorkspaceTokens, createWorkspace, workspaceRepos, canSeeRepo, canManageRepo, linkRepo, unlinkRepo, setGithubToken, describeWorkspace,
+} = require('./workspaces');
+const { parseIgnoreRules } = require('./ignoreRules');
+const localGit = require('./localGit');
+const { createProvider, providerNames } = require('./providers');
+const {
+    getIgnoreMatcher, recomputeStats, parseBranches, listBranches, resolveDefaultBranch, linkBranch,
+    syncTrackedRepo, syncLocalRepo, addMissingStats, insertCommitDetails,
+} = require('./ingest');
+const { enqueueBackfill, cancelJob, restartJob, describeJob, startJobRunner } = require('./backfillJobs');
+const { verifySignature, pushedShas } = require('./webhooks');
+const { getBudgets } = require('./rateLimitedClient');
+const { publish, isVisibleTo, subscribe, eventsSince, currentEventId } = require('./liveEvents');
+const { exportFormats, commitColumns, authorColumns, toCsv, renderHtmlReport } = require('./reports');
+const { syncPullRequests, pullRequestStats } = require('./pullRequests');
+const { syncTags, loadTags, releaseSummaries } = require('./releases');
+const { webhookFormats, parseRule, checkWebhookUrl, testWebhook, startAlerts } = require('./alerts');
+const { reconcileBranch, saveBranchHead, listRewrites } = require('./historyRewrites');
+const { takeSnapshots, listSnapshots, recountSnapshots } = require('./locSnapshots');
 
 /**
  * Two endpoints:
@@ -12,247 +39,1686 @@ const { PrismaClient } = require('@prisma/client');
  *  Test with: PatrickAbildHolmes/i4-simulated-lab
  * */
 const app = express();
-const prisma = new PrismaClient();
-app.use(cors());
-app.use(express.json());
-const interval = 5000; // Polling interval of 5 seconds
-let trackedRepo = null; // Set at the end of /track-repo route
-const APIHeader = {
-    'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-    'User-Agent': 'GitStatViewer' };
+app.use(cors({ origin: (process.env.FRONTEND_ORIGIN || 'http://localhost:5173').split(',') })); // Only the dashboard may call the API from a browser
+app.use(express.json({
+    verify: (req, res, buf) => { req.rawBody = buf; }, // Kept for verifying webhook signatures, which are computed over the exact bytes sent
+}));
+app.use(authenticate); // Every route below needs a signed-in user or an API token, except signing up/in and GitHub webhooks (see auth.js)
+// Routes about a single repository ('/:owner/:repo') only answer for repositories in the caller's workspace
+app.param('repo', async (request, response, next, repo) => {
+    if (await canSeeRepo(request.workspace, `${request.params.owner}/${repo}`)) return next();
+    response.status(404).json({ error: `${request.params.owner}/${repo} is not tracked in this workspace` });
+});
+const interval = 5000; // Default polling interval of 5 seconds, used for newly tracked repos
+const webhookFallbackInterval = 5 * 60 * 1000; // Repos receiving webhooks are only polled every 5 minutes, to resync anything missed
+const maxPolledInserts = 50; // A poll finding more new commits than this leaves them to a backfill job
+const schedulerTick = 1000; // How often the scheduler checks whether any tracked repo is due for a poll
+const activePolls = new Set(); // Repos currently being polled, so a slow poll isn't started twice
+const pullSyncInterval = 10 * 60 * 1000; // Pull requests change less often than branches, and cost two requests each to fetch
+const activePullSyncs = new Set(); // Repos whose pull requests are currently being synced
+const tagSyncInterval = 10 * 60 * 1000; // How often tags and releases are synced
+const activeTagSyncs = new Set(); // Repos whose tags are currently being synced
+const snapshotInterval = 15 * 60 * 1000; // How often lines of code snapshots are taken, a few weeks of history at a time
+const activeSnapshots = new Set(); // Repos whose snapshots are currently being taken
+const heartbeatInterval = 25 * 1000; // Comment sent on idle '/events' streams, so proxies don't close them
+const maxCompared = 8; // Repositories '/compare' takes at once
+// All the '/stats' endpoints need of a commit
+const statsFields = {
+    author: true, authorEmail: true, authorLogin: true, timestamp: true, additions: true, deletions: true,
+    coAuthors: { select: { name: true, email: true } },
+};
 
 // Starts the application
 const PORT = 4000; // Backend runs on port 4000
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
     console.log(`Server running on http://localhost:${PORT}`);
+    try {
+        await loadWorkspaceTokens(); // Before anything is fetched with them
+    } catch (err) {
+        // Without them, repos tracked with a workspace's token would be fetched anonymously until a restart
+        console.error('Could not load the workspace tokens, stopping:', err.message);
+        process.exit(1);
+    }
+    resyncTrackedRepos().catch(err => console.error('Resync error:', err.message));
     startPolling();
+    startJobRunner();
+    startAlerts();
 });
 
-// ------ Routes ('/track-repo', '/commits/:owner/:repo')------
+// ------ Routes ('/auth/...', '/users', '/workspaces', '/track-repo', '/repos', '/repos/:owner/:repo/branches', '/repos/:owner/:repo/tags', '/repos/:owner/:repo/history-rewrites', '/repos/:owner/:repo/loc-snapshots', '/jobs', '/events', '/commits/:owner/:repo', '/stats/:owner/:repo/...', '/compare', '/export/:owner/:repo/...', '/identities', '/hotspots/:owner/:repo', '/pulls/:owner/:repo', '/alerts', '/alert-rules', '/alert-webhooks', '/webhooks/github', '/status/rate-limits')------
 /**
- * /track-repo handles querying the GitHub API, to store data into the database <br>
- * It works by requesting the latest 5 commits from the repository <br>
- * Then compares those 5 to the database. <br>
- * If all 5 are present in database, skip to polling <br>
- * If 1-4 are present, add the remaining to database, then polling <br>
- * And if none are present (I.E. newly tracked repository) download entire history, then begin polling. <br>
+ * Creates an account and signs in. Body: `{ email, name, password }` (at least 8 characters). <br>
+ * The user gets a workspace of their own. The first user becomes an admin, and their workspace takes over the repositories
+ * tracked before accounts existed. After that, signing up is closed unless ALLOW_SIGNUP=true in .env (see `canSignUp()` in auth.js).
  */
-app.post('/track-repo', async (req, res) => {
-    const { owner, repo } = req.body;
-    if (!owner || !repo) return res.status(400).json({ error: 'Owner and repo required' });
+app.post('/auth/register', async (request, response) => {
+    const first = await prisma.user.count() === 0;
+    if (!canSignUp(first)) return response.status(403).json({ error: 'Signing up is closed, ask an admin for an account' });
+    const { user, workspace, status, error } = await createAccount(request.body, first);
+    if (error) return response.status(status).json({ error });
+    const { token } = await issueToken(user.id, 'session');
+    response.status(201).json({ token, user: publicUser(user), workspaces: [describeWorkspace(workspace, 'owner')] });
+});
+
+/**
+ * Creates an account for someone else (admins only), e.g. while signing up is closed. Body: `{ email, name, password }`. <br>
+ * They get a workspace of their own, and can be added to others with '/workspaces/:id/members'.
+ */
+app.post('/users', async (request, response) => {
+    if (!request.user.isAdmin) return response.status(403).json({ error: 'Only admins can create accounts' });
+    const { user, status, error } = await createAccount(request.body, false);
+    if (error) return response.status(status).json({ error });
+    response.status(201).json(publicUser(user));
+});
+
+/**
+ * Signs in. Body: `{ email, password }`. Returns a session `token` to send as `Authorization: Bearer <token>`.
+ */
+app.post('/auth/login', async (request, response) => {
+    const { email, password } = request.body;
+    const user = typeof email === 'string' && await prisma.user.findUnique({ where: { email: email.trim().toLowerCase() } });
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+        return response.status(401).json({ error: 'Wrong email or password' });
+    }
+    const { token } = await issueToken(user.id, 'session');
+    response.json({ token, user: publicUser(user), workspaces: await listWorkspaces(user.id) });
+});
+
+/**
+ * Signs out, revoking the token the request was made with.
+ */
+app.post('/auth/logout', async (request, response) => {
+    await prisma.authToken.delete({ where: { id: request.authToken.id } });
+    response.json({ message: 'Signed out' });
+});
+
+/**
+ * The signed-in user, the workspace the request is in, and every workspace they're a member of.
+ */
+app.get('/auth/me', async (request, response) => {
+    response.json({ user: publicUser(request.user), workspace: request.workspace, workspaces: await listWorkspaces(request.user.id) });
+});
+
+/**
+ * Makes a link token, for a URL that can't send the Authorization header: the event stream (`{ purpose: 'events' }`)
+ * or an export download (`{ purpose: 'export' }`). It only opens URLs of that purpose, and only for a minute (see auth.js).
+ */
+app.post('/auth/link-token', async (request, response) => {
+    const { purpose } = request.body;
+    if (!Object.hasOwn(linkTokenPaths, purpose)) {
+        return response.status(400).json({ error: `purpose must be one of: ${Object.keys(linkTokenPaths).join(', ')}` });
+    }
+    const { token, record } = await issueToken(request.user.id, purpose);
+    response.status(201).json({ token, expiresAt: record.expiresAt });
+});
+
+/**
+ * Lists the user's API tokens (not the tokens themselves, which are only shown when made).
+ */
+app.get('/auth/tokens', async (request, response) => {
+    const tokens = await prisma.authToken.findMany({
+        where: { userId: request.user.id, kind: 'api' },
+        select: { id: true, name: true, createdAt: true, lastUsedAt: true },
+        orderBy: { id: 'asc' },
+    });
+    response.json(tokens);
+});
+
+/**
+ * Makes an API token, for scripts and other tools. Body: `{ name: 'CI' }`. The token is only returned this once.
+ */
+app.post('/auth/tokens', async (request, response) => {
+    const name = typeof request.body.name === 'string' ? request.body.name.trim() : '';
+    if (!name) return response.status(400).json({ error: 'name required' });
+    const { token, record } = await issueToken(request.user.id, 'api', name);
+    response.status(201).json({ id: record.id, name, token, createdAt: record.createdAt });
+});
+
+/**
+ * Revokes one of the user's API tokens.
+ */
+app.delete('/auth/tokens/:id', async (request, response) => {
+    const id = parseInt(request.params.id, 10) || 0;
+    const { count } = await prisma.authToken.deleteMany({ where: { id, userId: request.user.id, kind: 'api' } });
+    if (count === 0) return response.status(404).json({ error: 'No such token' });
+    response.json({ message: 'Token revoked' });
+});
+
+/**
+ * Lists the workspaces the user is a member of, with their role in each.
+ */
+app.get('/workspaces', async (request, response) => {
+    response.json(await listWorkspaces(request.user.id));
+});
+
+/**
+ * Creates a workspace (e.g. for a team), with the user as its owner. Body: `{ name }`.
+ */
+app.post('/workspaces', async (request, response) => {
+    const name = typeof request.body.name === 'string' ? request.body.name.trim() : '';
+    if (!name) return response.status(400).json({ error: 'name required' });
+    response.status(201).json(describeWorkspace(await createWorkspace(request.user.id, name), 'owner'));
+});
+
+/**
+ * Renames a workspace and/or sets its own GitHub token (owners only). Body: `{ name }` and/or `{ githubToken }`
+ * (null removes it). The token is used for the GitHub repositories the workspace starts tracking from then on.
+ */
+app.patch('/workspaces/:id', async (request, response) => {
+    const membership = await findMembership(request, 'owner');
+    if (!membership) return response.status(404).json({ error: 'No such workspace, or you are not its owner' });
+    const { name, githubToken } = request.body;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) return response.status(400).json({ error: 'name must not be empty' });
+    if (githubToken !== undefined && githubToken !== null && (typeof githubToken !== 'string' || !githubToken.trim())) {
+        return response.status(400).json({ error: 'githubToken must be a token, or null to remove it' });
+    }
+    if (name !== undefined) await prisma.workspace.update({ where: { id: membership.workspaceId }, data: { name: name.trim() } });
+    if (githubToken !== undefined) await setGithubToken(membership.workspaceId, githubToken?.trim() || null);
+    const workspace = await prisma.workspace.findUnique({ where: { id: membership.workspaceId } });
+    response.json(describeWorkspace(workspace, membership.role));
+});
+
+/**
+ * Lists the members of a workspace.
+ */
+app.get('/workspaces/:id/members', async (request, response) => {
+    const membership = await findMembership(request);
+    if (!membership) return response.status(404).json({ error: 'No such workspace' });
+    const members = await prisma.workspaceMember.findMany({
+        where: { workspaceId: membership.workspaceId },
+        include: { user: true },
+        orderBy: { id: 'asc' },
+    });
+    response.json(members.map(member => ({ ...publicUser(member.user), role: member.role })));
+});
+
+/**
+ * Adds someone with an account to a workspace, or changes their role (owners only). Body: `{ email, role: 'member' | 'owner' }`.
+ */
+app.post('/workspaces/:id/members', async (request, response) => {
+    const membership = await findMembership(request, 'owner');
+    if (!membership) return response.status(404).json({ error: 'No such workspace, or you are not its owner' });
+    const { email, role = 'member' } = request.body;
+    if (!['member', 'owner'].includes(role)) return response.status(400).json({ error: "role must be 'member' or 'owner'" });
+    const user = typeof email === 'string' && await prisma.user.findUnique({ where: { email: email.trim().toLowerCase() } });
+    if (!user) return response.status(404).json({ error: 'Nobody has an account with that email' });
+    await prisma.workspaceMember.upsert({
+        where: { workspaceId_userId: { workspaceId: membership.workspaceId, userId: user.id } },
+        create: { workspaceId: membership.workspaceId, userId: user.id, role },
+        update: { role },
+    });
+    response.status(201).json({ ...publicUser(user), role });
+});
+
+/**
+ * Removes someone from a workspace (owners only, or anyone removing themselves). The last owner can't leave.
+ */
+app.delete('/workspaces/:id/members/:userId', async (request, response) => {
+    const userId = parseInt(request.params.userId, 10) || 0;
+    const membership = await findMembership(request, userId === request.user.id ? null : 'owner');
+    if (!membership) return response.status(404).json({ error: 'No such workspace, or you are not its owner' });
+    const owners = await prisma.workspaceMember.findMany({ where: { workspaceId: membership.workspaceId, role: 'owner' } });
+    if (owners.length === 1 && owners[0].userId === userId) return response.status(400).json({ error: 'A workspace needs an owner' });
+    const { count } = await prisma.workspaceMember.deleteMany({ where: { workspaceId: membership.workspaceId, userId } });
+    if (count === 0) return response.status(404).json({ error: 'Not a member of this workspace' });
+    response.json({ message: 'Removed from the workspace' });
+});
+
+/**
+ * /track-repo registers the repository in the TrackedRepo table (or resumes it if paused), <br>
+ * A repository another workspace already tracks is added to the caller's workspace as it is: only admins and the workspace
+ * that started tracking it can change its settings (`pollInterval`, `branches`, `provider`) or resume it this way. <br>
+ * and then synchronizes the database with GitHub through `syncTrackedRepo()` in ingest.js. <br>
+ * If a branch's history is missing, a backfill job is queued to download it in the background,
+ * and the job ids are returned as `jobIds` (see '/jobs'). <br>
+ * The default branch is always tracked. Other branches (e.g. release or develop branches) can be listed in `branches`. <br>
+ * Once registered, the repository is polled by `startPolling()`, also after a backend restart. <br>
+ * Optionally takes `pollInterval` (milliseconds) in the body. <br>
+ * With `localPath` in the body, history is read from that git clone instead (see `syncLocalRepo()`),
+ * and `owner`/`repo` only name the repository in the database. <br>
+ * Repositories on other forges are tracked by naming the `provider` ('github' (default), 'gitlab', 'gitea' or 'bitbucket'),
+ * and optionally `apiUrl` (self-hosted instances) and `tokenEnv` (the .env variable holding its token), see providers/index.js. <br>
+ * The repository is added to the caller's workspace. `localPath`, `apiUrl` and `tokenEnv` are for admins only,
+ * since they read the server's disk and environment.
+ */
+app.post('/track-repo', trackRepo);
+app.post('/repos', trackRepo);
+
+/**
+ * Lists every repository tracked in the caller's workspace, including paused ones. <br>
+ * `trackedBranches` lists every branch tracked for the repo, default branch first.
+ * `canManage` tells whether the caller can change its settings (see `canManageRepo()` in workspaces.js).
+ */
+app.get('/repos', async (request, response) => {
+    const repos = await prisma.trackedRepo.findMany({ where: { repo: { in: await workspaceRepos(request.workspace) } }, orderBy: { createdAt: 'asc' } });
+    const described = [];
+    for (const tracked of repos) {
+        const canManage = await canManageRepo(request.user, request.workspace, tracked.repo);
+        described.push({ ...tracked, trackedBranches: listBranches(tracked), canManage });
+    }
+    response.json(described);
+});
+
+/**
+ * Removes a repository from the caller's workspace. Once no workspace has it anymore, it stops being tracked. <br>
+ * Commits already stored in the database are kept, so tracking it again only has to fetch what is missing.
+ */
+app.delete('/repos/:owner/:repo', async (request, response) => {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const { remaining } = await unlinkRepo(request.workspace.id, fullRepo);
+    if (remaining > 0) return response.json({ message: `Removed ${fullRepo} from this workspace` });
+    const { count } = await prisma.trackedRepo.deleteMany({ where: { repo: fullRepo } });
+    if (count === 0) return response.status(404).json({ error: `${fullRepo} is not tracked` });
+    await prisma.backfillJob.updateMany({
+        where: { repo: fullRepo, status: { in: ['queued', 'running'] } },
+        data: { status: 'cancelled', finishedAt: new Date() },
+    });
+    response.json({ message: `Stopped tracking ${fullRepo}` });
+});
+
+/**
+ * Returns the ignore rules of a tracked repository (gitignore-style globs, see ignoreRules.js). <br>
+ * `isDefault` tells whether the repo uses the default rules, rather than its own.
+ */
+app.get('/repos/:owner/:repo/ignore-rules', async (request, response) => {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked) return response.status(404).json({ error: `${fullRepo} is not tracked` });
+    response.json({ rules: parseIgnoreRules(tracked.ignoreRules), isDefault: tracked.ignoreRules === null });
+});
 
+/**
+ * Replaces the ignore rules of a tracked repository, and recomputes additions/deletions of its stored commits. <br>
+ * Body: `{ rules: ['yarn.lock', 'vendor/', ...] }`, or `{ rules: null }` to go back to the default rules. <br>
+ * The stats change for every workspace tracking the repo, so only admins and the workspace that started tracking it can.
+ */
+app.put('/repos/:owner/:repo/ignore-rules', async (request, response) => {
+    const { owner, repo } = request.params;
     const fullRepo = `${owner}/${repo}`;
-    if (trackedRepo && trackedRepo !== fullRepo) {
-        return res.status(400).json({
-            error: `Only one repo can be tracked. Currently tracking ${trackedRepo}.`,
-        });
+    const denied = await repoSettingsDenial(request, fullRepo);
+    if (denied) return response.status(403).json({ error: denied });
+    const { rules } = request.body;
+    if (rules !== null && (!Array.isArray(rules) || !rules.every(rule => typeof rule === 'string'))) {
+        return response.status(400).json({ error: 'rules must be a list of strings, or null for the default rules' });
     }
+    const ignoreRules = rules === null ? null : rules.map(rule => rule.trim()).filter(rule => rule.length > 0).join('\n');
+    const { count } = await prisma.trackedRepo.updateMany({ where: { repo: fullRepo }, data: { ignoreRules } });
+    if (count === 0) return response.status(404).json({ error: `${fullRepo} is not tracked` });
 
-    try {
-        // Get 5 latest commits.
-        // Includes `sha`, and (not guaranteed) author.name, author.login (username) & author.date
-        // Details like additions, deletions and files changed are retrieved using the `sha` with helper-method `insertCommitDetails()`
-        const latestResponse = await axios.get(`https://api.github.com/repos/${owner}/${repo}/commits`, {
-            headers: APIHeader,
-            params: { per_page: 5 },
-        });
-        const latestCommits = latestResponse.data;
-        let newShas = [];
-        // Checking if they already are in database by comparing sha 's
-        for (const commit of latestCommits) {
-            const sha = commit.sha;
-            const exists = await prisma.repoCommit.findUnique({ where: { sha } });
-            if (!exists) newShas.push(sha);
+    const { updated, missingFileData } = await recomputeStats(fullRepo);
+    await recountSnapshots(fullRepo); // Their totals left out what the old rules matched
+    if (missingFileData > 0) {
+        // These can only be recomputed by fetching their files from GitHub again, which is left to run in the background
+        addMissingStats(fullRepo).catch(err => console.error(`Error backfilling ${fullRepo}:`, err.message));
+    }
+    response.json({ rules: parseIgnoreRules(ignoreRules), isDefault: ignoreRules === null, updated, missingFileData });
+});
+
+/**
+ * Returns the branches tracked for a repository: `defaultBranch`, which is always tracked, and the extra `branches`.
+ */
+app.get('/repos/:owner/:repo/branches', async (request, response) => {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked) return response.status(404).json({ error: `${fullRepo} is not tracked` });
+    response.json({ defaultBranch: tracked.defaultBranch, branches: parseBranches(tracked.branches) });
+});
+
+/**
+ * Lists the stored tags of a tracked repository (synced every `tagSyncInterval`, see releases.js), newest first,
+ * with the commit each one points to and the release made from it, if any. <br>
+ * `timestamp` is the date of that commit when it is stored (null otherwise), which is what "since tag" filters use as `since`,
+ * and where the chart puts the tag's marker.
+ */
+app.get('/repos/:owner/:repo/tags', async (request, response) => {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked) return response.status(404).json({ error: `${fullRepo} is not tracked` });
+    const tags = await loadTags(fullRepo);
+    response.json(tags.map(({ name, sha, releaseName, releasedAt, prerelease, timestamp }) => ({ name, sha, releaseName, releasedAt, prerelease, timestamp })));
+});
+
+/**
+ * Syncs the tags and releases of a tracked repository now, instead of waiting for the scheduler (e.g. right after a release).
+ */
+app.post('/repos/:owner/:repo/tags/sync', async (request, response) => {
+    const { owner, repo } = request.params;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: `${owner}/${repo}` } });
+    if (!tracked) return response.status(404).json({ error: 'Repository is not tracked' });
+    if (activeTagSyncs.has(tracked.repo)) return response.status(409).json({ error: 'Tags are already being synced' });
+    const result = await syncRepoTags(tracked);
+    if (!result) return response.status(502).json({ error: 'Could not sync tags, see the backend log' });
+    response.json(result);
+});
+
+/**
+ * Lists the rewritten histories (force-pushes) found in a tracked repository, newest first, with the stored commits each one
+ * left off its branch (`orphanedShas`). Commits left on no tracked branch at all are no longer counted in the stats.
+ */
+app.get('/repos/:owner/:repo/history-rewrites', async (request, response) => {
+    const { owner, repo } = request.params;
+    response.json(await listRewrites(`${owner}/${repo}`));
+});
+
+/**
+ * Lists the lines of code snapshots of a tracked repository's default branch (taken every `snapshotInterval`, see locSnapshots.js),
+ * oldest first: one per week of history, with the lines and files in the tree per language (`languages`).
+ */
+app.get('/repos/:owner/:repo/loc-snapshots', async (request, response) => {
+    const { owner, repo } = request.params;
+    response.json(await listSnapshots(`${owner}/${repo}`));
+});
+
+/**
+ * Takes the snapshots a tracked repository is due now, instead of waiting for the scheduler. Returns how many were taken,
+ * and how many weeks are left for the next runs (`remaining`). `supported` is false for forges without tarball downloads.
+ */
+app.post('/repos/:owner/:repo/loc-snapshots', async (request, response) => {
+    const { owner, repo } = request.params;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: `${owner}/${repo}` } });
+    if (!tracked) return response.status(404).json({ error: 'Repository is not tracked' });
+    if (activeSnapshots.has(tracked.repo)) return response.status(409).json({ error: 'Snapshots are already being taken' });
+    const result = await takeRepoSnapshots(tracked);
+    if (!result) return response.status(502).json({ error: 'Could not take snapshots, see the backend log' });
+    response.json(result);
+});
+
+/**
+ * Replaces the extra branches tracked for a repository. Body: `{ branches: ['develop', 'release/2.x'] }`. <br>
+ * Branches that don't exist are rejected. Newly added branches are synced right away,
+ * and a backfill job is queued to link their history (returned as `jobIds`). <br>
+ * Commits of a branch that is no longer tracked stay in the database. Only admins and the workspace that started tracking the repo can.
+ */
+app.put('/repos/:owner/:repo/branches', async (request, response) => {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const denied = await repoSettingsDenial(request, fullRepo);
+    if (denied) return response.status(403).json({ error: denied });
+    const { branches } = request.body;
+    if (!Array.isArray(branches) || !branches.every(branch => typeof branch === 'string')) {
+        return response.status(400).json({ error: 'branches must be a list of branch names' });
+    }
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked) return response.status(404).json({ error: `${fullRepo} is not tracked` });
+    const names = [...new Set(branches.map(branch => branch.trim()).filter(branch => branch.length > 0))];
+    const current = listBranches(tracked);
+    for (const branch of names.filter(name => !current.includes(name))) {
+        try {
+            await checkBranch(tracked, branch);
+        } catch (err) {
+            return response.status(400).json({ error: `Branch '${branch}' not found in ${fullRepo}: ${err.response?.data?.message || err.message}` });
         }
-        // If all found commits were new, fetch the full history
-        if (newShas.length === 5) {
-            console.log(`[${fullRepo}] No overlap found. Fetching full history.`);
-            await fetchFullHistory(owner, repo, fullRepo);
-            await addMissingStats(owner, repo, fullRepo); // Add 'additions' and 'deletions' if they're missing
+    }
+
+    const updated = await prisma.trackedRepo.update({
+        where: { repo: fullRepo },
+        data: { branches: names.length > 0 ? names.join('\n') : null },
+    });
+    activePolls.add(fullRepo);
+    try {
+        const jobs = await syncAndQueueBackfills(updated);
+        response.json({ defaultBranch: updated.defaultBranch, branches: names, jobIds: jobs.map(job => job.id) });
+    } catch (err) {
+        console.error(`Error syncing branches of ${fullRepo}:`, err.response?.data?.message || err.message);
+        response.status(500).json({ error: 'Branches saved, but syncing them failed' });
+    } finally {
+        activePolls.delete(fullRepo);
+    }
+});
+
+/**
+ * Queues a backfill job re-checking the entire history of a tracked repository, e.g. after commits failed to download. <br>
+ * `?branch=` picks the branch (default branch when left out).
+ * If a job is already queued or running for the branch, that job is returned instead.
+ */
+app.post('/repos/:owner/:repo/backfill', async (request, response) => {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked) return response.status(404).json({ error: `${fullRepo} is not tracked` });
+    const branch = request.query.branch || await resolveDefaultBranch(tracked);
+    if (!listBranches(tracked).includes(branch)) {
+        return response.status(400).json({ error: `Branch '${branch}' is not tracked for ${fullRepo}` });
+    }
+    response.json(describeJob(await enqueueBackfill(fullRepo, branch)));
+});
+
+/**
+ * Lists the backfill jobs of the workspace's repositories, newest first, with their progress (`percent`, `etaSeconds`,
+ * see `describeJob()`). <br>
+ * `?repo=owner/repo` limits the list to one repository.
+ */
+app.get('/jobs', async (request, response) => {
+    const repos = await workspaceRepos(request.workspace);
+    const jobs = await prisma.backfillJob.findMany({
+        where: { repo: request.query.repo ? { in: repos.filter(repo => repo === request.query.repo) } : { in: repos } },
+        orderBy: { createdAt: 'desc' },
+        take: 50,
+    });
+    response.json(jobs.map(describeJob));
+});
+
+/**
+ * A single backfill job with its progress.
+ */
+app.get('/jobs/:id', async (request, response) => {
+    const job = await findVisibleJob(request);
+    if (!job) return response.status(404).json({ error: 'No such job' });
+    response.json(describeJob(job));
+});
+
+/**
+ * Cancels a queued or running backfill job. Whatever it already stored is kept.
+ */
+app.post('/jobs/:id/cancel', async (request, response) => {
+    if (!(await findVisibleJob(request))) return response.status(404).json({ error: 'No such job' });
+    const job = await cancelJob(parseInt(request.params.id, 10));
+    if (!job) return response.status(404).json({ error: 'No such job' });
+    response.json(describeJob(job));
+});
+
+/**
+ * Queues a finished backfill job again, resuming from its last checkpoint (or from the newest commit with `?fromStart=true`).
+ */
+app.post('/jobs/:id/restart', async (request, response) => {
+    if (!(await findVisibleJob(request))) return response.status(404).json({ error: 'No such job' });
+    const job = await restartJob(parseInt(request.params.id, 10), request.query.fromStart === 'true');
+    if (!job) return response.status(404).json({ error: 'No such job' });
+    response.json(describeJob(job));
+});
+
+/**
+ * Live updates as Server-Sent Events (see liveEvents.js), for the dashboard to follow instead of polling: <br>
+ *  'commit' - a commit was stored, with its author's identity as the workspace sees it, <br>
+ *  'linked' - commits were linked to a branch, <br>
+ *  'stats' - stored numbers changed (ignore rules, identities), so stats have to be reloaded, <br>
+ *  'backfill' - a backfill job changed status or made progress, <br>
+ *  'resync' - sent first when the client has to (re)load everything, because the events it missed can't be replayed. <br>
+ * Only events of the workspace's repositories are sent (and the ones concerning every repository), see `isVisibleTo()` in liveEvents.js.
+ * `?repo=owner/repo` only sends the events of that repository. <br>
+ * A reconnecting client sends the id of the last event it got (`Last-Event-ID` header, or `?lastEventId=`) and gets the missed events first.
+ */
+app.get('/events', async (request, response) => {
+    const { repo } = request.query;
+    const visible = new Set(await workspaceRepos(request.workspace)); // As of connecting. A newly tracked repo needs a reconnect
+    // Commit authors are sent as the workspace sees them, reloaded whenever identities may have changed
+    let resolve = await loadIdentityResolver(request.workspace?.id);
+    response.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    response.flushHeaders();
+    response.write('retry: 3000\n\n'); // Reconnect after 3 seconds when the connection drops
+
+    const send = (event) => {
+        if (!isVisibleTo(event, { workspaceId: request.workspace?.id ?? null, repos: visible, repo })) return;
+        if (event.type === 'stats' && event.repo === null) {
+            loadIdentityResolver(request.workspace?.id)
+                .then((reloaded) => { resolve = reloaded; })
+                .catch(err => console.error('Error reloading identities:', err.message));
         }
-        // Else add the new commits
-        else if (newShas.length > 0) {
-            console.log(`[${fullRepo}] Some new commits. Inserting.`);
-            for (const sha of newShas) {
-                // Helper-method that requests commit details (author, timestamp, additions/deletions)
-                await insertCommitDetails(owner, repo, sha, fullRepo);
-            }
-        } else {
-            console.log(`[${fullRepo}] No new commits.`);
+        let { data } = event;
+        if (event.type === 'commit') {
+            const { people, ...commitEvent } = data;
+            data = { ...commitEvent, identity: resolve(people.author), coAuthors: people.coAuthors.map(resolve) };
         }
-        // Regardless of new commits/history, start polling afterward
-        trackedRepo = fullRepo;
-        res.json({ message: `Tracking started for ${fullRepo}` });
-    } catch (err) {
-        console.error(`Error during tracking for ${fullRepo}:`, err.response?.data?.message || err.message);
-        res.status(500).json({ error: 'Tracking failed' });
+        response.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    // Subscribing before replaying, so nothing published in between is lost
+    const queued = [];
+    let replaying = true;
+    const unsubscribe = subscribe((event) => (replaying ? queued.push(event) : send(event)));
+    const missed = eventsSince(request.get('Last-Event-ID') || request.query.lastEventId);
+    if (missed === null) {
+        response.write(`id: ${currentEventId()}\nevent: resync\ndata: {}\n\n`);
+    } else {
+        missed.forEach(send);
     }
+    const lastReplayed = missed?.at(-1)?.sequence ?? 0;
+    queued.filter(event => event.sequence > lastReplayed).forEach(send);
+    replaying = false;
+
+    const heartbeat = setInterval(() => response.write(': heartbeat\n\n'), heartbeatInterval);
+    request.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
 });
 
 /**
- * This route handles getting commit data from the database, to present it to the client <br>
- * The frontend can then calculate other statistics (author and contribution stats) from this raw data.
+ * Pausing and resuming a tracked repository. Paused repositories are skipped by `startPolling()`.
+ */
+app.post('/repos/:owner/:repo/pause', (request, response) => setPaused(request, response, true));
+app.post('/repos/:owner/:repo/resume', (request, response) => setPaused(request, response, false));
+
+/**
+ * This route handles getting commit data from the database, to present it to the client, newest first. <br>
+ * Commits come in pages of `limit` (default 50, at most 500). `nextCursor` is passed as `?cursor=` to get the next page,
+ * and is null on the last one (see `parsePage()` in stats.js). <br>
+ * Takes the same filters as the '/stats' endpoints (`since`, `until`, `author`, `branch`, `q`), see `parseCommitFilters()`.
+ * Totals and charts come from '/stats', so only the commits actually shown have to be downloaded.
  */
 app.get('/commits/:owner/:repo', async (request, response) => {
-    // Formats the request parameters into format that matches the table field in prisma
+    const { where, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const page = parsePage(request.query);
+    if (page.error) return response.status(400).json({ error: page.error });
+    const commits = await prisma.repoCommit.findMany({ where, orderBy: [{ timestamp: 'desc' }, { id: 'desc' }], ...pageArgs(page) });
+    response.json(pageOf(commits, page.limit));
+});
+
+/**
+ * Summary totals of a repository: commits, additions/deletions, net lines, number of authors, first and last commit. <br>
+ * Takes the filters described at `parseCommitFilters()`.
+ */
+app.get('/stats/:owner/:repo/summary', async (request, response) => {
+    const { fullRepo, where, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const commits = await prisma.repoCommit.findMany({ where, select: statsFields });
+    response.json({ repo: fullRepo, ...summarize(commits, await loadIdentityResolver(request.workspace?.id)) });
+});
+
+/**
+ * Totals per author identity (commits, co-authored commits, additions/deletions, average lines changed per commit,
+ * share of commits and changes), most commits first. Takes the filters described at `parseCommitFilters()`.
+ */
+app.get('/stats/:owner/:repo/authors', async (request, response) => {
+    const { fullRepo, where, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const commits = await prisma.repoCommit.findMany({ where, select: statsFields });
+    response.json({ repo: fullRepo, authors: aggregateAuthors(commits, await loadIdentityResolver(request.workspace?.id)) });
+});
+
+/**
+ * Commits, additions/deletions and the running lines-of-code total per `interval` ('day' (default), 'week' or 'month'). <br>
+ * With `since`, the running total starts from the net lines of everything before it, so it still shows the codebase size.
+ * Takes the filters described at `parseCommitFilters()`.
+ */
+app.get('/stats/:owner/:repo/timeseries', async (request, response) => {
+    const { fullRepo, where, sinceDate, untilDate, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const { interval = 'day' } = request.query;
+    if (!intervals.includes(interval)) {
+        return response.status(400).json({ error: `interval must be one of: ${intervals.join(', ')}` });
+    }
+    const commits = await prisma.repoCommit.findMany({ where, select: statsFields });
+    const { baseline, series } = await computeTimeSeries(commits, interval, { where, sinceDate, untilDate });
+    response.json({ repo: fullRepo, interval, baseline, series });
+});
+
+/**
+ * Contribution analytics (see analytics.js): a day-of-week × hour-of-day commit `heatmap`, commits per author per week
+ * (`cadence`, over the last `weeks` weeks, 26 by default), `streaks` and inactive periods, and the knowledge concentration
+ * (`knowledge`: how many authors made 50%/80% of the changes). <br>
+ * Days and hours are in the time zone given by `utcOffset` (minutes east of UTC, 0 by default).
+ * Takes the filters described at `parseCommitFilters()`.
+ */
+app.get('/stats/:owner/:repo/analytics', async (request, response) => {
+    const { fullRepo, where, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const utcOffset = parseInt(request.query.utcOffset ?? '0', 10);
+    if (isNaN(utcOffset) || Math.abs(utcOffset) > 14 * 60) {
+        return response.status(400).json({ error: 'utcOffset must be a number of minutes between -840 and 840' });
+    }
+    const weeks = parseInt(request.query.weeks ?? '26', 10);
+    if (isNaN(weeks) || weeks < 1 || weeks > 520) return response.status(400).json({ error: 'weeks must be between 1 and 520' });
+    const commits = await prisma.repoCommit.findMany({ where, select: statsFields });
+    const resolve = await loadIdentityResolver(request.workspace?.id);
+    response.json({
+        repo: fullRepo,
+        utcOffset,
+        heatmap: activityHeatmap(commits, utcOffset),
+        cadence: weeklyCadence(commits, resolve, utcOffset, weeks),
+        streaks: activityStreaks(commits, resolve, utcOffset),
+        knowledge: knowledgeConcentration(aggregateAuthors(commits, resolve)),
+    });
+});
+
+/**
+ * What went into each release (see `releaseSummaries()` in releases.js): for every tag whose commit is stored,
+ * the commits, authors and added/deleted lines it can reach and the tag before it can't, newest first, starting with what's unreleased. <br>
+ * Takes the filters described at `parseCommitFilters()`, e.g. `branch` for the release branch.
+ */
+app.get('/stats/:owner/:repo/releases', async (request, response) => {
+    const { fullRepo, where, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const [tags, commits] = await Promise.all([
+        loadTags(fullRepo),
+        prisma.repoCommit.findMany({ where, select: { ...statsFields, sha: true } }),
+    ]);
+    response.json({ repo: fullRepo, releases: releaseSummaries(tags, commits, await loadIdentityResolver(request.workspace?.id)) });
+});
+
+/**
+ * Compares tracked repositories side by side (see comparison.js): codebase size and commits per week, active contributors
+ * per month, and churn against net growth per week, as rows with a column per repository. <br>
+ * Query parameters: <br>
+ *  `repo` - the repositories, "owner/repo", repeated: `?repo=team1/app&repo=team2/app` (2 to `maxCompared`), <br>
+ *  `align` - 'calendar' (default, by date) or 'start' (weeks/months since each repository's first commit), <br>
+ *  `scale` - 'absolute' (default) or 'percent' (of each repository's own total), <br>
+ *  `since`/`until` - ISO dates limiting the time range.
+ */
+app.get('/compare', async (request, response) => {
+    const repos = [...new Set([request.query.repo ?? []].flat())];
+    const { align = 'calendar', scale = 'absolute', since, until } = request.query;
+    if (repos.length < 2 || repos.length > maxCompared) {
+        return response.status(400).json({ error: `repo must name 2 to ${maxCompared} repositories, e.g. ?repo=team1/app&repo=team2/app` });
+    }
+    if (!aligns.includes(align)) return response.status(400).json({ error: `align must be one of: ${aligns.join(', ')}` });
+    if (!scales.includes(scale)) return response.status(400).json({ error: `scale must be one of: ${scales.join(', ')}` });
+    const sinceDate = since ? new Date(since) : null;
+    const untilDate = until ? new Date(until) : null;
+    if ((sinceDate && isNaN(sinceDate)) || (untilDate && isNaN(untilDate))) {
+        return response.status(400).json({ error: 'since and until must be valid dates' });
+    }
+    for (const repo of repos) {
+        if (!(await canSeeRepo(request.workspace, repo))) return response.status(404).json({ error: `${repo} is not tracked in this workspace` });
+    }
+    const commitsByRepo = new Map();
+    const baselines = new Map(); // The size curves start from what came before `since`, like a repository's own chart
+    for (const repo of repos) {
+        const where = { repo, unreachableAt: null };
+        commitsByRepo.set(repo, await prisma.repoCommit.findMany({
+            where: {
+                ...where,
+                timestamp: {
+                    ...(sinceDate && { gte: sinceDate }),
+                    ...(untilDate && { lte: untilDate }),
+                },
+            },
+            select: statsFields,
+        }));
+        baselines.set(repo, await sizeBaseline(where, sinceDate));
+    }
+    const to = untilDate && untilDate < new Date() ? untilDate : null;
+    const resolve = await loadIdentityResolver(request.workspace?.id);
+    response.json({ repos, align, scale, ...compareRepos(commitsByRepo, resolve, { align, scale, until: to, baselines }) });
+});
+
+/**
+ * Exports the commits of a repository, newest first, as `?format=json` (default) or `csv`, for use outside the dashboard. <br>
+ * Besides the stored fields, every commit has its author's identity name (`author` in the CSV), its branches and its co-authors.
+ * Takes the filters described at `parseCommitFilters()`.
+ */
+app.get('/export/:owner/:repo/commits', async (request, response) => {
+    const { fullRepo, where, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const { format = 'json' } = request.query;
+    if (!exportFormats.includes(format)) {
+        return response.status(400).json({ error: `format must be one of: ${exportFormats.join(', ')}` });
+    }
+    const commits = await prisma.repoCommit.findMany({
+        where,
+        orderBy: [{ timestamp: 'desc' }, { id: 'desc' }],
+        select: {
+            sha: true, author: true, authorEmail: true, authorLogin: true, timestamp: true, additions: true, deletions: true,
+            branches: { select: { branch: true } },
+            coAuthors: { select: { name: true, email: true } },
+        },
+    });
+    const resolve = await loadIdentityResolver(request.workspace?.id);
+    const rows = commits.map(commit => ({
+        ...commit,
+        identity: resolve({ name: commit.author, email: commit.authorEmail, login: commit.authorLogin }).name,
+        branches: commit.branches.map(link => link.branch),
+        coAuthors: commit.coAuthors.map(coAuthor => resolve(coAuthor).name),
+    }));
+    sendExport(response, `${fullRepo.replace('/', '-')}-commits`, format, rows, commitColumns);
+});
+
+/**
+ * Exports the per-author stats of '/stats/:owner/:repo/authors' as `?format=json` (default) or `csv`.
+ * Takes the filters described at `parseCommitFilters()`.
+ */
+app.get('/export/:owner/:repo/authors', async (request, response) => {
+    const { fullRepo, where, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const { format = 'json' } = request.query;
+    if (!exportFormats.includes(format)) {
+        return response.status(400).json({ error: `format must be one of: ${exportFormats.join(', ')}` });
+    }
+    const commits = await prisma.repoCommit.findMany({ where, select: statsFields });
+    const authors = aggregateAuthors(commits, await loadIdentityResolver(request.workspace?.id));
+    sendExport(response, `${fullRepo.replace('/', '-')}-authors`, format, authors, authorColumns);
+});
+
+/**
+ * Downloads a standalone HTML report of a repository: summary, codebase size chart (per `interval`, 'week' by default)
+ * and author table, see reports.js. Takes the filters described at `parseCommitFilters()`, which are listed in the report.
+ */
+app.get('/export/:owner/:repo/report', async (request, response) => {
+    const { fullRepo, where, sinceDate, untilDate, authorIds, error } = await parseCommitFilters(request);
+    if (error) return response.status(400).json({ error });
+    const { interval = 'week', branch } = request.query;
+    if (!intervals.includes(interval)) {
+        return response.status(400).json({ error: `interval must be one of: ${intervals.join(', ')}` });
+    }
+    const commits = await prisma.repoCommit.findMany({ where, select: statsFields });
+    const resolve = await loadIdentityResolver(request.workspace?.id);
+    const { series } = await computeTimeSeries(commits, interval, { where, sinceDate, untilDate });
+    const authorNames = await prisma.authorIdentity.findMany({ where: { id: { in: authorIds } }, select: { name: true } });
+    const html = renderHtmlReport({
+        repo: fullRepo,
+        filters: {
+            since: sinceDate?.toISOString().slice(0, 10),
+            until: untilDate?.toISOString().slice(0, 10),
+            branch,
+            authors: authorNames.map(author => author.name).join(', '),
+        },
+        summary: summarize(commits, resolve),
+        authors: aggregateAuthors(commits, resolve),
+        series,
+        interval,
+    });
+    response.attachment(`${fullRepo.replace('/', '-')}-report.html`);
+    response.type('html').send(html);
+});
+
+/**
+ * Lists the author identities of the workspace's repositories with their aliases (logins, emails and names they commit under
+ * in these repositories), by name. <br>
+ * `?repo=owner/repo` only lists the identities that authored or co-authored commits in that repository.
+ */
+app.get('/identities', async (request, response) => {
+    response.json(await workspaceIdentities(request.workspace, request.query.repo));
+});
+
+/**
+ * Renames an identity (the name shown in the author stats). Body: `{ name: 'Patrick Holmes' }`. <br>
+ * Like merging and splitting, this only changes the workspace's view: other workspaces tracking the same people keep theirs.
+ * Renaming a shared identity gives it a new id.
+ */
+app.patch('/identities/:id', async (request, response) => {
+    const id = parseInt(request.params.id, 10) || 0;
+    const name = typeof request.body.name === 'string' ? request.body.name.trim() : '';
+    if (!name) return response.status(400).json({ error: 'name required' });
+    if (!(await canSeeIdentities(request.workspace, [id]))) return response.status(404).json({ error: 'No such identity' });
+    const renamed = await renameIdentity(request.workspace.id, id, name);
+    publish('stats', { repo: null, workspaceId: request.workspace.id }); // Every repository of the workspace may have commits of theirs
+    response.json(await findWorkspaceIdentity(request.workspace, renamed));
+});
+
+/**
+ * Merges other identities into this one, e.g. when someone committed under several names or emails. <br>
+ * Body: `{ identityIds: [4, 9] }`. Their aliases move over, and they are gone from the workspace's identities.
+ */
+app.post('/identities/:id/merge', async (request, response) => {
+    const id = parseInt(request.params.id, 10) || 0;
+    const { identityIds } = request.body;
+    if (!Array.isArray(identityIds) || !identityIds.every(Number.isInteger)) {
+        return response.status(400).json({ error: 'identityIds must be a list of identity ids' });
+    }
+    if (!(await canSeeIdentities(request.workspace, [id, ...identityIds]))) return response.status(404).json({ error: 'No such identity' });
+    const merged = await mergeIdentities(request.workspace.id, id, identityIds);
+    publish('stats', { repo: null, workspaceId: request.workspace.id });
+    response.json(await findWorkspaceIdentity(request.workspace, merged));
+});
+
+/**
+ * Splits aliases off an identity into a new one, e.g. when two people sharing a name were merged. <br>
+ * Body: `{ aliasIds: [12], name: 'Other Person' }` (name optional). At least one alias has to stay behind.
+ */
+app.post('/identities/:id/split', async (request, response) => {
+    const id = parseInt(request.params.id, 10) || 0;
+    const { aliasIds, name } = request.body;
+    if (!Array.isArray(aliasIds) || aliasIds.length === 0 || !aliasIds.every(Number.isInteger)) {
+        return response.status(400).json({ error: 'aliasIds must be a non-empty list of alias ids' });
+    }
+    const identity = await findWorkspaceIdentity(request.workspace, id);
+    if (!identity) return response.status(404).json({ error: 'No such identity' });
+    const moving = identity.aliases.filter(alias => aliasIds.includes(alias.id));
+    if (moving.length !== aliasIds.length) return response.status(400).json({ error: `Not all aliases belong to identity ${id}` });
+    if (moving.length === identity.aliases.length) return response.status(400).json({ error: 'At least one alias has to stay' });
+    const split = await splitIdentity(request.workspace.id, aliasIds, typeof name === 'string' ? name.trim() : null);
+    publish('stats', { repo: null, workspaceId: request.workspace.id });
+    response.json(await findWorkspaceIdentity(request.workspace, split));
+});
+
+/**
+ * Reports churn (additions + deletions) per file or per directory, from the stored per-file data. <br>
+ * Query parameters (all optional): <br>
+ *  `since`/`until` - ISO dates limiting the time window, <br>
+ *  `level` - 'file' (default) or 'directory', <br>
+ *  `depth` - for directories, how many path segments to group by (e.g. 1 groups "backend/src/x.js" under "backend"), <br>
+ *  `limit` - max number of hotspots returned (default 50), <br>
+ *  `branch` - only count commits seen on that branch.
+ */
+app.get('/hotspots/:owner/:repo', async (request, response) => {
     const { owner, repo } = request.params;
     const fullRepo = `${owner}/${repo}`;
-    // And retrieves all commits for that repo from the database.
-    // Frontend then decides what to do with it
-    const commits = await prisma.repoCommit.findMany({
-        where: { repo: fullRepo },
-        orderBy: { timestamp: 'desc' },
+    const { since, until, level = 'file', branch } = request.query;
+    const depth = parseInt(request.query.depth, 10) || null; // null = group by the full directory path
+    const limit = parseInt(request.query.limit, 10) || 50;
+    if (level !== 'file' && level !== 'directory') {
+        return response.status(400).json({ error: "level must be 'file' or 'directory'" });
+    }
+    const sinceDate = since ? new Date(since) : null;
+    const untilDate = until ? new Date(until) : null;
+    if ((sinceDate && isNaN(sinceDate)) || (untilDate && isNaN(untilDate))) {
+        return response.status(400).json({ error: 'since and until must be valid dates' });
+    }
+
+    const files = await prisma.commitFile.findMany({
+        where: {
+            commit: {
+                repo: fullRepo,
+                unreachableAt: null,
+                ...(branch && { branches: { some: { branch } } }),
+                timestamp: {
+                    ...(sinceDate && { gte: sinceDate }),
+                    ...(untilDate && { lte: untilDate }),
+                },
+            },
+        },
+        include: { commit: { select: { author: true, authorEmail: true, authorLogin: true } } },
     });
-    response.json(commits);
+    const resolve = await loadIdentityResolver(request.workspace?.id);
+    for (const file of files) {
+        // Hotspot authors are the resolved identities, like in the author stats
+        file.commit.author = resolve({ name: file.commit.author, email: file.commit.authorEmail, login: file.commit.authorLogin }).name;
+    }
+    const isIgnored = await getIgnoreMatcher(fullRepo);
+    const hotspots = computeHotspots(files.filter(file => !isIgnored(file.filename)), level, depth);
+    response.json({ repo: fullRepo, branch: branch || null, level, since: sinceDate, until: untilDate, hotspots: hotspots.slice(0, limit) });
 });
 
-// ----- Helper methods (fetchFullHistory, addMissingStats, insertCommitDetails, startPolling) -----
 /**
- * If the latest five commits fetched are not present in the database,
- * this method will loop through requesting 10 commits from the repository at a time,
- * requesting additions/deletions for them,
- * and inserting them into the database.
- * @param owner
- * @param repo
- * @param fullRepo
- * @returns {Promise<void>}
+ * Lists the stored pull requests of a repository, most recently opened first, with their reviews. <br>
+ * Optional `state` ('open', 'merged' or 'closed' (closed without merging)) and `limit` (default 50, at most 500).
  */
-async function fetchFullHistory(owner, repo, fullRepo) {
-    function sleep(ms) { // Helper-function to wait 10 seconds inbetween each API request. Without it, it will send 100s of requests on big public repos
-        return new Promise(resolve => setTimeout(resolve, ms)); // Already accidentally got quarantined once. A true learning experience.
-    }
-    let page = 1;
-    const perPage = 10;
-    let hasMore = true;
-    // Continuously requests 10 results (commits) per page, increasing page number by 1 every iteration
-    // If the retrieved page has 10 results, `hasMore` stays true and the iteration continues
-    while (hasMore) {
-        const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/commits`, {
-            headers: APIHeader,
-            params: { per_page: perPage, page },
-        });
-        const commits = response.data;
-        if (commits.length === 0) break; // break loop if empty page returned, such as edge cases where a repo has exactly 20/30/40... commits
-        // Iterate through returned commits, comparing sha to see if it is in database, and if not, add it to database
-        for (const commit of commits) {
-            const sha = commit.sha;
-            const exists = await prisma.repoCommit.findUnique({ where: { sha } });
-            if (!exists) {
-                await insertCommitDetails(owner, repo, sha, fullRepo);
-                await sleep(100); // GitHub API allows a max of 15 requests per second. We restrict to 10 for safety.
-            }
+app.get('/pulls/:owner/:repo', async (request, response) => {
+    const { owner, repo } = request.params;
+    const { state } = request.query;
+    if (state !== undefined && !['open', 'merged', 'closed'].includes(state)) {
+        return response.status(400).json({ error: "state must be 'open', 'merged' or 'closed'" });
+    }
+    const limit = Math.min(parseInt(request.query.limit, 10) || 50, 500);
+    const pulls = await prisma.pullRequest.findMany({
+        where: { repo: `${owner}/${repo}`, ...(state && { state }) },
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        include: { reviews: { orderBy: { submittedAt: 'asc' } } },
+    });
+    response.json(pulls);
+});
+
+/**
+ * Syncs the pull requests of a tracked repository now, instead of waiting for the scheduler. <br>
+ * Responds 501 for forges (and local clones) without pull request support.
+ */
+app.post('/pulls/:owner/:repo/sync', async (request, response) => {
+    const { owner, repo } = request.params;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: `${owner}/${repo}` } });
+    if (!tracked) return response.status(404).json({ error: 'Repository is not tracked' });
+    if (activePullSyncs.has(tracked.repo)) return response.status(409).json({ error: 'Pull requests are already being synced' });
+    const result = await syncPulls(tracked);
+    if (!result) return response.status(502).json({ error: 'Could not sync pull requests, see the backend log' });
+    if (!result.supported) return response.status(501).json({ error: 'Pull requests are only supported for GitHub repositories' });
+    response.json(result);
+});
+
+/**
+ * Code review statistics of a repository's pull requests (see `pullRequestStats()` in pullRequests.js): counts by state,
+ * time to first review and time to merge (median, 90th percentile and average, in hours), the size distribution
+ * and the review load per reviewer. <br>
+ * Optional `since`/`until` (ISO dates) limit it to the pull requests opened in that window.
+ */
+app.get('/stats/:owner/:repo/pulls', async (request, response) => {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const sinceDate = request.query.since ? new Date(request.query.since) : null;
+    const untilDate = request.query.until ? new Date(request.query.until) : null;
+    if ((sinceDate && isNaN(sinceDate)) || (untilDate && isNaN(untilDate))) {
+        return response.status(400).json({ error: 'since and until must be valid dates' });
+    }
+    const [tracked, pulls] = await Promise.all([
+        prisma.trackedRepo.findUnique({ where: { repo: fullRepo }, select: { pullsSyncedAt: true } }),
+        prisma.pullRequest.findMany({
+            where: {
+                repo: fullRepo,
+                createdAt: { ...(sinceDate && { gte: sinceDate }), ...(untilDate && { lte: untilDate }) },
+            },
+            include: { reviews: true },
+        }),
+    ]);
+    response.json({
+        repo: fullRepo,
+        syncedAt: tracked?.pullsSyncedAt ?? null,
+        ...pullRequestStats(pulls, await loadIdentityResolver(request.workspace?.id)),
+    });
+});
+
+/**
+ * Lists the workspace's alert rules of a repository (see alerts.js), oldest first. Other workspaces' rules are their own.
+ */
+app.get('/repos/:owner/:repo/alert-rules', async (request, response) => {
+    const { owner, repo } = request.params;
+    response.json(await prisma.alertRule.findMany({ where: { workspaceId: request.workspace.id, repo: `${owner}/${repo}` }, orderBy: { id: 'asc' } }));
+});
+
+/**
+ * Adds an alert rule of the workspace to a tracked repository. Body: `{ kind: 'largeCommit', threshold: 2000 }`. <br>
+ * Its alerts only go to the workspace (its dashboard and webhooks). <br>
+ * `threshold` is changed lines for 'largeCommit' and days for 'inactivity' (both have a default), and not used by
+ * 'historyRewrite' and 'firstTimeContributor'.
+ */
+app.post('/repos/:owner/:repo/alert-rules', async (request, response) => {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const { data, error } = parseRule(request.body);
+    if (error) return response.status(400).json({ error });
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked) return response.status(404).json({ error: `${fullRepo} is not tracked` });
+    response.status(201).json(await prisma.alertRule.create({ data: { workspaceId: request.workspace.id, repo: fullRepo, ...data } }));
+});
+
+/**
+ * Changes one of the workspace's alert rules. Body: `{ enabled: false }` and/or `{ threshold: 14 }`.
+ */
+app.patch('/alert-rules/:id', async (request, response) => {
+    const id = parseInt(request.params.id, 10) || 0;
+    const { enabled, threshold } = request.body;
+    if (enabled !== undefined && typeof enabled !== 'boolean') return response.status(400).json({ error: 'enabled must be true or false' });
+    const rule = await prisma.alertRule.findUnique({ where: { id } });
+    if (!rule || rule.workspaceId !== request.workspace?.id || !(await canSeeRepo(request.workspace, rule.repo))) {
+        return response.status(404).json({ error: 'No such alert rule' });
+    }
+    const { data, error } = threshold === undefined ? { data: {} } : parseRule({ kind: rule.kind, threshold });
+    if (error) return response.status(400).json({ error });
+    response.json(await prisma.alertRule.update({
+        where: { id },
+        data: { ...(enabled !== undefined && { enabled }), ...(data.threshold !== undefined && { threshold: data.threshold }) },
+    }));
+});
+
+/**
+ * Deletes one of the workspace's alert rules. Alerts it raised are kept.
+ */
+app.delete('/alert-rules/:id', async (request, response) => {
+    const id = parseInt(request.params.id, 10) || 0;
+    if (!request.workspace) return response.status(404).json({ error: 'No such alert rule' });
+    const { count } = await prisma.alertRule.deleteMany({
+        where: { id, workspaceId: request.workspace.id, repo: { in: await workspaceRepos(request.workspace) } },
+    });
+    if (count === 0) return response.status(404).json({ error: 'No such alert rule' });
+    response.json({ message: 'Alert rule deleted' });
+});
+
+/**
+ * Lists recent alerts of the workspace's rules, newest first. Optional `repo` ("owner/repo") and `limit` (default 50, at most 500).
+ */
+app.get('/alerts', async (request, response) => {
+    const { repo } = request.query;
+    const limit = Math.min(parseInt(request.query.limit, 10) || 50, 500);
+    if (!request.workspace) return response.json([]);
+    const repos = await workspaceRepos(request.workspace);
+    const alerts = await prisma.alert.findMany({
+        where: { workspaceId: request.workspace.id, repo: repo ? { in: repos.filter(visible => visible === repo) } : { in: repos } },
+        orderBy: { id: 'desc' },
+        take: limit,
+    });
+    response.json(alerts.map(alert => ({ ...alert, details: alert.details ? JSON.parse(alert.details) : null })));
+});
+
+/**
+ * Lists the workspace's outgoing webhooks alerts are POSTed to. With `repo`, only the ones receiving that repository's alerts.
+ */
+app.get('/alert-webhooks', async (request, response) => {
+    const { repo } = request.query;
+    if (!request.workspace) return response.json([]);
+    response.json(await prisma.alertWebhook.findMany({
+        where: { workspaceId: request.workspace.id, ...(repo && { OR: [{ repo }, { repo: null }] }) },
+        orderBy: { id: 'asc' },
+    }));
+});
+
+/**
+ * Adds an outgoing webhook to the workspace (workspace owners and admins). Body: `{ url, format: 'json' | 'slack', repo: 'owner/repo' }`. <br>
+ * Without `repo`, it gets the alerts of every repository in the workspace. 'slack' sends `{text}`, which Slack incoming webhooks accept. <br>
+ * The URL must resolve to public addresses only, see `checkWebhookUrl()` in alerts.js.
+ */
+app.post('/alert-webhooks', async (request, response) => {
+    const { url, format = 'json', repo = null } = request.body;
+    if (!canManageWebhooks(request)) return response.status(403).json({ error: 'Only workspace owners and admins can manage webhooks' });
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) return response.status(400).json({ error: urlError });
+    if (!webhookFormats.includes(format)) return response.status(400).json({ error: `format must be one of: ${webhookFormats.join(', ')}` });
+    if (repo !== null && !(await canSeeRepo(request.workspace, repo))) return response.status(400).json({ error: 'repo must be "owner/repo", tracked in this workspace' });
+    if (!request.workspace) return response.status(400).json({ error: 'You are not in a workspace' });
+    response.status(201).json(await prisma.alertWebhook.create({ data: { workspaceId: request.workspace.id, url, format, repo } }));
+});
+
+/**
+ * Deletes an outgoing webhook (workspace owners and admins).
+ */
+app.delete('/alert-webhooks/:id', async (request, response) => {
+    const id = parseInt(request.params.id, 10) || 0;
+    if (!canManageWebhooks(request)) return response.status(403).json({ error: 'Only workspace owners and admins can manage webhooks' });
+    const { count } = await prisma.alertWebhook.deleteMany({ where: { id, workspaceId: request.workspace?.id ?? -1 } });
+    if (count === 0) return response.status(404).json({ error: 'No such webhook' });
+    response.json({ message: 'Webhook deleted' });
+});
+
+/**
+ * Sends a test alert to an outgoing webhook (workspace owners and admins), and reports whether it was delivered. <br>
+ * What the destination answered is only logged, so the endpoint can't be used to probe other servers.
+ */
+app.post('/alert-webhooks/:id/test', async (request, response) => {
+    const id = parseInt(request.params.id, 10) || 0;
+    if (!canManageWebhooks(request)) return response.status(403).json({ error: 'Only workspace owners and admins can manage webhooks' });
+    const webhook = await prisma.alertWebhook.findUnique({ where: { id } });
+    if (!webhook || webhook.workspaceId !== request.workspace?.id) return response.status(404).json({ error: 'No such webhook' });
+    const urlError = await checkWebhookUrl(webhook.url);
+    if (urlError) return response.status(400).json({ error: urlError });
+    try {
+        await testWebhook(webhook);
+        response.json({ message: 'Test alert delivered' });
+    } catch (err) {
+        console.error(`Test of alert webhook ${webhook.id} failed:`, err.response?.status || err.message);
+        response.status(502).json({ error: 'Webhook failed, see the backend log' });
+    }
+});
+
+/**
+ * Receives GitHub webhook deliveries, so new commits are stored as soon as they're pushed instead of on the next poll. <br>
+ * Set up on GitHub with content type `application/json`, the `push` event, and the same secret as GITHUB_WEBHOOK_SECRET in .env. <br>
+ * Deliveries without a valid `X-Hub-Signature-256` are rejected. Pushes to repos or branches that aren't tracked are ignored. <br>
+ * Once a repo has received a webhook, `startPolling()` only polls it every `webhookFallbackInterval`.
+ */
+app.post('/webhooks/github', async (request, response) => {
+    if (!process.env.GITHUB_WEBHOOK_SECRET) {
+        return response.status(503).json({ error: 'GITHUB_WEBHOOK_SECRET is not configured' });
+    }
+    if (!verifySignature(request.rawBody, request.get('X-Hub-Signature-256'), process.env.GITHUB_WEBHOOK_SECRET)) {
+        return response.status(401).json({ error: 'Invalid signature' });
+    }
+    const event = request.get('X-GitHub-Event');
+    if (event === 'ping') return response.json({ message: 'pong' });
+    if (event !== 'push') return response.status(202).json({ message: `Ignored '${event}' event` });
+
+    const fullRepo = request.body.repository?.full_name;
+    const tracked = fullRepo && await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (!tracked || tracked.paused || tracked.localPath || tracked.provider !== 'github') {
+        return response.status(202).json({ message: `${fullRepo} is not tracked from GitHub` });
+    }
+    await prisma.trackedRepo.update({ where: { repo: fullRepo }, data: { lastWebhookAt: new Date() } });
+    // Before the default branch is known, it's taken from the payload
+    const branches = tracked.defaultBranch ? listBranches(tracked) : [request.body.repository.default_branch, ...listBranches(tracked)];
+    const { branch, shas } = pushedShas(request.body, branches);
+    // Answered before the commits are fetched, since GitHub gives up on deliveries that take more than 10 seconds
+    response.status(202).json({ message: `Received ${shas.length} commits for ${fullRepo} (${branch})` });
+
+    const provider = createProvider(tracked);
+    // A force-push may have rewritten the history, which is checked right away instead of on the next poll
+    if (request.body.forced && !request.body.deleted && branches.includes(branch)) {
+        try {
+            const { rewritten, checkFrom } = await reconcileBranch(tracked, branch, { source: 'webhook', provider });
+            if (rewritten || checkFrom) await enqueueBackfill(fullRepo, branch, { oldHead: checkFrom });
+        } catch (err) {
+            console.error(`History check error for ${fullRepo}:`, err.response?.data?.message || err.message);
         }
-        hasMore = commits.length === perPage;
-        page++;
     }
+    for (const sha of shas) {
+        const exists = await prisma.repoCommit.findUnique({ where: { repo_sha: { repo: fullRepo, sha } } });
+        if (!exists) await insertCommitDetails(provider, sha, fullRepo);
+    }
+    await linkBranch(fullRepo, shas, branch);
+});
+
+/**
+ * Reports the rate limit budget of every forge API (and token) used since the backend started: <br>
+ * requests remaining, when the budget resets, and whether requests are currently paused because of a limit. <br>
+ * Admins only, since it names every API host the server talks to, including self-hosted forges of other workspaces.
+ */
+app.get('/status/rate-limits', (request, response) => {
+    if (!request.user.isAdmin) return response.status(403).json({ error: 'Only admins can see the rate limits' });
+    response.json(getBudgets());
+});
+
+// ----- Helper methods (createAccount, listWorkspaces, findMembership, canManageWebhooks, findVisibleJob, workspaceIdentities, findWorkspaceIdentity, canSeeIdentities, trackRepo, checkBranch, syncAndQueueBackfills, setPaused, resyncTrackedRepos, startPolling, pollRepo, syncPulls, syncRepoTags, takeRepoSnapshots, parseEtags, parseCommitFilters, computeTimeSeries, sendExport). Ingestion itself lives in ingest.js -----
+/**
+ * Creates an account with a workspace of its own, from a request body `{ email, name, password }`.
+ * @param body
+ * @param first Whether it's the first account, which becomes the admin and adopts what was tracked before accounts existed
+ * @returns {Promise<{user?: object, workspace?: object, status?: number, error?: string}>} The User and Workspace rows,
+ * or the HTTP status and error to answer with
+ */
+async function createAccount({ email, name, password }, first) {
+    if (typeof email !== 'string' || !email.includes('@')) return { status: 400, error: 'A valid email is required' };
+    if (typeof password !== 'string' || password.length < 8) return { status: 400, error: 'password must be at least 8 characters' };
+    const normalizedEmail = email.trim().toLowerCase();
+    if (await prisma.user.findUnique({ where: { email: normalizedEmail } })) {
+        return { status: 409, error: 'There already is an account with that email' };
+    }
+    const displayName = typeof name === 'string' && name.trim() ? name.trim() : normalizedEmail.split('@')[0];
+    const user = await prisma.user.create({
+        data: { email: normalizedEmail, name: displayName, passwordHash: await hashPassword(password), isAdmin: first },
+    });
+    const workspace = await createWorkspace(user.id, `${displayName}'s workspace`, first);
+    return { user, workspace };
+}
+
+/**
+ * The workspaces a user is a member of, as returned by the API, oldest membership first.
+ * @param userId
+ * @returns {Promise<object[]>} See `describeWorkspace()`
+ */
+async function listWorkspaces(userId) {
+    const memberships = await prisma.workspaceMember.findMany({ where: { userId }, include: { workspace: true }, orderBy: { id: 'asc' } });
+    return memberships.map(membership => describeWorkspace(membership.workspace, membership.role));
+}
+
+/**
+ * The caller's membership of the workspace named by the `:id` route parameter.
+ * @param request
+ * @param role Role the caller needs ('owner'), or null for any
+ * @returns {Promise<object|null>} WorkspaceMember row, null if the caller isn't a member (with that role)
+ */
+async function findMembership(request, role = null) {
+    const workspaceId = parseInt(request.params.id, 10) || 0;
+    const membership = await prisma.workspaceMember.findUnique({ where: { workspaceId_userId: { workspaceId, userId: request.user.id } } });
+    return membership && (!role || membership.role === role) ? membership : null;
+}
+
+/**
+ * Whether the caller can add, delete and test the outgoing webhooks of their workspace: its owners can, and admins.
+ * @param request
+ * @returns {boolean}
+ */
+function canManageWebhooks(request) {
+    return request.user.isAdmin || request.workspace?.role === 'owner';
 }
 
 /**
- * In the event the database have stored all commits, but for some reason didn't <br>
- * store them correctly (development, yay), this will fill out the missing details like additions and deletions, <br>
- * used for frontend charts and stats.
- * @param owner
- * @param repo
+ * Why the caller can't change the settings of a tracked repository (which every workspace tracking it shares),
+ * see `canManageRepo()` in workspaces.js.
+ * @param request
  * @param fullRepo
- * @returns {Promise<void>}
+ * @returns {Promise<string|null>} The error to answer with, null if the caller can
  */
-async function addMissingStats(owner, repo, fullRepo) {
-    const incompleteCommits = await prisma.repoCommit.findMany({
-        where: {
-            repo: fullRepo,
-            OR: [
-                { additions: null },
-                { deletions: null },
-            ],
+async function repoSettingsDenial(request, fullRepo) {
+    if (await canManageRepo(request.user, request.workspace, fullRepo)) return null;
+    return `Only admins and the workspace that started tracking ${fullRepo} can change its settings`;
+}
+
+/**
+ * The backfill job named by the `:id` route parameter, if it's for a repository of the caller's workspace.
+ * @param request
+ * @returns {Promise<object|null>} BackfillJob row
+ */
+async function findVisibleJob(request) {
+    const job = await prisma.backfillJob.findUnique({ where: { id: parseInt(request.params.id, 10) || 0 } });
+    return job && await canSeeRepo(request.workspace, job.repo) ? job : null;
+}
+
+/**
+ * The author identities of the workspace's repositories, as `listIdentities()` in identities.js lists them.
+ * @param workspace `request.workspace`
+ * @param repo Only the identities of this repository's commits. Optional
+ * @returns {Promise<object[]>}
+ */
+async function workspaceIdentities(workspace, repo) {
+    const repos = await workspaceRepos(workspace);
+    const commits = await prisma.repoCommit.findMany({
+        where: { repo: { in: repo ? repos.filter(other => other === repo) : repos } },
+        select: { author: true, authorEmail: true, authorLogin: true, coAuthors: { select: { name: true, email: true } } },
+    });
+    const people = commits.flatMap(commit => [{ name: commit.author, email: commit.authorEmail, login: commit.authorLogin }, ...commit.coAuthors]);
+    return listIdentities(workspace?.id ?? null, people);
+}
+
+/**
+ * One of the author identities of the workspace's repositories, with its aliases there.
+ * @param workspace `request.workspace`
+ * @param id AuthorIdentity id
+ * @returns {Promise<object|null>}
+ */
+async function findWorkspaceIdentity(workspace, id) {
+    return (await workspaceIdentities(workspace)).find(identity => identity.id === id) ?? null;
+}
+
+/**
+ * Whether every one of some identities authored commits in the workspace's repositories, as the workspace sees them
+ * (another workspace's own identities, and shared ones the workspace merged or renamed, are none of them).
+ * @param workspace `request.workspace`
+ * @param ids AuthorIdentity ids
+ * @returns {Promise<boolean>}
+ */
+async function canSeeIdentities(workspace, ids) {
+    if (!workspace) return false;
+    const visible = new Set((await workspaceIdentities(workspace)).map(identity => identity.id));
+    return ids.every(id => visible.has(id));
+}
+
+/**
+ * Route handler shared by '/track-repo' and '/repos'. <br>
+ * Adds the repository to the registry, then runs the initial synchronization (queueing a backfill job if the history is missing).
+ * @param req
+ * @param res
+ * @returns {Promise<*>}
+ */
+async function trackRepo(req, res) {
+    const { owner, repo, pollInterval, localPath, provider, apiUrl, tokenEnv, branches } = req.body;
+    if (!owner || !repo) return res.status(400).json({ error: 'Owner and repo required' });
+    if (!req.workspace) return res.status(400).json({ error: 'You are not in a workspace' });
+    if (!req.user.isAdmin && (localPath !== undefined || apiUrl !== undefined || tokenEnv !== undefined)) {
+        return res.status(403).json({ error: 'Only admins can set localPath, apiUrl or tokenEnv' });
+    }
+    if (branches !== undefined && (!Array.isArray(branches) || !branches.every(branch => typeof branch === 'string'))) {
+        return res.status(400).json({ error: 'branches must be a list of branch names' });
+    }
+    if (pollInterval !== undefined && (!Number.isInteger(pollInterval) || pollInterval < 1000)) {
+        return res.status(400).json({ error: 'pollInterval must be a whole number of milliseconds, at least 1000' });
+    }
+    if (provider !== undefined && !providerNames.includes(provider)) {
+        return res.status(400).json({ error: `provider must be one of: ${providerNames.join(', ')}` });
+    }
+    try {
+        createProvider({ repo: `${owner}/${repo}`, provider, apiUrl, tokenEnv }); // Catches missing provider settings, like a Gitea repo without apiUrl
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (localPath !== undefined) {
+        try {
+            await localGit.checkRepository(localPath);
+        } catch (err) {
+            return res.status(400).json({ error: `${localPath} is not a git repository with commits: ${err.message}` });
+        }
+    }
+
+    const fullRepo = `${owner}/${repo}`;
+    const branchList = branches === undefined ? undefined
+        : branches.map(branch => branch.trim()).filter(branch => branch.length > 0).join('\n') || null;
+    const existing = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    const workspace = await prisma.workspace.findUnique({ where: { id: req.workspace.id } });
+    // The server's tokens (.env) are only used for repos admins track. Everyone else starts tracking with their workspace's GitHub token
+    if (!existing && !req.user.isAdmin) {
+        if ((provider ?? 'github') !== 'github') return res.status(403).json({ error: 'Only admins can track repositories outside GitHub' });
+        if (!workspace.githubToken) {
+            return res.status(400).json({ error: 'Save a GitHub token for the workspace first (Workspace settings), only admins can use the server\'s' });
+        }
+    }
+    // GitHub repos a workspace with its own token starts tracking are fetched with that token
+    const tokenWorkspaceId = (provider ?? existing?.provider ?? 'github') === 'github' && workspace.githubToken ? workspace.id : null;
+    // The settings the repo will have once saved, for checking that the branches exist there
+    const settings = {
+        repo: fullRepo,
+        localPath: localPath ?? existing?.localPath,
+        provider: provider ?? existing?.provider,
+        apiUrl: apiUrl ?? existing?.apiUrl,
+        tokenEnv: tokenEnv ?? existing?.tokenEnv,
+        tokenWorkspaceId: existing ? existing.tokenWorkspaceId : tokenWorkspaceId,
+    };
+    // A repo another workspace already tracks is only shared once the caller shows they can read it themselves,
+    // so private repos tracked with another workspace's token, the server's tokens or from the server's disk stay private.
+    // Checked with the caller's workspace token only (anonymously without one), never the server's
+    if (existing && !req.user.isAdmin && !(await canSeeRepo(req.workspace, fullRepo))) {
+        try {
+            if (existing.localPath) throw new Error('Local repository');
+            await checkBranch({ ...settings, tokenEnv: null, tokenWorkspaceId: req.workspace.id }, existing.defaultBranch);
+        } catch {
+            return res.status(404).json({ error: `${fullRepo} not found` });
+        }
+    }
+    // Other workspaces tracking the repo too can add it to theirs, but its (shared) settings are left as they are
+    const manages = !existing || await canManageRepo(req.user, req.workspace, fullRepo);
+    if (!manages && (pollInterval !== undefined || provider !== undefined || branches !== undefined)) {
+        return res.status(403).json({ error: `${fullRepo} is already tracked, only admins and the workspace that started tracking it can change its settings` });
+    }
+    for (const branch of parseBranches(branchList)) {
+        try {
+            await checkBranch(settings, branch);
+        } catch (err) {
+            return res.status(400).json({ error: `Branch '${branch}' not found in ${fullRepo}: ${err.response?.data?.message || err.message}` });
+        }
+    }
+    // Registered before the initial sync, so it's polled (and backfilled) even if the backend restarts right after
+    const tracked = await prisma.trackedRepo.upsert({
+        where: { repo: fullRepo },
+        create: { repo: fullRepo, pollInterval: pollInterval ?? interval, localPath, provider, apiUrl, tokenEnv, tokenWorkspaceId, branches: branchList },
+        update: {
+            ...(manages && { paused: false }),
+            ...(pollInterval !== undefined && { pollInterval }),
+            ...(localPath !== undefined && { localPath }),
+            ...(provider !== undefined && { provider }),
+            ...(apiUrl !== undefined && { apiUrl }),
+            ...(tokenEnv !== undefined && { tokenEnv }),
+            ...(branchList !== undefined && { branches: branchList }),
         },
-        select: { sha: true }
     });
-    for (const { sha } of incompleteCommits) {
-        await insertCommitDetails(owner, repo, sha, fullRepo);
+    await linkRepo(req.workspace.id, fullRepo);
+    activePolls.add(fullRepo); // Keeps the scheduler from polling the repo while it is being synced here
+    try {
+        const jobs = await syncAndQueueBackfills(tracked);
+        await prisma.trackedRepo.update({ where: { repo: fullRepo }, data: { lastPolledAt: new Date() } });
+        if (jobs.length === 0) return res.json({ message: `Tracking started for ${fullRepo}`, jobIds: [] });
+        res.json({ message: `Tracking started for ${fullRepo}, downloading history in the background`, jobIds: jobs.map(job => job.id) });
+    } catch (err) {
+        console.error(`Error during tracking for ${fullRepo}:`, err.response?.data?.message || err.message);
+        // A repo that never synced (doesn't exist, no access, ...) shouldn't stay in the registry
+        if (!existing) {
+            await prisma.trackedRepo.deleteMany({ where: { repo: fullRepo } });
+            await unlinkRepo(req.workspace.id, fullRepo);
+        }
+        res.status(500).json({ error: 'Tracking failed' });
+    } finally {
+        activePolls.delete(fullRepo);
     }
-    console.log(`Backfilled ${incompleteCommits.length} incomplete commits for ${fullRepo}`);
 }
 
 /**
- * Commits are initially retrieved with just sha, message and maybe author details. <br>
- * This method uses the ´sha` to retrieve the details used for analysis/presentation in frontend. <br
- * And actually inserts new commits into the database. <br>
- * Furthermore it filters out files and folders of compilation- and dependency-installation -related data like package-lock.json, og /target/ folders. <br>
- * @param owner
- * @param repo
- * @param sha
- * @param fullRepo
+ * Checks that a branch exists in a tracked repository (in its local clone, or on its forge). Rejects otherwise.
+ * @param tracked TrackedRepo row (or any object `createProvider()` accepts, plus `localPath`)
+ * @param branch
  * @returns {Promise<void>}
  */
-async function insertCommitDetails(owner, repo, sha, fullRepo) {
-    try {
-        const detail = await axios.get(`https://api.github.com/repos/${owner}/${repo}/commits/${sha}`, {
-            headers: APIHeader,
-        });
-
-        const author = detail.data.commit?.author?.name || 'Unknown';
-        const timestamp = new Date(detail.data.commit?.author?.date || Date.now());
-
-        const files = detail.data.files || [];
-        const ignoredPatterns = [
-            /^package-lock\.json$/,      // exactly "package-lock.json"
-            /^.*\/package-lock\.json$/,  // "some/dir/package-lock.json"
-            /^target\//,                 // any file inside /target/
-            /^dist\//,                   // common for build outputs
-            /^\.next\//,                 // Next.js build
-            /^build\//,
-            /^coverage\//,
-        ];
-        // Filter out files that match any ignore pattern, and then counts additions and deletions in remaining files (for said commit)
-        const isIgnored = (filename) => ignoredPatterns.some(pattern => pattern.test(filename));
-        let additions = 0;
-        let deletions = 0;
-        for (const file of files) {
-            const filename = file.filename || '';
-            if (!isIgnored(filename)) {
-                additions += file.additions || 0;
-                deletions += file.deletions || 0;
-            }
+async function checkBranch(tracked, branch) {
+    if (tracked.localPath) return localGit.checkRepository(tracked.localPath, branch);
+    const { shas } = await createProvider(tracked).listCommits(null, 1, { branch });
+    if (shas.length === 0) throw new Error('No commits');
+}
+
+/**
+ * Runs `syncTrackedRepo()`, and queues a backfill job for every branch whose history is missing.
+ * @param tracked TrackedRepo row
+ * @returns {Promise<object[]>} The queued (or already active) BackfillJob rows
+ */
+async function syncAndQueueBackfills(tracked) {
+    const { backfillBranches, rewriteChecks } = await syncTrackedRepo(tracked);
+    const jobs = [];
+    for (const branch of backfillBranches) jobs.push(await enqueueBackfill(tracked.repo, branch, { oldHead: rewriteChecks[branch] }));
+    return jobs;
+}
+
+/**
+ * Route handler for pausing/resuming a tracked repository, for every workspace tracking it. Only admins and the workspace
+ * that started tracking it can.
+ * @param request
+ * @param response
+ * @param paused
+ * @returns {Promise<*>}
+ */
+async function setPaused(request, response, paused) {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const denied = await repoSettingsDenial(request, fullRepo);
+    if (denied) return response.status(403).json({ error: denied });
+    const { count } = await prisma.trackedRepo.updateMany({ where: { repo: fullRepo }, data: { paused } });
+    if (count === 0) return response.status(404).json({ error: `${fullRepo} is not tracked` });
+    response.json({ message: `${paused ? 'Paused' : 'Resumed'} tracking of ${fullRepo}` });
+}
+
+/**
+ * Runs `syncTrackedRepo()` once for every tracked repository when the backend starts, after making sure all its authors have an identity. <br>
+ * Polling only looks at the 5 latest commits, so without this, anything pushed while the backend was down would never be fetched.
+ * (Interrupted history downloads are resumed by the backfill job runner.)
+ * @returns {Promise<void>}
+ */
+async function resyncTrackedRepos() {
+    const repos = await prisma.trackedRepo.findMany({ where: { paused: false } });
+    for (const tracked of repos) {
+        activePolls.add(tracked.repo);
+        try {
+            await ensureRepoIdentities(tracked.repo); // Commits stored before identities existed
+            await syncAndQueueBackfills(tracked);
+        } catch (err) {
+            console.error(`Resync error for ${tracked.repo}:`, err.response?.data?.message || err.message);
+        } finally {
+            activePolls.delete(tracked.repo);
         }
-        // And lastly inserts into database with prisma
-        await prisma.repoCommit.create({
-            data: {
-                sha,
-                repo: fullRepo,
-                author,
-                timestamp,
-                additions,
-                deletions,
-            },
-        });
-        console.log(`Inserted commit ${sha} from ${fullRepo}`);
-    } catch (err) {
-        console.error(`Error inserting commit ${sha}:`, err.response?.data?.message || err.message);
     }
 }
 
 /**
- * Continuously polls GitHub for (new) commits made to the requested repository.
+ * Continuously polls the forge (or the local clone) for (new) commits made to every tracked repository. <br>
+ * The registry is read from the database on every tick, so repos added, removed or paused through the API
+ * (and repos tracked before a restart) are picked up without restarting the scheduler. <br>
+ * Each repo is only polled once its own `pollInterval` has passed since `lastPolledAt`.
+ * Repos that receive webhooks wait at least `webhookFallbackInterval`, as polling only has to catch missed deliveries. <br>
+ * Pull requests and tags are synced separately, every `pullSyncInterval` and `tagSyncInterval` (see `syncPulls()` and `syncRepoTags()`),
+ * and lines of code snapshots are taken every `snapshotInterval` (see `takeRepoSnapshots()`).
  */
 function startPolling() {
     setInterval(async () => {
-        if (!trackedRepo) return;
-            try {
-                const [owner, repo] = trackedRepo.split('/');
-                const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/commits`, {
-                    headers: APIHeader,
-                    params: {
-                        per_page: 5,
-                    },
-                });
-                // For each commit, check if the `sha` is in database. If not, add the commit to db
-                for (const commit of response.data) {
-                    const sha = commit.sha;
-                    const exists = await prisma.repoCommit.findUnique({ where: { sha } });
-                    if (!exists) await insertCommitDetails(owner, repo, sha, trackedRepo);
+        try {
+            const repos = await prisma.trackedRepo.findMany({ where: { paused: false } });
+            const now = Date.now();
+            for (const tracked of repos) {
+                const wait = tracked.lastWebhookAt ? Math.max(tracked.pollInterval, webhookFallbackInterval) : tracked.pollInterval;
+                const due = !tracked.lastPolledAt || now - tracked.lastPolledAt.getTime() >= wait;
+                if (due && !activePolls.has(tracked.repo)) pollRepo(tracked); // Not awaited, so one slow repo doesn't hold up the others
+                const pullsDue = !tracked.pullsPolledAt || now - tracked.pullsPolledAt.getTime() >= pullSyncInterval;
+                if (pullsDue && !activePullSyncs.has(tracked.repo)) syncPulls(tracked);
+                const tagsDue = !tracked.tagsSyncedAt || now - tracked.tagsSyncedAt.getTime() >= tagSyncInterval;
+                if (tagsDue && !activeTagSyncs.has(tracked.repo)) syncRepoTags(tracked);
+                const snapshotsDue = !tracked.snapshotsTakenAt || now - tracked.snapshotsTakenAt.getTime() >= snapshotInterval;
+                if (snapshotsDue && !activeSnapshots.has(tracked.repo)) takeRepoSnapshots(tracked);
+            }
+        } catch (err) {
+            console.error('Polling scheduler error:', err.message);
+        }
+    }, schedulerTick);
+}
+
+/**
+ * Polls every tracked branch of a single repository for its 5 latest commits, and inserts the ones not yet in the database. <br>
+ * The requests are conditional (ETag of each branch from the previous poll), so an unchanged branch costs no rate limit on GitHub. <br>
+ * A branch with a new head is checked for rewritten history (see historyRewrites.js), which also finds every commit added
+ * since the last poll, when that's more than 5. <br>
+ * Local clones are read in full instead, since listing their commits costs no API requests.
+ * @param tracked TrackedRepo row
+ * @returns {Promise<void>}
+ */
+async function pollRepo(tracked) {
+    const fullRepo = tracked.repo;
+    activePolls.add(fullRepo);
+    try {
+        await resolveDefaultBranch(tracked);
+        if (tracked.localPath) {
+            for (const branch of listBranches(tracked)) {
+                const { head, rewritten } = await reconcileBranch(tracked, branch, { source: 'poll' });
+                await syncLocalRepo(fullRepo, tracked.localPath, { branch });
+                if (head && !rewritten) await saveBranchHead(fullRepo, branch, head);
+            }
+            return;
+        }
+        const provider = createProvider(tracked);
+        const etags = parseEtags(tracked.etag);
+        for (const branch of listBranches(tracked)) {
+            const { shas, etag, notModified } = await provider.listCommits(null, 5, { branch, etag: etags[branch] });
+            if (notModified) continue;
+            const { rewritten, newShas, checkFrom } = await reconcileBranch(tracked, branch, { source: 'poll', provider, latestShas: shas });
+            // A rewritten branch gets its new history linked by a backfill, as do more new commits than a poll should fetch,
+            // and a history too long to check here (which the backfill checks)
+            const catchUp = newShas !== null && newShas.length <= maxPolledInserts;
+            if (rewritten || checkFrom || (newShas !== null && !catchUp)) await enqueueBackfill(fullRepo, branch, { oldHead: checkFrom });
+            const candidates = catchUp ? [...new Set([...newShas, ...shas])] : shas;
+            // For each commit, check if the `sha` is in database. If not, add the commit to db
+            let complete = true;
+            for (const sha of candidates) {
+                const exists = await prisma.repoCommit.findUnique({ where: { repo_sha: { repo: fullRepo, sha } } });
+                if (!exists) {
+                    await insertCommitDetails(provider, sha, fullRepo);
+                    complete = complete && !!(await prisma.repoCommit.findUnique({ where: { repo_sha: { repo: fullRepo, sha } } }));
                 }
-            } catch (err) {
-                console.error(`Polling error for ${trackedRepo}:`, err.response?.data?.message || err.message);
             }
-    }, interval);
-}
\ No newline at end of file
+            await linkBranch(fullRepo, candidates, branch);
+            // The ETag (and head) is only kept once every commit is stored, otherwise the next poll would get a 304 and never retry the failed ones
+            etags[branch] = complete ? etag : undefined;
+            if (complete && shas.length > 0) await saveBranchHead(fullRepo, branch, shas[0]);
+        }
+        await prisma.trackedRepo.updateMany({ where: { repo: fullRepo }, data: { etag: JSON.stringify(etags) } });
+    } catch (err) {
+        console.error(`Polling error for ${fullRepo}:`, err.response?.data?.message || err.message);
+    } finally {
+        // Stamped even on errors, so a failing repo waits for its interval instead of being retried every tick
+        await stampRepo(fullRepo, { lastPolledAt: new Date() });
+        activePolls.delete(fullRepo);
+    }
+}
+
+/**
+ * Stamps a tracked repository with when it was last polled or synced. <br>
+ * It runs in `finally` blocks of work nobody awaits, so a database error is logged rather than thrown,
+ * which would be an unhandled rejection (and leave the repo in its active set, never to be polled again).
+ * updateMany, since the repo may have been removed in the meantime.
+ * @param fullRepo
+ * @param data E.g. `{ lastPolledAt: new Date() }`
+ * @returns {Promise<void>}
+ */
+async function stampRepo(fullRepo, data) {
+    try {
+        await prisma.trackedRepo.updateMany({ where: { repo: fullRepo }, data });
+    } catch (err) {
+        console.error(`Error stamping ${fullRepo}:`, err.message);
+    }
+}
+
+/**
+ * Syncs the pull requests and reviews of a single repository (see pullRequests.js). <br>
+ * Forges without pull request support are stamped too, so they're only checked every `pullSyncInterval` as well.
+ * @param tracked TrackedRepo row
+ * @returns {Promise<{supported: boolean, updated: number}|undefined>} Undefined when the sync failed
+ */
+async function syncPulls(tracked) {
+    activePullSyncs.add(tracked.repo);
+    try {
+        return await syncPullRequests(tracked);
+    } catch (err) {
+        console.error(`Pull request sync error for ${tracked.repo}:`, err.response?.data?.message || err.message);
+    } finally {
+        await stampRepo(tracked.repo, { pullsPolledAt: new Date() });
+        activePullSyncs.delete(tracked.repo);
+    }
+}
+
+/**
+ * Syncs the tags and releases of a single repository (see releases.js).
+ * @param tracked TrackedRepo row
+ * @returns {Promise<{tags: number, changed: number}|undefined>} Undefined when the sync failed
+ */
+async function syncRepoTags(tracked) {
+    activeTagSyncs.add(tracked.repo);
+    try {
+        return await syncTags(tracked);
+    } catch (err) {
+        console.error(`Tag sync error for ${tracked.repo}:`, err.response?.data?.message || err.message);
+    } finally {
+        // Stamped even on errors, like `lastPolledAt`
+        await stampRepo(tracked.repo, { tagsSyncedAt: new Date() });
+        activeTagSyncs.delete(tracked.repo);
+    }
+}
+
+/**
+ * Takes the lines of code snapshots a single repository is due (see locSnapshots.js).
+ * @param tracked TrackedRepo row
+ * @returns {Promise<{supported: boolean, taken: number, remaining: number}|undefined>} Undefined when it failed
+ */
+async function takeRepoSnapshots(tracked) {
+    activeSnapshots.add(tracked.repo);
+    try {
+        return await takeSnapshots(tracked);
+    } catch (err) {
+        console.error(`Snapshot error for ${tracked.repo}:`, err.response?.data?.message || err.message);
+    } finally {
+        // Stamped even on errors, like `lastPolledAt`
+        await stampRepo(tracked.repo, { snapshotsTakenAt: new Date() });
+        activeSnapshots.delete(tracked.repo);
+    }
+}
+
+/**
+ * Reads the per-branch ETags stored on a TrackedRepo. Anything unreadable (like the single ETag stored before branches
+ * were tracked) just means the next poll isn't conditional.
+ * @param etag TrackedRepo.etag
+ * @returns {object} Branch -> ETag
+ */
+function parseEtags(etag) {
+    try {
+        const etags = JSON.parse(etag);
+        return etags && typeof etags === 'object' ? etags : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Reads the commit filters shared by '/commits' and '/stats' from the request into a Prisma `where`: <br>
+ *  `since`/`until` - ISO dates limiting the time range, <br>
+ *  `author` - only commits by this author identity (its id, see '/identities'). Repeat it for several: `?author=3&author=7`, <br>
+ *  `branch` - only commits seen on this branch, <br>
+ *  `q` - only commits whose message contains this text (case-insensitive). Commits stored before messages were never match.
+ * @param request
+ * @returns {Promise<{fullRepo: string, where: object, sinceDate: (Date|null), untilDate: (Date|null), authorIds: number[], error: (string|undefined)}>}
+ */
+async function parseCommitFilters(request) {
+    const { owner, repo } = request.params;
+    const fullRepo = `${owner}/${repo}`;
+    const { since, until, branch, q } = request.query;
+    const authorIds = [request.query.author ?? []].flat().map(id => parseInt(id, 10));
+    if (authorIds.some(isNaN)) return { fullRepo, error: 'author must be the id of an author identity' };
+    const sinceDate = since ? new Date(since) : null;
+    const untilDate = until ? new Date(until) : null;
+    if ((sinceDate && isNaN(sinceDate)) || (untilDate && isNaN(untilDate))) {
+        return { fullRepo, error: 'since and until must be valid dates' };
+    }
+    const where = {
+        repo: fullRepo,
+        unreachableAt: null, // Commits a rewritten history left behind don't count
+        ...(branch && { branches: { some: { branch } } }),
+        ...(typeof q === 'string' && q.length > 0 && { message: { contains: q } }), // SQLite's LIKE, which ignores case
+        ...(authorIds.length > 0 && { AND: [await identityCommitFilter(authorIds, request.workspace?.id)] }),
+        timestamp: {
+            ...(sinceDate && { gte: sinceDate }),
+            ...(untilDate && { lte: untilDate }),
+        },
+    };
+    return { fullRepo, where, sinceDate, untilDate, authorIds };
+}
+
+/**
+ * Builds the time series of the filtered commits (see `buildTimeSeries()` in stats.js). <br>
+ * With a `since` date, the running total starts from the net lines of everything before it, so it still shows the codebase size.
+ * The series runs until `until`, but not into the future.
+ * @param commits The commits matching the filters
+ * @param interval 'day', 'week' or 'month'
+ * @param filters `{where, sinceDate, untilDate}` from `parseCommitFilters()`
+ * @returns {Promise<{baseline: number, series: object[]}>}
+ */
+async function computeTimeSeries(commits, interval, { where, sinceDate, untilDate }) {
+    const baseline = await sizeBaseline(where, sinceDate);
+    const to = untilDate && untilDate < new Date() ? untilDate : null;
+    return { baseline, series: buildTimeSeries(commits, interval, baseline, sinceDate, to) };
+}
+
+/**
+ * The net lines (additions - deletions) of the commits matching `where` made before `sinceDate`,
+ * which is where a codebase size curve starting at `sinceDate` starts from.
+ * @param where RepoCommit filter. Its `timestamp` condition is replaced
+ * @param sinceDate null for none, which gives 0
+ * @returns {Promise<number>}
+ */
+async function sizeBaseline(where, sinceDate) {
+    if (!sinceDate) return 0;
+    const before = await prisma.repoCommit.aggregate({
+        where: { ...where, timestamp: { lt: sinceDate } },
+        _sum: { additions: true, deletions: true },
+    });
+    return (before._sum.additions ?? 0) - (before._sum.deletions ?? 0);
+}
+
+/**
+ * Sends exported rows as a file download, as JSON or as CSV with the given columns (see reports.js).
+ * @param response
+ * @param fileName File name, without the extension
+ * @param format 'json' or 'csv'
+ * @param rows
+ * @param columns
+ */
+function sendExport(response, fileName, format, rows, columns) {
+    response.attachment(`${fileName}.${format}`);
+    if (format === 'csv') response.type('csv').send(toCsv(rows, columns));
+    else response.json(rows);
+}
@@ -0,0 +1,432 @@
+const { prisma } = require('./db');
+const localGit = require('./localGit');
+const { createProvider } = require('./providers');
+const { parseIgnoreRules, createIgnoreMatcher, sumChanges } = require('./ignoreRules');
+const { normalizePerson, parseCoAuthors, ensureIdentity, findIdentity } = require('./identities');
+const { publish } = require('./liveEvents');
+const { reconcileBranch, saveBranchHead } = require('./historyRewrites');
+
+/**
+ * Ingestion: getting commits from a forge or local clone into the RepoCommit/CommitFile tables. <br>
+ * Used by the routes and polling in index.js, and by the backfill jobs in backfillJobs.js.
+ */
+
+const maxDirectInserts = 50; // More new commits than this are left to a backfill job, which shows its progress
+
+/**
+ * Creates the ignore matcher for a repository, from its stored rules (or the default rules if it has none, or isn't tracked).
+ * @param fullRepo
+ * @returns {Promise<function(string): boolean>}
+ */
+async function getIgnoreMatcher(fullRepo) {
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo }, select: { ignoreRules: true } });
+    return createIgnoreMatcher(parseIgnoreRules(tracked?.ignoreRules));
+}
+
+/**
+ * Recomputes additions/deletions of every stored commit in a repository from its stored per-file data,
+ * using the repository's current ignore rules. No requests are made to GitHub. <br>
+ * Commits stored without per-file data are left as they are, and counted in `missingFileData`.
+ * @param fullRepo
+ * @returns {Promise<{updated: number, missingFileData: number}>}
+ */
+async function recomputeStats(fullRepo) {
+    const isIgnored = await getIgnoreMatcher(fullRepo);
+    const commits = await prisma.repoCommit.findMany({
+        where: { repo: fullRepo, filesStored: true },
+        select: { sha: true, additions: true, deletions: true, files: { select: { filename: true, additions: true, deletions: true } } },
+    });
+    const updates = [];
+    for (const commit of commits) {
+        const { additions, deletions } = sumChanges(commit.files, isIgnored);
+        if (additions !== commit.additions || deletions !== commit.deletions) {
+            updates.push(prisma.repoCommit.update({ where: { repo_sha: { repo: fullRepo, sha: commit.sha } }, data: { additions, deletions } }));
+        }
+    }
+    await prisma.$transaction(updates);
+    if (updates.length > 0) publish('stats', { repo: fullRepo });
+    const missingFileData = await prisma.repoCommit.count({ where: { repo: fullRepo, filesStored: false } });
+    console.log(`[${fullRepo}] Recomputed stats, ${updates.length} commits changed`);
+    return { updated: updates.length, missingFileData };
+}
+
+/**
+ * Parses the `branches` column of a TrackedRepo (one branch per line) into a list.
+ * @param text
+ * @returns {string[]}
+ */
+function parseBranches(text) {
+    return text ? text.split('\n').map(branch => branch.trim()).filter(branch => branch.length > 0) : [];
+}
+
+/**
+ * Every branch tracked for a repository: the default branch first (once it is known), then the extra branches.
+ * @param tracked TrackedRepo row
+ * @returns {string[]}
+ */
+function listBranches(tracked) {
+    return [...new Set([tracked.defaultBranch, ...parseBranches(tracked.branches)].filter(Boolean))];
+}
+
+/**
+ * Returns the default branch of a tracked repository, looking it up on the forge (or in the local clone) the first time. <br>
+ * Commits stored before branches were tracked all came from the default branch, so they're linked to it at that point.
+ * @param tracked TrackedRepo row
+ * @returns {Promise<string>}
+ */
+async function resolveDefaultBranch(tracked) {
+    if (tracked.defaultBranch) return tracked.defaultBranch;
+    const defaultBranch = tracked.localPath
+        ? await localGit.getDefaultBranch(tracked.localPath)
+        : await createProvider(tracked).getDefaultBranch();
+    await prisma.trackedRepo.updateMany({ where: { repo: tracked.repo }, data: { defaultBranch } });
+    const unlinked = await prisma.repoCommit.findMany({ where: { repo: tracked.repo, branches: { none: {} } }, select: { sha: true } });
+    await linkBranch(tracked.repo, unlinked.map(commit => commit.sha), defaultBranch);
+    tracked.defaultBranch = defaultBranch;
+    return defaultBranch;
+}
+
+/**
+ * Records that the commits were seen on a branch of the repository. <br>
+ * Only commits stored for that repository get linked, so shas whose details failed to download are skipped (and linked once they're stored).
+ * Commits a rewritten history had left unreachable (see historyRewrites.js) count again once they're back on a branch. <br>
+ * Publishes a 'linked' event, so dashboards showing the branch reload.
+ * @param fullRepo
+ * @param shas
+ * @param branch
+ * @returns {Promise<void>}
+ */
+async function linkBranch(fullRepo, shas, branch) {
+    let count = 0;
+    // In chunks, since SQLite limits the number of parameters in one query
+    for (let i = 0; i < shas.length; i += 500) {
+        const unlinked = await prisma.repoCommit.findMany({
+            where: { repo: fullRepo, sha: { in: shas.slice(i, i + 500) }, branches: { none: { repo: fullRepo, branch } } },
+            select: { sha: true },
+        });
+        // Commits already linked are marked as seen, which tells a backfill job what is still on the branch (see historyRewrites.js)
+        await prisma.commitBranch.updateMany({
+            where: { repo: fullRepo, branch, commitSha: { in: shas.slice(i, i + 500) } },
+            data: { seenAt: new Date() },
+        });
+        if (unlinked.length === 0) continue;
+        await prisma.commitBranch.createMany({ data: unlinked.map(commit => ({ repo: fullRepo, commitSha: commit.sha, branch })) });
+        await prisma.repoCommit.updateMany({
+            where: { repo: fullRepo, sha: { in: unlinked.map(commit => commit.sha) }, unreachableAt: { not: null } },
+            data: { unreachableAt: null },
+        });
+        count += unlinked.length;
+    }
+    if (count > 0) publish('linked', { repo: fullRepo, branch, count });
+}
+
+/**
+ * Brings the database up to date with every tracked branch of a repository, from its local clone or from its forge (GitHub, GitLab, ...). <br>
+ * A few new commits are inserted right away. When (part of) a branch's history is missing, the branch is returned in
+ * `backfillBranches` instead, and downloading it is left to a backfill job (see backfillJobs.js). <br>
+ * On a forge, a newly tracked branch always needs one backfill: its history is mostly shared with the default branch,
+ * and those commits only get linked to the branch by going through the whole history once. <br>
+ * Every branch is first checked for rewritten history (see historyRewrites.js). A rewritten branch is backfilled again,
+ * which links its new history. A branch whose history was too long to check is backfilled too, and is returned in
+ * `rewriteChecks` with its old head, for the backfill job to finish the check.
+ * @param tracked TrackedRepo row
+ * @returns {Promise<{backfillBranches: string[], rewriteChecks: object}>} `rewriteChecks` is branch -> old head
+ */
+async function syncTrackedRepo(tracked) {
+    const defaultBranch = await resolveDefaultBranch(tracked);
+    const backfillBranches = [];
+    const rewriteChecks = {};
+    for (const branch of listBranches(tracked)) {
+        if (tracked.localPath) {
+            const { head, rewritten } = await reconcileBranch(tracked, branch, { source: 'poll' });
+            const newShas = await findNewLocalShas(tracked.repo, tracked.localPath, branch);
+            if (newShas.length >= 5 || rewritten) backfillBranches.push(branch); // Same rule as `syncRepo()`
+            else await syncLocalRepo(tracked.repo, tracked.localPath, { branch });
+            if (head) await saveBranchHead(tracked.repo, branch, head); // Whatever is left is stored by the backfill
+            continue;
+        }
+        const provider = createProvider(tracked);
+        const { shas: latestShas } = await provider.listCommits(null, 5, { branch });
+        const { head, rewritten, newShas, checkFrom } = await reconcileBranch(tracked, branch, { source: 'poll', provider, latestShas });
+        if (checkFrom) rewriteChecks[branch] = checkFrom;
+        const { needsBackfill } = rewritten || checkFrom ? { needsBackfill: true } : await syncRepo(provider, tracked.repo, branch, { latestShas, sinceLastSync: newShas });
+        if (head) await saveBranchHead(tracked.repo, branch, head);
+        const walked = branch === defaultBranch
+            || await prisma.backfillJob.count({ where: { repo: tracked.repo, branch, status: 'completed' } }) > 0;
+        if (needsBackfill || !walked) backfillBranches.push(branch);
+    }
+    return { backfillBranches, rewriteChecks };
+}
+
+/**
+ * Brings the database up to date with a branch of the repository on its forge. <br>
+ * It works by requesting the latest 5 commits from the branch <br>
+ * Then compares those 5 to the database. <br>
+ * If all 5 are present in database, nothing to do <br>
+ * If 1-4 are present, add the remaining to database <br>
+ * And if none are present (I.E. newly tracked repository) the entire history is needed, which is reported back as `needsBackfill`. <br>
+ * When the commits added since the last sync are known (`sinceLastSync`, see `reconcileBranch()` in historyRewrites.js),
+ * those are inserted instead, unless there are more than `maxDirectInserts`. <br>
+ * The commits found are linked to the branch.
+ * @param provider Forge provider of the repository, see providers/index.js
+ * @param fullRepo
+ * @param branch
+ * @param latestShas The 5 latest commits, if already listed
+ * @param sinceLastSync Commits added on top of the branch head of the last sync, newest first
+ * @returns {Promise<{needsBackfill: boolean}>}
+ */
+async function syncRepo(provider, fullRepo, branch, { latestShas = null, sinceLastSync = null } = {}) {
+    // Get 5 latest commits.
+    // Details like author, additions, deletions and files changed are retrieved using the `sha` with helper-method `insertCommitDetails()`
+    if (!latestShas) ({ shas: latestShas } = await provider.listCommits(null, 5, { branch }));
+    const knownNew = sinceLastSync !== null && sinceLastSync.length <= maxDirectInserts;
+    if (knownNew) latestShas = [...new Set([...sinceLastSync, ...latestShas])];
+    let newShas = [];
+    // Checking if they already are in database by comparing sha 's
+    for (const sha of latestShas) {
+        const exists = await prisma.repoCommit.findUnique({ where: { repo_sha: { repo: fullRepo, sha } } });
+        if (!exists) newShas.push(sha);
+    }
+    // If all found commits were new, the full history has to be fetched (unless they're known to be all that was added since the last sync)
+    if (newShas.length === 5 && !knownNew) {
+        console.log(`[${fullRepo}] No overlap found on ${branch}. Full history needed.`);
+        return { needsBackfill: true };
+    }
+    // Else add the new commits
+    else if (newShas.length > 0) {
+        console.log(`[${fullRepo}] Some new commits on ${branch}. Inserting.`);
+        for (const sha of newShas) {
+            // Helper-method that requests commit details (author, timestamp, additions/deletions)
+            await insertCommitDetails(provider, sha, fullRepo);
+        }
+    } else {
+        console.log(`[${fullRepo}] No new commits on ${branch}.`);
+    }
+    await linkBranch(fullRepo, latestShas, branch);
+    return { needsBackfill: false };
+}
+
+/**
+ * Lists the commits reachable from the branch (HEAD when left out) in a git clone that aren't stored for the repository yet.
+ * @param fullRepo
+ * @param localPath
+ * @param branch
+ * @returns {Promise<string[]>}
+ */
+async function findNewLocalShas(fullRepo, localPath, branch) {
+    return filterNewShas(fullRepo, await localGit.listCommitShas(localPath, branch));
+}
+
+/**
+ * Leaves out the shas that are already stored for the repository.
+ * @param fullRepo
+ * @param shas
+ * @returns {Promise<string[]>}
+ */
+async function filterNewShas(fullRepo, shas) {
+    const newShas = [];
+    // Compared in chunks, since SQLite limits the number of parameters in one query
+    for (let i = 0; i < shas.length; i += 500) {
+        const chunk = shas.slice(i, i + 500);
+        const stored = await prisma.repoCommit.findMany({ where: { repo: fullRepo, sha: { in: chunk } }, select: { sha: true } });
+        const storedShas = new Set(stored.map(commit => commit.sha));
+        newShas.push(...chunk.filter(sha => !storedShas.has(sha)));
+    }
+    return newShas;
+}
+
+/**
+ * Brings the database up to date with a branch of a git clone on disk, without using any forge's API. <br>
+ * Every commit reachable from the branch whose sha isn't in the database is read with `git log` and stored,
+ * and every commit on the branch is linked to it. <br>
+ * The clone itself isn't fetched/pulled, keeping it up to date is left to whoever owns it. <br>
+ * `onProgress` (optional) is called with the number of commits stored so far, after every `progressEvery` commits.
+ * Returning false from it stops the sync.
+ * @param fullRepo
+ * @param localPath
+ * @param branch
+ * @param onProgress
+ * @param progressEvery
+ * @param history Whether this is a history download (backfill job), see `storeCommit()`
+ * @returns {Promise<boolean>} false if stopped by `onProgress`
+ */
+async function syncLocalRepo(fullRepo, localPath, { branch, onProgress, progressEvery = 50, history = false } = {}) {
+    const shas = await localGit.listCommitShas(localPath, branch);
+    const newShas = await filterNewShas(fullRepo, shas);
+    if (newShas.length === 0) {
+        await linkBranch(fullRepo, shas, branch);
+        return true;
+    }
+    console.log(`[${fullRepo}] Reading ${newShas.length} new commits on ${branch} from ${localPath}`);
+    let stored = 0;
+    const stop = new Error('Stopped');
+    try {
+        await localGit.readCommits(localPath, newShas, async (commit) => {
+            await storeCommit(fullRepo, commit, { history });
+            stored++;
+            if (onProgress && stored % progressEvery === 0 && (await onProgress(stored)) === false) throw stop;
+        });
+    } catch (err) {
+        if (err === stop) {
+            await linkBranch(fullRepo, shas, branch);
+            return false;
+        }
+        throw err;
+    }
+    await linkBranch(fullRepo, shas, branch);
+    if (onProgress) await onProgress(stored);
+    return true;
+}
+
+/**
+ * If the latest five commits fetched are not present in the database,
+ * this method will loop through requesting 50 commits from the branch at a time,
+ * requesting additions/deletions for them,
+ * and inserting them into the database. Every commit listed is linked to the branch, including the ones already stored. <br>
+ * Used by backfill jobs, which pass in the `cursor` to start from (to resume where an earlier run stopped), and
+ * an `onPage` callback, called after every page with `{next, checked, inserted}` so the job can checkpoint `next`.
+ * Returning false from `onPage` stops the download.
+ * @param provider
+ * @param fullRepo
+ * @param branch
+ * @param cursor
+ * @param onPage
+ * @returns {Promise<boolean>} false if stopped by `onPage`
+ */
+async function fetchFullHistory(provider, fullRepo, { branch, cursor = null, onPage } = {}) {
+    // No sleeping in between requests here. The providers' client (rateLimitedClient.js) spaces them out and pauses on rate limits,
+    // after this once sent 100s of requests on a big public repo and got quarantined. A true learning experience.
+    const perPage = 50; // Gitea won't return more than 50 per page by default, so a bigger page would look like the last one
+    // Continuously requests 50 results (commits) per page, moving on to the next page every iteration
+    // The provider decides when there are no more pages (`next` is null), since each forge paginates differently
+    do {
+        const { shas, next } = await provider.listCommits(cursor, perPage, { branch });
+        if (shas.length === 0) break; // break loop if empty page returned, such as edge cases where a repo has exactly 50/100/150... commits
+        // Comparing the whole page's sha 's to the database in one query, and adding the missing ones to database
+        const stored = await prisma.repoCommit.findMany({ where: { repo: fullRepo, sha: { in: shas } }, select: { sha: true } });
+        const storedShas = new Set(stored.map(commit => commit.sha));
+        let inserted = 0;
+        for (const sha of shas.filter(sha => !storedShas.has(sha))) {
+            await insertCommitDetails(provider, sha, fullRepo, { history: true });
+            inserted++;
+        }
+        await linkBranch(fullRepo, shas, branch);
+        cursor = next;
+        if (onPage && (await onPage({ next, checked: shas.length, inserted })) === false) return false;
+    } while (cursor);
+    return true;
+}
+
+/**
+ * In the event the database have stored all commits, but for some reason didn't <br>
+ * store them correctly (development, yay), this will fill out the missing details like additions and deletions, <br>
+ * used for frontend charts and stats. <br>
+ * Also fills in the per-file data of commits stored before the CommitFile table existed.
+ * @param fullRepo
+ * @returns {Promise<void>}
+ */
+async function addMissingStats(fullRepo) {
+    const incompleteCommits = await prisma.repoCommit.findMany({
+        where: {
+            repo: fullRepo,
+            OR: [
+                { additions: null },
+                { deletions: null },
+                { filesStored: false },
+            ],
+        },
+        select: { sha: true }
+    });
+    if (incompleteCommits.length === 0) return;
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo } });
+    if (tracked?.localPath) {
+        const shas = incompleteCommits.map(commit => commit.sha);
+        await localGit.readCommits(tracked.localPath, shas, commit => storeCommit(fullRepo, commit));
+    } else {
+        const provider = createProvider(tracked ?? { repo: fullRepo });
+        for (const { sha } of incompleteCommits) {
+            await insertCommitDetails(provider, sha, fullRepo);
+        }
+    }
+    console.log(`Backfilled ${incompleteCommits.length} incomplete commits for ${fullRepo}`);
+}
+
+/**
+ * Commits are initially retrieved with just sha, message and maybe author details. <br>
+ * This method uses the ´sha` to retrieve the details used for analysis/presentation in frontend. <br>
+ * And actually inserts new commits into the database (or completes them, if they were stored without details). <br>
+ * Every changed file is stored in CommitFile, while the commit's own additions/deletions leave out the files
+ * matched by the repository's ignore rules, like package-lock.json, og /target/ folders (see ignoreRules.js). <br>
+ * @param provider
+ * @param sha
+ * @param fullRepo
+ * @param history Whether a history download is storing it, see `storeCommit()`
+ * @returns {Promise<void>}
+ */
+async function insertCommitDetails(provider, sha, fullRepo, { history = false } = {}) {
+    try {
+        // The provider turns the forge's commit JSON into `{sha, author, timestamp, files}`
+        await storeCommit(fullRepo, await provider.getCommit(sha), { history });
+    } catch (err) {
+        console.error(`Error inserting commit ${sha}:`, err.response?.data?.message || err.message);
+    }
+}
+
+/**
+ * Inserts a commit and its per-file changes into the database, no matter where it was read from (a forge or a local clone). <br>
+ * Additions/deletions only count the files not matched by the repository's ignore rules. <br>
+ * Co-authors are taken from the message's "Co-authored-by:" trailers, and the author and co-authors get an identity (see identities.js). <br>
+ * Publishes a 'commit' event with what the dashboard needs to add the commit to its stats without reloading them.
+ * `updated` is true when the commit was already stored, so the stats already counted it (with its old numbers),
+ * and `history` when it was stored by a history download (backfill job) rather than found by a poll or webhook.
+ * @param fullRepo
+ * @param commit `{sha, author, authorEmail, authorLogin, message, timestamp, files}`,
+ * files having filename, previousFilename, status, additions and deletions
+ * @param history
+ * @returns {Promise<void>}
+ */
+async function storeCommit(fullRepo, { sha, author, authorEmail, authorLogin, message, timestamp, files }, { history = false } = {}) {
+    // Counts additions and deletions in the files that aren't ignored (for said commit)
+    const { additions, deletions } = sumChanges(files, await getIgnoreMatcher(fullRepo));
+    const person = normalizePerson({ name: author, email: authorEmail, login: authorLogin });
+    const coAuthors = parseCoAuthors(message);
+    // And lastly inserts into database with prisma.
+    // Upsert, since `addMissingStats()` also completes commits that are already stored
+    const commitData = {
+        repo: fullRepo, author, authorEmail: person.email, authorLogin: person.login, timestamp, message, additions, deletions, filesStored: true,
+    };
+    const updated = await prisma.repoCommit.count({ where: { repo: fullRepo, sha } }) > 0;
+    const { storedAt } = await prisma.repoCommit.upsert({
+        where: { repo_sha: { repo: fullRepo, sha } },
+        create: { sha, ...commitData, files: { create: files }, coAuthors: { create: coAuthors } },
+        update: { ...commitData, files: { deleteMany: {}, create: files }, coAuthors: { deleteMany: {}, create: coAuthors } },
+    });
+    for (const someone of [person, ...coAuthors]) await ensureIdentity(someone);
+    publish('commit', {
+        repo: fullRepo,
+        commit: { sha, author, timestamp, storedAt, message, additions, deletions },
+        identity: await findIdentity(person),
+        coAuthors: await Promise.all(coAuthors.map(findIdentity)),
+        people: { author: person, coAuthors }, // For resolving them the way each workspace sees them (see '/events')
+        updated,
+        history,
+    });
+    console.log(`Inserted commit ${sha} from ${fullRepo}`);
+}
+
+module.exports = {
+    getIgnoreMatcher,
+    recomputeStats,
+    parseBranches,
+    listBranches,
+    resolveDefaultBranch,
+    linkBranch,
+    syncTrackedRepo,
+    syncRepo,
+    findNewLocalShas,
+    syncLocalRepo,
+    fetchFullHistory,
+    addMissingStats,
+    insertCommitDetails,
+    storeCommit,
+};
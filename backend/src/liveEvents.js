@@ -0,0 +1,77 @@
+/**
+ * Live updates for the dashboard, pushed over Server-Sent Events ('/events' in index.js) instead of the frontend polling. <br>
+ * Ingestion publishes an event whenever it stores a commit, links commits to a branch or recomputes stats,
+ * and backfill jobs publish their progress. <br>
+ * The last `bufferSize` events are kept in memory, so a client reconnecting with the id of the last event it received
+ * (EventSource sends it as `Last-Event-ID` by itself) gets everything it missed. When that isn't possible
+ * (the backend restarted, or too much happened in between) the client is told to reload instead.
+ */
+
+const bufferSize = 1000;
+const runId = Date.now().toString(36); // Part of every event id, so ids from before a restart are recognised as such
+const recent = []; // The last `bufferSize` events, oldest first
+const listeners = new Set();
+let sequence = 0;
+
+/**
+ * Sends an event to every subscriber.
+ * @param type 'commit', 'linked', 'stats', 'backfill', 'pulls', 'tags', 'alert', 'rewrite', 'resync' or 'snapshots'
+ * @param data Event payload. `data.repo` ("owner/repo") decides which clients get it, null goes to every client.
+ * `data.workspaceId` keeps it to one workspace, see `isVisibleTo()`
+ */
+function publish(type, data) {
+    sequence++;
+    const event = { id: `${runId}-${sequence}`, sequence, type, repo: data.repo ?? null, data };
+    recent.push(event);
+    if (recent.length > bufferSize) recent.shift();
+    for (const listener of listeners) listener(event);
+}
+
+/**
+ * Whether an event goes to a client: only events of the repositories the client can see (and with `repo`, of that one),
+ * plus the ones concerning every repository. Events of a single workspace (with `data.workspaceId`, like its alerts and
+ * identity edits) only go to that workspace.
+ * @param event
+ * @param client `{workspaceId, repos, repo}`: the client's workspace id (null without one), the Set of repositories it can see,
+ * and the repository it asked for (optional)
+ * @returns {boolean}
+ */
+function isVisibleTo(event, { workspaceId, repos, repo = null }) {
+    if (event.repo !== null && (!repos.has(event.repo) || (repo && event.repo !== repo))) return false;
+    return event.data.workspaceId === undefined || event.data.workspaceId === workspaceId;
+}
+
+/**
+ * Calls `listener` with every event published from now on.
+ * @param listener
+ * @returns {function(): void} Unsubscribes
+ */
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * The events published after the given event id, for a reconnecting client.
+ * @param lastEventId Id of the last event the client received (empty for a new client)
+ * @returns {object[]|null} Missed events, oldest first, or null when they can't be replayed and the client has to reload
+ */
+function eventsSince(lastEventId) {
+    if (!lastEventId) return [];
+    const [lastRunId, lastSequence] = lastEventId.split('-');
+    const since = parseInt(lastSequence, 10);
+    if (lastRunId !== runId || isNaN(since) || since > sequence) return null;
+    const oldest = recent.length > 0 ? recent[0].sequence : sequence + 1;
+    if (since + 1 < oldest) return null; // Some of the missed events have already left the buffer
+    return recent.filter(event => event.sequence > since);
+}
+
+/**
+ * Id of the newest event, which is where a client that just (re)loaded everything continues from.
+ * @returns {string}
+ */
+function currentEventId() {
+    return `${runId}-${sequence}`;
+}
+
+module.exports = { publish, isVisibleTo, subscribe, eventsSince, currentEventId };
@@ -0,0 +1,333 @@
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { prisma } = require('./db');
+const { createProvider } = require('./providers');
+const localGit = require('./localGit');
+const { publish } = require('./liveEvents');
+const { getIgnoreMatcher, resolveDefaultBranch } = require('./ingest');
+const { periodStart } = require('./stats');
+
+/**
+ * Lines-of-code snapshots: the real size of a repository's tree at a commit, counted file by file and broken down by language. <br>
+ * The codebase chart's running sum of additions - deletions drifts when history is missing, or files are renamed, vendored or
+ * ignored. Snapshots don't, since they count what is actually in the tree. <br>
+ * One snapshot is kept per week of the default branch's history (the newest stored commit of the week), taken a few at a
+ * time by the scheduler in index.js, newest week first, so the history fills in over a couple of runs. A week whose newest
+ * commit changed since (new commits, a backfill filling the week in, a rewritten history) gets a new snapshot. <br>
+ * The tree is read from a tar archive of the commit: `git archive` for local clones, the forge's tarball download otherwise
+ * (providers without `getArchive()`, like Bitbucket, get no snapshots). Binary files aren't counted.
+ * The lines are counted while the archive streams in, so no repository is held in memory. <br>
+ * Every snapshot keeps the lines of each file, counted without the ignore rules, and its totals leave out the files the
+ * repository's ignore rules match. So when the rules change, the totals are recomputed from these (`recountSnapshots()`)
+ * instead of downloading every tree again.
+ */
+
+const maxSnapshotsPerRun = 5; // A snapshot downloads the whole tree from the forge, so history is filled in a few weeks at a time
+const maxLocalSnapshotsPerRun = 50; // `git archive` costs nothing but disk reads
+const maxTreeBytes = 2 * 1024 * 1024 * 1024; // Trees bigger than this (uncompressed) aren't counted
+const binarySniffBytes = 8000; // A NUL byte within the start of a file makes it binary, like git decides
+const blockSize = 512; // Tar headers and file contents come in 512 byte blocks
+
+// Language of files by their extension (lowercased). Unknown extensions count as the extension itself, e.g. ".toml"
+const languagesByExtension = {
+    '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+    '.ts': 'TypeScript', '.tsx': 'TypeScript', '.mts': 'TypeScript', '.cts': 'TypeScript',
+    '.py': 'Python', '.java': 'Java', '.kt': 'Kotlin', '.kts': 'Kotlin', '.scala': 'Scala', '.groovy': 'Groovy',
+    '.c': 'C', '.h': 'C', '.cpp': 'C++', '.cc': 'C++', '.cxx': 'C++', '.hpp': 'C++', '.hh': 'C++', '.cs': 'C#',
+    '.go': 'Go', '.rs': 'Rust', '.rb': 'Ruby', '.php': 'PHP', '.swift': 'Swift', '.m': 'Objective-C', '.dart': 'Dart',
+    '.lua': 'Lua', '.r': 'R', '.jl': 'Julia', '.hs': 'Haskell', '.ex': 'Elixir', '.exs': 'Elixir', '.erl': 'Erlang',
+    '.clj': 'Clojure', '.fs': 'F#', '.ml': 'OCaml', '.pl': 'Perl', '.sh': 'Shell', '.bash': 'Shell', '.zsh': 'Shell',
+    '.ps1': 'PowerShell', '.sql': 'SQL', '.prisma': 'Prisma',
+    '.html': 'HTML', '.htm': 'HTML', '.css': 'CSS', '.scss': 'SCSS', '.sass': 'SCSS', '.less': 'Less',
+    '.vue': 'Vue', '.svelte': 'Svelte', '.json': 'JSON', '.yml': 'YAML', '.yaml': 'YAML', '.xml': 'XML',
+    '.md': 'Markdown', '.markdown': 'Markdown', '.rst': 'reStructuredText', '.tex': 'TeX', '.ipynb': 'Jupyter Notebook',
+};
+
+// Language of files known by their whole name, which have no (telling) extension
+const languagesByFilename = {
+    'dockerfile': 'Dockerfile', 'makefile': 'Makefile', 'gnumakefile': 'Makefile', 'cmakelists.txt': 'CMake',
+    'gemfile': 'Ruby', 'rakefile': 'Ruby', 'jenkinsfile': 'Groovy',
+};
+
+/**
+ * The language a file is counted under.
+ * @param filename Path within the repository
+ * @returns {string}
+ */
+function languageOf(filename) {
+    const name = path.posix.basename(filename).toLowerCase();
+    if (languagesByFilename[name]) return languagesByFilename[name];
+    const extension = path.posix.extname(name);
+    if (!extension) return 'Other';
+    return languagesByExtension[extension] ?? extension;
+}
+
+/**
+ * Reads a NUL-terminated text field of a tar header.
+ * @param header
+ * @param offset
+ * @param length
+ * @returns {string}
+ */
+function headerText(header, offset, length) {
+    const field = header.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+/**
+ * Reads the size field of a tar header: octal text, or base-256 (high bit set) for sizes that don't fit.
+ * @param header
+ * @returns {number}
+ */
+function headerSize(header) {
+    if (header[124] & 0x80) return header.subarray(125, 136).reduce((size, byte) => size * 256 + byte, 0);
+    return parseInt(headerText(header, 124, 12).trim() || '0', 8);
+}
+
+/**
+ * Reads the path of a pax extended header ("<length> path=<value>\n" records), if it has one.
+ * @param body
+ * @returns {string|null}
+ */
+function paxPath(body) {
+    let filename = null;
+    let offset = 0;
+    while (offset < body.length) {
+        const space = body.indexOf(0x20, offset);
+        const length = parseInt(body.subarray(offset, space).toString(), 10);
+        if (space === -1 || !length) break;
+        const record = body.subarray(space + 1, offset + length - 1).toString('utf8');
+        if (record.startsWith('path=')) filename = record.slice('path='.length);
+        offset += length;
+    }
+    return filename;
+}
+
+/**
+ * Counts the lines of every (text) file in a tar stream. <br>
+ * Paths are taken relative to the archive's top directory, which forges name after the repository and commit.
+ * An archive that ends early (a download cut off) is an error, rather than a tree with files missing.
+ * @param stream Readable stream of an (uncompressed) tar archive
+ * @returns {Promise<object>} Path -> lines
+ */
+async function countTree(stream) {
+    const files = {};
+    let ended = false; // Whether the empty blocks marking the end of the archive came
+    let bytesRead = 0;
+    let header = Buffer.alloc(0); // Header block being read, when it's split over chunks
+    let remaining = 0; // Bytes of the current entry's content still to come
+    let padding = 0; // Bytes up to the end of the current entry's last block
+    let file = null; // Regular file being counted: `{filename, bytes, newlines, binary, lastByte}`
+    let extended = null; // Extended header being read (pax 'x', or GNU 'L' long name): `{type, parts}`
+    let nextPath = null; // Path an extended header gave the next entry
+
+    const finishEntry = () => {
+        if (extended) {
+            const body = Buffer.concat(extended.parts);
+            nextPath = extended.type === 'L' ? headerText(body, 0, body.length) : paxPath(body) ?? nextPath;
+            extended = null;
+        }
+        if (file && !file.binary) files[file.filename] = file.newlines + (file.bytes > 0 && file.lastByte !== 0x0a ? 1 : 0);
+        file = null;
+    };
+
+    const startEntry = () => {
+        if (header.every(byte => byte === 0)) { // The end of the archive is marked with empty blocks
+            ended = true;
+            return;
+        }
+        const size = headerSize(header);
+        const type = String.fromCharCode(header[156] || 0x30); // '0' (or NUL, in old archives) is a regular file
+        const prefix = header.subarray(257, 262).toString() === 'ustar' ? headerText(header, 345, 155) : '';
+        const name = headerText(header, 0, 100);
+        const fullPath = nextPath ?? (prefix ? `${prefix}/${name}` : name);
+        nextPath = type === 'x' || type === 'L' ? nextPath : null;
+        remaining = size;
+        padding = (blockSize - (size % blockSize)) % blockSize;
+        if (type === 'x' || type === 'L') {
+            extended = { type, parts: [] };
+        } else if (type === '0' || type === '7') {
+            const filename = fullPath.slice(fullPath.indexOf('/') + 1); // Drops the archive's top directory
+            if (filename) file = { filename, bytes: 0, newlines: 0, binary: false, lastByte: null };
+        }
+        if (remaining === 0) finishEntry();
+    };
+
+    const readContent = (part) => {
+        if (extended) return extended.parts.push(part);
+        if (!file || file.binary) return;
+        if (file.bytes < binarySniffBytes && part.subarray(0, binarySniffBytes - file.bytes).includes(0)) {
+            file.binary = true;
+            return;
+        }
+        for (let index = part.indexOf(0x0a); index !== -1; index = part.indexOf(0x0a, index + 1)) file.newlines++;
+        file.bytes += part.length;
+        file.lastByte = part[part.length - 1];
+    };
+
+    for await (const chunk of stream) {
+        bytesRead += chunk.length;
+        if (bytesRead > maxTreeBytes) throw new Error(`The tree is bigger than ${maxTreeBytes / 1024 / 1024} MB, so it isn't counted`);
+        let offset = 0;
+        while (offset < chunk.length) {
+            if (remaining > 0) {
+                const part = chunk.subarray(offset, offset + remaining);
+                readContent(part);
+                offset += part.length;
+                remaining -= part.length;
+                if (remaining === 0) finishEntry();
+            } else if (padding > 0) {
+                const skipped = Math.min(padding, chunk.length - offset);
+                offset += skipped;
+                padding -= skipped;
+            } else {
+                const part = chunk.subarray(offset, offset + blockSize - header.length);
+                header = Buffer.concat([header, part]);
+                offset += part.length;
+                if (header.length < blockSize) continue;
+                startEntry();
+                header = Buffer.alloc(0);
+            }
+        }
+    }
+    if (!ended || remaining > 0) throw new Error('The archive ended early, so the tree isn\'t counted');
+    return files;
+}
+
+/**
+ * The totals of a counted tree, per language, leaving out the files the ignore rules match.
+ * @param files Path -> lines, from `countTree()`
+ * @param isIgnored Ignore matcher of the repository, see ignoreRules.js
+ * @returns {{totalLines: number, totalFiles: number, languages: object}} `languages`: language -> `{files, lines}`
+ */
+function summarizeTree(files, isIgnored) {
+    const languages = {};
+    let totalLines = 0;
+    let totalFiles = 0;
+    for (const [filename, lines] of Object.entries(files)) {
+        if (isIgnored(filename)) continue;
+        const language = languageOf(filename);
+        languages[language] ??= { files: 0, lines: 0 };
+        languages[language].files++;
+        languages[language].lines += lines;
+        totalFiles++;
+        totalLines += lines;
+    }
+    return { totalLines, totalFiles, languages };
+}
+
+/**
+ * Counts the tree of a commit of a tracked repository.
+ * @param tracked TrackedRepo row
+ * @param sha
+ * @returns {Promise<object>} Path -> lines, see `countTree()`
+ */
+async function countCommit(tracked, sha) {
+    if (tracked.localPath) {
+        let files;
+        await localGit.readArchive(tracked.localPath, sha, async (stream) => {
+            files = await countTree(stream);
+        });
+        return files;
+    }
+    const archive = await createProvider(tracked).getArchive(sha);
+    return countTree(pipeline(archive, zlib.createGunzip(), () => {})); // Errors of either end up in the loop reading it
+}
+
+/**
+ * Picks the weeks that need a (new) snapshot: the newest stored commit of every week on the branch, unless that commit
+ * already has one. Newest week first.
+ * @param fullRepo
+ * @param branch
+ * @returns {Promise<{period: string, sha: string, timestamp: Date}[]>}
+ */
+async function findDueSnapshots(fullRepo, branch) {
+    const commits = await prisma.repoCommit.findMany({
+        where: { repo: fullRepo, unreachableAt: null, branches: { some: { branch } } },
+        select: { sha: true, timestamp: true },
+        orderBy: { timestamp: 'desc' },
+    });
+    const snapshots = await prisma.locSnapshot.findMany({ where: { repo: fullRepo, branch }, select: { period: true, commitSha: true } });
+    const taken = new Map(snapshots.map(snapshot => [snapshot.period, snapshot.commitSha]));
+    const weeks = new Map(); // Period -> its newest commit. The commits come newest first
+    for (const commit of commits) {
+        const period = periodStart(commit.timestamp, 'week').toISOString().slice(0, 10);
+        if (!weeks.has(period)) weeks.set(period, { period, sha: commit.sha, timestamp: commit.timestamp });
+    }
+    return [...weeks.values()].filter(week => taken.get(week.period) !== week.sha);
+}
+
+/**
+ * Takes the snapshots a tracked repository is due (see above), at most `maxSnapshotsPerRun` of them.
+ * Publishes a 'snapshots' event when any were taken.
+ * @param tracked TrackedRepo row
+ * @returns {Promise<{supported: boolean, taken: number, remaining: number}>} `remaining`: weeks left for the next runs
+ */
+async function takeSnapshots(tracked) {
+    if (!tracked.localPath && !createProvider(tracked).getArchive) return { supported: false, taken: 0, remaining: 0 };
+    const branch = await resolveDefaultBranch(tracked);
+    const due = await findDueSnapshots(tracked.repo, branch);
+    const batch = due.slice(0, tracked.localPath ? maxLocalSnapshotsPerRun : maxSnapshotsPerRun);
+    for (const week of batch) {
+        const files = await countCommit(tracked, week.sha);
+        // The rules are read after counting, which can take a while, so a change of the rules in the meantime isn't missed
+        const { totalLines, totalFiles, languages } = summarizeTree(files, await getIgnoreMatcher(tracked.repo));
+        const data = {
+            commitSha: week.sha, committedAt: week.timestamp, totalLines, totalFiles, languages: JSON.stringify(languages),
+            files: JSON.stringify(files), takenAt: new Date(),
+        };
+        await prisma.locSnapshot.upsert({
+            where: { repo_branch_period: { repo: tracked.repo, branch, period: week.period } },
+            create: { repo: tracked.repo, branch, period: week.period, ...data },
+            update: data,
+        });
+    }
+    if (batch.length > 0) {
+        console.log(`[${tracked.repo}] Counted the lines of code of ${batch.length} weeks, ${due.length - batch.length} weeks to go`);
+        publish('snapshots', { repo: tracked.repo });
+    }
+    return { supported: true, taken: batch.length, remaining: due.length - batch.length };
+}
+
+/**
+ * The snapshots of a repository's default branch, oldest first.
+ * @param fullRepo
+ * @returns {Promise<object[]>} LocSnapshot rows, with `languages` parsed (and without the lines per file)
+ */
+async function listSnapshots(fullRepo) {
+    const tracked = await prisma.trackedRepo.findUnique({ where: { repo: fullRepo }, select: { defaultBranch: true } });
+    if (!tracked?.defaultBranch) return [];
+    const snapshots = await prisma.locSnapshot.findMany({
+        where: { repo: fullRepo, branch: tracked.defaultBranch },
+        select: {
+            id: true, repo: true, branch: true, period: true, commitSha: true, committedAt: true,
+            totalLines: true, totalFiles: true, languages: true, takenAt: true,
+        },
+        orderBy: { committedAt: 'asc' },
+    });
+    return snapshots.map(snapshot => ({ ...snapshot, languages: JSON.parse(snapshot.languages) }));
+}
+
+/**
+ * Recomputes the totals of a repository's snapshots with its current ignore rules, from the lines per file they keep.
+ * Used when its ignore rules change. Snapshots taken before the lines per file were kept are deleted, so they're taken again.
+ * @param fullRepo
+ * @returns {Promise<{recounted: number, deleted: number}>}
+ */
+async function recountSnapshots(fullRepo) {
+    const isIgnored = await getIgnoreMatcher(fullRepo);
+    const { count: deleted } = await prisma.locSnapshot.deleteMany({ where: { repo: fullRepo, files: null } });
+    const snapshots = await prisma.locSnapshot.findMany({ where: { repo: fullRepo }, select: { id: true } });
+    for (const { id } of snapshots) { // One at a time, as the lines per file of a big repository add up
+        const snapshot = await prisma.locSnapshot.findUnique({ where: { id }, select: { files: true } });
+        if (!snapshot) continue;
+        const { totalLines, totalFiles, languages } = summarizeTree(JSON.parse(snapshot.files), isIgnored);
+        await prisma.locSnapshot.update({ where: { id }, data: { totalLines, totalFiles, languages: JSON.stringify(languages) } });
+    }
+    if (snapshots.length > 0 || deleted > 0) publish('snapshots', { repo: fullRepo });
+    return { recounted: snapshots.length, deleted };
+}
+
+module.exports = { languageOf, countTree, summarizeTree, takeSnapshots, listSnapshots, recountSnapshots };
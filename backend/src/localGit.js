@@ -0,0 +1,215 @@
+const { spawn, execFile } = require('child_process');
+const readline = require('readline');
+
+/**
+ * Reads commit history from a git clone on disk, instead of the GitHub API. <br>
+ * Commits are returned in the same shape `storeCommit()` in ingest.js expects: sha, author, message, timestamp and per-file changes,
+ * so local repositories end up in the RepoCommit/CommitFile tables just like GitHub repositories. <br>
+ * Requires the `git` executable on the PATH.
+ */
+
+const commitMarker = '\x1e'; // Record separator, starts every commit header in the `git log` output
+const fieldSeparator = '\x1f'; // Unit separator, between the header fields
+const messageEnd = '\x1d'; // Group separator, ends the (multi-line) commit message that closes the header
+
+/**
+ * Runs a git command in the repository and returns its output.
+ * @param localPath
+ * @param args
+ * @returns {Promise<string>}
+ */
+function runGit(localPath, args) {
+    return new Promise((resolve, reject) => {
+        execFile('git', ['-C', localPath, ...args], { maxBuffer: 256 * 1024 * 1024 }, (err, stdout, stderr) => {
+            if (err) return reject(new Error(stderr.trim() || err.message));
+            resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Checks that the path is a git repository with at least one commit (on `branch`, when given). Rejects with git's error message otherwise.
+ * @param localPath
+ * @param branch
+ * @returns {Promise<void>}
+ */
+async function checkRepository(localPath, branch = 'HEAD') {
+    await runGit(localPath, ['rev-parse', '--verify', '--end-of-options', `${branch}^{commit}`]);
+}
+
+/**
+ * Name of the branch checked out in the clone, which stands in for a forge's default branch. <br>
+ * A detached HEAD has no name, so it is tracked as "HEAD".
+ * @param localPath
+ * @returns {Promise<string>}
+ */
+async function getDefaultBranch(localPath) {
+    try {
+        return (await runGit(localPath, ['symbolic-ref', '--short', 'HEAD'])).trim();
+    } catch {
+        return 'HEAD';
+    }
+}
+
+/**
+ * Lists the tags of the clone, newest first, with the commit each one points to (annotated tags are followed to their commit).
+ * @param localPath
+ * @returns {Promise<{name: string, sha: string}[]>}
+ */
+async function listTags(localPath) {
+    const output = await runGit(localPath, [
+        'for-each-ref', '--sort=-creatordate', `--format=%(refname:short)${fieldSeparator}%(objectname)${fieldSeparator}%(*objectname)`, 'refs/tags',
+    ]);
+    return output.split('\n').filter(line => line.length > 0).map((line) => {
+        const [name, sha, commitSha] = line.split(fieldSeparator);
+        return { name, sha: commitSha || sha };
+    });
+}
+
+/**
+ * Lists the sha of every commit reachable from the branch (or HEAD), newest first. <br>
+ * Any revision git understands works as `branch`, such as "origin/release" for a branch that was only fetched. <br>
+ * With `exclude`, commits reachable from that revision are left out (`git rev-list exclude..branch`), e.g. what a tag adds to the one before it.
+ * @param localPath
+ * @param branch
+ * @param exclude
+ * @returns {Promise<string[]>}
+ */
+async function listCommitShas(localPath, branch = 'HEAD', exclude = null) {
+    const output = await runGit(localPath, ['rev-list', '--end-of-options', branch, ...(exclude ? [`^${exclude}`] : []), '--']);
+    return output.split('\n').filter(sha => sha.length > 0);
+}
+
+/**
+ * Resolves the paths of a `--numstat` rename, written as "old => new" or "dir/{old => new}/file".
+ * @param path
+ * @returns {{filename: string, previousFilename: (string|null)}}
+ */
+function parseRenamedPath(path) {
+    const braces = path.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+    if (braces) {
+        const [, prefix, from, to, suffix] = braces;
+        // "{ => dir}" and "{dir => }" leave a double slash behind when one side is empty
+        const join = (middle) => `${prefix}${middle}${suffix}`.replace(/\/\//g, '/');
+        return { filename: join(to), previousFilename: join(from) };
+    }
+    const plain = path.split(' => ');
+    if (plain.length === 2) return { filename: plain[1], previousFilename: plain[0] };
+    return { filename: path, previousFilename: null };
+}
+
+/**
+ * Reads the given commits with `git log --numstat --summary`, calling `onCommit` for each one as it is parsed. <br>
+ * The output is streamed, so even long histories aren't held in memory at once.
+ * @param localPath
+ * @param shas Commits to read
+ * @param onCommit async function receiving `{sha, author, authorEmail, authorLogin, message, timestamp, files}`, where each file has
+ * filename, previousFilename, status, additions and deletions (binary files count as 0 lines)
+ * @returns {Promise<void>}
+ */
+async function readCommits(localPath, shas, onCommit) {
+    if (shas.length === 0) return; // With nothing on stdin, git would read HEAD instead
+    const git = spawn('git', [
+        '-C', localPath, '-c', 'core.quotePath=false',
+        'log', '--no-walk=unsorted', '--stdin', '--numstat', '--summary', '-M',
+        `--format=${commitMarker}%H${fieldSeparator}%an${fieldSeparator}%ae${fieldSeparator}%aI${fieldSeparator}%B${messageEnd}`,
+    ]);
+    const exited = new Promise((resolve, reject) => {
+        git.on('error', reject);
+        git.on('close', resolve);
+    });
+    let stderr = '';
+    git.stderr.on('data', (chunk) => { stderr += chunk; });
+    git.stdin.end(shas.join('\n') + '\n');
+
+    let current = null;
+    let messageLines = null; // Lines of the current commit's message, until its end marker is reached
+    /**
+     * Adds a line to the message being read, and finishes the message at the end marker
+     * @param line
+     */
+    const readMessageLine = (line) => {
+        const end = line.indexOf(messageEnd);
+        messageLines.push(end === -1 ? line : line.slice(0, end));
+        if (end === -1) return;
+        current.message = messageLines.join('\n').trim();
+        messageLines = null;
+    };
+    try {
+        for await (const line of readline.createInterface({ input: git.stdout, crlfDelay: Infinity })) {
+            if (line.startsWith(commitMarker)) {
+                if (current) await onCommit(current);
+                const [sha, author, email, date, firstMessageLine] = line.slice(1).split(fieldSeparator);
+                current = {
+                    sha,
+                    author: author || 'Unknown',
+                    authorEmail: email || null,
+                    authorLogin: null, // A clone has no forge accounts
+                    message: '',
+                    timestamp: new Date(date),
+                    files: [],
+                };
+                messageLines = [];
+                readMessageLine(firstMessageLine);
+                continue;
+            }
+            if (messageLines) {
+                readMessageLine(line);
+                continue;
+            }
+            if (!current || line.length === 0) continue;
+            const numstat = line.match(/^(\d+|-)\t(\d+|-)\t(.*)$/);
+            if (numstat) {
+                const { filename, previousFilename } = parseRenamedPath(numstat[3]);
+                current.files.push({
+                    filename,
+                    previousFilename,
+                    status: previousFilename ? 'renamed' : 'modified',
+                    additions: numstat[1] === '-' ? 0 : parseInt(numstat[1], 10),
+                    deletions: numstat[2] === '-' ? 0 : parseInt(numstat[2], 10),
+                });
+                continue;
+            }
+            // --summary lines, e.g. " create mode 100644 src/new.js" and " delete mode 100644 src/old.js"
+            const summary = line.match(/^ (create|delete) mode \d+ (.*)$/);
+            if (summary) {
+                const file = current.files.find(f => f.filename === summary[2]);
+                if (file) file.status = summary[1] === 'create' ? 'added' : 'removed';
+            }
+        }
+        if (current) await onCommit(current);
+    } catch (err) {
+        git.kill();
+        throw err;
+    }
+    const code = await exited;
+    if (code !== 0) throw new Error(stderr.trim() || `git log exited with code ${code}`);
+}
+
+/**
+ * Streams the tree of a commit as a tar archive (`git archive`) to `onStream`, for counting its lines (see locSnapshots.js). <br>
+ * Every path is put under a "tree/" directory, like the top directory of a forge's tarball.
+ * @param localPath
+ * @param sha
+ * @param onStream async function receiving the archive as a readable stream, done once it returns
+ * @returns {Promise<void>}
+ */
+async function readArchive(localPath, sha, onStream) {
+    const git = spawn('git', ['-C', localPath, 'archive', '--format=tar', '--prefix=tree/', '--end-of-options', sha]);
+    const exited = new Promise((resolve, reject) => {
+        git.on('error', reject);
+        git.on('close', resolve);
+    });
+    let stderr = '';
+    git.stderr.on('data', (chunk) => { stderr += chunk; });
+    try {
+        await onStream(git.stdout);
+    } catch (err) {
+        git.kill();
+        throw err;
+    }
+    const code = await exited;
+    if (code !== 0) throw new Error(stderr.trim() || `git archive exited with code ${code}`);
+}
+
+module.exports = { checkRepository, getDefaultBranch, listTags, listCommitShas, readCommits, readArchive };
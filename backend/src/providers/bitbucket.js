@@ -0,0 +1,108 @@
+const { createRateLimitedClient } = require('../rateLimitedClient');
+
+/**
+ * Bitbucket Cloud provider. `apiUrl` defaults to https://api.bitbucket.org/2.0. <br>
+ * Bitbucket paginates with a `next` URL rather than page numbers, and reports per-file line counts through its diffstat endpoint.
+ * @param owner Workspace the repository belongs to
+ * @param repo Repository slug
+ * @param apiUrl Base URL of the API
+ * @param token Repository/workspace access token, sent as a bearer token
+ * @returns {{name: string, listCommits: function, getCommit: function, getDefaultBranch: function, listTags: function, compareCommits: function}}
+ */
+function createBitbucketProvider({ owner, repo, apiUrl, token }) {
+    const http = createRateLimitedClient({
+        baseURL: `${apiUrl || 'https://api.bitbucket.org/2.0'}/repositories/${owner}/${repo}`,
+        headers: {
+            ...(token && { 'Authorization': `Bearer ${token}` }),
+            'User-Agent': 'GitStatViewer',
+        },
+    }, token);
+
+    return {
+        name: 'bitbucket',
+
+        /**
+         * Lists one page of commits on the branch (main branch when left out), newest first. <br>
+         * The cursor is the full `next` URL from the previous page, which Bitbucket leaves out on the last page.
+         */
+        async listCommits(cursor, perPage, { branch } = {}) {
+            const response = cursor
+                ? await http.get(cursor)
+                : await http.get(branch ? `/commits/${encodeURIComponent(branch)}` : '/commits', { params: { pagelen: perPage } });
+            return {
+                shas: response.data.values.map(commit => commit.hash),
+                next: response.data.next || null,
+            };
+        },
+
+        /**
+         * Lists all of the repository's tags (newest commit first) with the commit each one points to, following the `next` URLs.
+         */
+        async listTags() {
+            const tags = [];
+            let response = await http.get('/refs/tags', { params: { pagelen: 100, sort: '-target.date' } });
+            for (;;) {
+                tags.push(...response.data.values.map(tag => ({ name: tag.name, sha: tag.target.hash })));
+                if (!response.data.next) return tags;
+                response = await http.get(response.data.next);
+            }
+        },
+
+        /**
+         * Lists the commits reachable from `head` but not from `base`, following the `next` URLs.
+         */
+        async compareCommits(base, head) {
+            const shas = [];
+            let response = await http.get('/commits', { params: { include: head, exclude: base, pagelen: 100 } });
+            for (;;) {
+                shas.push(...response.data.values.map(commit => commit.hash));
+                if (!response.data.next) return shas;
+                response = await http.get(response.data.next);
+            }
+        },
+
+        /**
+         * Looks up the repository's main branch.
+         */
+        async getDefaultBranch() {
+            const response = await http.get('');
+            return response.data.mainbranch?.name;
+        },
+
+        /**
+         * Fetches a commit, and its diffstat page by page.
+         */
+        async getCommit(sha) {
+            const detail = await http.get(`/commit/${sha}`);
+            const files = [];
+            let next = `/diffstat/${sha}`;
+            while (next) {
+                const diffstat = await http.get(next);
+                for (const file of diffstat.data.values) {
+                    files.push({
+                        filename: file.new?.path || file.old?.path || '',
+                        previousFilename: file.status === 'renamed' ? file.old?.path || null : null,
+                        status: file.status || 'modified',
+                        additions: file.lines_added || 0,
+                        deletions: file.lines_removed || 0,
+                    });
+                }
+                next = diffstat.data.next || null;
+            }
+            // `raw` is the git author ("Name <email>"), the same name the other providers report
+            const rawName = detail.data.author?.raw?.replace(/\s*<.*>\s*$/, '');
+            const rawEmail = detail.data.author?.raw?.match(/<(.*)>/)?.[1];
+            return {
+                sha,
+                author: rawName || detail.data.author?.user?.display_name || 'Unknown',
+                authorEmail: rawEmail || null,
+                authorLogin: detail.data.author?.user?.nickname || null, // Only set when the email belongs to a Bitbucket account
+                message: detail.data.message || '',
+                timestamp: new Date(detail.data.date || Date.now()),
+                files,
+            };
+        },
+    };
+}
+
+module.exports = { createBitbucketProvider };
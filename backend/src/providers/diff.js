@@ -0,0 +1,58 @@
+/**
+ * Parses a unified diff (as returned by `git diff`/`git show`) into per-file changes. <br>
+ * Used by the providers whose APIs return raw diffs instead of per-file line counts (GitLab and Gitea).
+ */
+
+/**
+ * Counts the added and removed lines in the hunks of a single file's diff. <br>
+ * Only lines inside hunks are counted, so "--- a/file" and "+++ b/file" headers are skipped.
+ * @param diffText
+ * @returns {{additions: number, deletions: number}}
+ */
+function countDiffLines(diffText) {
+    let additions = 0;
+    let deletions = 0;
+    let inHunk = false;
+    for (const line of diffText.split('\n')) {
+        if (line.startsWith('@@')) {
+            inHunk = true;
+        } else if (line.startsWith('diff --git')) {
+            inHunk = false;
+        } else if (inHunk && line.startsWith('+')) {
+            additions++;
+        } else if (inHunk && line.startsWith('-')) {
+            deletions++;
+        }
+    }
+    return { additions, deletions };
+}
+
+/**
+ * Splits a multi-file unified diff into the files it changes.
+ * @param diffText Output of e.g. `git show --format= <sha>`
+ * @returns {{filename: string, previousFilename: (string|null), status: string, additions: number, deletions: number}[]}
+ */
+function parseUnifiedDiff(diffText) {
+    const files = [];
+    // Every file starts with "diff --git a/<old> b/<new>"
+    for (const section of diffText.split(/^(?=diff --git )/m)) {
+        const header = section.match(/^diff --git a\/(.*) b\/(.*)$/m);
+        if (!header) continue;
+        let filename = header[2];
+        let previousFilename = null;
+        let status = 'modified';
+        if (/^new file mode/m.test(section)) status = 'added';
+        if (/^deleted file mode/m.test(section)) status = 'removed';
+        const renameFrom = section.match(/^rename from (.*)$/m);
+        const renameTo = section.match(/^rename to (.*)$/m);
+        if (renameFrom && renameTo) {
+            filename = renameTo[1];
+            previousFilename = renameFrom[1];
+            status = 'renamed';
+        }
+        files.push({ filename, previousFilename, status, ...countDiffLines(section) });
+    }
+    return files;
+}
+
+module.exports = { countDiffLines, parseUnifiedDiff };
@@ -0,0 +1,134 @@
+const { createRateLimitedClient } = require('../rateLimitedClient');
+const { parseUnifiedDiff } = require('./diff');
+
+/**
+ * Gitea provider (also works for Forgejo and Codeberg). There's no public default instance,
+ * so `apiUrl` is required, e.g. "https://gitea.example.com/api/v1". <br>
+ * Gitea's commit JSON only lists changed filenames, so the per-file counts come from the commit's raw diff.
+ * @param owner
+ * @param repo
+ * @param apiUrl Base URL of the API
+ * @param token Access token with repository read access
+ * @returns {{name: string, listCommits: function, getCommit: function, getDefaultBranch: function, getArchive: function, estimateTotal: function, listTags: function, listReleases: function, compareCommits: function}}
+ */
+function createGiteaProvider({ owner, repo, apiUrl, token }) {
+    if (!apiUrl) throw new Error('Gitea repositories need an apiUrl, e.g. https://gitea.example.com/api/v1');
+    const http = createRateLimitedClient({
+        baseURL: `${apiUrl}/repos/${owner}/${repo}`,
+        headers: {
+            ...(token && { 'Authorization': `token ${token}` }),
+            'User-Agent': 'GitStatViewer',
+        },
+    }, token);
+
+    /**
+     * Fetches every page of a listing, until an empty page. Gitea answers at most its MAX_RESPONSE_ITEMS per page (50 by default),
+     * however many are asked for, so a short page doesn't mean the last one.
+     * @param path
+     * @param params
+     * @returns {Promise<object[]>}
+     */
+    const listAll = async (path, params = {}) => {
+        const items = [];
+        for (let page = 1; ; page++) {
+            const response = await http.get(path, { params: { ...params, limit: 50, page } });
+            if (response.data.length === 0) return items;
+            items.push(...response.data);
+        }
+    };
+
+    return {
+        name: 'gitea',
+
+        /**
+         * Lists one page of commits on the branch (`sha` parameter), newest first. <br>
+         * The cursor is the page number. A page with fewer than `perPage` commits is the last one.
+         * Stats, files and signature verification are switched off, since they make the listing slow.
+         */
+        async listCommits(cursor, perPage, { branch } = {}) {
+            const page = cursor || 1;
+            const response = await http.get('/commits', {
+                params: { limit: perPage, page, stat: false, files: false, verification: false, ...(branch && { sha: branch }) },
+            });
+            return {
+                shas: response.data.map(commit => commit.sha),
+                next: response.data.length === perPage ? page + 1 : null,
+            };
+        },
+
+        /**
+         * Counts the commits on the branch from the `x-total-count` header.
+         */
+        async estimateTotal(branch) {
+            const response = await http.get('/commits', {
+                params: { limit: 1, stat: false, files: false, verification: false, ...(branch && { sha: branch }) },
+            });
+            const total = parseInt(response.headers['x-total-count'], 10);
+            return isNaN(total) ? null : total;
+        },
+
+        /**
+         * Lists all of the repository's tags with the commit each one points to.
+         */
+        async listTags() {
+            const tags = await listAll('/tags');
+            return tags.map(tag => ({ name: tag.name, sha: tag.commit.sha }));
+        },
+
+        /**
+         * Lists all of the repository's published releases (newest first) by the tag they were made from.
+         */
+        async listReleases() {
+            const releases = await listAll('/releases', { draft: false });
+            return releases.filter(release => !release.draft).map(release => ({
+                tagName: release.tag_name,
+                name: release.name || release.tag_name,
+                publishedAt: new Date(release.published_at),
+                prerelease: release.prerelease,
+            }));
+        },
+
+        /**
+         * Lists the commits reachable from `head` but not from `base` (`compare/base...head`), which Gitea returns in one response.
+         */
+        async compareCommits(base, head) {
+            const response = await http.get(`/compare/${base}...${head}`);
+            return response.data.commits.map(commit => commit.sha);
+        },
+
+        /**
+         * Looks up the repository's default branch.
+         */
+        async getDefaultBranch() {
+            const response = await http.get('');
+            return response.data.default_branch;
+        },
+
+        /**
+         * Downloads the tree of a commit as a gzipped tarball, as a stream.
+         */
+        async getArchive(sha) {
+            const response = await http.get(`/archive/${sha}.tar.gz`, { responseType: 'stream' });
+            return response.data;
+        },
+
+        /**
+         * Fetches a commit, and parses its raw diff into changed files.
+         */
+        async getCommit(sha) {
+            const detail = await http.get(`/git/commits/${sha}`, { params: { stat: false, verification: false } });
+            const diff = await http.get(`/git/commits/${sha}.diff`, { responseType: 'text' });
+            return {
+                sha,
+                author: detail.data.commit?.author?.name || 'Unknown',
+                authorEmail: detail.data.commit?.author?.email || null,
+                authorLogin: detail.data.author?.login || null,
+                message: detail.data.commit?.message || '',
+                timestamp: new Date(detail.data.commit?.author?.date || Date.now()),
+                files: parseUnifiedDiff(diff.data),
+            };
+        },
+    };
+}
+
+module.exports = { createGiteaProvider };
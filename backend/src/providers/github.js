@@ -0,0 +1,189 @@
+const { createRateLimitedClient } = require('../rateLimitedClient');
+
+/**
+ * GitHub provider (github.com, or GitHub Enterprise through `apiUrl`, e.g. "https://github.example.com/api/v3"). <br>
+ * Commit details include per-file additions/deletions, so no diff parsing is needed.
+ * @param owner
+ * @param repo
+ * @param apiUrl Base URL of the API. Defaults to https://api.github.com
+ * @param token Personal access token
+ * @returns {{name: string, listCommits: function, getCommit: function, getDefaultBranch: function, getArchive: function, estimateTotal: function, listTags: function, listReleases: function, compareCommits: function, listPullRequests: function, getPullRequest: function}}
+ */
+function createGitHubProvider({ owner, repo, apiUrl, token }) {
+    const http = createRateLimitedClient({
+        baseURL: `${apiUrl || 'https://api.github.com'}/repos/${owner}/${repo}`,
+        headers: {
+            ...(token && { 'Authorization': `token ${token}` }),
+            'User-Agent': 'GitStatViewer',
+        },
+    }, token);
+
+    /**
+     * Fetches every page of a listing, 100 items a page. A page with fewer is the last one, like for commits.
+     * @param path
+     * @returns {Promise<object[]>}
+     */
+    const listAll = async (path) => {
+        const items = [];
+        for (let page = 1; ; page++) {
+            const response = await http.get(path, { params: { per_page: 100, page } });
+            items.push(...response.data);
+            if (response.data.length < 100) return items;
+        }
+    };
+
+    return {
+        name: 'github',
+
+        /**
+         * Lists one page of commits on the branch (`sha` parameter), newest first. <br>
+         * The cursor is the page number. A page with fewer than `perPage` commits is the last one. <br>
+         * With the `etag` of an earlier response, GitHub answers 304 (`notModified`) if nothing changed,
+         * which doesn't count against the rate limit.
+         */
+        async listCommits(cursor, perPage, { etag, branch } = {}) {
+            const page = cursor || 1;
+            const response = await http.get('/commits', {
+                params: { per_page: perPage, page, ...(branch && { sha: branch }) },
+                headers: etag ? { 'If-None-Match': etag } : {},
+                validateStatus: status => (status >= 200 && status < 300) || status === 304,
+            });
+            if (response.status === 304) return { shas: [], next: null, etag, notModified: true };
+            return {
+                shas: response.data.map(commit => commit.sha),
+                next: response.data.length === perPage ? page + 1 : null,
+                etag: response.headers.etag || null,
+            };
+        },
+
+        /**
+         * Counts the commits on the branch, by listing one commit per page:
+         * the page number of the `last` link is then the number of commits.
+         */
+        async estimateTotal(branch) {
+            const response = await http.get('/commits', { params: { per_page: 1, ...(branch && { sha: branch }) } });
+            const last = (response.headers.link || '').match(/[?&]page=(\d+)[^>]*>;\s*rel="last"/);
+            return last ? parseInt(last[1], 10) : response.data.length;
+        },
+
+        /**
+         * Lists all of the repository's tags with the commit each one points to, page by page until a short page.
+         */
+        async listTags() {
+            const tags = await listAll('/tags');
+            return tags.map(tag => ({ name: tag.name, sha: tag.commit.sha }));
+        },
+
+        /**
+         * Lists all of the repository's published releases (newest first) by the tag they were made from. Drafts have no tag yet, so they're left out.
+         */
+        async listReleases() {
+            const releases = await listAll('/releases');
+            return releases.filter(release => !release.draft).map(release => ({
+                tagName: release.tag_name,
+                name: release.name || release.tag_name,
+                publishedAt: new Date(release.published_at),
+                prerelease: release.prerelease,
+            }));
+        },
+
+        /**
+         * Lists the commits reachable from `head` but not from `base` (`compare/base...head`), page by page. <br>
+         * GitHub lists at most 100 commits per page, and says how many there are in `total_commits`.
+         */
+        async compareCommits(base, head) {
+            const shas = [];
+            for (let page = 1; ; page++) {
+                const response = await http.get(`/compare/${base}...${head}`, { params: { per_page: 100, page } });
+                shas.push(...response.data.commits.map(commit => commit.sha));
+                if (response.data.commits.length === 0 || shas.length >= response.data.total_commits) return shas;
+            }
+        },
+
+        /**
+         * Looks up the repository's default branch.
+         */
+        async getDefaultBranch() {
+            const response = await http.get('');
+            return response.data.default_branch;
+        },
+
+        /**
+         * Downloads the tree of a commit as a gzipped tarball (a redirect to codeload.github.com), as a stream.
+         */
+        async getArchive(sha) {
+            const response = await http.get(`/tarball/${sha}`, { responseType: 'stream' });
+            return response.data;
+        },
+
+        /**
+         * Lists one page of pull requests (open and closed), most recently updated first. The cursor is the page number.
+         */
+        async listPullRequests(cursor, perPage) {
+            const page = cursor || 1;
+            const response = await http.get('/pulls', {
+                params: { state: 'all', sort: 'updated', direction: 'desc', per_page: perPage, page },
+            });
+            return {
+                pulls: response.data.map(pull => ({ number: pull.number, updatedAt: new Date(pull.updated_at) })),
+                next: response.data.length === perPage ? page + 1 : null,
+            };
+        },
+
+        /**
+         * Fetches a pull request with its size and submitted reviews (up to 100, pending ones are left out).
+         */
+        async getPullRequest(number) {
+            const [detail, reviews] = await Promise.all([
+                http.get(`/pulls/${number}`),
+                http.get(`/pulls/${number}/reviews`, { params: { per_page: 100 } }),
+            ]);
+            const pull = detail.data;
+            return {
+                number,
+                title: pull.title || '',
+                author: pull.user?.login || 'ghost', // GitHub shows deleted accounts as "ghost"
+                state: pull.merged_at ? 'merged' : pull.state,
+                additions: pull.additions ?? null,
+                deletions: pull.deletions ?? null,
+                changedFiles: pull.changed_files ?? null,
+                createdAt: new Date(pull.created_at),
+                closedAt: pull.closed_at ? new Date(pull.closed_at) : null,
+                mergedAt: pull.merged_at ? new Date(pull.merged_at) : null,
+                updatedAt: new Date(pull.updated_at),
+                reviews: reviews.data
+                    .filter(review => review.submitted_at && review.user)
+                    .map(review => ({
+                        id: String(review.id),
+                        reviewer: review.user.login,
+                        state: review.state,
+                        submittedAt: new Date(review.submitted_at),
+                    })),
+            };
+        },
+
+        /**
+         * Fetches a commit with its changed files.
+         */
+        async getCommit(sha) {
+            const detail = await http.get(`/commits/${sha}`);
+            return {
+                sha,
+                author: detail.data.commit?.author?.name || 'Unknown',
+                authorEmail: detail.data.commit?.author?.email || null,
+                authorLogin: detail.data.author?.login || null, // GitHub account the author email belongs to, if any
+                message: detail.data.commit?.message || '',
+                timestamp: new Date(detail.data.commit?.author?.date || Date.now()),
+                files: (detail.data.files || []).map((file) => ({
+                    filename: file.filename || '',
+                    previousFilename: file.previous_filename || null,
+                    status: file.status || 'modified',
+                    additions: file.additions || 0,
+                    deletions: file.deletions || 0,
+                })),
+            };
+        },
+    };
+}
+
+module.exports = { createGitHubProvider };
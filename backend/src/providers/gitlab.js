@@ -0,0 +1,143 @@
+const { createRateLimitedClient } = require('../rateLimitedClient');
+const { countDiffLines } = require('./diff');
+
+/**
+ * GitLab provider (gitlab.com, or a self-hosted instance through `apiUrl`, e.g. "https://gitlab.example.com/api/v4"). <br>
+ * GitLab identifies projects by their URL-encoded path, and its commit diffs come without line counts,
+ * so additions/deletions are counted from the diff text.
+ * @param owner Group (or user) the project belongs to
+ * @param repo
+ * @param apiUrl Base URL of the API. Defaults to https://gitlab.com/api/v4
+ * @param token Personal/project access token with `read_api` or `read_repository` scope
+ * @returns {{name: string, listCommits: function, getCommit: function, getDefaultBranch: function, getArchive: function, estimateTotal: function, listTags: function, listReleases: function, compareCommits: function}}
+ */
+function createGitLabProvider({ owner, repo, apiUrl, token }) {
+    const http = createRateLimitedClient({
+        baseURL: `${apiUrl || 'https://gitlab.com/api/v4'}/projects/${encodeURIComponent(`${owner}/${repo}`)}`,
+        headers: {
+            ...(token && { 'PRIVATE-TOKEN': token }),
+            'User-Agent': 'GitStatViewer',
+        },
+    }, token);
+
+    /**
+     * Fetches every page of a listing, 100 items a page, following the `x-next-page` header like for commits.
+     * @param path
+     * @returns {Promise<object[]>}
+     */
+    const listAll = async (path) => {
+        const items = [];
+        for (let page = 1; page;) {
+            const response = await http.get(path, { params: { per_page: 100, page } });
+            items.push(...response.data);
+            page = parseInt(response.headers['x-next-page'], 10) || null;
+        }
+        return items;
+    };
+
+    return {
+        name: 'gitlab',
+
+        /**
+         * Lists one page of commits on the branch (`ref_name` parameter), newest first. <br>
+         * The cursor is the page number, and GitLab tells the next one in the `x-next-page` header (empty on the last page).
+         */
+        async listCommits(cursor, perPage, { branch } = {}) {
+            const response = await http.get('/repository/commits', {
+                params: { per_page: perPage, page: cursor || 1, ...(branch && { ref_name: branch }) },
+            });
+            const nextPage = parseInt(response.headers['x-next-page'], 10);
+            return {
+                shas: response.data.map(commit => commit.id),
+                next: nextPage || null,
+            };
+        },
+
+        /**
+         * Counts the commits on the branch from the `x-total` header.
+         * GitLab leaves it out for very large projects, in which case there's no estimate.
+         */
+        async estimateTotal(branch) {
+            const response = await http.get('/repository/commits', { params: { per_page: 1, ...(branch && { ref_name: branch }) } });
+            const total = parseInt(response.headers['x-total'], 10);
+            return isNaN(total) ? null : total;
+        },
+
+        /**
+         * Lists all of the project's tags (most recently updated first) with the commit each one points to.
+         */
+        async listTags() {
+            const tags = await listAll('/repository/tags');
+            return tags.map(tag => ({ name: tag.name, sha: tag.commit.id }));
+        },
+
+        /**
+         * Lists all of the project's releases (newest first) by the tag they were made from.
+         */
+        async listReleases() {
+            const releases = await listAll('/releases');
+            return releases.map(release => ({
+                tagName: release.tag_name,
+                name: release.name || release.tag_name,
+                publishedAt: new Date(release.released_at),
+                prerelease: !!release.upcoming_release,
+            }));
+        },
+
+        /**
+         * Lists the commits reachable from `head` but not from `base`, which GitLab returns in one response.
+         */
+        async compareCommits(base, head) {
+            const response = await http.get('/repository/compare', { params: { from: base, to: head } });
+            return response.data.commits.map(commit => commit.id);
+        },
+
+        /**
+         * Looks up the project's default branch.
+         */
+        async getDefaultBranch() {
+            const response = await http.get('');
+            return response.data.default_branch;
+        },
+
+        /**
+         * Downloads the tree of a commit as a gzipped tarball, as a stream.
+         */
+        async getArchive(sha) {
+            const response = await http.get('/repository/archive.tar.gz', { params: { sha }, responseType: 'stream' });
+            return response.data;
+        },
+
+        /**
+         * Fetches a commit, and its diff page by page, counting the changed lines of each file.
+         */
+        async getCommit(sha) {
+            const detail = await http.get(`/repository/commits/${sha}`);
+            const files = [];
+            let page = 1;
+            while (page) {
+                const diff = await http.get(`/repository/commits/${sha}/diff`, { params: { per_page: 100, page } });
+                for (const file of diff.data) {
+                    files.push({
+                        filename: file.new_path,
+                        previousFilename: file.renamed_file ? file.old_path : null,
+                        status: file.new_file ? 'added' : file.deleted_file ? 'removed' : file.renamed_file ? 'renamed' : 'modified',
+                        ...countDiffLines(file.diff || ''),
+                    });
+                }
+                page = parseInt(diff.headers['x-next-page'], 10) || null;
+            }
+            return {
+                sha,
+                author: detail.data.author_name || 'Unknown',
+                authorEmail: detail.data.author_email || null,
+                authorLogin: null, // GitLab only gives the author's name and email
+                message: detail.data.message || '',
+                timestamp: new Date(detail.data.authored_date || Date.now()),
+                files,
+            };
+        },
+    };
+}
+
+module.exports = { createGitLabProvider };
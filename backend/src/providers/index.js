@@ -0,0 +1,67 @@
+const { createGitHubProvider } = require('./github');
+const { createGitLabProvider } = require('./gitlab');
+const { createGiteaProvider } = require('./gitea');
+const { createBitbucketProvider } = require('./bitbucket');
+
+/**
+ * Forge providers. Each one hides a forge's URLs, authentication, pagination and commit JSON behind the same methods: <br>
+ *  `listCommits(cursor, perPage, options)` - one page of commit shas, newest first, plus the cursor of the next page (null on the last page).
+ *  `options.branch` picks the branch (default branch when left out).
+ *  Providers supporting conditional requests also take `options.etag`, and answer `notModified: true` when nothing changed. <br>
+ *  `getCommit(sha)` - the commit as `{sha, author, authorEmail, authorLogin, message, timestamp, files}`, which is what `storeCommit()` in ingest.js stores.
+ *  `authorLogin` is the author's username on the forge, when the forge knows it (null otherwise). <br>
+ *  `getDefaultBranch()` - the name of the repository's default branch. <br>
+ *  `getArchive(sha)` (optional, not on Bitbucket) - the tree of a commit as a stream of a gzipped tarball, for lines of code snapshots (see locSnapshots.js). <br>
+ *  `estimateTotal(branch)` (optional) - the number of commits on the branch, for backfill progress. <br>
+ *  `listTags()` - the repository's tags as `{name, sha}`. <br>
+ *  `listReleases()` (optional, not on Bitbucket) - the releases as `{tagName, name, publishedAt, prerelease}`, see releases.js. <br>
+ *  `listPullRequests(cursor, perPage)` and `getPullRequest(number)` (optional, GitHub only for now) - pull requests and their reviews,
+ *  see pullRequests.js. <br>
+ * Pointing `apiUrl` at a local mock server is enough to test a provider.
+ */
+const providers = {
+    github: { create: createGitHubProvider, tokenEnv: 'GITHUB_TOKEN' },
+    gitlab: { create: createGitLabProvider, tokenEnv: 'GITLAB_TOKEN' },
+    gitea: { create: createGiteaProvider, tokenEnv: 'GITEA_TOKEN' },
+    bitbucket: { create: createBitbucketProvider, tokenEnv: 'BITBUCKET_TOKEN' },
+};
+
+const providerNames = Object.keys(providers);
+const workspaceTokens = new Map(); // Workspace id -> its own GitHub token, kept up to date by workspaces.js
+
+/**
+ * Sets (or with a null token, removes) the GitHub token of a workspace, used for the repos it tracks with `tokenWorkspaceId`.
+ * @param workspaceId
+ * @param token
+ */
+function setWorkspaceToken(workspaceId, token) {
+    if (token) workspaceTokens.set(workspaceId, token);
+    else workspaceTokens.delete(workspaceId);
+}
+
+/**
+ * Creates the provider for a tracked repository. <br>
+ * The token is read from the environment variable named by `tokenEnv`, or the provider's default one (e.g. GITLAB_TOKEN),
+ * so tokens stay in .env rather than the database. Repos tracked with a workspace's credentials (`tokenWorkspaceId`) only ever
+ * use that workspace's GitHub token, never the server's: once it is removed (or on other forges, where workspaces have none),
+ * they're fetched anonymously.
+ * @param tracked TrackedRepo row (or any object with `repo`, and optionally `provider`, `apiUrl`, `tokenEnv` and `tokenWorkspaceId`)
+ * @returns {{name: string, listCommits: function, getCommit: function, getDefaultBranch: function, estimateTotal?: function}}
+ */
+function createProvider(tracked) {
+    const name = tracked.provider || 'github';
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown provider '${tracked.provider}'. Supported: ${providerNames.join(', ')}`);
+    const [owner, repo] = tracked.repo.split('/');
+    const token = tracked.tokenWorkspaceId
+        ? (name === 'github' ? workspaceTokens.get(tracked.tokenWorkspaceId) : undefined)
+        : process.env[tracked.tokenEnv || provider.tokenEnv];
+    return provider.create({
+        owner,
+        repo,
+        apiUrl: tracked.apiUrl ? tracked.apiUrl.replace(/\/+$/, '') : null,
+        token,
+    });
+}
+
+module.exports = { createProvider, providerNames, setWorkspaceToken };
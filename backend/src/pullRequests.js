@@ -0,0 +1,187 @@
+const { prisma } = require('./db');
+const { createProvider } = require('./providers');
+const { publish } = require('./liveEvents');
+
+/**
+ * Pull requests and code reviews: ingested from the forge into the PullRequest/PullRequestReview tables,
+ * and summed up into review metrics (time to first review, time to merge, PR sizes, reviewer load). <br>
+ * Only forges whose provider has `listPullRequests()`/`getPullRequest()` are supported (GitHub for now), and not local clones. <br>
+ * Syncing is incremental: pull requests are listed most recently updated first, and the listing stops at the first one
+ * that hasn't changed since the last sync (`TrackedRepo.pullsSyncedAt`).
+ */
+
+const pageSize = 50;
+const hourMs = 60 * 60 * 1000;
+// Size classes by changed lines (additions + deletions). A pull request is in the first class whose `maxLines` it doesn't exceed
+const sizeClasses = [
+    { size: 'XS', maxLines: 9 },
+    { size: 'S', maxLines: 49 },
+    { size: 'M', maxLines: 249 },
+    { size: 'L', maxLines: 999 },
+    { size: 'XL', maxLines: Infinity },
+];
+
+/**
+ * Stores a pull request (as returned by the provider's `getPullRequest()`) with its reviews, replacing what was stored before.
+ * @param fullRepo
+ * @param pull
+ * @returns {Promise<void>}
+ */
+async function storePullRequest(fullRepo, pull) {
+    const author = pull.author.toLowerCase();
+    const reviews = pull.reviews.map(review => ({
+        reviewId: review.id,
+        reviewer: review.reviewer.toLowerCase(),
+        state: review.state,
+        submittedAt: review.submittedAt,
+    }));
+    // Replying to reviews on your own pull request doesn't count as it being reviewed
+    const firstReviewAt = reviews
+        .filter(review => review.reviewer !== author)
+        .reduce((first, review) => (!first || review.submittedAt < first ? review.submittedAt : first), null);
+    const data = {
+        title: pull.title,
+        author,
+        state: pull.state,
+        additions: pull.additions,
+        deletions: pull.deletions,
+        changedFiles: pull.changedFiles,
+        createdAt: pull.createdAt,
+        closedAt: pull.closedAt,
+        mergedAt: pull.mergedAt,
+        firstReviewAt,
+        updatedAt: pull.updatedAt,
+    };
+    await prisma.pullRequest.upsert({
+        where: { repo_number: { repo: fullRepo, number: pull.number } },
+        create: { repo: fullRepo, number: pull.number, ...data, reviews: { create: reviews } },
+        update: { ...data, reviews: { deleteMany: {}, create: reviews } },
+    });
+}
+
+/**
+ * Brings the stored pull requests of a tracked repository up to date with its forge. <br>
+ * Publishes a 'pulls' event (see liveEvents.js) when anything changed.
+ * @param tracked TrackedRepo row
+ * @returns {Promise<{supported: boolean, updated: number}>} `supported` is false for forges without pull request support, and local clones
+ */
+async function syncPullRequests(tracked) {
+    if (tracked.localPath) return { supported: false, updated: 0 };
+    const provider = createProvider(tracked);
+    if (!provider.listPullRequests) return { supported: false, updated: 0 };
+
+    const since = tracked.pullsSyncedAt;
+    let newest = since;
+    let updated = 0;
+    let cursor = null;
+    let caughtUp = false;
+    do {
+        const { pulls, next } = await provider.listPullRequests(cursor, pageSize);
+        for (const { number, updatedAt } of pulls) {
+            if (since && updatedAt <= since) {
+                caughtUp = true; // Everything from here on was stored by an earlier sync
+                break;
+            }
+            if (!newest || updatedAt > newest) newest = updatedAt;
+            const stored = await prisma.pullRequest.findUnique({
+                where: { repo_number: { repo: tracked.repo, number } },
+                select: { updatedAt: true },
+            });
+            if (stored && stored.updatedAt.getTime() === updatedAt.getTime()) continue; // Stored by a sync that was interrupted
+            await storePullRequest(tracked.repo, await provider.getPullRequest(number));
+            updated++;
+        }
+        cursor = next;
+    } while (cursor && !caughtUp);
+    // Only moved forward once the listing went all the way, so an interrupted sync starts over (skipping what it stored)
+    await prisma.trackedRepo.updateMany({ where: { repo: tracked.repo }, data: { pullsSyncedAt: newest } });
+    if (updated > 0) {
+        console.log(`[${tracked.repo}] Synced ${updated} pull requests`);
+        publish('pulls', { repo: tracked.repo, updated });
+    }
+    return { supported: true, updated };
+}
+
+/**
+ * Count, median, 90th percentile and average of durations in hours. Null values are left out.
+ * @param hours
+ * @returns {{count: number, medianHours: (number|null), p90Hours: (number|null), averageHours: (number|null)}}
+ */
+function durationStats(hours) {
+    const sorted = hours.filter(value => value !== null).sort((a, b) => a - b);
+    if (sorted.length === 0) return { count: 0, medianHours: null, p90Hours: null, averageHours: null };
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)]; // Nearest rank
+    return {
+        count: sorted.length,
+        medianHours: percentile(0.5),
+        p90Hours: percentile(0.9),
+        averageHours: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    };
+}
+
+/**
+ * Hours from one date to another, or null when the second one is missing.
+ * @param from
+ * @param to
+ * @returns {number|null}
+ */
+const hoursBetween = (from, to) => (to ? (to - from) / hourMs : null);
+
+/**
+ * Review metrics of pull requests (PullRequest rows with their `reviews`): <br>
+ *  `timeToFirstReview` - from opening to the first review by someone else, over the pull requests that got one, <br>
+ *  `timeToMerge` - from opening to merging, over the merged pull requests, <br>
+ *  `sizes` - number of pull requests per size class (changed lines, see `sizeClasses`), <br>
+ *  `reviewers` - reviewer load: reviews submitted, pull requests reviewed, approvals, change requests,
+ *  and the median time from a pull request being opened to their first review of it. Most pull requests reviewed first. <br>
+ * Reviewers are grouped by author identity (by their login), like the commit stats.
+ * @param pulls
+ * @param resolve Identity resolver, see `loadIdentityResolver()` in identities.js
+ * @returns {object}
+ */
+function pullRequestStats(pulls, resolve) {
+    const sizes = sizeClasses.map(({ size, maxLines }) => ({ size, maxLines: maxLines === Infinity ? null : maxLines, count: 0 }));
+    const reviewers = new Map();
+    for (const pull of pulls) {
+        if (pull.additions !== null && pull.deletions !== null) {
+            const lines = pull.additions + pull.deletions;
+            sizes[sizeClasses.findIndex(sizeClass => lines <= sizeClass.maxLines)].count += 1;
+        }
+        const firstReviews = new Map(); // Reviewer -> their first review of this pull request
+        for (const review of pull.reviews) {
+            if (review.reviewer === pull.author) continue;
+            const identity = resolve({ name: review.reviewer, login: review.reviewer });
+            const key = identity.id !== null ? `id:${identity.id}` : `name:${identity.name}`;
+            if (!reviewers.has(key)) {
+                reviewers.set(key, {
+                    identityId: identity.id, reviewer: identity.name, reviews: 0, pullRequests: 0, approvals: 0, changesRequested: 0, responseHours: [],
+                });
+            }
+            const stats = reviewers.get(key);
+            stats.reviews += 1;
+            if (review.state === 'APPROVED') stats.approvals += 1;
+            if (review.state === 'CHANGES_REQUESTED') stats.changesRequested += 1;
+            if (!firstReviews.has(key) || review.submittedAt < firstReviews.get(key)) firstReviews.set(key, review.submittedAt);
+        }
+        for (const [key, submittedAt] of firstReviews) {
+            const stats = reviewers.get(key);
+            stats.pullRequests += 1;
+            stats.responseHours.push(hoursBetween(pull.createdAt, submittedAt));
+        }
+    }
+
+    return {
+        total: pulls.length,
+        open: pulls.filter(pull => pull.state === 'open').length,
+        merged: pulls.filter(pull => pull.state === 'merged').length,
+        closedUnmerged: pulls.filter(pull => pull.state === 'closed').length,
+        timeToFirstReview: durationStats(pulls.map(pull => hoursBetween(pull.createdAt, pull.firstReviewAt))),
+        timeToMerge: durationStats(pulls.map(pull => hoursBetween(pull.createdAt, pull.mergedAt))),
+        sizes,
+        reviewers: [...reviewers.values()]
+            .map(({ responseHours, ...stats }) => ({ ...stats, medianResponseHours: durationStats(responseHours).medianHours }))
+            .sort((a, b) => b.pullRequests - a.pullRequests || b.reviews - a.reviews),
+    };
+}
+
+module.exports = { syncPullRequests, pullRequestStats };
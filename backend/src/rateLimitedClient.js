@@ -0,0 +1,173 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Shared HTTP client for the forge APIs (used by every provider in providers/). <br>
+ * Instead of firing requests blindly, it keeps track of the rate limit budget the forge reports in its response headers, and: <br>
+ *  - pauses every request on the same budget once it runs out, until the reset time (and then carries on by itself), <br>
+ *  - honours `Retry-After`, and GitHub's secondary rate limits (403 without `Retry-After` = wait a minute, doubling each time), <br>
+ *  - retries 5xx responses and network errors with exponential backoff, <br>
+ *  - spaces requests on the same budget at least `minSpacing` apart, since bursts are what trigger secondary rate limits. <br>
+ * So a long backfill just slows down and resumes, rather than failing one commit after another.
+ */
+
+const minSpacing = 100; // ms between requests on the same budget. GitHub allows 15 requests per second, we stay at 10
+const maxServerRetries = 5; // Attempts for 5xx/network errors, waiting 1s, 2s, 4s, 8s, 16s
+const secondaryLimitWait = 60 * 1000; // GitHub asks to wait at least a minute after a secondary rate limit, when it gives no Retry-After
+const budgets = new Map(); // One budget per API and token, since that's what forges rate limit by
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Returns the budget shared by every client with the same API and token, creating it on first use. <br>
+ * Tokens are only kept as a short fingerprint, so the status endpoint can tell budgets apart without leaking them.
+ * @param baseURL
+ * @param token
+ * @returns {object}
+ */
+function getBudget(baseURL, token) {
+    const host = new URL(baseURL).host;
+    const fingerprint = token ? crypto.createHash('sha256').update(token).digest('hex').slice(0, 8) : 'anonymous';
+    const key = `${host}#${fingerprint}`;
+    if (!budgets.has(key)) {
+        budgets.set(key, {
+            host,
+            token: fingerprint,
+            limit: null,
+            remaining: null,
+            reset: null, // Date the budget refills
+            pausedUntil: null, // Date requests are held until, after hitting a limit
+            nextRequestAt: 0, // Timestamp (ms) the next request may be sent, for `minSpacing`
+            retries: 0, // Requests retried since start, for the status endpoint
+        });
+    }
+    return budgets.get(key);
+}
+
+/**
+ * Reads the rate limit headers into the budget. <br>
+ * GitHub/Bitbucket send `X-RateLimit-*`, GitLab sends `RateLimit-*`. Both give the reset as epoch seconds.
+ * @param budget
+ * @param headers
+ */
+function updateBudget(budget, headers) {
+    const header = (name) => headers[`x-ratelimit-${name}`] ?? headers[`ratelimit-${name}`];
+    if (header('limit') !== undefined) budget.limit = parseInt(header('limit'), 10);
+    if (header('remaining') !== undefined) budget.remaining = parseInt(header('remaining'), 10);
+    if (header('reset') !== undefined) budget.reset = new Date(parseInt(header('reset'), 10) * 1000);
+}
+
+/**
+ * Holds every request on the budget until `pausedUntil`. Logged once per pause.
+ * @param budget
+ * @param until Date
+ * @param reason
+ */
+function pauseBudget(budget, until, reason) {
+    if (budget.pausedUntil && budget.pausedUntil >= until) return;
+    budget.pausedUntil = until;
+    console.log(`[${budget.host}] ${reason}. Pausing requests until ${until.toLocaleTimeString()}`);
+}
+
+/**
+ * Waits until the budget allows another request: not paused, not exhausted, and `minSpacing` after the previous one.
+ * @param budget
+ * @returns {Promise<void>}
+ */
+async function waitForBudget(budget) {
+    for (;;) {
+        const now = Date.now();
+        if (budget.remaining === 0 && budget.reset > now) {
+            pauseBudget(budget, budget.reset, 'Rate limit budget used up');
+        }
+        if (budget.pausedUntil && budget.pausedUntil > now) {
+            await sleep(budget.pausedUntil - now + 1000); // A second extra, as the forge's clock may be a bit ahead
+            continue;
+        }
+        budget.pausedUntil = null;
+        if (budget.nextRequestAt > now) {
+            await sleep(budget.nextRequestAt - now);
+            continue;
+        }
+        budget.nextRequestAt = now + minSpacing;
+        return;
+    }
+}
+
+/**
+ * Decides how long to wait before retrying a failed request, or null if it shouldn't be retried.
+ * @param budget
+ * @param err axios error
+ * @param attempt How many times the request has been retried already
+ * @returns {number|null} Milliseconds to wait
+ */
+function retryDelay(budget, err, attempt) {
+    const response = err.response;
+    if (!response) return attempt < maxServerRetries ? 1000 * 2 ** attempt : null; // Network error
+    const { status, headers } = response;
+    const retryAfter = parseInt(headers['retry-after'], 10);
+    if (status === 429 || status === 403) {
+        if (!isNaN(retryAfter)) return retryAfter * 1000;
+        if (headers['x-ratelimit-remaining'] === '0' || headers['ratelimit-remaining'] === '0') {
+            return Math.max(budget.reset - Date.now(), 1000); // Primary rate limit: wait for the reset
+        }
+        const message = String(response.data?.message || '');
+        if (status === 429 || /secondary rate limit|abuse/i.test(message)) {
+            return secondaryLimitWait * 2 ** Math.min(attempt, 4);
+        }
+        return null; // A real "forbidden", e.g. a private repo without access
+    }
+    if (status >= 500) return attempt < maxServerRetries ? 1000 * 2 ** attempt : null;
+    return null;
+}
+
+/**
+ * Creates an axios instance going through the budget of its API and token. Takes the same config as `axios.create()`.
+ * @param config axios config, must include `baseURL`
+ * @param token Token the requests are authenticated with (only used to pick the budget)
+ * @returns {import('axios').AxiosInstance}
+ */
+function createRateLimitedClient(config, token) {
+    const budget = getBudget(config.baseURL, token);
+    const http = axios.create(config);
+
+    http.interceptors.request.use(async (requestConfig) => {
+        await waitForBudget(budget);
+        return requestConfig;
+    });
+    http.interceptors.response.use((response) => {
+        updateBudget(budget, response.headers);
+        return response;
+    }, async (err) => {
+        if (err.response) updateBudget(budget, err.response.headers);
+        const requestConfig = err.config;
+        if (!requestConfig) throw err;
+        const attempt = requestConfig.retryAttempt || 0;
+        const delay = retryDelay(budget, err, attempt);
+        if (delay === null) throw err;
+
+        const reason = err.response ? `Request failed with status ${err.response.status}` : `Request failed (${err.message})`;
+        if (err.response && err.response.status < 500) {
+            pauseBudget(budget, new Date(Date.now() + delay), reason); // Rate limits hold back every request on the budget
+        } else {
+            console.log(`[${budget.host}] ${reason}, retrying in ${delay / 1000}s`);
+            await sleep(delay);
+        }
+        budget.retries++;
+        return http.request({ ...requestConfig, retryAttempt: attempt + 1 });
+    });
+    return http;
+}
+
+/**
+ * Current state of every budget, for the '/status/rate-limits' endpoint.
+ * @returns {object[]}
+ */
+function getBudgets() {
+    return [...budgets.values()].map(({ nextRequestAt, ...budget }) => ({
+        ...budget,
+        paused: !!budget.pausedUntil && budget.pausedUntil > Date.now(),
+    }));
+}
+
+module.exports = { createRateLimitedClient, getBudgets };
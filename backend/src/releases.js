@@ -0,0 +1,175 @@
+const { prisma } = require('./db');
+const { createProvider } = require('./providers');
+const localGit = require('./localGit');
+const { publish } = require('./liveEvents');
+const { aggregateAuthors } = require('./stats');
+
+/**
+ * Tags and releases: synced from the forge (or local clone) into the RepoTag table, and summed up per release. <br>
+ * A tag's date is the date of the commit it points to, once that commit is stored, so tags whose commit isn't
+ * stored (yet) have none, and are left out of the chart markers and release summaries. <br>
+ * What went into a release is what its tag can reach and the tag before it (by date) can't: `git rev-list previous..tag`
+ * for a clone, the forge's compare API otherwise. That list is stored on the tag, and listed again when the tag before it changes.
+ */
+
+/**
+ * Replaces the stored tags of a tracked repository with its current tags, and the releases made from them. <br>
+ * Tags deleted on the forge are deleted here too: the providers list every page of tags, so a tag missing from the listing is gone. Publishes a 'tags' event (see liveEvents.js) when anything changed.
+ * @param tracked TrackedRepo row
+ * @returns {Promise<{tags: number, changed: number}>}
+ */
+async function syncTags(tracked) {
+    let tags;
+    let releases = [];
+    let provider = null;
+    if (tracked.localPath) {
+        tags = await localGit.listTags(tracked.localPath);
+    } else {
+        provider = createProvider(tracked);
+        tags = await provider.listTags();
+        if (provider.listReleases) releases = await provider.listReleases();
+    }
+    const releasesByTag = new Map(releases.map(release => [release.tagName, release]));
+    const stored = await prisma.repoTag.findMany({ where: { repo: tracked.repo } });
+    const storedByName = new Map(stored.map(tag => [tag.name, tag]));
+
+    let changed = 0;
+    for (const tag of tags) {
+        const release = releasesByTag.get(tag.name);
+        const data = {
+            sha: tag.sha,
+            releaseName: release?.name ?? null,
+            releasedAt: release?.publishedAt ?? null,
+            prerelease: release?.prerelease ?? false,
+        };
+        const existing = storedByName.get(tag.name);
+        const same = existing && existing.sha === data.sha && existing.releaseName === data.releaseName
+            && existing.releasedAt?.getTime() === data.releasedAt?.getTime() && existing.prerelease === data.prerelease;
+        if (same) continue;
+        await prisma.repoTag.upsert({
+            where: { repo_name: { repo: tracked.repo, name: tag.name } },
+            create: { repo: tracked.repo, name: tag.name, ...data },
+            update: existing?.sha === data.sha ? data : { ...data, rangeBase: null, commitShas: null }, // A moved tag lists its commits again
+        });
+        changed++;
+    }
+    const names = new Set(tags.map(tag => tag.name));
+    const removed = stored.filter(tag => !names.has(tag.name)).map(tag => tag.id);
+    if (removed.length > 0) await prisma.repoTag.deleteMany({ where: { id: { in: removed } } });
+    changed += removed.length;
+    const listed = await listReleaseCommits(tracked, provider);
+    if (changed > 0 || listed > 0) {
+        console.log(`[${tracked.repo}] Synced tags: ${changed} added, changed or removed, commits listed for ${listed}`);
+        publish('tags', { repo: tracked.repo });
+    }
+    return { tags: tags.length, changed };
+}
+
+/**
+ * Lists the commits of every release whose list is missing or was made against another previous tag, and stores them on the tag. <br>
+ * The oldest dated tag has no previous tag, and remote repositories whose forge can't compare (no `compareCommits()`) have no lists,
+ * so `releaseSummaries()` assigns their commits by date.
+ * @param tracked TrackedRepo row
+ * @param provider The repository's provider, unused for local clones
+ * @returns {Promise<number>} How many tags got a new list
+ */
+async function listReleaseCommits(tracked, provider) {
+    if (!tracked.localPath && !provider.compareCommits) return 0;
+    const dated = oldestFirst(await loadTags(tracked.repo));
+    let listed = 0;
+    for (let index = 1; index < dated.length; index++) {
+        const tag = dated[index];
+        const previous = dated[index - 1];
+        if (tag.commitShas !== null && tag.rangeBase === previous.sha) continue;
+        const shas = tracked.localPath
+            ? await localGit.listCommitShas(tracked.localPath, tag.sha, previous.sha)
+            : await provider.compareCommits(previous.sha, tag.sha);
+        await prisma.repoTag.update({ where: { id: tag.id }, data: { rangeBase: previous.sha, commitShas: JSON.stringify(shas) } });
+        listed++;
+    }
+    return listed;
+}
+
+/**
+ * Loads the stored tags of a repository with the date of the commit each one points to (null when it isn't stored),
+ * newest first. Tags without a date come last.
+ * @param fullRepo
+ * @returns {Promise<object[]>} RepoTag rows with `timestamp`, and `commitShas` parsed
+ */
+async function loadTags(fullRepo) {
+    const tags = await prisma.repoTag.findMany({ where: { repo: fullRepo } });
+    const commits = await prisma.repoCommit.findMany({
+        where: { repo: fullRepo, sha: { in: tags.map(tag => tag.sha) } },
+        select: { sha: true, timestamp: true },
+    });
+    const timestamps = new Map(commits.map(commit => [commit.sha, commit.timestamp]));
+    return tags
+        .map(tag => ({ ...tag, commitShas: tag.commitShas === null ? null : JSON.parse(tag.commitShas), timestamp: timestamps.get(tag.sha) ?? null }))
+        .sort((a, b) => (a.timestamp === null) - (b.timestamp === null) || b.timestamp - a.timestamp || b.name.localeCompare(a.name));
+}
+
+/**
+ * The tags with a date, oldest first (by name for the same date).
+ * @param tags Tags with `timestamp`, see `loadTags()`
+ * @returns {object[]}
+ */
+function oldestFirst(tags) {
+    return tags.filter(tag => tag.timestamp !== null).sort((a, b) => a.timestamp - b.timestamp || a.name.localeCompare(b.name));
+}
+
+/**
+ * What went into each release: the commits, authors and added/deleted lines between one tag and the one before it. <br>
+ * Commits are assigned by reachability, from the lists `listReleaseCommits()` stored on the tags, so a commit made before a release
+ * but merged after it counts for the release it shipped in. A tag without a list (the oldest one, or one not listed yet) gets the
+ * remaining commits by date: those up to and including its own commit that no later tag's list has. Tags without a date are left out. <br>
+ * Newest first, starting with the commits in no release (`tag` null), when there are any.
+ * @param tags Tags with `timestamp` and `commitShas`, see `loadTags()`. In any order
+ * @param commits RepoCommit rows with the fields `aggregateAuthors()` needs
+ * @param resolve Identity resolver, see `loadIdentityResolver()` in identities.js
+ * @returns {object[]}
+ */
+function releaseSummaries(tags, commits, resolve) {
+    const dated = oldestFirst(tags);
+    // A list made against another previous tag (e.g. before an older tag got its date) is left out until it is listed again
+    const lists = dated.map((tag, index) => (tag.commitShas !== null && tag.rangeBase === dated[index - 1]?.sha ? tag.commitShas : null));
+    const releaseOf = new Map(); // sha -> index in `dated` of the release that shipped it
+    lists.forEach((shas, index) => {
+        for (const sha of shas ?? []) if (!releaseOf.has(sha)) releaseOf.set(sha, index);
+    });
+    const included = dated.map(() => []);
+    const unreleased = [];
+    for (const commit of commits) {
+        let index = releaseOf.get(commit.sha);
+        if (index === undefined) {
+            // Not in any list: the first release dated at or after the commit, unless that release's list is known to leave it out
+            const first = dated.findIndex(tag => commit.timestamp <= tag.timestamp);
+            if (first !== -1 && lists[first] === null) index = first;
+        }
+        (index === undefined ? unreleased : included[index]).push(commit);
+    }
+    const summarize = (tag, previous, releaseCommits) => {
+        const additions = releaseCommits.reduce((sum, commit) => sum + (commit.additions ?? 0), 0);
+        const deletions = releaseCommits.reduce((sum, commit) => sum + (commit.deletions ?? 0), 0);
+        return {
+            tag: tag?.name ?? null,
+            sha: tag?.sha ?? null,
+            releaseName: tag?.releaseName ?? null,
+            releasedAt: tag?.releasedAt ?? null,
+            prerelease: tag?.prerelease ?? false,
+            timestamp: tag?.timestamp ?? null,
+            previousTag: previous?.name ?? null,
+            commits: releaseCommits.length,
+            additions,
+            deletions,
+            netLines: additions - deletions,
+            authors: aggregateAuthors(releaseCommits, resolve).map(author => ({
+                identityId: author.identityId, author: author.author, commits: author.commits, additions: author.additions, deletions: author.deletions,
+            })),
+        };
+    };
+    const summaries = dated.map((tag, index) => summarize(tag, dated[index - 1] ?? null, included[index]));
+    if (unreleased.length > 0) summaries.push(summarize(null, dated[dated.length - 1] ?? null, unreleased));
+    return summaries.reverse();
+}
+
+module.exports = { syncTags, loadTags, releaseSummaries };
@@ -0,0 +1,157 @@
+/**
+ * Exports of the stored data, for pasting into course reports and sprint reviews: CSV files of the commits and author stats,
+ * and a self-contained HTML report (summary, author table and the codebase size chart, drawn as inline SVG)
+ * that can be archived or attached to a PR without anything else next to it. Used by the '/export' endpoints in index.js.
+ */
+
+const exportFormats = ['json', 'csv'];
+
+// Columns of the commit export. Each row is a RepoCommit with its `identity` (resolved author), `branches` and `coAuthors`
+const commitColumns = [
+    { header: 'sha', value: commit => commit.sha },
+    { header: 'author', value: commit => commit.identity },
+    { header: 'author_name', value: commit => commit.author },
+    { header: 'author_email', value: commit => commit.authorEmail },
+    { header: 'author_login', value: commit => commit.authorLogin },
+    { header: 'timestamp', value: commit => commit.timestamp.toISOString() },
+    { header: 'additions', value: commit => commit.additions },
+    { header: 'deletions', value: commit => commit.deletions },
+    { header: 'branches', value: commit => commit.branches.join(' ') },
+    { header: 'co_authors', value: commit => commit.coAuthors.join('; ') },
+];
+
+// Columns of the author export, one row per entry of `aggregateAuthors()` in stats.js
+const authorColumns = [
+    { header: 'identity_id', value: author => author.identityId },
+    { header: 'author', value: author => author.author },
+    { header: 'commits', value: author => author.commits },
+    { header: 'co_authored', value: author => author.coAuthored },
+    { header: 'additions', value: author => author.additions },
+    { header: 'deletions', value: author => author.deletions },
+    { header: 'avg_lines_changed', value: author => author.avgLinesChanged.toFixed(2) },
+    { header: 'commit_percent', value: author => author.commitPercent.toFixed(2) },
+    { header: 'change_percent', value: author => author.changePercent.toFixed(2) },
+];
+
+/**
+ * Quotes a CSV field when needed (RFC 4180). Null and undefined become an empty field. <br>
+ * Text starting with `=`, `+`, `-` or `@` (e.g. an author name or commit message) gets a `'` in front, so spreadsheets
+ * show it rather than running it as a formula. Numbers are left alone, so negative ones stay numbers.
+ * @param value
+ * @returns {string}
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes rows as CSV, with a header line.
+ * @param rows
+ * @param columns `{header, value}` per column, `value` taking a row
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map(column => csvField(column.header)).join(',')];
+    for (const row of rows) lines.push(columns.map(column => csvField(column.value(row))).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes text for HTML.
+ * @param value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Draws the running lines-of-code total of a time series as an SVG line chart, with the first, middle and last period
+ * labelled on the x-axis and the lowest and highest size on the y-axis.
+ * @param series Output of `buildTimeSeries()` in stats.js
+ * @returns {string} SVG markup
+ */
+function renderChart(series) {
+    const width = 800;
+    const height = 300;
+    const margin = { top: 20, right: 20, bottom: 40, left: 70 };
+    if (series.length === 0) return '<p>No commits in this range.</p>';
+    const values = series.map(point => point.totalLines);
+    const min = Math.min(0, ...values);
+    const max = Math.max(...values, min + 1);
+    const x = (i) => margin.left + (series.length === 1 ? 0 : (i / (series.length - 1)) * (width - margin.left - margin.right));
+    const y = (lines) => height - margin.bottom - ((lines - min) / (max - min)) * (height - margin.top - margin.bottom);
+    const points = series.map((point, i) => `${x(i).toFixed(1)},${y(point.totalLines).toFixed(1)}`).join(' ');
+    const labelled = [...new Set([0, Math.floor((series.length - 1) / 2), series.length - 1])];
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">
+  <line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}" stroke="#999"/>
+  <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}" stroke="#999"/>
+  <text x="${margin.left - 8}" y="${y(max).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${max}</text>
+  <text x="${margin.left - 8}" y="${y(min).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${min}</text>
+${labelled.map(i => `  <text x="${x(i).toFixed(1)}" y="${height - margin.bottom + 20}" text-anchor="middle">${escapeHtml(series[i].period)}</text>`).join('\n')}
+  <polyline points="${points}" fill="none" stroke="#8884d8" stroke-width="2"/>
+</svg>`;
+}
+
+/**
+ * Renders the standalone HTML report of a repository. Everything (styles, chart) is inline, so the file works on its own.
+ * @param repo "owner/repo"
+ * @param filters Description of the filters applied (e.g. `{since, until, branch}`), shown at the top. Empty values are left out
+ * @param summary Output of `summarize()` in stats.js
+ * @param authors Output of `aggregateAuthors()` in stats.js
+ * @param series Output of `buildTimeSeries()` in stats.js
+ * @param interval Interval of the series
+ * @param generatedAt
+ * @returns {string}
+ */
+function renderHtmlReport({ repo, filters, summary, authors, series, interval, generatedAt = new Date() }) {
+    const shownFilters = Object.entries(filters).filter(([, value]) => value !== null && value !== undefined && value !== '');
+    const date = (value) => (value ? value.toISOString().slice(0, 10) : '-');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>GitStatViewer report: ${escapeHtml(repo)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(repo)}</h1>
+<p>Generated ${escapeHtml(generatedAt.toISOString())} by GitStatViewer${shownFilters.length > 0
+        ? `, filtered by ${shownFilters.map(([name, value]) => `${escapeHtml(name)}: ${escapeHtml(value)}`).join(', ')}`
+        : ''}.</p>
+<h2>Summary</h2>
+<table>
+  <tr><td>Commits</td><td>${summary.totalCommits}</td></tr>
+  <tr><td>Authors</td><td>${summary.authors}</td></tr>
+  <tr><td>Lines added</td><td>${summary.additions}</td></tr>
+  <tr><td>Lines removed</td><td>${summary.deletions}</td></tr>
+  <tr><td>Net lines</td><td>${summary.netLines}</td></tr>
+  <tr><td>First commit</td><td>${date(summary.firstCommitAt)}</td></tr>
+  <tr><td>Last commit</td><td>${date(summary.lastCommitAt)}</td></tr>
+</table>
+<h2>Codebase size (per ${escapeHtml(interval)})</h2>
+${renderChart(series)}
+<h2>Authors</h2>
+<table>
+  <tr><th>Author</th><th>Commits</th><th>% of commits</th><th>Co-authored</th><th>Added</th><th>Removed</th><th>% of changes</th><th>Avg lines/commit</th></tr>
+${authors.map(author => `  <tr><td>${escapeHtml(author.author)}</td><td>${author.commits}</td><td>${author.commitPercent.toFixed(1)}</td>`
+        + `<td>${author.coAuthored}</td><td>${author.additions}</td><td>${author.deletions}</td>`
+        + `<td>${author.changePercent.toFixed(1)}</td><td>${author.avgLinesChanged.toFixed(2)}</td></tr>`).join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = { exportFormats, commitColumns, authorColumns, toCsv, renderHtmlReport };
@@ -0,0 +1,213 @@
+/**
+ * Aggregates commits (RepoCommit rows) into the numbers the dashboard shows: summary totals, per-author totals and
+ * a time series of the codebase size. Used by the '/stats' endpoints in index.js, so the frontend doesn't have to
+ * download every commit and add them up itself. <br>
+ * Each commit needs `author`, `authorEmail`, `authorLogin`, `timestamp`, `additions` and `deletions`
+ * (and `coAuthors` for the author stats). Commits whose details are still missing count as 0 lines. <br>
+ * Authors are grouped by identity, through the `resolve` function from `loadIdentityResolver()` in identities.js.
+ */
+
+const intervals = ['day', 'week', 'month'];
+
+/**
+ * Resolves the author of a commit to their identity. Shared with analytics.js and comparison.js, so every view groups authors alike.
+ * @param commit
+ * @param resolve
+ * @returns {{id: (number|null), name: string}}
+ */
+const resolveAuthor = (commit, resolve) => resolve({ name: commit.author, email: commit.authorEmail, login: commit.authorLogin });
+
+/**
+ * Key an identity is grouped under. People without an identity yet are grouped by their exact name.
+ * @param identity
+ * @returns {string}
+ */
+const identityKey = (identity) => (identity.id !== null ? `id:${identity.id}` : `name:${identity.name}`);
+
+/**
+ * Totals over all the commits.
+ * @param commits
+ * @param resolve Identity resolver, for counting authors
+ * @returns {{totalCommits: number, additions: number, deletions: number, netLines: number, authors: number, firstCommitAt: (Date|null), lastCommitAt: (Date|null)}}
+ */
+function summarize(commits, resolve) {
+    let additions = 0;
+    let deletions = 0;
+    let firstCommitAt = null;
+    let lastCommitAt = null;
+    const authors = new Set();
+    for (const commit of commits) {
+        additions += commit.additions ?? 0;
+        deletions += commit.deletions ?? 0;
+        authors.add(identityKey(resolveAuthor(commit, resolve)));
+        if (!firstCommitAt || commit.timestamp < firstCommitAt) firstCommitAt = commit.timestamp;
+        if (!lastCommitAt || commit.timestamp > lastCommitAt) lastCommitAt = commit.timestamp;
+    }
+    return {
+        totalCommits: commits.length,
+        additions,
+        deletions,
+        netLines: additions - deletions,
+        authors: authors.size,
+        firstCommitAt,
+        lastCommitAt,
+    };
+}
+
+/**
+ * Totals per author identity, most commits first. Percentages are of all the commits given, and of all their changed lines. <br>
+ * Commits and lines are credited to the commit's author. Co-authors ("Co-authored-by:" trailers) are counted in `coAuthored`,
+ * so co-authors that never commit themselves still show up.
+ * @param commits
+ * @param resolve Identity resolver, see `loadIdentityResolver()` in identities.js
+ * @returns {{identityId: (number|null), author: string, commits: number, coAuthored: number, additions: number, deletions: number, avgLinesChanged: number, commitPercent: number, changePercent: number}[]}
+ */
+function aggregateAuthors(commits, resolve) {
+    const authorStats = new Map();
+    const statsOf = (identity) => {
+        const key = identityKey(identity);
+        if (!authorStats.has(key)) {
+            authorStats.set(key, { identityId: identity.id, author: identity.name, commits: 0, coAuthored: 0, additions: 0, deletions: 0 });
+        }
+        return authorStats.get(key);
+    };
+    let totalLinesChanged = 0;
+    for (const commit of commits) {
+        const author = resolveAuthor(commit, resolve);
+        const stats = statsOf(author);
+        stats.commits += 1;
+        stats.additions += commit.additions ?? 0;
+        stats.deletions += commit.deletions ?? 0;
+        totalLinesChanged += (commit.additions ?? 0) + (commit.deletions ?? 0);
+        const coAuthorKeys = new Set([identityKey(author)]); // Someone listed twice, or as their own co-author, counts once
+        for (const coAuthor of commit.coAuthors ?? []) {
+            const identity = resolve(coAuthor);
+            if (coAuthorKeys.has(identityKey(identity))) continue;
+            coAuthorKeys.add(identityKey(identity));
+            statsOf(identity).coAuthored += 1;
+        }
+    }
+
+    const authors = [...authorStats.values()].map((stats) => {
+        const linesChanged = stats.additions + stats.deletions;
+        return {
+            ...stats,
+            avgLinesChanged: stats.commits > 0 ? linesChanged / stats.commits : 0,
+            commitPercent: (stats.commits / commits.length) * 100,
+            changePercent: totalLinesChanged > 0 ? (linesChanged / totalLinesChanged) * 100 : 0,
+        };
+    });
+    authors.sort((a, b) => b.commits - a.commits || b.coAuthored - a.coAuthored);
+    return authors;
+}
+
+/**
+ * Start of the day, week (Monday) or month the date falls in, in UTC.
+ * @param date
+ * @param interval 'day', 'week' or 'month'
+ * @returns {Date}
+ */
+function periodStart(date, interval) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    if (interval === 'month') start.setUTCDate(1);
+    return start;
+}
+
+/**
+ * Start of the period after the one starting at `start`.
+ * @param start
+ * @param interval
+ * @returns {Date}
+ */
+function nextPeriod(start, interval) {
+    const next = new Date(start);
+    if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+    if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+    if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+    return next;
+}
+
+/**
+ * Sums the commits up per day, week or month, and keeps a running total of the lines of code (`totalLines`). <br>
+ * Every period from `from` to `to` is included, also the ones without commits, so the chart has no gaps.
+ * @param commits
+ * @param interval 'day', 'week' or 'month'
+ * @param baseline Lines of code before the first period (the net lines of earlier commits, when the range doesn't start at the beginning)
+ * @param from First period to include. Defaults to the oldest commit
+ * @param to Last period to include. Defaults to the newest commit
+ * @returns {{period: string, commits: number, additions: number, deletions: number, netLines: number, totalLines: number}[]}
+ */
+function buildTimeSeries(commits, interval = 'day', baseline = 0, from = null, to = null) {
+    let first = null;
+    let last = null;
+    for (const { timestamp } of commits) {
+        if (!first || timestamp < first) first = timestamp;
+        if (!last || timestamp > last) last = timestamp;
+    }
+    from = from ?? first;
+    to = to ?? last;
+    if (!from || !to) return [];
+
+    const periods = new Map(); // Period start (ms) -> totals of the commits in it
+    for (const commit of commits) {
+        const key = periodStart(commit.timestamp, interval).getTime();
+        if (!periods.has(key)) periods.set(key, { commits: 0, additions: 0, deletions: 0 });
+        const period = periods.get(key);
+        period.commits += 1;
+        period.additions += commit.additions ?? 0;
+        period.deletions += commit.deletions ?? 0;
+    }
+
+    const series = [];
+    let totalLines = baseline;
+    for (let start = periodStart(from, interval); start <= to; start = nextPeriod(start, interval)) {
+        const period = periods.get(start.getTime()) ?? { commits: 0, additions: 0, deletions: 0 };
+        const netLines = period.additions - period.deletions;
+        totalLines += netLines;
+        series.push({
+            period: start.toISOString().slice(0, interval === 'month' ? 7 : 10), // "2024-05" or "2024-05-13"
+            ...period,
+            netLines,
+            totalLines,
+        });
+    }
+    return series;
+}
+
+/**
+ * Reads the page of a commit listing from the query string: `limit` (default 50, at most 500) and `cursor`,
+ * the `nextCursor` of the page before (none for the first page). <br>
+ * The cursor is the id of the last commit of that page, so pages don't shift when new commits come in meanwhile.
+ * @param query `{limit, cursor}` strings
+ * @returns {{limit: number, cursor: (number|null), error?: string}}
+ */
+function parsePage({ limit, cursor } = {}) {
+    const page = { limit: Math.max(1, Math.min(parseInt(limit, 10) || 50, 500)), cursor: null };
+    if (cursor === undefined || cursor === '') return page;
+    if (!/^[1-9]\d*$/.test(String(cursor))) return { ...page, error: 'cursor must be the nextCursor of an earlier page' };
+    return { ...page, cursor: Number(cursor) };
+}
+
+/**
+ * Arguments of `findMany()` for a page from `parsePage()`: one commit more than the limit, to tell whether there's a next page,
+ * starting after the cursor's commit.
+ * @param page
+ * @returns {object}
+ */
+const pageArgs = ({ limit, cursor }) => ({ take: limit + 1, ...(cursor && { cursor: { id: cursor }, skip: 1 }) });
+
+/**
+ * Cuts what `findMany()` returned for `pageArgs()` down to the page, with the cursor of the next one (null on the last page).
+ * @param commits
+ * @param limit
+ * @returns {{commits: object[], nextCursor: (string|null)}}
+ */
+function pageOf(commits, limit) {
+    const page = commits.slice(0, limit);
+    return { commits: page, nextCursor: commits.length > limit ? String(page[page.length - 1].id) : null };
+}
+
+module.exports = {
+    intervals, resolveAuthor, identityKey, summarize, aggregateAuthors, periodStart, nextPeriod, buildTimeSeries, parsePage, pageArgs, pageOf,
+};
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+/**
+ * Helpers for GitHub webhook deliveries ('/webhooks/github' in index.js).
+ */
+
+/**
+ * Checks the `X-Hub-Signature-256` header of a delivery: an HMAC-SHA256 of the raw request body, keyed with the webhook secret. <br>
+ * Compared in constant time, so the signature can't be guessed byte by byte from response times.
+ * @param rawBody Request body exactly as received (Buffer)
+ * @param signatureHeader e.g. "sha256=5f3a..."
+ * @param secret Webhook secret configured on GitHub and in .env
+ * @returns {boolean}
+ */
+function verifySignature(rawBody, signatureHeader, secret) {
+    if (!rawBody || !signatureHeader || !secret) return false;
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+    const received = Buffer.from(signatureHeader);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Picks the commits of a `push` event that should be stored: <br>
+ * only pushes to the tracked branches count (the same commits polling sees), and deleted branches have none.
+ * @param payload Parsed `push` event
+ * @param branches Branches tracked for the repository
+ * @returns {{branch: (string|null), shas: string[]}} Branch pushed to, and the shas of the pushed commits, oldest first
+ */
+function pushedShas(payload, branches) {
+    const branch = payload.ref?.startsWith('refs/heads/') ? payload.ref.slice('refs/heads/'.length) : null;
+    if (payload.deleted || !branches.includes(branch)) return { branch, shas: [] };
+    return { branch, shas: (payload.commits || []).map(commit => commit.id) };
+}
+
+module.exports = { verifySignature, pushedShas };
@@ -0,0 +1,148 @@
+const { prisma } = require('./db');
+const { setWorkspaceToken } = require('./providers');
+
+/**
+ * Workspaces: a user's or team's own set of tracked repositories (WorkspaceRepo), and optionally their own GitHub token. <br>
+ * Tracking is still done once per repository (TrackedRepo), whichever workspaces it's in, and the API only shows
+ * a workspace the repositories it tracks. A repository no workspace tracks anymore stops being polled.
+ * Its settings are the first workspace's to change, see `canManageRepo()`. <br>
+ * Workspace tokens are kept in memory for the providers (see `setWorkspaceToken()` in providers/index.js),
+ * and are never sent back by the API.
+ */
+
+/**
+ * Hands every stored workspace token to the providers. Called when the backend starts.
+ * @returns {Promise<void>}
+ */
+async function loadWorkspaceTokens() {
+    const workspaces = await prisma.workspace.findMany({ where: { githubToken: { not: null } }, select: { id: true, githubToken: true } });
+    for (const workspace of workspaces) setWorkspaceToken(workspace.id, workspace.githubToken);
+}
+
+/**
+ * Creates a workspace with the user as its owner. <br>
+ * With `adoptUntracked`, it takes over every tracked repository that isn't in a workspace yet, and the alert webhooks,
+ * rules and alerts without a workspace (what was set up before accounts existed, which the first user gets).
+ * @param userId
+ * @param name
+ * @param adoptUntracked
+ * @returns {Promise<object>} Workspace row
+ */
+async function createWorkspace(userId, name, adoptUntracked = false) {
+    const workspace = await prisma.workspace.create({
+        data: { name, members: { create: { userId, role: 'owner' } } },
+    });
+    if (adoptUntracked) {
+        const repos = await prisma.trackedRepo.findMany({ where: { repo: { notIn: await linkedRepos() } }, select: { repo: true } });
+        await prisma.workspaceRepo.createMany({ data: repos.map(({ repo }) => ({ workspaceId: workspace.id, repo })) });
+        await prisma.alertWebhook.updateMany({ where: { workspaceId: null }, data: { workspaceId: workspace.id } });
+        await prisma.alertRule.updateMany({ where: { workspaceId: null }, data: { workspaceId: workspace.id } });
+        await prisma.alert.updateMany({ where: { workspaceId: null }, data: { workspaceId: workspace.id } });
+    }
+    return workspace;
+}
+
+/**
+ * Every repository that is in at least one workspace.
+ * @returns {Promise<string[]>}
+ */
+async function linkedRepos() {
+    const links = await prisma.workspaceRepo.findMany({ distinct: ['repo'], select: { repo: true } });
+    return links.map(link => link.repo);
+}
+
+/**
+ * The repositories a workspace tracks.
+ * @param workspace `request.workspace`, see auth.js. null (a user without workspaces) sees none
+ * @returns {Promise<string[]>} "owner/repo"
+ */
+async function workspaceRepos(workspace) {
+    if (!workspace) return [];
+    const links = await prisma.workspaceRepo.findMany({ where: { workspaceId: workspace.id }, orderBy: { id: 'asc' } });
+    return links.map(link => link.repo);
+}
+
+/**
+ * Whether a workspace tracks a repository, i.e. whether requests in that workspace may see its data.
+ * @param workspace `request.workspace`
+ * @param repo "owner/repo"
+ * @returns {Promise<boolean>}
+ */
+async function canSeeRepo(workspace, repo) {
+    if (!workspace || typeof repo !== 'string') return false;
+    return !!(await prisma.workspaceRepo.findUnique({ where: { workspaceId_repo: { workspaceId: workspace.id, repo } } }));
+}
+
+/**
+ * Whether a workspace may change the settings of a repository it tracks (pausing it, its ignore rules, branches and
+ * polling interval). A TrackedRepo is shared by every workspace tracking it, so only the workspace that started tracking it
+ * (the one it was linked to first) and admins can: other workspaces would change it for everyone.
+ * @param user `request.user`
+ * @param workspace `request.workspace`
+ * @param repo "owner/repo"
+ * @returns {Promise<boolean>}
+ */
+async function canManageRepo(user, workspace, repo) {
+    if (user?.isAdmin) return true;
+    if (!workspace) return false;
+    const first = await prisma.workspaceRepo.findFirst({ where: { repo }, orderBy: { id: 'asc' } });
+    return first?.workspaceId === workspace.id;
+}
+
+/**
+ * Adds a repository to a workspace (nothing happens if it's already in it).
+ * @param workspaceId
+ * @param repo
+ * @returns {Promise<void>}
+ */
+async function linkRepo(workspaceId, repo) {
+    await prisma.workspaceRepo.upsert({
+        where: { workspaceId_repo: { workspaceId, repo } },
+        create: { workspaceId, repo },
+        update: {},
+    });
+}
+
+/**
+ * Removes a repository from a workspace.
+ * @param workspaceId
+ * @param repo
+ * @returns {Promise<{removed: boolean, remaining: number}>} Whether it was in the workspace, and how many workspaces still track it
+ */
+async function unlinkRepo(workspaceId, repo) {
+    const { count } = await prisma.workspaceRepo.deleteMany({ where: { workspaceId, repo } });
+    return { removed: count > 0, remaining: await prisma.workspaceRepo.count({ where: { repo } }) };
+}
+
+/**
+ * Sets (or with null, removes) a workspace's own GitHub token.
+ * @param workspaceId
+ * @param githubToken
+ * @returns {Promise<void>}
+ */
+async function setGithubToken(workspaceId, githubToken) {
+    await prisma.workspace.update({ where: { id: workspaceId }, data: { githubToken } });
+    setWorkspaceToken(workspaceId, githubToken);
+}
+
+/**
+ * A workspace as returned by the API: without its token, but telling whether it has one.
+ * @param workspace Workspace row
+ * @param role Role of the user asking ('owner' or 'member')
+ * @returns {{id: number, name: string, role: string, hasGithubToken: boolean}}
+ */
+function describeWorkspace(workspace, role) {
+    return { id: workspace.id, name: workspace.name, role, hasGithubToken: !!workspace.githubToken };
+}
+
+module.exports = {
+    loadWorkspaceTokens,
+    createWorkspace,
+    workspaceRepos,
+    canSeeRepo,
+    canManageRepo,
+    linkRepo,
+    unlinkRepo,
+    setGithubToken,
+    describeWorkspace,
+};
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { withFakePrisma } = require('./fakePrisma');
+
+const ruleCreatedAt = new Date('2024-05-01T00:00:00Z');
+
+describe('alerts', () => {
+    let alerts;
+    let prisma;
+    let posted; // URLs alerts were POSTed to
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        posted = [];
+        mock.method(axios, 'post', async (url) => {
+            posted.push(url);
+            return { status: 200 };
+        });
+        ({ module: alerts, prisma } = withFakePrisma('src/alerts'));
+        prisma.seed('Workspace', [{ id: 1, name: 'Stopped tracking' }, { id: 2, name: 'Tracking' }]);
+        prisma.seed('WorkspaceRepo', [{ workspaceId: 2, repo: 'team/app' }]);
+        prisma.seed('AlertRule', [{ id: 1, workspaceId: 2, repo: 'team/app', kind: 'largeCommit', threshold: 100, createdAt: ruleCreatedAt }]);
+    });
+
+    const event = (timestamp, extra = {}) => ({
+        repo: 'team/app',
+        commit: { sha: 'abc1234', author: 'Ada', timestamp: new Date(timestamp), storedAt: new Date('2024-05-02T00:00:00Z'), additions: 500, deletions: 0 },
+        identity: { id: null, name: 'Ada' },
+        updated: false,
+        history: false,
+        ...extra,
+    });
+
+    it('goes by when a commit was stored, not when it was made', async () => {
+        await alerts.checkCommit(event('2024-04-01T00:00:00Z'));
+        assert.equal(await prisma.alert.count(), 1);
+    });
+
+    it('leaves out old commits a history download stores', async () => {
+        await alerts.checkCommit(event('2024-04-01T00:00:00Z', { history: true }));
+        assert.equal(await prisma.alert.count(), 0);
+        await alerts.checkCommit(event('2024-05-01T12:00:00Z', { history: true }));
+        assert.equal(await prisma.alert.count(), 1);
+    });
+
+    it('only delivers to workspaces that still track the repository', async () => {
+        prisma.seed('AlertWebhook', [
+            { workspaceId: 1, repo: 'team/app', url: 'http://93.184.215.14/stopped' },
+            { workspaceId: 1, repo: null, url: 'http://93.184.215.14/stopped-all' },
+            { workspaceId: 2, repo: 'team/app', url: 'http://93.184.215.14/tracking' },
+            { workspaceId: 2, repo: null, url: 'http://93.184.215.14/tracking-all' },
+            { workspaceId: 2, repo: 'team/other', url: 'http://93.184.215.14/other' },
+        ]);
+        await alerts.checkCommit(event('2024-05-01T12:00:00Z'));
+        assert.deepEqual(posted.sort(), ['http://93.184.215.14/tracking', 'http://93.184.215.14/tracking-all']);
+    });
+
+    it('only delivers to the workspace whose rule fired, and nothing once it stopped tracking the repository', async () => {
+        prisma.seed('WorkspaceRepo', [{ workspaceId: 1, repo: 'team/app' }]);
+        prisma.seed('AlertRule', [{ id: 2, workspaceId: 1, repo: 'team/app', kind: 'largeCommit', threshold: 1, createdAt: ruleCreatedAt }]);
+        prisma.seed('AlertWebhook', [
+            { workspaceId: 1, repo: null, url: 'http://93.184.215.14/one' },
+            { workspaceId: 2, repo: null, url: 'http://93.184.215.14/two' },
+        ]);
+        const smallCommit = event('2024-05-01T12:00:00Z');
+        smallCommit.commit.additions = 50; // Only passes workspace 1's rule
+        await alerts.checkCommit(smallCommit);
+        assert.deepEqual(posted, ['http://93.184.215.14/one']);
+        const [alert] = await prisma.alert.findMany();
+        assert.equal(alert.workspaceId, 1);
+
+        posted = [];
+        await prisma.workspaceRepo.deleteMany({ where: { workspaceId: 1 } });
+        await alerts.checkCommit(smallCommit);
+        assert.deepEqual(posted, []);
+    });
+
+    it('gives rules made before workspaces to the workspace that started tracking the repository', async () => {
+        prisma.seed('WorkspaceRepo', [{ workspaceId: 1, repo: 'team/app' }, { workspaceId: 1, repo: 'team/other' }]); // After workspace 2
+        prisma.seed('AlertRule', [
+            { id: 2, workspaceId: null, repo: 'team/app', kind: 'historyRewrite', createdAt: ruleCreatedAt },
+            { id: 3, workspaceId: null, repo: 'team/gone', kind: 'historyRewrite', createdAt: ruleCreatedAt },
+        ]);
+        prisma.seed('Alert', [{ workspaceId: null, repo: 'team/app', ruleId: 2, kind: 'historyRewrite', message: 'Rewritten' }]);
+        assert.equal(await alerts.claimUnownedRules(), 1);
+        const rules = await prisma.alertRule.findMany({ orderBy: { id: 'asc' } });
+        assert.deepEqual(rules.map(rule => rule.workspaceId), [2, 2, null]);
+        assert.equal((await prisma.alert.findFirst()).workspaceId, 2);
+    });
+
+    it('does not deliver to a private address', async () => {
+        mock.method(console, 'error', () => {});
+        prisma.seed('AlertWebhook', [{ workspaceId: 2, repo: 'team/app', url: 'http://169.254.169.254/latest/meta-data' }]);
+        await alerts.checkCommit(event('2024-05-01T12:00:00Z'));
+        assert.deepEqual(posted, []);
+        assert.equal(await prisma.alert.count(), 1);
+    });
+});
+
+describe('webhook destinations', () => {
+    const { checkWebhookUrl } = withFakePrisma('src/alerts').module;
+
+    it('refuses loopback, private, link-local and metadata addresses', async () => {
+        for (const url of [
+            'http://127.0.0.1:4000/', 'http://localhost/', 'http://10.1.2.3/', 'http://172.20.0.1/', 'http://192.168.1.10/',
+            'http://169.254.169.254/latest/meta-data', 'http://0.0.0.0/', 'http://[::1]/', 'http://[fe80::1]/', 'http://[fd00:ec2::254]/',
+            'http://[::ffff:127.0.0.1]/', 'http://2130706433/',
+        ]) {
+            assert.equal(await checkWebhookUrl(url), 'url must not point to a private, loopback or link-local address', url);
+        }
+    });
+
+    it('refuses what is not an http(s) URL', async () => {
+        assert.equal(await checkWebhookUrl('not a url'), 'url must be a valid URL');
+        assert.equal(await checkWebhookUrl('file:///etc/passwd'), 'url must be http(s)');
+    });
+
+    it('accepts a public address', async () => {
+        assert.equal(await checkWebhookUrl('https://93.184.215.14/hooks/alerts'), null);
+        assert.equal(await checkWebhookUrl('https://[2606:2800:21f:cb07:6820:80da:af6b:8b2c]/hooks'), null);
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { withFakePrisma } = require('./fakePrisma');
+
+/**
+ * Runs the authentication middleware on a request, and tells how it ended.
+ * @param authenticate
+ * @param request `{method, path, headers, query}`
+ * @returns {Promise<{next: boolean, status: (number|null), body: *, request: object}>}
+ */
+async function authenticateRequest(authenticate, { method = 'GET', path = '/repos', headers = {}, query = {} }) {
+    const request = { method, path, query, get: name => headers[name.toLowerCase()] };
+    const result = { next: false, status: null, body: null, request };
+    const response = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        },
+    };
+    await authenticate(request, response, () => { result.next = true; });
+    return result;
+}
+
+describe('authentication', () => {
+    let auth;
+    let prisma;
+    let token;
+    beforeEach(async () => {
+        ({ module: auth, prisma } = withFakePrisma('src/auth'));
+        prisma.seed('User', [{ id: 1, email: 'ada@example.com', name: 'Ada', passwordHash: 'x', isAdmin: false }]);
+        prisma.seed('Workspace', [{ id: 1, name: 'Mine' }, { id: 2, name: 'Team' }, { id: 3, name: 'Someone else' }]);
+        prisma.seed('WorkspaceMember', [{ workspaceId: 1, userId: 1, role: 'owner' }, { workspaceId: 2, userId: 1, role: 'member' }]);
+        ({ token } = await auth.issueToken(1, 'session'));
+    });
+
+    it('signs a request in with a bearer token, in the first workspace by default', async () => {
+        const result = await authenticateRequest(auth.authenticate, { headers: { authorization: `Bearer ${token}` } });
+        assert.equal(result.next, true);
+        assert.equal(result.request.user.id, 1);
+        assert.deepEqual(result.request.workspace, { id: 1, name: 'Mine', role: 'owner' });
+    });
+
+    it('rejects missing, unknown and expired tokens', async () => {
+        assert.equal((await authenticateRequest(auth.authenticate, {})).status, 401);
+        assert.equal((await authenticateRequest(auth.authenticate, { headers: { authorization: 'Bearer gsv_nope' } })).status, 401);
+        await prisma.authToken.updateMany({ data: { expiresAt: new Date(Date.now() - 1000) } });
+        assert.equal((await authenticateRequest(auth.authenticate, { headers: { authorization: `Bearer ${token}` } })).status, 401);
+    });
+
+    it('only takes link tokens in URLs, for their purpose and for a minute', async () => {
+        const { token: eventsToken } = await auth.issueToken(1, 'events');
+        const inUrl = (path, accessToken, method = 'GET') => authenticateRequest(auth.authenticate, { method, path, query: { access_token: accessToken } });
+        assert.equal((await inUrl('/events', eventsToken)).next, true);
+        assert.equal((await inUrl('/export/team/app/commits', eventsToken)).status, 401);
+        assert.equal((await inUrl('/events', eventsToken, 'POST')).status, 401);
+        assert.equal((await inUrl('/events', token)).status, 401); // The session token stays out of URLs
+        const bearer = await authenticateRequest(auth.authenticate, { path: '/events', headers: { authorization: `Bearer ${eventsToken}` } });
+        assert.equal(bearer.status, 401);
+
+        const { token: exportToken, record } = await auth.issueToken(1, 'export');
+        assert.ok(record.expiresAt.getTime() <= Date.now() + 60 * 1000);
+        assert.equal((await inUrl('/export/team/app/commits', exportToken)).next, true);
+        await prisma.authToken.updateMany({ where: { kind: 'export' }, data: { expiresAt: new Date(Date.now() - 1000) } });
+        assert.equal((await inUrl('/export/team/app/commits', exportToken)).status, 401);
+    });
+
+    it('lets signing up and in through without a token', async () => {
+        const result = await authenticateRequest(auth.authenticate, { method: 'POST', path: '/auth/register' });
+        assert.equal(result.next, true);
+    });
+
+    it('switches to a workspace the user is a member of, and refuses others', async () => {
+        const member = await authenticateRequest(auth.authenticate, { headers: { authorization: `Bearer ${token}`, 'x-workspace-id': '2' } });
+        assert.deepEqual(member.request.workspace, { id: 2, name: 'Team', role: 'member' });
+        const other = await authenticateRequest(auth.authenticate, { headers: { authorization: `Bearer ${token}`, 'x-workspace-id': '3' } });
+        assert.equal(other.status, 403);
+        assert.equal(other.next, false);
+    });
+});
+
+describe('signing up', () => {
+    const { canSignUp } = withFakePrisma('src/auth').module;
+    const allowSignup = process.env.ALLOW_SIGNUP;
+    afterEach(() => {
+        if (allowSignup === undefined) delete process.env.ALLOW_SIGNUP;
+        else process.env.ALLOW_SIGNUP = allowSignup;
+    });
+
+    it('is closed after the first account unless ALLOW_SIGNUP=true', () => {
+        delete process.env.ALLOW_SIGNUP;
+        assert.equal(canSignUp(true), true);
+        assert.equal(canSignUp(false), false);
+        process.env.ALLOW_SIGNUP = 'yes';
+        assert.equal(canSignUp(false), false);
+        process.env.ALLOW_SIGNUP = 'true';
+        assert.equal(canSignUp(false), true);
+    });
+});
+
+describe('workspace scoping', () => {
+    let workspaces;
+    let prisma;
+    beforeEach(() => {
+        ({ module: workspaces, prisma } = withFakePrisma('src/workspaces'));
+        prisma.seed('Workspace', [{ id: 1, name: 'One' }, { id: 2, name: 'Two' }]);
+        prisma.seed('WorkspaceRepo', [{ workspaceId: 1, repo: 'team/app' }, { workspaceId: 2, repo: 'team/other' }]);
+    });
+
+    it('only shows a workspace its own repositories', async () => {
+        assert.deepEqual(await workspaces.workspaceRepos({ id: 1 }), ['team/app']);
+        assert.equal(await workspaces.canSeeRepo({ id: 1 }, 'team/app'), true);
+        assert.equal(await workspaces.canSeeRepo({ id: 1 }, 'team/other'), false);
+        assert.equal(await workspaces.canSeeRepo(null, 'team/app'), false);
+        assert.deepEqual(await workspaces.workspaceRepos(null), []);
+    });
+
+    it('only lets the workspace that started tracking a repository, and admins, change its settings', async () => {
+        await workspaces.linkRepo(2, 'team/app'); // Workspace 2 tracks workspace 1's repository too
+        assert.equal(await workspaces.canManageRepo({ isAdmin: false }, { id: 1 }, 'team/app'), true);
+        assert.equal(await workspaces.canManageRepo({ isAdmin: false }, { id: 2 }, 'team/app'), false);
+        assert.equal(await workspaces.canManageRepo({ isAdmin: true }, { id: 2 }, 'team/app'), true);
+        assert.equal(await workspaces.canManageRepo({ isAdmin: false }, null, 'team/app'), false);
+        await workspaces.unlinkRepo(1, 'team/app'); // Then it's the next workspace's
+        assert.equal(await workspaces.canManageRepo({ isAdmin: false }, { id: 2 }, 'team/app'), true);
+    });
+
+    it('tells how many workspaces still track a repository after unlinking it', async () => {
+        await workspaces.linkRepo(2, 'team/app');
+        assert.deepEqual(await workspaces.unlinkRepo(1, 'team/app'), { removed: true, remaining: 1 });
+        assert.deepEqual(await workspaces.unlinkRepo(1, 'team/app'), { removed: false, remaining: 1 });
+    });
+});
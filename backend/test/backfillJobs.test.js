@@ -0,0 +1,39 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { withFakePrisma } = require('./fakePrisma');
+
+describe('backfill job leases', () => {
+    let backfillJobs;
+    let prisma;
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ module: backfillJobs, prisma } = withFakePrisma('src/backfillJobs'));
+    });
+
+    it('lets one process take a queued job', async () => {
+        prisma.seed('BackfillJob', [{ id: 1, repo: 'team/app', branch: 'main', status: 'queued' }]);
+        assert.equal(await backfillJobs.claimJob(1), true);
+        assert.equal(await backfillJobs.claimJob(1), false);
+        const job = await prisma.backfillJob.findUnique({ where: { id: 1 } });
+        assert.equal(job.status, 'running');
+        assert.ok(job.leaseExpiresAt > new Date());
+    });
+
+    it('only queues the running jobs whose lease ran out again', async () => {
+        const now = Date.now();
+        prisma.seed('BackfillJob', [
+            { id: 1, repo: 'team/app', branch: 'main', status: 'running', leaseOwner: 'cli', leaseExpiresAt: new Date(now + 30 * 1000) },
+            { id: 2, repo: 'team/app', branch: 'dev', status: 'running', leaseOwner: 'crashed', leaseExpiresAt: new Date(now - 1000) },
+            { id: 3, repo: 'team/other', branch: 'main', status: 'running', leaseOwner: null, leaseExpiresAt: null },
+        ]);
+        assert.equal(await backfillJobs.requeueAbandonedJobs(), 2);
+        const jobs = await prisma.backfillJob.findMany({ orderBy: { id: 'asc' } });
+        assert.deepEqual(jobs.map(job => job.status), ['running', 'queued', 'queued']);
+    });
+
+    it('leaves the lease out of what the dashboard gets', () => {
+        const described = backfillJobs.describeJob({ id: 1, status: 'running', processed: 0, estimatedTotal: null, leaseOwner: 'host:1', leaseExpiresAt: new Date() });
+        assert.equal('leaseOwner' in described, false);
+        assert.equal('leaseExpiresAt' in described, false);
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareRepos } = require('../src/comparison');
+
+// Both emails belong to Ada's identity
+const resolve = ({ name, email }) => (email?.startsWith('ada@') ? { id: 1, name: 'Ada' } : { id: null, name });
+const commit = (timestamp, author, authorEmail, additions) => ({
+    author, authorEmail, authorLogin: null, timestamp: new Date(timestamp), additions, deletions: 0, coAuthors: [],
+});
+
+const commitsByRepo = new Map([
+    ['team/one', [
+        commit('2024-05-06T10:00:00Z', 'Ada', 'ada@work.example', 10),
+        commit('2024-05-08T10:00:00Z', 'ada', 'ada@home.example', 30),
+        commit('2024-05-09T10:00:00Z', 'Bob', null, 10),
+    ]],
+    ['team/two', [
+        commit('2024-06-03T10:00:00Z', 'Cy', null, 100),
+    ]],
+]);
+
+describe('compareRepos', () => {
+    it('counts the contributors of a month by identity', () => {
+        const { contributors, summaries } = compareRepos(commitsByRepo, resolve);
+        assert.equal(summaries['team/one'].authors, 2);
+        assert.deepEqual(contributors, [
+            { period: '2024-05', 'team/one': 2, 'team/two': null },
+            { period: '2024-06', 'team/one': 0, 'team/two': 1 },
+        ]);
+    });
+
+    it('lines the repositories up by their first week, as percentages of their size', () => {
+        const { size } = compareRepos(commitsByRepo, resolve, { align: 'start', scale: 'percent' });
+        assert.deepEqual(size, [{ period: 0, 'team/one': 100, 'team/two': 100 }]);
+    });
+
+    it('starts the size curves from the lines before the compared range', () => {
+        const { size } = compareRepos(commitsByRepo, resolve, { baselines: new Map([['team/one', 1000]]) });
+        assert.equal(size[0]['team/one'], 1050);
+        assert.equal(size.at(-1)['team/two'], 100);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { countDiffLines, parseUnifiedDiff } = require('../src/providers/diff');
+
+describe('countDiffLines', () => {
+    it('counts only lines inside hunks', () => {
+        const diff = '--- a/app.js\n+++ b/app.js\n@@ -1,3 +1,3 @@\n context\n-old\n+new\n+added\n';
+        assert.deepEqual(countDiffLines(diff), { additions: 2, deletions: 1 });
+    });
+
+    it('does not count lines that look like headers inside a hunk as headers', () => {
+        // A removed "-- comment" line shows up as "--- comment"
+        const diff = '@@ -1,2 +1,1 @@\n--- comment\n+++ counter\n';
+        assert.deepEqual(countDiffLines(diff), { additions: 1, deletions: 1 });
+    });
+
+    it('counts nothing without hunks', () => {
+        assert.deepEqual(countDiffLines('Binary files a/logo.png and b/logo.png differ\n'), { additions: 0, deletions: 0 });
+        assert.deepEqual(countDiffLines(''), { additions: 0, deletions: 0 });
+    });
+});
+
+describe('parseUnifiedDiff', () => {
+    const diff = [
+        'diff --git a/src/new.js b/src/new.js',
+        'new file mode 100644',
+        'index 0000000..1111111',
+        '--- /dev/null',
+        '+++ b/src/new.js',
+        '@@ -0,0 +1,2 @@',
+        '+line one',
+        '+line two',
+        'diff --git a/old.txt b/old.txt',
+        'deleted file mode 100644',
+        '--- a/old.txt',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-bye',
+        'diff --git a/docs/a.md b/docs/b.md',
+        'similarity index 90%',
+        'rename from docs/a.md',
+        'rename to docs/b.md',
+        '@@ -1,2 +1,2 @@',
+        ' title',
+        '-text',
+        '+better text',
+        'diff --git a/logo.png b/logo.png',
+        'Binary files a/logo.png and b/logo.png differ',
+        '',
+    ].join('\n');
+
+    it('splits the diff into files with their status and line counts', () => {
+        assert.deepEqual(parseUnifiedDiff(diff), [
+            { filename: 'src/new.js', previousFilename: null, status: 'added', additions: 2, deletions: 0 },
+            { filename: 'old.txt', previousFilename: null, status: 'removed', additions: 0, deletions: 1 },
+            { filename: 'docs/b.md', previousFilename: 'docs/a.md', status: 'renamed', additions: 1, deletions: 1 },
+            { filename: 'logo.png', previousFilename: null, status: 'modified', additions: 0, deletions: 0 },
+        ]);
+    });
+
+    it('returns no files for an empty diff', () => {
+        assert.deepEqual(parseUnifiedDiff(''), []);
+    });
+});
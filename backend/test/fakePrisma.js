@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * An in-memory stand-in for the Prisma client, built from prisma/schema.prisma, so modules using `prisma` from db.js can be
+ * tested without a database (the query engine isn't needed either). <br>
+ * It covers what this codebase uses: find/count/create/update/upsert/delete(Many), aggregate `_sum`, filters with the usual
+ * operators and `some`/`none`/`every` on relations, nested `create`/`deleteMany` writes, `select`/`include`, `orderBy`, `cursor`,
+ * unique constraints (throwing P2002 like Prisma) and cascading deletes. <br>
+ * Use `withFakePrisma()` to load a module with the fake in place of db.js.
+ */
+
+const scalarTypes = new Set(['String', 'Int', 'Float', 'Boolean', 'DateTime', 'Json', 'BigInt']);
+
+/**
+ * Reads the models, their fields, defaults, unique constraints and relations from the schema.
+ * @returns {Map<string, object>} Model name -> `{name, fields, unique, relations}`
+ */
+function parseSchema() {
+    const text = fs.readFileSync(path.join(__dirname, '../prisma/schema.prisma'), 'utf8');
+    const models = new Map();
+    for (const [, name, body] of text.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)) {
+        const model = { name, fields: new Map(), unique: [], relations: new Map() };
+        for (const rawLine of body.split('\n')) {
+            const line = rawLine.replace(/\/\/.*$/, '').trim();
+            if (!line) continue;
+            const blockUnique = line.match(/^@@(?:unique|id)\(\[(.*?)\]/);
+            if (blockUnique) model.unique.push(blockUnique[1].split(',').map(field => field.trim()));
+            if (line.startsWith('@@')) continue;
+            const [, fieldName, type, modifier = '', attributes = ''] = line.match(/^(\w+)\s+(\w+)(\[\]|\?)?\s*(.*)$/);
+            if (!scalarTypes.has(type)) {
+                const relation = attributes.match(/fields:\s*\[(.*?)\],\s*references:\s*\[(.*?)\]/);
+                model.relations.set(fieldName, {
+                    model: type,
+                    list: modifier === '[]',
+                    fields: relation ? relation[1].split(',').map(field => field.trim()) : null,
+                    references: relation ? relation[2].split(',').map(field => field.trim()) : null,
+                    cascade: /onDelete:\s*Cascade/.test(attributes),
+                });
+                continue;
+            }
+            const defaultValue = attributes.match(/@default\((.*?\)?)\)(?:\s|$)/)?.[1];
+            model.fields.set(fieldName, { type, optional: modifier === '?', defaultValue, updatedAt: attributes.includes('@updatedAt') });
+            if (/@unique|@id/.test(attributes)) model.unique.push([fieldName]);
+        }
+        models.set(name, model);
+    }
+    // The list side of a relation takes its keys from the other side
+    for (const model of models.values()) {
+        for (const relation of model.relations.values()) {
+            if (relation.fields) continue;
+            const other = [...models.get(relation.model).relations.values()].find(r => r.model === model.name && r.fields);
+            relation.fields = other.references;
+            relation.references = other.fields;
+        }
+    }
+    return models;
+}
+
+const clone = (value) => (value instanceof Date ? new Date(value) : value);
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+const equals = (a, b) => comparable(a) === comparable(b);
+
+/**
+ * Creates a fake Prisma client with empty tables.
+ * @returns {object} With a delegate per model (e.g. `repoCommit`), `$transaction`, and `tables` (model name -> rows) to seed or inspect
+ */
+function createFakePrisma() {
+    const models = parseSchema();
+    const tables = new Map([...models.keys()].map(name => [name, []]));
+    const nextIds = new Map([...models.keys()].map(name => [name, 1]));
+
+    const related = (model, row, relationName) => {
+        const relation = model.relations.get(relationName);
+        const rows = tables.get(relation.model).filter(other =>
+            relation.fields.every((field, i) => row[field] !== null && equals(row[field], other[relation.references[i]])));
+        return relation.list ? rows : rows[0] ?? null;
+    };
+
+    const matchesValue = (value, condition) => {
+        if (condition === null || typeof condition !== 'object' || condition instanceof Date) return value === condition || (value !== null && equals(value, condition));
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+            case 'equals': return matchesValue(value, operand);
+            case 'not': return !matchesValue(value, operand);
+            case 'in': return operand.some(option => equals(value, option));
+            case 'notIn': return !operand.some(option => equals(value, option));
+            case 'lt': return value !== null && comparable(value) < comparable(operand);
+            case 'lte': return value !== null && comparable(value) <= comparable(operand);
+            case 'gt': return value !== null && comparable(value) > comparable(operand);
+            case 'gte': return value !== null && comparable(value) >= comparable(operand);
+            case 'contains': return typeof value === 'string' && value.includes(operand);
+            case 'startsWith': return typeof value === 'string' && value.startsWith(operand);
+            case 'endsWith': return typeof value === 'string' && value.endsWith(operand);
+            case 'mode': return true;
+            default: throw new Error(`Fake Prisma doesn't support the '${operator}' filter`);
+            }
+        });
+    };
+
+    const matches = (model, row, where = {}) => Object.entries(where).every(([key, condition]) => {
+        if (condition === undefined) return true;
+        if (key === 'AND') return [].concat(condition).every(part => matches(model, row, part));
+        if (key === 'OR') return condition.some(part => matches(model, row, part));
+        if (key === 'NOT') return ![].concat(condition).some(part => matches(model, row, part));
+        if (model.relations.has(key)) {
+            const relation = model.relations.get(key);
+            const target = models.get(relation.model);
+            const value = related(model, row, key);
+            if (!relation.list) {
+                if (condition === null) return value === null;
+                if ('is' in condition) return condition.is === null ? value === null : !!value && matches(target, value, condition.is);
+                if ('isNot' in condition) return condition.isNot === null ? value !== null : !value || !matches(target, value, condition.isNot);
+                return !!value && matches(target, value, condition);
+            }
+            if (condition.some) return value.some(other => matches(target, other, condition.some));
+            if (condition.none) return !value.some(other => matches(target, other, condition.none));
+            if (condition.every) return value.every(other => matches(target, other, condition.every));
+            throw new Error(`Fake Prisma needs some/none/every to filter on ${key}`);
+        }
+        if (!model.fields.has(key)) return matches(model, row, condition); // A compound unique key, like `repo_sha: {repo, sha}`
+        return matchesValue(row[key], condition);
+    });
+
+    const shape = (model, row, { select, include } = {}) => {
+        const result = {};
+        if (!select) for (const field of model.fields.keys()) result[field] = clone(row[field]);
+        for (const [key, option] of Object.entries(select || include || {})) {
+            if (!option) continue;
+            if (model.fields.has(key)) {
+                result[key] = clone(row[key]);
+                continue;
+            }
+            if (key === '_count') {
+                result._count = Object.fromEntries(Object.keys(option.select).map(name => [name, related(model, row, name).length]));
+                continue;
+            }
+            const relation = model.relations.get(key);
+            const target = models.get(relation.model);
+            const nested = option === true ? {} : option;
+            if (relation.list) {
+                result[key] = query(target, related(model, row, key), nested).map(other => shape(target, other, nested));
+            } else {
+                const value = related(model, row, key);
+                result[key] = value && shape(target, value, nested);
+            }
+        }
+        return result;
+    };
+
+    const query = (model, rows, { where, orderBy, cursor, skip = 0, take } = {}) => {
+        let result = rows.filter(row => matches(model, row, where));
+        for (const order of [].concat(orderBy || []).reverse()) {
+            const [[field, direction]] = Object.entries(order);
+            result = [...result].sort((a, b) => {
+                const [x, y] = [comparable(a[field]), comparable(b[field])];
+                const compared = x === y ? 0 : x === null ? -1 : y === null ? 1 : x < y ? -1 : 1;
+                return direction === 'desc' ? -compared : compared;
+            });
+        }
+        if (cursor) {
+            // Like Prisma, the page starts at the cursor's row (before `skip`), and is empty when that row is gone
+            const start = result.findIndex(row => Object.entries(cursor).every(([field, value]) => equals(row[field], value)));
+            result = start === -1 ? [] : result.slice(start);
+        }
+        return result.slice(skip, take === undefined ? undefined : skip + take);
+    };
+
+    const checkUnique = (model, row) => {
+        for (const fields of model.unique) {
+            if (fields.some(field => row[field] === null || row[field] === undefined)) continue;
+            const clash = tables.get(model.name).some(other => other !== row && fields.every(field => equals(other[field], row[field])));
+            if (clash) {
+                const err = new Error(`Unique constraint failed on the fields: (${fields.join(', ')})`);
+                err.code = 'P2002';
+                throw err;
+            }
+        }
+    };
+
+    const defaultFor = (field) => {
+        const { type, optional, defaultValue, updatedAt } = field;
+        if (updatedAt || defaultValue === 'now()') return new Date();
+        if (defaultValue === undefined) return optional ? null : undefined;
+        if (defaultValue === 'true' || defaultValue === 'false') return defaultValue === 'true';
+        if (defaultValue.startsWith('"')) return JSON.parse(defaultValue);
+        if (type === 'Int' || type === 'Float') return Number(defaultValue);
+        return defaultValue;
+    };
+
+    const applyScalars = (model, row, data) => {
+        for (const [key, value] of Object.entries(data)) {
+            if (value === undefined || !model.fields.has(key)) continue;
+            if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+                if ('increment' in value) row[key] += value.increment;
+                else if ('decrement' in value) row[key] -= value.decrement;
+                else if ('set' in value) row[key] = clone(value.set);
+                continue;
+            }
+            row[key] = clone(value);
+        }
+        for (const [name, field] of model.fields) if (field.updatedAt && !(name in data)) row[name] = new Date();
+    };
+
+    const applyRelations = (model, row, data, { lists = true } = {}) => {
+        for (const [key, operations] of Object.entries(data)) {
+            const relation = model.relations.get(key);
+            if (!relation || operations === undefined || (relation.list && !lists)) continue;
+            const target = models.get(relation.model);
+            if (!relation.list) {
+                if (operations.connect) {
+                    const other = tables.get(target.name).find(candidate => matches(target, candidate, operations.connect));
+                    relation.fields.forEach((field, i) => { row[field] = other[relation.references[i]]; });
+                }
+                continue;
+            }
+            const keys = Object.fromEntries(relation.references.map((field, i) => [field, row[relation.fields[i]]]));
+            if (operations.deleteMany) {
+                removeRows(target, related(model, row, key).filter(other => matches(target, other, operations.deleteMany)));
+            }
+            for (const child of [].concat(operations.create || [], operations.createMany?.data || [])) {
+                insert(target, { ...child, ...keys });
+            }
+        }
+    };
+
+    const insert = (model, data) => {
+        const row = {};
+        for (const [name, field] of model.fields) {
+            if (field.defaultValue === 'autoincrement()') {
+                row[name] = data[name] ?? nextIds.get(model.name);
+                nextIds.set(model.name, Math.max(nextIds.get(model.name), row[name]) + 1);
+            } else {
+                row[name] = defaultFor(field);
+            }
+        }
+        applyScalars(model, row, data);
+        applyRelations(model, row, data, { lists: false }); // Keys of the parent rows first, the children need this row's keys
+        for (const [name, field] of model.fields) {
+            if (row[name] === undefined && !field.optional) throw new Error(`Fake Prisma: ${model.name}.${name} is required`);
+        }
+        checkUnique(model, row);
+        tables.get(model.name).push(row);
+        applyRelations(model, row, Object.fromEntries(Object.entries(data).filter(([key]) => model.relations.get(key)?.list)));
+        return row;
+    };
+
+    const update = (model, row, data) => {
+        const before = { ...row };
+        applyScalars(model, row, data);
+        applyRelations(model, row, data);
+        try {
+            checkUnique(model, row);
+        } catch (err) {
+            Object.assign(row, before);
+            throw err;
+        }
+    };
+
+    function removeRows(model, rows) {
+        for (const row of rows) {
+            for (const [key, relation] of model.relations) {
+                if (!relation.list) continue;
+                const target = models.get(relation.model);
+                const children = related(model, row, key);
+                const back = [...target.relations.values()].find(r => r.model === model.name && r.fields);
+                if (back?.cascade) removeRows(target, children);
+                else for (const child of children) for (const field of back?.fields ?? []) child[field] = null;
+            }
+            const table = tables.get(model.name);
+            const index = table.indexOf(row);
+            if (index !== -1) table.splice(index, 1);
+        }
+    }
+
+    const notFound = (model) => {
+        const err = new Error(`No ${model.name} found`);
+        err.code = 'P2025';
+        return err;
+    };
+
+    const delegate = (model) => {
+        const rows = () => tables.get(model.name);
+        const findOne = (args = {}) => query(model, rows(), args)[0] ?? null;
+        return {
+            findMany: async (args = {}) => query(model, rows(), args).map(row => shape(model, row, args)),
+            findFirst: async (args = {}) => {
+                const row = findOne(args);
+                return row && shape(model, row, args);
+            },
+            findUnique: async (args) => {
+                const row = findOne(args);
+                return row && shape(model, row, args);
+            },
+            findUniqueOrThrow: async (args) => {
+                const row = findOne(args);
+                if (!row) throw notFound(model);
+                return shape(model, row, args);
+            },
+            count: async ({ where } = {}) => query(model, rows(), { where }).length,
+            create: async ({ data, ...args }) => shape(model, insert(model, data), args),
+            createMany: async ({ data }) => {
+                for (const item of data) insert(model, item);
+                return { count: data.length };
+            },
+            update: async ({ where, data, ...args }) => {
+                const row = findOne({ where });
+                if (!row) throw notFound(model);
+                update(model, row, data);
+                return shape(model, row, args);
+            },
+            updateMany: async ({ where, data }) => {
+                const found = query(model, rows(), { where });
+                for (const row of found) update(model, row, data);
+                return { count: found.length };
+            },
+            upsert: async ({ where, create, update: changes, ...args }) => {
+                const row = findOne({ where });
+                if (row) update(model, row, changes);
+                return shape(model, row ?? insert(model, create), args);
+            },
+            delete: async ({ where, ...args }) => {
+                const row = findOne({ where });
+                if (!row) throw notFound(model);
+                const result = shape(model, row, args);
+                removeRows(model, [row]);
+                return result;
+            },
+            deleteMany: async ({ where } = {}) => {
+                const found = query(model, rows(), { where });
+                removeRows(model, found);
+                return { count: found.length };
+            },
+            aggregate: async ({ where, _sum = {}, _count }) => {
+                const found = query(model, rows(), { where });
+                const sum = (field) => found.some(row => row[field] !== null) ? found.reduce((total, row) => total + (row[field] ?? 0), 0) : null;
+                return {
+                    _sum: Object.fromEntries(Object.keys(_sum).map(field => [field, sum(field)])),
+                    ...(_count && { _count: found.length }),
+                };
+            },
+        };
+    };
+
+    const client = { tables };
+    for (const name of models.keys()) client[name[0].toLowerCase() + name.slice(1)] = delegate(models.get(name));
+    client.$transaction = async (operations) => (typeof operations === 'function' ? operations(client) : Promise.all(operations));
+    /**
+     * Adds rows to a table as they are (after defaults), for setting up a test.
+     * @param name Model name, e.g. "RepoCommit"
+     * @param rows
+     */
+    client.seed = (name, rows) => rows.map(row => insert(models.get(name), row));
+    return client;
+}
+
+/**
+ * Loads a backend module (and the modules it requires) with `prisma` from db.js replaced by a fake one. <br>
+ * Every call gets fresh copies of the backend modules, so tests don't share state through module-level caches.
+ * @param modulePath Path relative to the backend directory, e.g. "src/ingest"
+ * @param prisma Fake client, made with `createFakePrisma()` when left out
+ * @returns {{module: object, prisma: object}}
+ */
+function withFakePrisma(modulePath, prisma = createFakePrisma()) {
+    const backend = path.join(__dirname, '..');
+    for (const key of Object.keys(require.cache)) {
+        if (key.startsWith(backend) && !key.includes('node_modules') && !key.startsWith(__dirname)) delete require.cache[key];
+    }
+    const dbPath = require.resolve(path.join(backend, 'src/db'));
+    require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { prisma } };
+    return { module: require(path.join(backend, modulePath)), prisma };
+}
+
+module.exports = { createFakePrisma, withFakePrisma };
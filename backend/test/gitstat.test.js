@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withFakePrisma } = require('./fakePrisma');
+
+/**
+ * Catches what the CLI prints. The test runner reports over stdout too (in buffers, the CLI writes strings), so that goes through.
+ * @returns {{text: string}} `text` grows as the CLI prints
+ */
+function captureStdout() {
+    const captured = { text: '' };
+    const write = process.stdout.write;
+    mock.method(process.stdout, 'write', function (chunk, ...rest) {
+        if (typeof chunk !== 'string') return write.call(this, chunk, ...rest);
+        captured.text += chunk;
+        return true;
+    });
+    return captured;
+}
+
+describe('gitstat arguments', () => {
+    const { UsageError, parseRepo, parseDate } = withFakePrisma('cli/gitstat').module;
+
+    it('reads owner/repo', () => {
+        assert.equal(parseRepo('octo/app'), 'octo/app');
+        for (const value of [undefined, 'app', 'octo/', '/app', 'octo/app/extra']) {
+            assert.throws(() => parseRepo(value), UsageError, String(value));
+        }
+    });
+
+    it('reads dates, and times back from now', () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2024-06-30T12:00:00Z') });
+        try {
+            assert.equal(parseDate(undefined, 'since'), null);
+            assert.deepEqual(parseDate('2024-05-13', 'since'), new Date('2024-05-13T00:00:00Z'));
+            assert.deepEqual(parseDate('30d', 'since'), new Date('2024-05-31T12:00:00Z'));
+            assert.deepEqual(parseDate('2w', 'since'), new Date('2024-06-16T12:00:00Z'));
+            assert.deepEqual(parseDate('1m', 'since'), new Date('2024-05-31T12:00:00Z'));
+            assert.deepEqual(parseDate('1y', 'since'), new Date('2023-07-01T12:00:00Z'));
+        } finally {
+            mock.timers.reset();
+        }
+    });
+
+    it('refuses what isn\'t a date', () => {
+        for (const value of ['yesterday', '30x', 'd30', '2024-13-45']) {
+            assert.throws(() => parseDate(value, 'until'), { name: 'Error', message: /^--until must be a date/ }, value);
+        }
+    });
+});
+
+describe('gitstat output', () => {
+    const { toTable, printJobs } = withFakePrisma('cli/gitstat').module;
+    let written;
+    beforeEach(() => {
+        written = captureStdout();
+    });
+    afterEach(() => {
+        mock.restoreAll();
+        process.exitCode = undefined;
+    });
+
+    it('lines columns up, numbers to the right and text to the left', () => {
+        const columns = [
+            { header: 'author', value: row => row.author },
+            { header: 'commits', value: row => row.commits },
+            { header: 'note', value: row => row.note },
+        ];
+        const table = toTable([{ author: 'Ada Lovelace', commits: 7, note: null }, { author: 'Bob', commits: 120, note: 'new' }], columns);
+        assert.equal(table, [
+            'author        commits  note',
+            '------------  -------  ----',
+            'Ada Lovelace        7',
+            'Bob               120  new',
+            '',
+        ].join('\n'));
+        assert.equal(toTable([], columns), 'author  commits  note\n------  -------  ----\n');
+    });
+
+    it('fails the command when a backfill failed', () => {
+        const row = { repo: 'octo/app', branch: 'main', job: 1, status: 'done', processed: 5, inserted: 5, error: null };
+        printJobs([row], 'table');
+        assert.equal(process.exitCode, undefined);
+        printJobs([row, { ...row, branch: 'dev', job: 2, status: 'failed', error: 'Not Found' }], 'json');
+        assert.equal(process.exitCode, 1);
+        assert.equal(JSON.parse(written.text.slice(written.text.indexOf('['))).length, 2);
+    });
+});
+
+describe('gitstat track', () => {
+    let localPath;
+    before(() => {
+        localPath = fs.mkdtempSync(path.join(os.tmpdir(), 'gitstat-test-'));
+        const git = (...args) => execFileSync('git', ['-C', localPath, ...args], {
+            env: { ...process.env, GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com' },
+        });
+        git('init', '-q', '-b', 'main');
+        fs.writeFileSync(path.join(localPath, 'app.js'), 'one\n');
+        git('add', 'app.js');
+        git('commit', '-q', '-m', 'First');
+    });
+    after(() => fs.rmSync(localPath, { recursive: true, force: true }));
+
+    let gitstat;
+    let prisma;
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        captureStdout();
+        ({ module: gitstat, prisma } = withFakePrisma('cli/gitstat'));
+        gitstat.loadBackend();
+        prisma.seed('TrackedRepo', [{ repo: 'local/app', localPath, paused: true }]);
+    });
+    afterEach(() => mock.restoreAll());
+
+    it('leaves a paused repository paused when it is tracked again, unless asked to resume it', async () => {
+        await gitstat.track('local/app', { format: 'json', queue: true, branch: ['main'] });
+        let tracked = await prisma.trackedRepo.findUnique({ where: { repo: 'local/app' } });
+        assert.equal(tracked.paused, true);
+        assert.equal(tracked.branches, 'main');
+
+        await gitstat.track('local/app', { format: 'json', queue: true, resume: true });
+        tracked = await prisma.trackedRepo.findUnique({ where: { repo: 'local/app' } });
+        assert.equal(tracked.paused, false);
+    });
+});
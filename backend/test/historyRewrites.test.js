@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { withFakePrisma } = require('./fakePrisma');
+
+const longAgo = new Date('2024-01-01T00:00:00Z');
+
+/**
+ * A provider listing the given shas (newest first) as the branch, counting its requests.
+ * @param shas
+ * @returns {object}
+ */
+const branchProvider = (shas) => ({
+    requests: 0,
+    async listCommits(cursor, perPage) {
+        this.requests++;
+        const start = cursor || 0;
+        return { shas: shas.slice(start, start + perPage), next: start + perPage < shas.length ? start + perPage : null };
+    },
+});
+
+describe('history rewrites', () => {
+    let historyRewrites;
+    let prisma;
+    /**
+     * Stores commits of a repository, linked to the branch
+     * @param repo
+     * @param branch
+     * @param shas
+     */
+    const seedBranch = (repo, branch, shas) => {
+        for (const sha of shas) {
+            if (!prisma.tables.get('RepoCommit').some(row => row.repo === repo && row.sha === sha)) {
+                prisma.seed('RepoCommit', [{ repo, sha, author: 'Ada', timestamp: longAgo }]);
+            }
+        }
+        prisma.seed('CommitBranch', shas.map(sha => ({ repo, commitSha: sha, branch, seenAt: longAgo })));
+    };
+    const links = async (repo, branch) => (await prisma.commitBranch.findMany({ where: { repo, branch }, orderBy: { commitSha: 'asc' } }))
+        .map(link => link.commitSha);
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ module: historyRewrites, prisma } = withFakePrisma('src/historyRewrites'));
+        prisma.seed('TrackedRepo', [{ repo: 'team/app', branchHeads: JSON.stringify({ main: 'c3' }) }]);
+        seedBranch('team/app', 'main', ['c1', 'c2', 'c3']);
+    });
+
+    it('returns the new commits of a branch that only grew', async () => {
+        const tracked = await prisma.trackedRepo.findUnique({ where: { repo: 'team/app' } });
+        const provider = branchProvider(['c5', 'c4', 'c3', 'c2', 'c1']);
+        const result = await historyRewrites.reconcileBranch(tracked, 'main', { source: 'poll', provider });
+        assert.deepEqual(result, { head: 'c5', rewritten: false, newShas: ['c5', 'c4'], checkFrom: null });
+        assert.equal(await prisma.historyRewrite.count(), 0);
+    });
+
+    it('unlinks the commits a rewrite left behind, in that repository only', async () => {
+        seedBranch('team/app', 'dev', ['c2']);
+        seedBranch('fork/app', 'main', ['c1', 'c2', 'c3']);
+        const tracked = await prisma.trackedRepo.findUnique({ where: { repo: 'team/app' } });
+        const provider = branchProvider(['x3', 'x2', 'c1']);
+        const result = await historyRewrites.reconcileBranch(tracked, 'main', { source: 'webhook', provider });
+        assert.deepEqual(result, { head: 'x3', rewritten: true, newShas: null, checkFrom: null });
+
+        assert.deepEqual(await links('team/app', 'main'), ['c1']);
+        assert.deepEqual(await links('team/app', 'dev'), ['c2']);
+        assert.deepEqual(await links('fork/app', 'main'), ['c1', 'c2', 'c3']);
+        const unreachable = await prisma.repoCommit.findMany({ where: { unreachableAt: { not: null } } });
+        assert.deepEqual(unreachable.map(({ repo, sha }) => `${repo}@${sha}`), ['team/app@c3']); // c2 is still on dev
+
+        const [rewrite] = await historyRewrites.listRewrites('team/app');
+        assert.deepEqual(
+            { oldHead: rewrite.oldHead, newHead: rewrite.newHead, source: rewrite.source, orphanedShas: rewrite.orphanedShas },
+            { oldHead: 'c3', newHead: 'x3', source: 'webhook', orphanedShas: ['c2', 'c3'] },
+        );
+        const { branchHeads } = await prisma.trackedRepo.findUnique({ where: { repo: 'team/app' } });
+        assert.equal(JSON.parse(branchHeads).main, 'x3');
+    });
+
+    it('leaves a history too long to walk to a backfill', async () => {
+        const tracked = await prisma.trackedRepo.findUnique({ where: { repo: 'team/app' } });
+        const provider = branchProvider(Array.from({ length: 3000 }, (_, i) => `n${3000 - i}`));
+        const result = await historyRewrites.reconcileBranch(tracked, 'main', { source: 'poll', provider });
+        assert.deepEqual(result, { head: 'n3000', rewritten: false, newShas: null, checkFrom: 'c3' });
+        assert.equal(provider.requests, 21); // The 5 latest commits, then 20 pages of 50
+        assert.deepEqual(await links('team/app', 'main'), ['c1', 'c2', 'c3']); // Nothing unlinked yet
+        const { branchHeads } = await prisma.trackedRepo.findUnique({ where: { repo: 'team/app' } });
+        assert.equal(JSON.parse(branchHeads).main, 'n3000');
+    });
+
+    it('lets the backfill unlink what its walk did not come across', async () => {
+        const startedAt = new Date();
+        await prisma.commitBranch.updateMany({ where: { repo: 'team/app', commitSha: 'c1' }, data: { seenAt: new Date(startedAt.getTime() + 1000) } });
+        const orphaned = await historyRewrites.unlinkUnseen('team/app', 'main', { oldHead: 'c3', startedAt });
+        assert.deepEqual(orphaned, ['c2', 'c3']);
+        assert.deepEqual(await links('team/app', 'main'), ['c1']);
+        const [rewrite] = await historyRewrites.listRewrites('team/app');
+        assert.equal(rewrite.source, 'backfill');
+        assert.equal(rewrite.oldHead, 'c3');
+    });
+
+    it('records nothing when the backfill came across every linked commit', async () => {
+        const startedAt = longAgo;
+        assert.deepEqual(await historyRewrites.unlinkUnseen('team/app', 'main', { oldHead: 'c3', startedAt }), []);
+        assert.equal(await prisma.historyRewrite.count(), 0);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeHotspots } = require('../src/hotspots');
+
+const file = (commitSha, filename, additions, deletions, author = 'Ada') => ({ commitSha, filename, additions, deletions, commit: { author } });
+
+const files = [
+    file('c1', 'src/app.js', 30, 10),
+    file('c1', 'src/util.js', 5, 5),
+    file('c2', 'src/app.js', 2, 0, 'Bob'),
+    file('c2', 'src/ui/button.jsx', 20, 20, 'Bob'),
+    file('c3', 'README.md', 50, 0, 'Bob'),
+    file('c4', 'src/ui/form.jsx', 8, 2),
+];
+
+describe('hotspots', () => {
+    it('ranks files by churn, with who changed them most first', () => {
+        const hotspots = computeHotspots(files);
+        assert.deepEqual(hotspots.map(hotspot => `${hotspot.path}:${hotspot.churn}`), [
+            'README.md:50', 'src/app.js:42', 'src/ui/button.jsx:40', 'src/util.js:10', 'src/ui/form.jsx:10',
+        ]);
+        assert.deepEqual(hotspots[1], {
+            path: 'src/app.js', additions: 32, deletions: 10, churn: 42, commits: 2,
+            authors: [{ author: 'Ada', churn: 40 }, { author: 'Bob', churn: 2 }],
+        });
+    });
+
+    it('breaks churn ties by number of commits', () => {
+        const hotspots = computeHotspots([...files, file('c5', 'src/util.js', 0, 0)]);
+        assert.deepEqual(hotspots.slice(3).map(hotspot => hotspot.path), ['src/util.js', 'src/ui/form.jsx']);
+    });
+
+    it('groups by directory, counting a commit once however many of its files are in there, files in the root under "."', () => {
+        const hotspots = computeHotspots(files, 'directory');
+        assert.deepEqual(hotspots.map(hotspot => `${hotspot.path}:${hotspot.churn}:${hotspot.commits}`), ['src:52:2', 'src/ui:50:2', '.:50:1']);
+    });
+
+    it('cuts directories down to the given depth', () => {
+        const hotspots = computeHotspots(files, 'directory', 1);
+        assert.deepEqual(hotspots.map(hotspot => `${hotspot.path}:${hotspot.churn}:${hotspot.commits}`), ['src:102:3', '.:50:1']);
+        assert.deepEqual(hotspots[0].authors, [{ author: 'Ada', churn: 60 }, { author: 'Bob', churn: 42 }]);
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { withFakePrisma } = require('./fakePrisma');
+
+const ada = { name: 'Ada', email: 'ada@example.com', login: 'ada' };
+const adaAtHome = { name: 'Ada', email: 'ada@home.example' };
+const bob = { name: 'Bob', email: 'bob@example.com' };
+
+describe('workspace identities', () => {
+    let identities;
+    let prisma;
+    let shared; // Shared identities by person, as made while storing commits
+    beforeEach(async () => {
+        ({ module: identities, prisma } = withFakePrisma('src/identities'));
+        prisma.seed('Workspace', [{ id: 1, name: 'Editing' }, { id: 2, name: 'Other' }]);
+        for (const person of [ada, adaAtHome, bob]) await identities.ensureIdentity(person);
+        const resolve = await identities.loadIdentityResolver();
+        shared = { ada: resolve(ada), adaAtHome: resolve(adaAtHome), bob: resolve(bob) };
+    });
+
+    const namesIn = async (workspaceId) => {
+        const resolve = await identities.loadIdentityResolver(workspaceId);
+        return [ada, adaAtHome, bob].map(person => resolve(person).name);
+    };
+
+    it('renames an identity for the renaming workspace only', async () => {
+        const renamed = await identities.renameIdentity(1, shared.bob.id, 'Robert');
+        assert.notEqual(renamed, shared.bob.id);
+        assert.deepEqual(await namesIn(1), ['Ada', 'Ada', 'Robert']);
+        assert.deepEqual(await namesIn(2), ['Ada', 'Ada', 'Bob']);
+        assert.deepEqual(await namesIn(null), ['Ada', 'Ada', 'Bob']);
+        assert.equal(await identities.renameIdentity(1, renamed, 'Rob'), renamed);
+        assert.deepEqual(await namesIn(1), ['Ada', 'Ada', 'Rob']);
+    });
+
+    it('merges identities for the merging workspace only', async () => {
+        const merged = await identities.mergeIdentities(1, shared.ada.id, [shared.adaAtHome.id]);
+        const resolve = await identities.loadIdentityResolver(1);
+        assert.equal(resolve(ada).id, merged);
+        assert.equal(resolve(adaAtHome).id, merged);
+        const other = await identities.loadIdentityResolver(2);
+        assert.notEqual(other(ada).id, other(adaAtHome).id);
+        const filter = await identities.identityCommitFilter([merged], 1);
+        assert.deepEqual(filter.OR[1].authorEmail.in.sort(), ['ada@example.com', 'ada@home.example']);
+        assert.deepEqual((await identities.identityCommitFilter([merged], 2)).OR[1].authorEmail.in, []);
+    });
+
+    it('splits an alias off for the splitting workspace only, and forgets identities merged away', async () => {
+        const merged = await identities.mergeIdentities(1, shared.ada.id, [shared.adaAtHome.id]);
+        const [homeAlias] = (await identities.listIdentities(1, [adaAtHome])).flatMap(identity => identity.aliases);
+        const split = await identities.splitIdentity(1, [homeAlias.id], 'Ada at home');
+        const resolve = await identities.loadIdentityResolver(1);
+        assert.equal(resolve(ada).id, merged);
+        assert.deepEqual(resolve(adaAtHome), { id: split, name: 'Ada at home' });
+        assert.equal((await identities.loadIdentityResolver(2))(adaAtHome).id, shared.adaAtHome.id);
+
+        await identities.mergeIdentities(1, split, [merged]);
+        assert.deepEqual(await namesIn(1), ['Ada at home', 'Ada at home', 'Bob']);
+        assert.equal(await prisma.authorIdentity.count({ where: { workspaceId: 1 } }), 1);
+    });
+
+    it('only lists the aliases the workspace\'s commits use', async () => {
+        await identities.ensureIdentity({ name: 'Ada', email: 'ada@secret.example', login: 'ada' }); // Joins Ada's login
+        const listed = await identities.listIdentities(2, [ada, bob]);
+        assert.deepEqual(listed.map(identity => [identity.name, identity.aliases.map(alias => alias.value)]), [
+            ['Ada', ['ada', 'ada@example.com']],
+            ['Bob', ['bob@example.com']],
+        ]);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { withFakePrisma } = require('./fakePrisma');
+const { defaultIgnoreRules, parseIgnoreRules, createIgnoreMatcher, sumChanges } = require('../src/ignoreRules');
+
+describe('ignore rules', () => {
+    it('uses the default rules until a repository has its own', () => {
+        assert.equal(parseIgnoreRules(null), defaultIgnoreRules);
+        assert.deepEqual(parseIgnoreRules(' vendor/ \n\n*.min.js\n'), ['vendor/', '*.min.js']);
+        assert.deepEqual(parseIgnoreRules(''), []);
+    });
+
+    it('matches like a .gitignore file', () => {
+        const isIgnored = createIgnoreMatcher(['# Generated', '/dist/', 'vendor/', '*.min.js', '!keep.min.js', 'docs/**/*.png']);
+        assert.equal(isIgnored('dist/app.js'), true);
+        assert.equal(isIgnored('web/dist/app.js'), false); // Anchored at the root
+        assert.equal(isIgnored('lib/vendor/jquery.js'), true); // Not anchored
+        assert.equal(isIgnored('public/app.min.js'), true);
+        assert.equal(isIgnored('public/keep.min.js'), false);
+        assert.equal(isIgnored('docs/img/deep/logo.png'), true);
+        assert.equal(isIgnored('logo.png'), false);
+        assert.equal(isIgnored(''), false);
+    });
+
+    it('ignores lockfiles in any directory and build outputs in the root by default', () => {
+        const isIgnored = createIgnoreMatcher(defaultIgnoreRules);
+        assert.equal(isIgnored('frontend/package-lock.json'), true);
+        assert.equal(isIgnored('build/index.html'), true);
+        assert.equal(isIgnored('src/build/index.js'), false);
+    });
+
+    it('only sums the changes of files that aren\'t ignored', () => {
+        const files = [
+            { filename: 'src/app.js', additions: 10, deletions: 2 },
+            { filename: 'package-lock.json', additions: 900, deletions: 300 },
+        ];
+        assert.deepEqual(sumChanges(files, createIgnoreMatcher(defaultIgnoreRules)), { additions: 10, deletions: 2 });
+    });
+});
+
+describe('recomputeStats', () => {
+    let ingest;
+    let prisma;
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ module: ingest, prisma } = withFakePrisma('src/ingest'));
+        const commit = { repo: 'team/app', author: 'Ada', timestamp: new Date('2024-05-01T10:00:00Z') };
+        prisma.seed('RepoCommit', [
+            { ...commit, sha: 'c1', additions: 10, deletions: 2, filesStored: true },
+            { ...commit, sha: 'c2', additions: 7, deletions: 0, filesStored: true },
+            { ...commit, sha: 'c3', additions: 99, deletions: 9, filesStored: false },
+        ]);
+        const file = (commitSha, filename, additions, deletions) => ({ repo: 'team/app', commitSha, filename, status: 'modified', additions, deletions });
+        prisma.seed('CommitFile', [
+            file('c1', 'src/app.js', 10, 2),
+            file('c1', 'vendor/lib.js', 500, 100),
+            file('c2', 'src/app.js', 3, 0),
+            file('c2', 'vendor/lib.js', 4, 0),
+        ]);
+    });
+
+    const lines = async () => (await prisma.repoCommit.findMany({ orderBy: { sha: 'asc' } })).map(commit => [commit.additions, commit.deletions]);
+
+    it('recounts every commit with per-file data by the repository\'s current rules', async () => {
+        prisma.seed('TrackedRepo', [{ repo: 'team/app', ignoreRules: 'vendor/' }]);
+        assert.deepEqual(await ingest.recomputeStats('team/app'), { updated: 1, missingFileData: 1 });
+        assert.deepEqual(await lines(), [[10, 2], [3, 0], [99, 9]]);
+    });
+
+    it('counts everything again once the rules are emptied', async () => {
+        prisma.seed('TrackedRepo', [{ repo: 'team/app', ignoreRules: '' }]);
+        assert.deepEqual(await ingest.recomputeStats('team/app'), { updated: 1, missingFileData: 1 });
+        assert.deepEqual(await lines(), [[510, 102], [7, 0], [99, 9]]);
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withFakePrisma } = require('./fakePrisma');
+const { readCommits } = require('../src/localGit');
+
+const commit = (sha, extra = {}) => ({
+    sha,
+    author: 'Ada',
+    authorEmail: 'ada@example.com',
+    authorLogin: null,
+    message: 'Change',
+    timestamp: new Date('2024-05-01T10:00:00Z'),
+    files: [{ filename: 'src/app.js', previousFilename: null, status: 'modified', additions: 4, deletions: 1 }],
+    ...extra,
+});
+
+/**
+ * A provider serving the given shas (newest first) from memory.
+ * @param shas
+ * @returns {object}
+ */
+const memoryProvider = (shas) => ({
+    async listCommits(cursor, perPage) {
+        const start = cursor || 0;
+        return { shas: shas.slice(start, start + perPage), next: start + perPage < shas.length ? start + perPage : null };
+    },
+    async getCommit(sha) {
+        return commit(sha);
+    },
+});
+
+describe('ingest', () => {
+    let ingest;
+    let prisma;
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ module: ingest, prisma } = withFakePrisma('src/ingest'));
+    });
+
+    it('stores the same commit separately for a fork', async () => {
+        await ingest.storeCommit('origin/app', commit('abc'));
+        await ingest.storeCommit('fork/app', commit('abc', { message: 'Change\n\nCo-authored-by: Grace <grace@example.com>' }));
+        const rows = await prisma.repoCommit.findMany({ where: { sha: 'abc' }, include: { files: true, coAuthors: true }, orderBy: { repo: 'asc' } });
+        assert.deepEqual(rows.map(row => row.repo), ['fork/app', 'origin/app']);
+        assert.equal(rows[0].coAuthors.length, 1);
+        assert.equal(rows[1].coAuthors.length, 0);
+        assert.deepEqual(rows.map(row => row.files.length), [1, 1]);
+    });
+
+    it('updates a stored commit in place', async () => {
+        await ingest.storeCommit('origin/app', commit('abc'));
+        await ingest.storeCommit('origin/app', commit('abc', { files: [] }));
+        const rows = await prisma.repoCommit.findMany({ include: { files: true } });
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].additions, 0);
+        assert.equal(rows[0].files.length, 0);
+    });
+
+    it('only treats commits of the same repository as already stored', async () => {
+        await ingest.storeCommit('origin/app', commit('c1'));
+        const provider = memoryProvider(['c3', 'c2', 'c1']);
+        await ingest.syncRepo(provider, 'fork/app', 'main');
+        const fork = await prisma.repoCommit.findMany({ where: { repo: 'fork/app' }, select: { sha: true }, orderBy: { sha: 'asc' } });
+        assert.deepEqual(fork.map(row => row.sha), ['c1', 'c2', 'c3']);
+        assert.equal(await prisma.repoCommit.count({ where: { repo: 'origin/app' } }), 1);
+    });
+
+    it('downloads the full history of a fork, even when the commits are stored for another repository', async () => {
+        const shas = ['f3', 'f2', 'f1'];
+        for (const sha of shas) await ingest.storeCommit('origin/app', commit(sha));
+        await ingest.fetchFullHistory(memoryProvider(shas), 'fork/app', { branch: 'main' });
+        assert.equal(await prisma.repoCommit.count({ where: { repo: 'fork/app' } }), 3);
+        assert.equal(await prisma.commitBranch.count({ where: { repo: 'fork/app', branch: 'main' } }), 3);
+        assert.equal(await prisma.commitBranch.count({ where: { repo: 'origin/app' } }), 0);
+    });
+
+    it('links a branch in one repository only', async () => {
+        await ingest.storeCommit('origin/app', commit('abc'));
+        await ingest.storeCommit('fork/app', commit('abc'));
+        await ingest.linkBranch('fork/app', ['abc', 'unknown'], 'main');
+        await ingest.linkBranch('fork/app', ['abc'], 'main'); // Linking twice is a no-op
+        const links = await prisma.commitBranch.findMany();
+        assert.deepEqual(links.map(({ repo, commitSha, branch }) => ({ repo, commitSha, branch })), [
+            { repo: 'fork/app', commitSha: 'abc', branch: 'main' },
+        ]);
+    });
+
+    it('reads nothing from a local clone when no commit is incomplete', async () => {
+        const localPath = fs.mkdtempSync(path.join(os.tmpdir(), 'gitstat-test-'));
+        try {
+            const git = (...args) => execFileSync('git', ['-C', localPath, ...args], {
+                env: { ...process.env, GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com' },
+            });
+            git('init', '-q');
+            fs.writeFileSync(path.join(localPath, 'app.js'), 'one\n');
+            git('add', 'app.js');
+            git('commit', '-q', '-m', 'Untracked branch head');
+            prisma.seed('TrackedRepo', [{ repo: 'local/app', localPath }]);
+            await ingest.addMissingStats('local/app');
+            assert.equal(await prisma.repoCommit.count(), 0); // HEAD isn't stored
+            const read = [];
+            await readCommits(localPath, [], async commit => read.push(commit));
+            assert.deepEqual(read, []);
+        } finally {
+            fs.rmSync(localPath, { recursive: true, force: true });
+        }
+    });
+
+    it('marks commits that are already linked as seen again', async () => {
+        await ingest.storeCommit('origin/app', commit('abc'));
+        prisma.seed('CommitBranch', [{ repo: 'origin/app', commitSha: 'abc', branch: 'main', seenAt: new Date('2024-01-01T00:00:00Z') }]);
+        await ingest.linkBranch('origin/app', ['abc'], 'main');
+        const [link] = await prisma.commitBranch.findMany();
+        assert.ok(link.seenAt > new Date('2024-01-02T00:00:00Z'));
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { withFakePrisma } = require('./fakePrisma');
+
+describe('event replay', () => {
+    let liveEvents;
+    beforeEach(() => {
+        liveEvents = withFakePrisma('src/liveEvents').module; // A fresh buffer, as after a restart
+    });
+
+    it('replays what a reconnecting client missed, oldest first', () => {
+        liveEvents.publish('commit', { repo: 'team/app', sha: 'a1' });
+        const lastSeen = liveEvents.currentEventId();
+        liveEvents.publish('commit', { repo: 'team/app', sha: 'a2' });
+        liveEvents.publish('tags', { repo: 'team/other' });
+        const missed = liveEvents.eventsSince(lastSeen);
+        assert.deepEqual(missed.map(event => event.type), ['commit', 'tags']);
+        assert.equal(missed[0].data.sha, 'a2');
+        assert.deepEqual(liveEvents.eventsSince(liveEvents.currentEventId()), []);
+        assert.deepEqual(liveEvents.eventsSince(''), []);
+    });
+
+    it('has the client reload when the events can\'t be replayed', () => {
+        const lastSeen = liveEvents.currentEventId();
+        const [runId] = lastSeen.split('-');
+        for (let i = 0; i < 1001; i++) liveEvents.publish('commit', { repo: 'team/app', sha: `s${i}` }); // One more than the buffer keeps
+        assert.equal(liveEvents.eventsSince(lastSeen), null);
+        assert.equal(liveEvents.eventsSince(`${runId}-1`).length, 1000);
+        assert.equal(liveEvents.eventsSince(`${runId}-5000`), null); // From the future
+        assert.equal(liveEvents.eventsSince('oldrun-3'), null); // From before a restart
+        assert.equal(liveEvents.eventsSince('garbage'), null);
+    });
+});
+
+describe('event visibility', () => {
+    const { isVisibleTo } = withFakePrisma('src/liveEvents').module;
+    const event = (repo, data = {}) => ({ repo, data: { repo, ...data } });
+    const client = { workspaceId: 1, repos: new Set(['team/app', 'team/lib']) };
+
+    it('only sends events of the repositories the workspace tracks, or of the one asked for', () => {
+        assert.equal(isVisibleTo(event('team/app'), client), true);
+        assert.equal(isVisibleTo(event('other/secret'), client), false);
+        assert.equal(isVisibleTo(event('team/lib'), { ...client, repo: 'team/app' }), false);
+        assert.equal(isVisibleTo(event(null), { ...client, repo: 'team/app' }), true);
+    });
+
+    it('keeps a workspace\'s own events, like identity edits and alerts, to that workspace', () => {
+        assert.equal(isVisibleTo(event(null, { workspaceId: 1 }), client), true);
+        assert.equal(isVisibleTo(event(null, { workspaceId: 2 }), client), false);
+        assert.equal(isVisibleTo(event('team/app', { workspaceId: 2 }), client), false);
+        assert.equal(isVisibleTo(event(null, { workspaceId: 1 }), { workspaceId: null, repos: new Set() }), false);
+    });
+});
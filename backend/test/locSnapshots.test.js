@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { withFakePrisma } = require('./fakePrisma');
+
+/**
+ * A 512-byte tar header, in the ustar format forges and `git archive` write.
+ * @param name
+ * @param size
+ * @param type
+ * @returns {Buffer}
+ */
+function tarHeader(name, size, type = '0') {
+    const header = Buffer.alloc(512);
+    header.write(name.slice(0, 100), 0);
+    header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(type, 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    return header;
+}
+
+/**
+ * An entry of a tar archive: its header, then its content padded to whole blocks.
+ * @param name
+ * @param content
+ * @param type
+ * @returns {Buffer}
+ */
+function tarEntry(name, content, type = '0') {
+    const body = Buffer.from(content);
+    return Buffer.concat([tarHeader(name, body.length, type), body, Buffer.alloc((512 - (body.length % 512)) % 512)]);
+}
+
+/**
+ * A tar archive of entries, ended with the two empty blocks, streamed in small chunks so headers are split over them.
+ * @param entries Buffers from `tarEntry()`
+ * @param options `ended: false` leaves the end of the archive out
+ * @returns {Readable}
+ */
+function tarStream(entries, { ended = true } = {}) {
+    const archive = Buffer.concat([...entries, ...(ended ? [Buffer.alloc(1024)] : [])]);
+    const chunks = [];
+    for (let offset = 0; offset < archive.length; offset += 300) chunks.push(archive.subarray(offset, offset + 300));
+    return Readable.from(chunks);
+}
+
+const paxRecord = (key, value) => {
+    const text = ` ${key}=${value}\n`;
+    let length = text.length;
+    while (`${length}`.length + text.length !== length) length = `${length}`.length + text.length; // It counts its own digits
+    return `${length}${text}`;
+};
+
+describe('countTree', () => {
+    const { countTree, summarizeTree } = withFakePrisma('src/locSnapshots').module;
+
+    it('counts the lines of every file, without the archive\'s top directory', async () => {
+        const files = await countTree(tarStream([
+            tarEntry('app-abc123/', '', '5'),
+            tarEntry('app-abc123/index.js', 'one\ntwo\nthree'),
+            tarEntry('app-abc123/README.md', 'title\n'),
+            tarEntry('app-abc123/empty.txt', ''),
+        ]));
+        assert.deepEqual(files, { 'index.js': 3, 'README.md': 1, 'empty.txt': 0 });
+    });
+
+    it('skips binary files', async () => {
+        const files = await countTree(tarStream([
+            tarEntry('app-abc123/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x0a, 0x0a])),
+            tarEntry('app-abc123/main.py', 'print(1)\n'),
+        ]));
+        assert.deepEqual(files, { 'main.py': 1 });
+    });
+
+    it('takes long paths from GNU long name entries', async () => {
+        const longPath = `app-abc123/${'nested/'.repeat(20)}deep.js`;
+        const files = await countTree(tarStream([
+            tarEntry('././@LongLink', `${longPath}\0`, 'L'),
+            tarEntry(longPath.slice(0, 100), 'a\nb\n'),
+            tarEntry('app-abc123/short.js', 'c\n'),
+        ]));
+        assert.deepEqual(files, { [`${'nested/'.repeat(20)}deep.js`]: 2, 'short.js': 1 });
+    });
+
+    it('takes paths from pax extended headers', async () => {
+        const longPath = `app-abc123/${'src/'.repeat(30)}paxed.ts`;
+        const files = await countTree(tarStream([
+            tarEntry('pax_global_header', paxRecord('comment', 'abc123'), 'g'),
+            tarEntry('PaxHeaders/paxed.ts', paxRecord('mtime', '1700000000') + paxRecord('path', longPath), 'x'),
+            tarEntry(longPath.slice(0, 100), 'x\ny\nz\n'),
+        ]));
+        assert.deepEqual(files, { [`${'src/'.repeat(30)}paxed.ts`]: 3 });
+    });
+
+    it('rejects an archive that ends early', async () => {
+        const entries = [tarEntry('app-abc123/a.js', 'a\n'), tarEntry('app-abc123/b.js', 'b\n'.repeat(400))];
+        await assert.rejects(countTree(tarStream(entries, { ended: false })), /ended early/);
+        const cut = Buffer.concat([...entries, Buffer.alloc(1024)]).subarray(0, 1200); // In the middle of b.js
+        await assert.rejects(countTree(Readable.from([cut])), /ended early/);
+    });
+
+    it('leaves ignored files out of the totals', () => {
+        const summary = summarizeTree({ 'src/app.js': 10, 'vendor/lib.js': 500, 'README.md': 4 }, filename => filename.startsWith('vendor/'));
+        assert.deepEqual(summary, {
+            totalLines: 14,
+            totalFiles: 2,
+            languages: { JavaScript: { files: 1, lines: 10 }, Markdown: { files: 1, lines: 4 } },
+        });
+    });
+});
+
+describe('recountSnapshots', () => {
+    let locSnapshots;
+    let prisma;
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ module: locSnapshots, prisma } = withFakePrisma('src/locSnapshots'));
+        prisma.seed('TrackedRepo', [{ id: 1, repo: 'team/app', defaultBranch: 'main', ignoreRules: 'vendor/' }]);
+        const week = { repo: 'team/app', branch: 'main', commitSha: 'abc123', committedAt: new Date('2024-01-03'), takenAt: new Date() };
+        prisma.seed('LocSnapshot', [
+            { ...week, id: 1, period: new Date('2024-01-01'), totalLines: 514, totalFiles: 3, languages: '{}', files: JSON.stringify({ 'src/app.js': 10, 'vendor/lib.js': 500, 'README.md': 4 }) },
+            { ...week, id: 2, period: new Date('2023-12-25'), totalLines: 90, totalFiles: 1, languages: '{}', files: null },
+        ]);
+    });
+
+    it('recounts the totals with the new rules, and deletes the snapshots it can\'t recount', async () => {
+        assert.deepEqual(await locSnapshots.recountSnapshots('team/app'), { recounted: 1, deleted: 1 });
+        const snapshots = await locSnapshots.listSnapshots('team/app');
+        assert.equal(snapshots.length, 1);
+        assert.equal(snapshots[0].totalLines, 14);
+        assert.equal(snapshots[0].totalFiles, 2);
+        assert.equal('files' in snapshots[0], false);
+    });
+});
@@ -0,0 +1,29 @@
+const http = require('http');
+
+/**
+ * Starts a local HTTP server standing in for a forge's API, so providers can be tested by pointing their `apiUrl` at it. <br>
+ * `handle(request)` gets `{method, path, query, headers}` and returns `{status, headers, body}` (status defaults to 200,
+ * objects are sent as JSON). Every request is recorded in `requests`.
+ * @param handle
+ * @returns {Promise<{url: string, requests: object[], close: function(): Promise<void>}>}
+ */
+async function startMockServer(handle) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers };
+        requests.push(request);
+        const { status = 200, headers = {}, body = '' } = handle(request) || { status: 404, body: { message: 'Not Found' } };
+        const json = typeof body !== 'string' && !Buffer.isBuffer(body);
+        res.writeHead(status, { ...(json && { 'Content-Type': 'application/json' }), ...headers });
+        res.end(json ? JSON.stringify(body) : body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+module.exports = { startMockServer };
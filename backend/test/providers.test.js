@@ -0,0 +1,299 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./mockServer');
+const { createGitHubProvider } = require('../src/providers/github');
+const { createGitLabProvider } = require('../src/providers/gitlab');
+const { createGiteaProvider } = require('../src/providers/gitea');
+const { createBitbucketProvider } = require('../src/providers/bitbucket');
+const { createProvider, setWorkspaceToken } = require('../src/providers');
+
+const shas = (from, count) => Array.from({ length: count }, (_, i) => `sha${from + i}`);
+
+describe('GitHub provider', () => {
+    let server;
+    let limited = 0; // Requests still to answer with a rate limit
+    before(async () => {
+        server = await startMockServer(({ path, query, headers }) => {
+            if (path === '/repos/octo/app/commits') {
+                if (limited > 0) {
+                    limited--;
+                    return { status: 429, headers: { 'Retry-After': '0' }, body: { message: 'API rate limit exceeded' } };
+                }
+                if (headers['if-none-match'] === '"v1"') return { status: 304 };
+                const page = parseInt(query.page, 10);
+                const count = page === 1 ? parseInt(query.per_page, 10) : 1;
+                return { headers: { ETag: '"v1"' }, body: shas((page - 1) * 2, count).map(sha => ({ sha })) };
+            }
+            if (path === '/repos/octo/app/commits/abc') {
+                return {
+                    body: {
+                        commit: { author: { name: 'Ada', email: 'Ada@Example.com', date: '2024-05-01T10:00:00Z' }, message: 'Fix it' },
+                        author: { login: 'ada' },
+                        files: [
+                            { filename: 'src/a.js', status: 'modified', additions: 3, deletions: 1 },
+                            { filename: 'src/b.js', previous_filename: 'src/old.js', status: 'renamed', additions: 0, deletions: 0 },
+                        ],
+                    },
+                };
+            }
+            if (path === '/repos/octo/app/compare/v1...v2') {
+                const page = parseInt(query.page, 10);
+                return { body: { total_commits: 102, commits: shas((page - 1) * 100, page === 1 ? 100 : 2).map(sha => ({ sha })) } };
+            }
+            if (path === '/repos/octo/private/commits') return { status: 403, body: { message: 'Resource not accessible' } };
+            if (path === '/repos/octo/app/tags') { // 150 tags, 100 a page
+                const page = parseInt(query.page, 10);
+                return { body: Array.from({ length: page === 1 ? 100 : 50 }, (_, i) => ({ name: `v${(page - 1) * 100 + i}`, commit: { sha: `sha${i}` } })) };
+            }
+        });
+    });
+    after(() => server.close());
+
+    it('pages through commits until a short page', async () => {
+        const provider = createGitHubProvider({ owner: 'octo', repo: 'app', apiUrl: server.url });
+        const first = await provider.listCommits(null, 2, { branch: 'main' });
+        assert.deepEqual(first, { shas: ['sha0', 'sha1'], next: 2, etag: '"v1"' });
+        const last = await provider.listCommits(first.next, 2, { branch: 'main' });
+        assert.deepEqual(last.shas, ['sha2']);
+        assert.equal(last.next, null);
+        assert.equal(server.requests.at(-1).query.sha, 'main');
+    });
+
+    it('answers notModified for an unchanged ETag', async () => {
+        const provider = createGitHubProvider({ owner: 'octo', repo: 'app', apiUrl: server.url });
+        const result = await provider.listCommits(null, 2, { etag: '"v1"' });
+        assert.equal(result.notModified, true);
+        assert.deepEqual(result.shas, []);
+    });
+
+    it('waits out a rate limit and retries', async () => {
+        const provider = createGitHubProvider({ owner: 'octo', repo: 'app', apiUrl: server.url, token: 'rate-limit-test' });
+        limited = 1;
+        const before = server.requests.length;
+        const result = await provider.listCommits(null, 2);
+        assert.deepEqual(result.shas, ['sha0', 'sha1']);
+        assert.equal(server.requests.length - before, 2);
+    });
+
+    it('does not retry a plain 403', async () => {
+        const provider = createGitHubProvider({ owner: 'octo', repo: 'private', apiUrl: server.url });
+        await assert.rejects(provider.listCommits(null, 2), err => err.response?.status === 403);
+    });
+
+    it('uses only the workspace token for repos tracked with one, never the server token', async () => {
+        const serverToken = process.env.GITHUB_TOKEN;
+        process.env.GITHUB_TOKEN = 'server-token';
+        try {
+            const authorization = async (tracked) => {
+                await createProvider({ repo: 'octo/app', apiUrl: server.url, ...tracked }).listCommits(null, 2);
+                return server.requests.at(-1).headers.authorization;
+            };
+            assert.equal(await authorization({}), 'token server-token');
+            setWorkspaceToken(7, 'workspace-token');
+            assert.equal(await authorization({ tokenWorkspaceId: 7 }), 'token workspace-token');
+            setWorkspaceToken(7, null);
+            assert.equal(await authorization({ tokenWorkspaceId: 7 }), undefined);
+        } finally {
+            if (serverToken === undefined) delete process.env.GITHUB_TOKEN;
+            else process.env.GITHUB_TOKEN = serverToken;
+        }
+    });
+
+    it('lists every page of tags', async () => {
+        const provider = createGitHubProvider({ owner: 'octo', repo: 'app', apiUrl: server.url });
+        const tags = await provider.listTags();
+        assert.equal(tags.length, 150);
+        assert.deepEqual(tags.at(-1), { name: 'v149', sha: 'sha49' });
+    });
+
+    it('pages through a comparison until it has every commit', async () => {
+        const provider = createGitHubProvider({ owner: 'octo', repo: 'app', apiUrl: server.url });
+        assert.deepEqual(await provider.compareCommits('v1', 'v2'), shas(0, 102));
+    });
+
+    it('maps a commit with its files', async () => {
+        const provider = createGitHubProvider({ owner: 'octo', repo: 'app', apiUrl: server.url });
+        assert.deepEqual(await provider.getCommit('abc'), {
+            sha: 'abc',
+            author: 'Ada',
+            authorEmail: 'Ada@Example.com',
+            authorLogin: 'ada',
+            message: 'Fix it',
+            timestamp: new Date('2024-05-01T10:00:00Z'),
+            files: [
+                { filename: 'src/a.js', previousFilename: null, status: 'modified', additions: 3, deletions: 1 },
+                { filename: 'src/b.js', previousFilename: 'src/old.js', status: 'renamed', additions: 0, deletions: 0 },
+            ],
+        });
+    });
+});
+
+describe('GitLab provider', () => {
+    let server;
+    let failures = 0; // Requests still to answer with a server error
+    before(async () => {
+        server = await startMockServer(({ path, query }) => {
+            const project = '/projects/group%2Fapp';
+            if (path === `${project}/repository/commits`) {
+                if (failures > 0) {
+                    failures--;
+                    return { status: 502, body: 'Bad Gateway' };
+                }
+                const page = parseInt(query.page, 10);
+                return { headers: { 'X-Next-Page': page < 2 ? String(page + 1) : '' }, body: shas(page * 10, 2).map(id => ({ id })) };
+            }
+            if (path === `${project}/repository/commits/abc`) {
+                return { body: { author_name: 'Grace', author_email: 'grace@example.com', authored_date: '2024-06-01T08:00:00Z', message: 'Add' } };
+            }
+            if (path === `${project}/repository/commits/abc/diff`) {
+                const pages = {
+                    1: [{ new_path: 'a.js', old_path: 'a.js', new_file: true, diff: '@@ -0,0 +1,2 @@\n+one\n+two\n' }],
+                    2: [{ new_path: 'c.js', old_path: 'b.js', renamed_file: true, diff: '@@ -1 +1 @@\n-old\n+new\n' }],
+                };
+                return { headers: { 'X-Next-Page': query.page === '1' ? '2' : '' }, body: pages[query.page] };
+            }
+        });
+    });
+    after(() => server.close());
+
+    it('follows the x-next-page header', async () => {
+        const provider = createGitLabProvider({ owner: 'group', repo: 'app', apiUrl: server.url });
+        const first = await provider.listCommits(null, 2, { branch: 'dev' });
+        assert.deepEqual(first, { shas: ['sha10', 'sha11'], next: 2 });
+        assert.equal(server.requests.at(-1).query.ref_name, 'dev');
+        const last = await provider.listCommits(first.next, 2);
+        assert.deepEqual(last, { shas: ['sha20', 'sha21'], next: null });
+    });
+
+    it('retries a server error', async () => {
+        const provider = createGitLabProvider({ owner: 'group', repo: 'app', apiUrl: server.url });
+        failures = 1;
+        const result = await provider.listCommits(null, 2);
+        assert.deepEqual(result.shas, ['sha10', 'sha11']);
+    });
+
+    it('counts the lines of every page of the diff', async () => {
+        const provider = createGitLabProvider({ owner: 'group', repo: 'app', apiUrl: server.url });
+        const commit = await provider.getCommit('abc');
+        assert.equal(commit.author, 'Grace');
+        assert.equal(commit.authorLogin, null);
+        assert.deepEqual(commit.timestamp, new Date('2024-06-01T08:00:00Z'));
+        assert.deepEqual(commit.files, [
+            { filename: 'a.js', previousFilename: null, status: 'added', additions: 2, deletions: 0 },
+            { filename: 'c.js', previousFilename: 'b.js', status: 'renamed', additions: 1, deletions: 1 },
+        ]);
+    });
+});
+
+describe('Gitea provider', () => {
+    let server;
+    before(async () => {
+        server = await startMockServer(({ path, query }) => {
+            if (path === '/api/v1/repos/team/app/commits') {
+                const page = parseInt(query.page, 10);
+                return { body: shas(page * 10, page === 1 ? parseInt(query.limit, 10) : 0).map(sha => ({ sha })) };
+            }
+            if (path === '/api/v1/repos/team/app/tags') { // 70 tags, and at most 30 a page whatever the limit (MAX_RESPONSE_ITEMS)
+                const start = (parseInt(query.page, 10) - 1) * 30;
+                return { body: Array.from({ length: Math.max(0, Math.min(30, 70 - start)) }, (_, i) => ({ name: `v${start + i}`, commit: { sha: `sha${start + i}` } })) };
+            }
+            if (path === '/api/v1/repos/team/app/git/commits/abc') {
+                return {
+                    body: {
+                        commit: { author: { name: 'Linus', email: 'linus@example.com', date: '2024-07-01T12:00:00Z' }, message: 'Remove' },
+                        author: { login: 'linus' },
+                    },
+                };
+            }
+            if (path === '/api/v1/repos/team/app/git/commits/abc.diff') {
+                return {
+                    headers: { 'Content-Type': 'text/plain' },
+                    body: 'diff --git a/gone.txt b/gone.txt\ndeleted file mode 100644\n--- a/gone.txt\n+++ /dev/null\n@@ -1,2 +0,0 @@\n-a\n-b\n',
+                };
+            }
+        });
+    });
+    after(() => server.close());
+
+    it('requires an apiUrl', () => {
+        assert.throws(() => createGiteaProvider({ owner: 'team', repo: 'app' }), /apiUrl/);
+    });
+
+    it('stops after a short page', async () => {
+        const provider = createGiteaProvider({ owner: 'team', repo: 'app', apiUrl: `${server.url}/api/v1` });
+        const first = await provider.listCommits(null, 3);
+        assert.deepEqual(first, { shas: ['sha10', 'sha11', 'sha12'], next: 2 });
+        assert.equal(server.requests.at(-1).query.stat, 'false');
+        assert.deepEqual(await provider.listCommits(first.next, 3), { shas: [], next: null });
+    });
+
+    it('lists every page of tags, even when pages are shorter than asked for', async () => {
+        const provider = createGiteaProvider({ owner: 'team', repo: 'app', apiUrl: `${server.url}/api/v1` });
+        const tags = await provider.listTags();
+        assert.deepEqual(tags.map(tag => tag.name), Array.from({ length: 70 }, (_, i) => `v${i}`));
+    });
+
+    it('parses the raw diff of a commit', async () => {
+        const provider = createGiteaProvider({ owner: 'team', repo: 'app', apiUrl: `${server.url}/api/v1` });
+        const commit = await provider.getCommit('abc');
+        assert.equal(commit.authorLogin, 'linus');
+        assert.equal(commit.message, 'Remove');
+        assert.deepEqual(commit.files, [{ filename: 'gone.txt', previousFilename: null, status: 'removed', additions: 0, deletions: 2 }]);
+    });
+});
+
+describe('Bitbucket provider', () => {
+    let server;
+    before(async () => {
+        server = await startMockServer(({ path, query }) => {
+            const base = '/repositories/team/app';
+            if (path === `${base}/commits/release%2F1.x`) {
+                return { body: { values: [{ hash: 'sha1' }], next: `${server.url}${base}/commits/release%2F1.x?page=2` } };
+            }
+            if (path === `${base}/commits`) {
+                return query.page === '2' ? { body: { values: [{ hash: 'sha2' }] } } : { body: { values: [{ hash: 'sha0' }], next: `${server.url}${base}/commits?page=2` } };
+            }
+            if (path === `${base}/commit/abc`) {
+                return { body: { author: { raw: 'Margaret <margaret@example.com>', user: { nickname: 'maggie' } }, date: '2024-08-01T00:00:00Z', message: 'Move' } };
+            }
+            if (path === `${base}/diffstat/abc`) {
+                if (query.page === '2') {
+                    return { body: { values: [{ status: 'removed', old: { path: 'x.txt' }, lines_added: 0, lines_removed: 4 }] } };
+                }
+                return {
+                    body: {
+                        values: [{ status: 'renamed', old: { path: 'a.js' }, new: { path: 'b.js' }, lines_added: 1, lines_removed: 2 }],
+                        next: `${server.url}${base}/diffstat/abc?page=2`,
+                    },
+                };
+            }
+        });
+    });
+    after(() => server.close());
+
+    it('follows the next URL, and encodes the branch', async () => {
+        const provider = createBitbucketProvider({ owner: 'team', repo: 'app', apiUrl: server.url });
+        const first = await provider.listCommits(null, 1, { branch: 'release/1.x' });
+        assert.deepEqual(first.shas, ['sha1']);
+        assert.equal(server.requests.at(-1).path, '/repositories/team/app/commits/release%2F1.x');
+        const main = await provider.listCommits(null, 1);
+        const last = await provider.listCommits(main.next, 1);
+        assert.deepEqual([main.shas, last.shas, last.next], [['sha0'], ['sha2'], null]);
+    });
+
+    it('maps a commit and every page of its diffstat', async () => {
+        const provider = createBitbucketProvider({ owner: 'team', repo: 'app', apiUrl: server.url });
+        assert.deepEqual(await provider.getCommit('abc'), {
+            sha: 'abc',
+            author: 'Margaret',
+            authorEmail: 'margaret@example.com',
+            authorLogin: 'maggie',
+            message: 'Move',
+            timestamp: new Date('2024-08-01T00:00:00Z'),
+            files: [
+                { filename: 'b.js', previousFilename: 'a.js', status: 'renamed', additions: 1, deletions: 2 },
+                { filename: 'x.txt', previousFilename: null, status: 'removed', additions: 0, deletions: 4 },
+            ],
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { withFakePrisma } = require('./fakePrisma');
+const { startMockServer } = require('./mockServer');
+
+const opened = new Date('2024-05-01T00:00:00Z');
+const hoursAfter = (hours) => new Date(opened.getTime() + hours * 60 * 60 * 1000);
+const resolve = ({ name }) => (name === 'ada' ? { id: 1, name: 'Ada' } : { id: null, name });
+
+describe('pullRequestStats', () => {
+    const { pullRequestStats } = withFakePrisma('src/pullRequests').module;
+    const pull = (fields) => ({
+        author: 'bob', state: 'open', additions: null, deletions: null, createdAt: opened, firstReviewAt: null, mergedAt: null, reviews: [], ...fields,
+    });
+
+    it('takes the median and 90th percentile by nearest rank', () => {
+        const pulls = Array.from({ length: 10 }, (_, i) => pull({ state: 'merged', mergedAt: hoursAfter(10 - i) }));
+        const { merged, timeToMerge, timeToFirstReview } = pullRequestStats(pulls, resolve);
+        assert.equal(merged, 10);
+        assert.deepEqual(timeToMerge, { count: 10, medianHours: 5, p90Hours: 9, averageHours: 5.5 });
+        assert.deepEqual(timeToFirstReview, { count: 0, medianHours: null, p90Hours: null, averageHours: null });
+    });
+
+    it('puts pull requests in the first size class they fit, leaving out those of unknown size', () => {
+        const pulls = [
+            pull({ additions: 9, deletions: 0 }),
+            pull({ additions: 5, deletions: 5 }),
+            pull({ additions: 200, deletions: 49 }),
+            pull({ additions: 1000, deletions: 0 }),
+            pull({}),
+        ];
+        assert.deepEqual(pullRequestStats(pulls, resolve).sizes.map(({ size, count }) => `${size}:${count}`), ['XS:1', 'S:1', 'M:1', 'L:0', 'XL:1']);
+    });
+
+    it('counts reviewer load by identity, without the author\'s own replies', () => {
+        const pulls = [
+            pull({
+                reviews: [
+                    { reviewer: 'bob', state: 'COMMENTED', submittedAt: hoursAfter(1) },
+                    { reviewer: 'ada', state: 'CHANGES_REQUESTED', submittedAt: hoursAfter(2) },
+                    { reviewer: 'ada', state: 'APPROVED', submittedAt: hoursAfter(6) },
+                ],
+            }),
+            pull({ author: 'cy', reviews: [{ reviewer: 'ada', state: 'APPROVED', submittedAt: hoursAfter(4) }] }),
+        ];
+        assert.deepEqual(pullRequestStats(pulls, resolve).reviewers, [
+            { identityId: 1, reviewer: 'Ada', reviews: 3, pullRequests: 2, approvals: 2, changesRequested: 1, medianResponseHours: 2 },
+        ]);
+    });
+});
+
+describe('syncPullRequests', () => {
+    const pullCount = 60; // More than a page: #60 is the most recently updated
+    const updatedAt = (number) => new Date(opened.getTime() + number * 60 * 1000).toISOString();
+    let server;
+    let failingPage; // Page of the listing the forge errors on, if any
+    before(async () => {
+        server = await startMockServer(({ path, query }) => {
+            if (path === '/repos/octo/app/pulls') {
+                const page = parseInt(query.page, 10);
+                if (page === failingPage) return { status: 404, body: { message: 'Not Found' } };
+                const start = (page - 1) * 50;
+                const numbers = Array.from({ length: Math.max(0, Math.min(50, pullCount - start)) }, (_, i) => pullCount - start - i);
+                return { body: numbers.map(number => ({ number, updated_at: updatedAt(number) })) };
+            }
+            const match = path.match(/^\/repos\/octo\/app\/pulls\/(\d+)(\/reviews)?$/);
+            if (!match) return null;
+            const number = Number(match[1]);
+            if (match[2]) {
+                return {
+                    body: number !== 1 ? [] : [
+                        { id: 11, user: { login: 'Bob' }, state: 'COMMENTED', submitted_at: hoursAfter(1).toISOString() },
+                        { id: 12, user: { login: 'Ada' }, state: 'APPROVED', submitted_at: hoursAfter(3).toISOString() },
+                    ],
+                };
+            }
+            return {
+                body: {
+                    number, title: `Change ${number}`, user: { login: 'Bob' }, state: 'open', additions: 10, deletions: 2, changed_files: 1,
+                    created_at: opened.toISOString(), closed_at: null, merged_at: null, updated_at: updatedAt(number),
+                },
+            };
+        });
+    });
+    after(() => server.close());
+
+    let pullRequests;
+    let prisma;
+    let tracked;
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ module: pullRequests, prisma } = withFakePrisma('src/pullRequests'));
+        prisma.seed('TrackedRepo', [{ id: 1, repo: 'octo/app', provider: 'github', apiUrl: server.url, pullsSyncedAt: null }]);
+        tracked = { repo: 'octo/app', provider: 'github', apiUrl: server.url, pullsSyncedAt: null };
+        failingPage = null;
+        mock.timers.enable({ apis: ['setTimeout', 'Date'] }); // The client spaces requests 100ms apart, which adds up over 120 of them
+    });
+    afterEach(() => mock.timers.reset());
+
+    /**
+     * Runs a sync to completion, moving the mocked clock on while the client waits.
+     * @param sync Promise of the sync
+     * @returns {Promise<object>} What the sync resolved to
+     */
+    const settle = async (sync) => {
+        let outcome = null;
+        sync.then(value => { outcome = { value }; }, error => { outcome = { error }; });
+        while (!outcome) {
+            await new Promise(resolve => setImmediate(resolve)); // Lets the mock server answer
+            if (!outcome) mock.timers.tick(100);
+        }
+        if (outcome.error) throw outcome.error;
+        return outcome.value;
+    };
+
+    it('dates the first review from someone other than the author', async () => {
+        assert.deepEqual(await settle(pullRequests.syncPullRequests(tracked)), { supported: true, updated: 60 });
+        const pull = await prisma.pullRequest.findUnique({ where: { repo_number: { repo: 'octo/app', number: 1 } }, include: { reviews: true } });
+        assert.equal(pull.author, 'bob');
+        assert.deepEqual(pull.firstReviewAt, hoursAfter(3));
+        assert.deepEqual(pull.reviews.map(review => review.reviewer).sort(), ['ada', 'bob']);
+    });
+
+    it('only moves the sync date forward once the listing got through every page', async () => {
+        failingPage = 2;
+        await assert.rejects(settle(pullRequests.syncPullRequests(tracked)));
+        assert.equal(await prisma.pullRequest.count(), 50);
+        assert.equal((await prisma.trackedRepo.findFirst()).pullsSyncedAt, null);
+
+        failingPage = null;
+        assert.deepEqual(await settle(pullRequests.syncPullRequests(tracked)), { supported: true, updated: 10 }); // The first page was stored already
+        const { pullsSyncedAt } = await prisma.trackedRepo.findFirst();
+        assert.deepEqual(pullsSyncedAt, new Date(updatedAt(60)));
+
+        assert.deepEqual(await settle(pullRequests.syncPullRequests({ ...tracked, pullsSyncedAt })), { supported: true, updated: 0 });
+    });
+});
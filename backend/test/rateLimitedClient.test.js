@@ -0,0 +1,77 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startMockServer } = require('./mockServer');
+const { createRateLimitedClient, getBudgets } = require('../src/rateLimitedClient');
+
+describe('rate limited client', () => {
+    let server;
+    let answers; // Responses still to give before answering 200, by path
+    before(async () => {
+        server = await startMockServer(({ path }) => {
+            const queued = answers[path];
+            if (queued?.length > 0) return queued.shift();
+            if (path === '/down') return { status: 502, body: 'Bad Gateway' };
+            return { body: { ok: true } };
+        });
+    });
+    after(() => server.close());
+
+    beforeEach(() => {
+        answers = {};
+        mock.method(console, 'log', () => {});
+        mock.timers.enable({ apis: ['setTimeout', 'Date'] }); // Waits of minutes pass at once
+    });
+    afterEach(() => mock.timers.reset());
+
+    /**
+     * Runs a request to completion, moving the mocked clock on while it waits, and tells how long it waited.
+     * @param request Promise of the request
+     * @returns {Promise<{response?: object, error?: Error, waited: number}>}
+     */
+    const settle = async (request) => {
+        const start = Date.now();
+        let outcome = null;
+        request.then(response => { outcome = { response }; }, error => { outcome = { error }; });
+        while (!outcome) {
+            await new Promise(resolve => setImmediate(resolve)); // Lets the mock server answer
+            if (!outcome) mock.timers.tick(100);
+        }
+        return { ...outcome, waited: Date.now() - start };
+    };
+
+    const client = (token) => createRateLimitedClient({ baseURL: server.url }, token);
+    const requestsTo = (path) => server.requests.filter(request => request.path === path).length;
+
+    it('waits as long as a 429 says in Retry-After, then retries', async () => {
+        answers['/limited'] = [{ status: 429, headers: { 'Retry-After': '30' }, body: { message: 'Too many requests' } }];
+        const { response, waited } = await settle(client('retry-after').get('/limited'));
+        assert.deepEqual(response.data, { ok: true });
+        assert.equal(requestsTo('/limited'), 2);
+        assert.ok(waited >= 30 * 1000, `waited ${waited}ms`);
+        const fingerprint = crypto.createHash('sha256').update('retry-after').digest('hex').slice(0, 8);
+        assert.equal(getBudgets().find(budget => budget.token === fingerprint).retries, 1);
+    });
+
+    it('waits at least a minute after a secondary rate limit', async () => {
+        answers['/secondary'] = [{ status: 403, body: { message: 'You have exceeded a secondary rate limit' } }];
+        const { response, waited } = await settle(client('secondary').get('/secondary'));
+        assert.deepEqual(response.data, { ok: true });
+        assert.equal(requestsTo('/secondary'), 2);
+        assert.ok(waited >= 60 * 1000, `waited ${waited}ms`);
+    });
+
+    it('does not retry a plain 403', async () => {
+        answers['/forbidden'] = [{ status: 403, body: { message: 'Resource not accessible' } }];
+        const { error } = await settle(client('forbidden').get('/forbidden'));
+        assert.equal(error.response.status, 403);
+        assert.equal(requestsTo('/forbidden'), 1);
+    });
+
+    it('gives up on server errors after five retries, backing off each time', async () => {
+        const { error, waited } = await settle(client('down').get('/down'));
+        assert.equal(error.response.status, 502);
+        assert.equal(requestsTo('/down'), 6);
+        assert.ok(waited >= (1 + 2 + 4 + 8 + 16) * 1000, `waited ${waited}ms`);
+    });
+});
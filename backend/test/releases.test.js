@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withFakePrisma } = require('./fakePrisma');
+const { startMockServer } = require('./mockServer');
+
+const resolve = ({ name }) => ({ id: null, name });
+
+describe('release membership', () => {
+    let clone;
+    const shas = {}; // Commit message -> sha
+    /**
+     * Runs git in the clone, with both dates set to `date`
+     * @param date
+     * @param args
+     * @returns {string}
+     */
+    const git = (date, ...args) => execFileSync('git', ['-C', clone, ...args], {
+        env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date, GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com' },
+    }).toString().trim();
+    const commit = (date, message) => {
+        git(date, 'commit', '-q', '--allow-empty', '-m', message);
+        shas[message] = git(date, 'rev-parse', 'HEAD');
+    };
+
+    // main: c1 - c2 (v1) - merge of the feature branch - c3 (v2) - c4, where the feature commit is older than v1
+    before(() => {
+        clone = fs.mkdtempSync(path.join(os.tmpdir(), 'gitstat-releases-'));
+        execFileSync('git', ['init', '-q', '-b', 'main', clone]);
+        commit('2024-01-01T00:00:00Z', 'c1');
+        git('2024-01-01T00:00:00Z', 'checkout', '-q', '-b', 'feature');
+        commit('2024-01-02T00:00:00Z', 'f1');
+        git('2024-01-02T00:00:00Z', 'checkout', '-q', 'main');
+        commit('2024-01-03T00:00:00Z', 'c2');
+        git('2024-01-03T00:00:00Z', 'tag', 'v1');
+        git('2024-01-04T00:00:00Z', 'merge', '-q', '--no-ff', '-m', 'merge', 'feature');
+        shas.merge = git('2024-01-04T00:00:00Z', 'rev-parse', 'HEAD');
+        commit('2024-01-05T00:00:00Z', 'c3');
+        git('2024-01-05T00:00:00Z', 'tag', 'v2');
+        commit('2024-01-06T00:00:00Z', 'c4');
+    });
+    after(() => fs.rmSync(clone, { recursive: true, force: true }));
+
+    let releases;
+    let prisma;
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ module: releases, prisma } = withFakePrisma('src/releases'));
+        const dates = { c1: 1, f1: 2, c2: 3, merge: 4, c3: 5, c4: 6 };
+        prisma.seed('RepoCommit', Object.entries(dates).map(([message, day]) => ({
+            repo: 'local/app', sha: shas[message], author: 'Ada', timestamp: new Date(`2024-01-0${day}T00:00:00Z`), additions: day, deletions: 0,
+        })));
+    });
+
+    const summaryOf = async () => {
+        const commits = await prisma.repoCommit.findMany({ where: { repo: 'local/app' } });
+        return releases.releaseSummaries(await releases.loadTags('local/app'), commits, resolve)
+            .map(({ tag, previousTag, commits: count, additions }) => ({ tag, previousTag, count, additions }));
+    };
+
+    it('assigns a commit to the release that can reach it, not the one dated after it', async () => {
+        await releases.syncTags({ repo: 'local/app', localPath: clone });
+        const v2 = await prisma.repoTag.findUnique({ where: { repo_name: { repo: 'local/app', name: 'v2' } } });
+        assert.equal(v2.rangeBase, shas.c2);
+        assert.deepEqual(JSON.parse(v2.commitShas).sort(), [shas.c3, shas.merge, shas.f1].sort());
+        assert.deepEqual(await summaryOf(), [
+            { tag: null, previousTag: 'v2', count: 1, additions: 6 },
+            { tag: 'v2', previousTag: 'v1', count: 3, additions: 2 + 4 + 5 },
+            { tag: 'v1', previousTag: null, count: 2, additions: 1 + 3 },
+        ]);
+    });
+
+    it('falls back to dates for tags that were not listed', async () => {
+        await releases.syncTags({ repo: 'local/app', localPath: clone });
+        await prisma.repoTag.updateMany({ where: { repo: 'local/app' }, data: { commitShas: null } });
+        assert.deepEqual(await summaryOf(), [
+            { tag: null, previousTag: 'v2', count: 1, additions: 6 },
+            { tag: 'v2', previousTag: 'v1', count: 2, additions: 4 + 5 },
+            { tag: 'v1', previousTag: null, count: 3, additions: 1 + 2 + 3 },
+        ]);
+    });
+
+    it('lists a release again when its tag moves', async () => {
+        await releases.syncTags({ repo: 'local/app', localPath: clone });
+        git('2024-01-06T00:00:00Z', 'tag', '-f', 'v2', shas.c4);
+        try {
+            await releases.syncTags({ repo: 'local/app', localPath: clone });
+        } finally {
+            git('2024-01-05T00:00:00Z', 'tag', '-f', 'v2', shas.c3);
+        }
+        const v2 = await prisma.repoTag.findUnique({ where: { repo_name: { repo: 'local/app', name: 'v2' } } });
+        assert.equal(JSON.parse(v2.commitShas).length, 4);
+    });
+});
+
+describe('tag sync', () => {
+    let server;
+    let tagCount; // Tags the forge has, v0 being the newest
+    before(async () => {
+        server = await startMockServer(({ path, query }) => {
+            const page = parseInt(query.page, 10);
+            const start = (page - 1) * 100;
+            if (path === '/repos/octo/app/tags') {
+                return { body: Array.from({ length: Math.max(0, Math.min(100, tagCount - start)) }, (_, i) => ({ name: `v${start + i}`, commit: { sha: `sha${start + i}` } })) };
+            }
+            if (path === '/repos/octo/app/releases') return { body: page === 1 ? [{ tag_name: 'v150', name: 'Old release', published_at: '2020-01-01T00:00:00Z' }] : [] };
+        });
+    });
+    after(() => server.close());
+
+    let releases;
+    let prisma;
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        ({ module: releases, prisma } = withFakePrisma('src/releases'));
+    });
+
+    it('keeps the tags past the first page, and only deletes the ones gone from the forge', async () => {
+        const tracked = { repo: 'octo/app', provider: 'github', apiUrl: server.url };
+        tagCount = 160;
+        assert.deepEqual(await releases.syncTags(tracked), { tags: 160, changed: 160 });
+        tagCount = 159;
+        assert.deepEqual(await releases.syncTags(tracked), { tags: 159, changed: 1 });
+        assert.equal(await prisma.repoTag.count(), 159);
+        const old = await prisma.repoTag.findUnique({ where: { repo_name: { repo: 'octo/app', name: 'v150' } } });
+        assert.equal(old.releaseName, 'Old release');
+    });
+});
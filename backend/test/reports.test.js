@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { commitColumns, toCsv, renderHtmlReport } = require('../src/reports');
+
+describe('toCsv', () => {
+    const columns = [
+        { header: 'name', value: row => row.name },
+        { header: 'lines', value: row => row.lines },
+    ];
+
+    it('quotes fields with commas, quotes and line breaks, and leaves the rest bare', () => {
+        const csv = toCsv([
+            { name: 'Lovelace, Ada', lines: 10 },
+            { name: 'Bob "the builder"', lines: 0 },
+            { name: 'two\nlines', lines: null },
+            { name: 'Cy', lines: undefined },
+        ], columns);
+        assert.equal(csv, 'name,lines\r\n"Lovelace, Ada",10\r\n"Bob ""the builder""",0\r\n"two\nlines",\r\nCy,\r\n');
+    });
+
+    it('keeps text that looks like a formula from running in a spreadsheet', () => {
+        const csv = toCsv([
+            { name: '=HYPERLINK("http://example.com")', lines: -3 },
+            { name: '+1', lines: 1 },
+            { name: '-2', lines: 2 },
+            { name: '@SUM(A1)', lines: 3 },
+            { name: 'a=b', lines: 4 },
+        ], columns);
+        assert.deepEqual(csv.split('\r\n'), [
+            'name,lines', '"\'=HYPERLINK(""http://example.com"")",-3', '\'+1,1', '\'-2,2', '\'@SUM(A1),3', 'a=b,4', '',
+        ]);
+    });
+
+    it('writes a commit per row', () => {
+        const commit = {
+            sha: 'abc1234', identity: 'Ada', author: 'ada', authorEmail: 'ada@example.com', authorLogin: null,
+            timestamp: new Date('2024-05-01T10:00:00Z'), additions: 5, deletions: 1, branches: ['main', 'dev'], coAuthors: ['Bob', 'Cy'],
+        };
+        assert.equal(toCsv([commit], commitColumns).split('\r\n')[1], 'abc1234,Ada,ada,ada@example.com,,2024-05-01T10:00:00.000Z,5,1,main dev,Bob; Cy');
+    });
+});
+
+describe('renderHtmlReport', () => {
+    const report = {
+        repo: 'team/app',
+        filters: { since: '2024-05-01', until: null, branch: '' },
+        summary: {
+            totalCommits: 3, authors: 1, additions: 40, deletions: 10, netLines: 30,
+            firstCommitAt: new Date('2024-05-01T00:00:00Z'), lastCommitAt: null,
+        },
+        authors: [{ author: '<script>alert(1)</script>', commits: 3, commitPercent: 100, coAuthored: 0, additions: 40, deletions: 10, changePercent: 100, avgLinesChanged: 16.666 }],
+        series: [
+            { period: '2024-05-01', totalLines: 10 },
+            { period: '2024-05-08', totalLines: 20 },
+            { period: '2024-05-15', totalLines: 30 },
+        ],
+        interval: 'week',
+        generatedAt: new Date('2024-06-01T12:00:00Z'),
+    };
+
+    it('renders the summary, the shown filters and the author table, escaping what authors wrote', () => {
+        const html = renderHtmlReport(report);
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<title>GitStatViewer report: team\/app<\/title>/);
+        assert.match(html, /Generated 2024-06-01T12:00:00.000Z by GitStatViewer, filtered by since: 2024-05-01\./);
+        assert.match(html, /<tr><td>Net lines<\/td><td>30<\/td><\/tr>/);
+        assert.match(html, /<tr><td>First commit<\/td><td>2024-05-01<\/td><\/tr>/);
+        assert.match(html, /<tr><td>Last commit<\/td><td>-<\/td><\/tr>/);
+        assert.match(html, /<td>&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/td><td>3<\/td><td>100.0<\/td>.*<td>16.67<\/td>/);
+        assert.doesNotMatch(html, /<script>/);
+    });
+
+    it('draws the size chart inline, labelling the first, middle and last period', () => {
+        const html = renderHtmlReport(report);
+        assert.match(html, /<h2>Codebase size \(per week\)<\/h2>\n<svg /);
+        assert.equal(html.match(/<polyline points="([^"]*)"/)[1].split(' ').length, 3);
+        for (const period of ['2024-05-01', '2024-05-08', '2024-05-15']) assert.match(html, new RegExp(`text-anchor="middle">${period}</text>`));
+        assert.match(renderHtmlReport({ ...report, series: [] }), /<p>No commits in this range.<\/p>/);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarize, aggregateAuthors, parsePage, pageArgs, pageOf } = require('../src/stats');
+const { createFakePrisma } = require('./fakePrisma');
+const { weeklyCadence, activityStreaks } = require('../src/analytics');
+
+// Ada commits under two emails that belong to one identity, Bob has no identity yet
+const identities = { 'ada@work.example': { id: 1, name: 'Ada' }, 'ada@home.example': { id: 1, name: 'Ada' } };
+const resolve = ({ name, email }) => identities[email] ?? { id: null, name };
+
+const commits = [
+    { author: 'Ada L.', authorEmail: 'ada@work.example', authorLogin: null, timestamp: new Date('2024-05-06T09:00:00Z'), additions: 10, deletions: 2, coAuthors: [] },
+    { author: 'ada', authorEmail: 'ada@home.example', authorLogin: null, timestamp: new Date('2024-05-07T09:00:00Z'), additions: 5, deletions: 0, coAuthors: [] },
+    {
+        author: 'Bob', authorEmail: null, authorLogin: null, timestamp: new Date('2024-05-14T09:00:00Z'), additions: 1, deletions: 1,
+        coAuthors: [{ name: 'Ada', email: 'ada@home.example' }, { name: 'Ada', email: 'ada@work.example' }],
+    },
+];
+
+describe('author grouping', () => {
+    it('counts every identity once in the summary', () => {
+        assert.equal(summarize(commits, resolve).authors, 2);
+    });
+
+    it('credits the author stats to identities, and co-authors once per commit', () => {
+        const authors = aggregateAuthors(commits, resolve);
+        assert.deepEqual(authors.map(({ identityId, author, commits: count, coAuthored }) => ({ identityId, author, count, coAuthored })), [
+            { identityId: 1, author: 'Ada', count: 2, coAuthored: 1 },
+            { identityId: null, author: 'Bob', count: 1, coAuthored: 0 },
+        ]);
+    });
+
+    it('groups the analytics by the same identities', () => {
+        const cadence = weeklyCadence(commits, resolve, 0, 2);
+        assert.deepEqual(cadence.authors.map(({ author, counts }) => ({ author, counts })), [
+            { author: 'Ada', counts: [2, 0] },
+            { author: 'Bob', counts: [0, 1] },
+        ]);
+        const streaks = activityStreaks(commits, resolve, 0, new Date('2024-05-15T12:00:00Z'));
+        assert.deepEqual(streaks.authors.map(({ author, activeDays, longestStreak }) => ({ author, activeDays, days: longestStreak.days })), [
+            { author: 'Ada', activeDays: 2, days: 2 },
+            { author: 'Bob', activeDays: 1, days: 1 },
+        ]);
+    });
+});
+
+describe('commit pages', () => {
+    // 7 commits, two of them made at the same time, so the order falls back to the id
+    const prisma = createFakePrisma();
+    prisma.seed('RepoCommit', [1, 2, 3, 4, 5, 6, 7].map(id => ({
+        id, sha: `sha${id}`, repo: 'team/app', author: 'Ada', timestamp: new Date(Date.UTC(2024, 4, id === 4 ? 3 : id)),
+    })));
+    const listPage = async (query) => {
+        const page = parsePage(query);
+        const commits = await prisma.repoCommit.findMany({
+            where: { repo: 'team/app' }, orderBy: [{ timestamp: 'desc' }, { id: 'desc' }], ...pageArgs(page),
+        });
+        return pageOf(commits, page.limit);
+    };
+
+    it('goes through every commit once, newest first, following nextCursor', async () => {
+        const shas = [];
+        const cursors = [];
+        let query = { limit: '3' };
+        for (;;) {
+            const { commits, nextCursor } = await listPage(query);
+            shas.push(...commits.map(commit => commit.sha));
+            if (!nextCursor) break;
+            cursors.push(nextCursor);
+            query = { limit: '3', cursor: nextCursor };
+        }
+        assert.deepEqual(shas, ['sha7', 'sha6', 'sha5', 'sha4', 'sha3', 'sha2', 'sha1']);
+        assert.deepEqual(cursors, ['5', '2']);
+    });
+
+    it('only gives a next cursor when there are more commits', async () => {
+        assert.equal((await listPage({ limit: '7' })).nextCursor, null);
+        assert.equal((await listPage({ limit: '6' })).nextCursor, '2');
+        assert.deepEqual(await listPage({ limit: '3', cursor: '1' }), { commits: [], nextCursor: null });
+    });
+
+    it('keeps the limit between 1 and 500', () => {
+        assert.equal(parsePage({}).limit, 50);
+        assert.equal(parsePage({ limit: 'many' }).limit, 50);
+        assert.equal(parsePage({ limit: '-5' }).limit, 1);
+        assert.equal(parsePage({ limit: '10000' }).limit, 500);
+    });
+
+    it('refuses a cursor that no page gave', () => {
+        for (const cursor of ['abc', '0', '-3', '2.5', '3abc']) {
+            assert.equal(parsePage({ cursor }).error, 'cursor must be the nextCursor of an earlier page', cursor);
+        }
+        assert.deepEqual(parsePage({ cursor: '' }), { limit: 50, cursor: null });
+        assert.deepEqual(pageArgs(parsePage({ limit: '3', cursor: '12' })), { take: 4, cursor: { id: 12 }, skip: 1 });
+    });
+});
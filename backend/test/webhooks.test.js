@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifySignature, pushedShas } = require('../src/webhooks');
+
+const secret = 'webhook-secret';
+const body = Buffer.from('{"ref":"refs/heads/main"}');
+const sign = (payload, key = secret) => `sha256=${crypto.createHmac('sha256', key).update(payload).digest('hex')}`;
+
+describe('webhook signatures', () => {
+    it('accepts a body signed with the secret', () => {
+        assert.equal(verifySignature(body, sign(body), secret), true);
+    });
+
+    it('rejects another secret, a changed body and a truncated signature', () => {
+        assert.equal(verifySignature(body, sign(body, 'other'), secret), false);
+        assert.equal(verifySignature(Buffer.from('{"ref":"refs/heads/dev"}'), sign(body), secret), false);
+        assert.equal(verifySignature(body, sign(body).slice(0, -2), secret), false);
+        assert.equal(verifySignature(body, sign(body).replace('sha256=', 'sha1='), secret), false);
+    });
+
+    it('rejects a delivery without body, signature or secret', () => {
+        assert.equal(verifySignature(null, sign(body), secret), false);
+        assert.equal(verifySignature(body, undefined, secret), false);
+        assert.equal(verifySignature(body, sign(body, ''), ''), false);
+    });
+});
+
+describe('pushed commits', () => {
+    const commits = [{ id: 'a1' }, { id: 'a2' }];
+
+    it('takes the commits of a push to a tracked branch', () => {
+        assert.deepEqual(pushedShas({ ref: 'refs/heads/main', commits }, ['main']), { branch: 'main', shas: ['a1', 'a2'] });
+    });
+
+    it('ignores other branches, tags and deleted branches', () => {
+        assert.deepEqual(pushedShas({ ref: 'refs/heads/dev', commits }, ['main']), { branch: 'dev', shas: [] });
+        assert.deepEqual(pushedShas({ ref: 'refs/tags/v1', commits }, ['main']), { branch: null, shas: [] });
+        assert.deepEqual(pushedShas({ ref: 'refs/heads/main', deleted: true, commits: [] }, ['main']), { branch: 'main', shas: [] });
+    });
+});
@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Rule kinds the backend knows (see alerts.js), with the unit of their threshold, if they have one
+const ruleKinds = {
+    largeCommit: { label: 'Commit larger than', unit: 'changed lines', defaultThreshold: 1000 },
+    historyRewrite: { label: 'Force-push / history rewrite' },
+    inactivity: { label: 'No commits for', unit: 'days', defaultThreshold: 7 },
+    firstTimeContributor: { label: 'First-time contributor' },
+};
+
+/**
+ * Settings panel for a tracked repository's alerts: the rules that raise them, and the outgoing webhooks they're POSTed to
+ * (plain JSON, or Slack-compatible `{text}`).
+ * @param repo "owner/repo"
+ * @param onClose
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function AlertSettings({ repo, onClose }) {
+    const [rules, setRules] = useState([]);
+    const [webhooks, setWebhooks] = useState([]);
+    const [kind, setKind] = useState('largeCommit'); // Kind of the rule being added
+    const [threshold, setThreshold] = useState(ruleKinds.largeCommit.defaultThreshold);
+    const [webhookUrl, setWebhookUrl] = useState('');
+    const [webhookFormat, setWebhookFormat] = useState('json');
+    const [allRepos, setAllRepos] = useState(false); // Whether the webhook being added gets the alerts of every repository
+    const [status, setStatus] = useState('');
+    const [version, setVersion] = useState(0); // Bumped after every change, to reload the settings
+
+    useEffect(() => {
+        Promise.all([
+            axios.get(`http://localhost:4000/repos/${repo}/alert-rules`),
+            axios.get('http://localhost:4000/alert-webhooks', { params: { repo } }),
+        ])
+            .then(([rulesResponse, webhooksResponse]) => {
+                setRules(rulesResponse.data);
+                setWebhooks(webhooksResponse.data);
+            })
+            .catch((err) => console.error('Error loading alert settings:', err));
+    }, [repo, version]);
+
+    /**
+     * Sends a change to the backend, then reloads the settings. Errors from the backend are shown in the panel
+     * @param request Function making the request
+     * @returns {Promise<void>}
+     */
+    const change = async (request) => {
+        setStatus('');
+        try {
+            await request();
+            setVersion(version + 1);
+        } catch (err) {
+            console.error('Error changing alert settings:', err);
+            setStatus(err.response?.data?.error || 'Error saving. Check console.');
+        }
+    };
+
+    /**
+     * Sends a test alert to a webhook
+     * @param webhook
+     * @returns {Promise<void>}
+     */
+    const testWebhook = async (webhook) => {
+        setStatus('Sending test alert...');
+        try {
+            const response = await axios.post(`http://localhost:4000/alert-webhooks/${webhook.id}/test`);
+            setStatus(response.data.message);
+        } catch (err) {
+            setStatus(err.response?.data?.error || 'Test alert failed. Check console.');
+        }
+    };
+
+    return (
+        <div style={{marginTop: '1rem', padding: '0.5rem', border: '1px solid #ccc'}}>
+            <h3>Alerts for {repo}</h3>
+            <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                {rules.map((rule) => (
+                    <li key={rule.id}>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={rule.enabled}
+                                onChange={(e) => change(() => axios.patch(`http://localhost:4000/alert-rules/${rule.id}`, { enabled: e.target.checked }))}
+                            />
+                            {' '}{ruleKinds[rule.kind]?.label ?? rule.kind}
+                            {rule.threshold !== null && ` ${rule.threshold} ${ruleKinds[rule.kind]?.unit ?? ''}`}
+                        </label>
+                        <button onClick={() => change(() => axios.delete(`http://localhost:4000/alert-rules/${rule.id}`))}>Delete</button>
+                    </li>
+                ))}
+            </ul>
+            <select
+                value={kind}
+                onChange={(e) => {
+                    setKind(e.target.value);
+                    setThreshold(ruleKinds[e.target.value].defaultThreshold ?? '');
+                }}
+            >
+                {Object.entries(ruleKinds).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+            </select>
+            {ruleKinds[kind].unit && (
+                <>
+                    <input
+                        type="number"
+                        min={1}
+                        value={threshold}
+                        onChange={(e) => setThreshold(e.target.value)}
+                        style={{width: '5rem'}}
+                    />
+                    {' '}{ruleKinds[kind].unit}
+                </>
+            )}
+            <button
+                onClick={() => change(() => axios.post(`http://localhost:4000/repos/${repo}/alert-rules`, {
+                    kind,
+                    ...(ruleKinds[kind].unit && { threshold: parseInt(threshold, 10) }),
+                }))}
+            >
+                Add rule
+            </button>
+
+            <h4>Webhooks</h4>
+            <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                {webhooks.map((webhook) => (
+                    <li key={webhook.id}>
+                        <span style={{marginRight: '0.5rem'}}>
+                            {webhook.url} ({webhook.format}{webhook.repo === null && ', every repository'})
+                        </span>
+                        <button onClick={() => testWebhook(webhook)}>Test</button>
+                        <button onClick={() => change(() => axios.delete(`http://localhost:4000/alert-webhooks/${webhook.id}`))}>Delete</button>
+                    </li>
+                ))}
+            </ul>
+            <input
+                type="text"
+                placeholder="https://hooks.example.com/..."
+                value={webhookUrl}
+                onChange={(e) => setWebhookUrl(e.target.value)}
+            />
+            <select value={webhookFormat} onChange={(e) => setWebhookFormat(e.target.value)}>
+                <option value="json">JSON</option>
+                <option value="slack">Slack</option>
+            </select>
+            <label>
+                <input type="checkbox" checked={allRepos} onChange={(e) => setAllRepos(e.target.checked)}/>
+                {' '}Every repository
+            </label>
+            <button
+                onClick={() => change(async () => {
+                    await axios.post('http://localhost:4000/alert-webhooks', { url: webhookUrl.trim(), format: webhookFormat, repo: allRepos ? null : repo });
+                    setWebhookUrl('');
+                })}
+            >
+                Add webhook
+            </button>
+            <div>
+                <button onClick={onClose}>Close</button>
+            </div>
+            {status && <p>{status}</p>}
+        </div>
+    );
+}
+
+export default AlertSettings;
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { openEventStream } from './liveUpdates.js';
+
+const alertsShown = 10; // Recent alerts listed
+
+/**
+ * Recent alerts of a repository (large commits, force-pushes, inactivity, first-time contributors), newest first. <br>
+ * New alerts are added as the backend raises them. The rules are set up in the alert settings (see AlertSettings.jsx).
+ * @param repo "owner/repo"
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function Alerts({ repo }) {
+    const [alerts, setAlerts] = useState([]);
+
+    useEffect(() => {
+        const loadAlerts = () => {
+            axios.get('http://localhost:4000/alerts', { params: { repo, limit: alertsShown } })
+                .then((response) => setAlerts(response.data))
+                .catch((err) => console.error('Error loading alerts:', err));
+        };
+        setAlerts([]);
+        loadAlerts();
+        return openEventStream(repo, {
+            alert: ({ alert }) => setAlerts((current) => [alert, ...current].slice(0, alertsShown)),
+            resync: loadAlerts,
+        });
+    }, [repo]);
+
+    if (alerts.length === 0) return null;
+
+    return (
+        <div style={{marginTop: '1rem'}}>
+            <h3>Alerts</h3>
+            <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                {alerts.map((alert) => (
+                    <li key={alert.id} style={{marginBottom: '0.5rem'}}>
+                        <span style={{fontSize: '0.75rem', color: '#666'}}>{new Date(alert.createdAt).toLocaleString()}</span><br/>
+                        {alert.message}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default Alerts;
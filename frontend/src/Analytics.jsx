@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+/**
+ * Contribution analytics of a repository, from the backend's '/stats/:owner/:repo/analytics' endpoint: <br>
+ * the bus factor (how few authors made most of the changes), a day-of-week × hour-of-day heatmap of when commits are made,
+ * streaks and inactive periods, and each author's commits per week. Days and hours are in the browser's time zone.
+ * @param repo "owner/repo"
+ * @param branch Only count commits seen on this branch ('' for every tracked branch)
+ * @param commitCount Number of commits currently shown. Used to refetch whenever new commits arrive
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function Analytics({ repo, branch, commitCount }) {
+    const [analytics, setAnalytics] = useState(null);
+
+    useEffect(() => {
+        const params = { utcOffset: -new Date().getTimezoneOffset(), weeks: 12 };
+        if (branch) params.branch = branch;
+        axios.get(`http://localhost:4000/stats/${repo}/analytics`, { params })
+            .then((response) => setAnalytics(response.data))
+            .catch((err) => console.error('Error loading analytics:', err));
+    }, [repo, branch, commitCount]);
+
+    if (!analytics || !analytics.streaks.repo) return null;
+    const { heatmap, cadence, streaks, knowledge } = analytics;
+    const maxWeek = Math.max(1, ...cadence.authors.flatMap((author) => author.counts));
+
+    return (
+        <div>
+            <h2>Contribution Analytics</h2>
+            <p>
+                <strong>Bus factor:</strong> {knowledge.busFactor}.{' '}
+                {knowledge.authorsFor50} of {knowledge.totalAuthors} authors made half of the {knowledge.measure === 'lines' ? 'changed lines' : 'commits'},
+                {' '}{knowledge.authorsFor80} made 80%.
+            </p>
+            <p>
+                {knowledge.topAuthors.map((author) => `${author.author} ${author.share.toFixed(1)}%`).join(', ')}
+            </p>
+
+            <h3>When commits are made</h3>
+            <table style={{borderCollapse: 'collapse', fontSize: '0.75rem'}}>
+                <tbody>
+                    {heatmap.grid.map((row, day) => (
+                        <tr key={heatmap.weekdays[day]}>
+                            <td style={{paddingRight: '0.5rem'}}>{heatmap.weekdays[day]}</td>
+                            {row.map((count, hour) => (
+                                <td
+                                    key={hour}
+                                    title={`${heatmap.weekdays[day]} ${hour}:00-${hour + 1}:00: ${count} commits`}
+                                    style={{
+                                        width: '1rem',
+                                        height: '1rem',
+                                        border: '1px solid #eee',
+                                        backgroundColor: `rgba(136, 132, 216, ${heatmap.max > 0 ? count / heatmap.max : 0})`,
+                                    }}
+                                />
+                            ))}
+                        </tr>
+                    ))}
+                    <tr>
+                        <td/>
+                        {heatmap.grid[0].map((_, hour) => <td key={hour}>{hour % 6 === 0 ? hour : ''}</td>)}
+                    </tr>
+                </tbody>
+            </table>
+
+            <h3>Streaks</h3>
+            <p>
+                <strong>Longest streak:</strong> {streaks.repo.longestStreak.days} days ({streaks.repo.longestStreak.from} to {streaks.repo.longestStreak.to})<br/>
+                <strong>Current streak:</strong> {streaks.repo.currentStreak} days,
+                last commit {streaks.repo.daysSinceLastCommit === 0 ? 'today' : `${streaks.repo.daysSinceLastCommit} days ago`}
+            </p>
+            {streaks.repo.inactivePeriods.length > 0 && (
+                <div>
+                    <strong>Longest inactive periods:</strong>
+                    <ul>
+                        {streaks.repo.inactivePeriods.map((gap) => (
+                            <li key={gap.from}>{gap.days} days ({gap.from} to {gap.to})</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <h3>Weekly cadence (last {cadence.weeks.length} weeks)</h3>
+            <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                {cadence.authors.map((author) => {
+                    const authorStreaks = streaks.authors.find((other) => other.identityId === author.identityId && other.author === author.author);
+                    return (
+                        <li key={author.identityId ?? author.author} style={{marginBottom: '0.75rem'}}>
+                            <div>
+                                <strong>{author.author}</strong>: {author.averagePerWeek.toFixed(1)} commits/week,
+                                active {author.activeWeeks} of {cadence.weeks.length} weeks
+                                {authorStreaks && `, longest streak ${authorStreaks.longestStreak.days} days`}
+                            </div>
+                            {/*One bar per week, relative to the busiest week of any author*/}
+                            <div style={{display: 'flex', alignItems: 'flex-end', height: '1.5rem', gap: '2px'}}>
+                                {author.counts.map((count, week) => (
+                                    <div
+                                        key={cadence.weeks[week]}
+                                        title={`Week of ${cadence.weeks[week]}: ${count} commits`}
+                                        style={{flex: 1, height: `${(count / maxWeek) * 100}%`, minHeight: '1px', backgroundColor: '#8884d8'}}
+                                    />
+                                ))}
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+export default Analytics;
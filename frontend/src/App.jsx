@@ -1,22 +1,73 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import {
-    LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer,
+    ComposedChart, Line, Area, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ResponsiveContainer, ReferenceLine,
 } from 'recharts';
+import Hotspots from './Hotspots.jsx';
+import Analytics from './Analytics.jsx';
+import PullRequests from './PullRequests.jsx';
+import Releases from './Releases.jsx';
+import IgnoreSettings from './IgnoreSettings.jsx';
+import AlertSettings from './AlertSettings.jsx';
+import Alerts from './Alerts.jsx';
+import BackfillProgress from './BackfillProgress.jsx';
+import IdentitySettings from './IdentitySettings.jsx';
+import FilterBar from './FilterBar.jsx';
+import Compare from './Compare.jsx';
+import { openEventStream, periodOf, addCommitToList, addCommitToAuthors, addCommitToSeries } from './liveUpdates.js';
+import { emptyFilters, hasFilters, filterParams, toQuery, viewToSearch, searchToView } from './filters.js';
+import { linkParams } from './session.js';
+import { chartLanguages, addSnapshotsToPoints } from './locSnapshots.js';
+
+const commitsShown = 5; // Length of the list of latest commits
+const liveBatchDelay = 500; // Live commits are added to the stats in batches, so a backfill doesn't redraw the chart for every commit
+const reloadDelay = 1000; // Wait before reloading after an event that can't be applied as-is, so a burst of them reloads once
+const languageColors = ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#0088fe', '#a05195', '#d0393e', '#bbb']; // Areas of the chart, "Other" last
 /**
  * Frontend. Presents a list of 5 most recent commits, a chart showing codebase growth, and other repository statistics
+ * of the repositories tracked in the current workspace (see Session.jsx)
+ * @param user The signed-in user. Only admins can track from a local clone or a self-hosted forge
  * @returns {JSX.Element}
  * @constructor
  */
-function App() {
+function App({ user }) {
     const [repoInput, setRepoInput] = useState(''); // String used for keeping track of repo name
+    const [localPathInput, setLocalPathInput] = useState(''); // Optional path to a git clone on the backend's disk
+    const [providerInput, setProviderInput] = useState('github'); // Forge the repo lives on
+    const [apiUrlInput, setApiUrlInput] = useState(''); // Optional API base URL, for self-hosted forges
     const [repoStats, setRepoStats] = useState(null); // Holds information related to each author contributing to the repo
     const [repoTracked, setRepoTracked] = useState(false); // Boolean to control whether to show repo info
+    const [currentRepo, setCurrentRepo] = useState(null); // "owner/repo" of the repository currently shown
+    const [branch, setBranch] = useState(''); // Branch shown for the current repository ('' = every tracked branch)
+    const [chartInterval, setChartInterval] = useState('day'); // Chart points per 'day', 'week' or 'month'
+    const [filters, setFilters] = useState(emptyFilters); // Time range, authors and message search, see filters.js
     const [commits, setCommits] = useState([]);
-    const [chartData, setChartData] = useState([]);
+    const [series, setSeries] = useState([]); // Chart points, as returned by '/stats/:owner/:repo/timeseries'
+    const [tags, setTags] = useState([]); // Tags and releases of the repository shown, newest first, marked on the chart
+    const [showTags, setShowTags] = useState(true); // Whether the chart marks tags and releases
+    const [snapshots, setSnapshots] = useState([]); // Lines of code snapshots of the default branch, oldest first (see locSnapshots.js)
+    const [showDeltaCurve, setShowDeltaCurve] = useState(false); // Whether the chart overlays the sum of additions - deletions on the snapshots
     const [totalLines, setTotalLines] = useState();
-    const pollingIntervalTime = 5000;
-    const pollingInterval = useRef(null);
+    const [trackedRepos, setTrackedRepos] = useState([]); // Every repo registered in the backend, including paused ones
+    const [settingsRepo, setSettingsRepo] = useState(null); // "owner/repo" whose ignore rules are being edited, if any
+    const [alertSettingsRepo, setAlertSettingsRepo] = useState(null); // "owner/repo" whose alert rules are being edited, if any
+    const [showIdentities, setShowIdentities] = useState(false); // Whether the author identity panel is open
+    const [compareSelection, setCompareSelection] = useState([]); // "owner/repo" of the repos ticked for comparing
+    const [comparedRepos, setComparedRepos] = useState(null); // Repos on the comparison page, null while the dashboard is shown
+    const closeLiveStream = useRef(null); // Closes the live event stream of the repository shown
+
+    /**
+     * Fetches the list of tracked repositories from the backend
+     * @returns {Promise<void>}
+     */
+    const loadTrackedRepos = useCallback(async () => {
+        try {
+            const response = await axios.get('http://localhost:4000/repos');
+            setTrackedRepos(response.data);
+        } catch (err) {
+            console.error('Error loading tracked repos:', err);
+        }
+    }, []);
 
     /**
      * Requests the backend to do the API call <br>
@@ -31,164 +82,288 @@ function App() {
             alert('Please enter repo in format owner/repo');
             return;
         }
-        await pollCommits(owner, repo); // Show current data right away
-        setRepoTracked(true); // Show the UI section even if empty
+        await viewRepo(owner, repo, '', chartInterval, emptyFilters); // Show current data right away
 
         try {
-            await axios.post('http://localhost:4000/track-repo', { owner, repo });
-            startPolling(owner, repo);
+            const localPath = localPathInput.trim() || undefined; // Without a path, the repo is read from its forge
+            const apiUrl = apiUrlInput.trim() || undefined; // Without a URL, the forge's public instance is used
+            await axios.post('http://localhost:4000/track-repo', { owner, repo, localPath, provider: providerInput, apiUrl });
+            loadTrackedRepos();
         } catch (err) {
             console.error('Tracking error:', err);
-            alert('Error starting tracking. Check console.');
+            alert(err.response?.data?.error || 'Error starting tracking. Check console.');
         }
     };
 
     /**
-     * Sets up a repeating poll to server backend for new commits
-     * Called on user pressing Track Repository, after successfully getting a response from the repo
+     * Requests the latest commits and the aggregated statistics from the backend, <br>
+     * and pastes them into the state used by the list, chart and author stats. <br>
+     * Totals are added up by the backend ('/stats' endpoints), so only the 5 commits shown are downloaded.
+     * Called when a repository is shown, and when a live update requires a reload.
+     * @param owner
+     * @param repo
+     * @param branchName Only commits seen on this branch, or '' for every tracked branch (commits on several branches count once)
+     * @param intervalName Chart points per 'day', 'week' or 'month'
+     * @param filterValues Time range, authors and message search (see filters.js)
+     * @returns {Promise<void>}
+     */
+    const loadRepoData = useCallback(async (owner, repo, branchName, intervalName, filterValues) => {
+        try {
+            const params = { ...filterParams(filterValues), ...(branchName && { branch: branchName }) };
+            const [commitsResponse, summaryResponse, authorsResponse, seriesResponse, tagsResponse, snapshotsResponse] = await Promise.all([
+                axios.get(`http://localhost:4000/commits/${owner}/${repo}`, { params: toQuery({ ...params, limit: commitsShown }) }),
+                axios.get(`http://localhost:4000/stats/${owner}/${repo}/summary`, { params: toQuery(params) }),
+                axios.get(`http://localhost:4000/stats/${owner}/${repo}/authors`, { params: toQuery(params) }),
+                axios.get(`http://localhost:4000/stats/${owner}/${repo}/timeseries`, { params: toQuery({ ...params, interval: intervalName }) }),
+                axios.get(`http://localhost:4000/repos/${owner}/${repo}/tags`), // Their dates come from stored commits, so reloaded with them
+                axios.get(`http://localhost:4000/repos/${owner}/${repo}/loc-snapshots`),
+            ]);
+            setCommits(commitsResponse.data.commits);
+            setRepoStats({ totalCommits: summaryResponse.data.totalCommits, authors: authorsResponse.data.authors });
+            setTotalLines(summaryResponse.data.netLines); // Used for Repository Summary -> "Approximate repo size"
+            setSeries(seriesResponse.data.series);
+            setTags(tagsResponse.data);
+            setSnapshots(snapshotsResponse.data);
+        } catch (err) {
+            console.error('Error loading repository data:', err);
+        }
+    }, []);
+
+    /**
+     * Subscribes to the backend's live events for the repository (see liveUpdates.js), replacing the subscription of the
+     * previously shown repository. <br>
+     * New commits are added to the list, chart and author stats as they're stored. Events that can't be added as-is
+     * (a stored commit being updated, commits linked to the branch shown, recomputed stats, events that were missed,
+     * or any new commit while filters are set) reload everything from the backend instead.
      * @param owner
      * @param repo
+     * @param branchName
+     * @param intervalName
+     * @param filterValues
      */
-    const startPolling = (owner, repo) => {
-        if (pollingInterval.current) return;
+    const startLiveUpdates = useCallback((owner, repo, branchName, intervalName, filterValues) => {
+        if (closeLiveStream.current) closeLiveStream.current();
 
-        pollingInterval.current = setInterval(() => {
-            pollCommits(owner, repo);
-        }, pollingIntervalTime);
-    };
+        let reloadTimer = null;
+        const scheduleReload = () => {
+            if (reloadTimer) return;
+            reloadTimer = setTimeout(() => {
+                reloadTimer = null;
+                loadRepoData(owner, repo, branchName, intervalName, filterValues);
+            }, reloadDelay);
+        };
+        let pending = []; // 'commit' events waiting to be added
+        const addPending = () => {
+            const events = pending;
+            pending = [];
+            setCommits((current) => events.reduce((list, { commit }) => addCommitToList(list, commit, commitsShown), current));
+            setRepoStats((current) => current && events.reduce((stats, event) => ({
+                totalCommits: stats.totalCommits + 1,
+                authors: addCommitToAuthors(stats.authors, stats.totalCommits + 1, event),
+            }), current));
+            setTotalLines((current) => events.reduce((lines, { commit }) => lines + (commit.additions ?? 0) - (commit.deletions ?? 0), current ?? 0));
+            setSeries((current) => events.reduce((points, { commit }) => addCommitToSeries(points, commit, intervalName), current));
+        };
+
+        closeLiveStream.current = openEventStream(`${owner}/${repo}`, {
+            commit: (event) => {
+                // A commit only shows up on a branch once it's linked to it, which comes as a 'linked' event
+                if (branchName) return;
+                // Already counted with its old numbers, or maybe filtered out
+                if (event.updated || hasFilters(filterValues)) return scheduleReload();
+                if (pending.length === 0) setTimeout(addPending, liveBatchDelay);
+                pending.push(event);
+            },
+            linked: (event) => branchName && event.branch === branchName && scheduleReload(),
+            stats: scheduleReload,
+            tags: scheduleReload,
+            snapshots: scheduleReload,
+            resync: scheduleReload,
+        });
+    }, [loadRepoData]);
 
     /**
-     * Requests a response from the backend regarding new commits, <br>
-     * then sorts them by time, with newest first, <br>
-     * and then paste that data into the other methods handling data analysis and presentation.
-     * Repeated every 5 seconds.
+     * Switches the dashboard to the given repository (and branch), showing what's in the database and following live updates from then on. <br>
+     * The view is kept in the page's URL, so it can be shared or bookmarked.
      * @param owner
      * @param repo
+     * @param branchName Branch to show, '' for every tracked branch
+     * @param intervalName Chart points per 'day', 'week' or 'month'
+     * @param filterValues Time range, authors and message search (see filters.js)
      * @returns {Promise<void>}
      */
-    const pollCommits = async (owner, repo) => {
-        try {
-            const response = await axios.get(`http://localhost:4000/commits/${owner}/${repo}`);
-            const sorted = [...response.data].sort(
-                (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
-            );
-            setCommits(sorted);
-            generateChartData(sorted);
-            setRepoStats(computeStats(sorted));
-        } catch (err) {
-            console.error('Polling error:', err);
-        }
-    };
+    const viewRepo = (owner, repo, branchName = '', intervalName = chartInterval, filterValues = filters) => (
+        showView(owner, repo, branchName, intervalName, filterValues)
+    );
 
     /**
-     * Computes stats related to each author contributing to the repository. <br>
-     * Returns the data used in the right-side block of the frontend (everything under "Author contributions")
-     * @param commits
-     * @returns {{totalCommits: *, authors: {additions: *, deletions: *, author: *, changePercent: string, commits: *, commitPercent, avgLinesChanged}[]}|{totalCommits: number, authors: *[]}}
+     * Does the work of `viewRepo()`, with every part of the view given, so it doesn't depend on the view shown before
+     * @param owner
+     * @param repo
+     * @param branchName
+     * @param intervalName
+     * @param filterValues
+     * @returns {Promise<void>}
      */
-    const computeStats = (commits) => {
-        if (!commits || commits.length === 0) { // Guard against empty commits (which happens whenever a poll doesn't return a commit)
-            return { totalCommits: 0, authors: [] }; // Needed to not reset percentage numbers
-        }
-        const totalCommits = commits.length;
-        const authorStats = {};
-        let totalLinesChanged = 0;
-        const normalizeName = (name) => name.replace(/\s+/g, '').toLowerCase();// Helper-function to normalize name.
-        // Without it, you end up with both "Patrick Holmes" and "PatrickHolmes" as separate authors, which is hilarious
+    const showView = useCallback(async (owner, repo, branchName, intervalName, filterValues) => {
+        setRepoInput(`${owner}/${repo}`);
+        setCurrentRepo(`${owner}/${repo}`);
+        setBranch(branchName);
+        setChartInterval(intervalName);
+        setFilters(filterValues);
+        const search = viewToSearch({ repo: `${owner}/${repo}`, branch: branchName, interval: intervalName, filters: filterValues });
+        window.history.replaceState(null, '', `${window.location.pathname}?${search}`);
+        // Before loading, so nothing stored in the meantime is missed
+        startLiveUpdates(owner, repo, branchName, intervalName, filterValues);
+        await loadRepoData(owner, repo, branchName, intervalName, filterValues);
+        setRepoTracked(true); // Show the UI section even if empty
+    }, [startLiveUpdates, loadRepoData]);
 
-        for (const commit of commits) {
-            const rawName = commit.author;
-            const normalized = normalizeName(rawName);
-            const { additions, deletions } = commit;
-            if (!authorStats[normalized]) {
-                authorStats[normalized] = {
-                    author: rawName,
-                    commits: 0,
-                    additions: 0,
-                    deletions: 0,
-                };
-            }
-            authorStats[normalized].commits += 1;
-            authorStats[normalized].additions += additions;
-            authorStats[normalized].deletions += deletions;
-            totalLinesChanged += additions + deletions;
-        }
+    /**
+     * Switches to the comparison page. Kept in the page's URL like the dashboard view
+     * @param repos "owner/repo" of the repositories compared
+     */
+    const openComparison = useCallback((repos) => {
+        setComparedRepos(repos);
+        window.history.replaceState(null, '', `${window.location.pathname}?${toQuery({ compare: repos })}`);
+    }, []);
 
-        const authors = Object.values(authorStats).map((stats) => {
-            const linesChanged = stats.additions + stats.deletions;
-            return {
-                author: stats.author,
-                commits: stats.commits,
-                additions: stats.additions,
-                deletions: stats.deletions,
-                avgLinesChanged: (linesChanged / stats.commits).toFixed(2),
-                commitPercent: ((stats.commits / totalCommits) * 100).toFixed(1),
-                changePercent: totalLinesChanged > 0
-                    ? ((linesChanged / totalLinesChanged) * 100).toFixed(1)
-                    : '0.0',
-            };
-        });
+    // When the page is opened. Views are switched by viewRepo() afterwards
+    useEffect(() => {
+        loadTrackedRepos(); // Repos tracked in an earlier session are still tracked by the backend
+        // A shared link opens the same view
+        const compared = new URLSearchParams(window.location.search).getAll('compare');
+        if (compared.length > 1) {
+            openComparison(compared);
+            return;
+        }
+        const view = searchToView(window.location.search);
+        const [owner, repo] = view.repo.split('/');
+        if (owner && repo) showView(owner, repo, view.branch, view.interval, view.filters);
+    }, [loadTrackedRepos, openComparison, showView]);
 
-        authors.sort((a, b) => b.commits - a.commits);
+    /**
+     * Leaves the comparison page, back to the repository shown before (if any)
+     */
+    const closeComparison = () => {
+        setComparedRepos(null);
+        const search = currentRepo ? viewToSearch({ repo: currentRepo, branch, interval: chartInterval, filters }) : '';
+        window.history.replaceState(null, '', `${window.location.pathname}${search && `?${search}`}`);
+    };
 
-        return { totalCommits, authors };
+    /**
+     * Pauses or resumes backend polling of a tracked repository
+     * @param trackedRepo
+     * @returns {Promise<void>}
+     */
+    const togglePaused = async (trackedRepo) => {
+        const action = trackedRepo.paused ? 'resume' : 'pause';
+        try {
+            await axios.post(`http://localhost:4000/repos/${trackedRepo.repo}/${action}`);
+            loadTrackedRepos();
+        } catch (err) {
+            console.error(`Error trying to ${action} ${trackedRepo.repo}:`, err);
+            alert(err.response?.data?.error || `Error trying to ${action} the repository. Check console.`);
+        }
     };
 
     /**
-     * Takes the list of commits (containing info on date, author, additions/deletions) and: <br>
-     * 1) Compiles the accumulated number of lines added for each date and adds it to the chart
-     * 2) Returns the final accumulated number, to display in the right-side "Approximate repo size:" field under Repository Summary
-     * @param commitList
-     * @returns {number}
+     * Asks for the branches to track besides the default branch (comma separated), and saves them in the backend
+     * @param trackedRepo
+     * @returns {Promise<void>}
      */
-    const generateChartData = (commitList) => {
-        let totalLines = 0;
-        const sortedCommits = [...commitList].sort(
-            (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+    const editBranches = async (trackedRepo) => {
+        const extraBranches = trackedRepo.trackedBranches.filter((name) => name !== trackedRepo.defaultBranch);
+        const input = window.prompt(
+            `Branches to track besides ${trackedRepo.defaultBranch || 'the default branch'}, comma separated:`,
+            extraBranches.join(', ')
         );
-        if (sortedCommits.length === 0) { // Guard in case no commits were added (This is repeatedly run when polling, and this guard prevents the chart being cleared)
-            setChartData([]);
-            return 0;
+        if (input === null) return; // Cancelled
+        try {
+            await axios.put(`http://localhost:4000/repos/${trackedRepo.repo}/branches`, { branches: input.split(',') });
+            loadTrackedRepos();
+        } catch (err) {
+            console.error(`Error saving branches of ${trackedRepo.repo}:`, err);
+            alert(err.response?.data?.error || 'Error saving branches. Check console.');
         }
+    };
 
-        // Create date => totalLines map (as of the last commit that day)
-        const linesPerDay = new Map();
+    /**
+     * Stops the backend from tracking a repository (its stored commits are kept)
+     * @param trackedRepo
+     * @returns {Promise<void>}
+     */
+    const removeRepo = async (trackedRepo) => {
+        try {
+            await axios.delete(`http://localhost:4000/repos/${trackedRepo.repo}`);
+            loadTrackedRepos();
+        } catch (err) {
+            console.error(`Error removing ${trackedRepo.repo}:`, err);
+        }
+    };
 
-        sortedCommits.forEach((commit) => {
-            const commitDate = new Date(commit.timestamp);
-            const dateKey = commitDate.toISOString().split('T')[0]; // yyyy-mm-dd
-            totalLines += commit.additions - commit.deletions;
-            linesPerDay.set(dateKey, totalLines); // overwrite ensures last commit of day wins
-        });
+    /**
+     * Formats a period from the backend ("2024-05-13", or "2024-05" for months) as a chart label, e.g. "May 13" or "May 2024"
+     * @param period
+     * @param intervalName
+     * @returns {string}
+     */
+    const formatPeriod = (period, intervalName) => {
+        const options = intervalName === 'month' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' };
+        return new Date(period).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+    };
 
-        // Generate full date range for chart
-        const data = [];
-        const allDates = Array.from(linesPerDay.keys()).sort(); // all commit days
-        const firstDate = new Date(allDates[0]);
-        const lastDate = new Date(allDates[allDates.length - 1]);
+    // Snapshots are of the default branch, so they're only drawn with that branch (or all branches) shown
+    const defaultBranch = trackedRepos.find((tracked) => tracked.repo === currentRepo)?.defaultBranch;
+    const shownSnapshots = !branch || branch === defaultBranch ? snapshots : [];
+    const languages = chartLanguages(shownSnapshots);
+    const latestSnapshot = shownSnapshots[shownSnapshots.length - 1];
+    const chartData = addSnapshotsToPoints(
+        series.map((point) => ({ period: point.period, name: formatPeriod(point.period, chartInterval), lines: point.totalLines })),
+        shownSnapshots,
+        languages
+    );
 
-        const cursor = new Date(firstDate);
-        let lastValue = 0;
-        while (cursor <= lastDate) {
-            const dateKey = cursor.toISOString().split('T')[0];
-            const displayDate = cursor.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
-            if (linesPerDay.has(dateKey)) {
-                lastValue = linesPerDay.get(dateKey);
-            }
-            data.push({ name: displayDate, lines: lastValue });
-            cursor.setDate(cursor.getDate() + 1);
+    // Chart markers for the tags whose commit is stored and falls within the chart. Tags in the same period share one marker
+    const tagMarkers = new Map(); // Chart label -> {names, release}
+    if (showTags) {
+        for (const tag of tags) {
+            if (!tag.timestamp) continue;
+            const name = formatPeriod(periodOf(tag.timestamp, chartInterval), chartInterval);
+            if (!chartData.some((point) => point.name === name)) continue;
+            const marker = tagMarkers.get(name) ?? { names: [], release: false };
+            marker.names.push(tag.releaseName && tag.releaseName !== tag.name ? `${tag.name} (${tag.releaseName})` : tag.name);
+            marker.release = marker.release || !!tag.releaseName;
+            tagMarkers.set(name, marker);
+        }
+    }
+
+    /**
+     * Downloads an export of the repository shown (see the '/export' endpoints), with the branch and filters shown.
+     * The URL gets a link token made for it, since a download can't send the session's Authorization header
+     * @param kind 'commits', 'authors' or 'report'
+     * @param params Extra query parameters, like the format
+     */
+    const downloadExport = async (kind, params) => {
+        try {
+            const query = toQuery({ ...params, ...filterParams(filters), branch, ...(await linkParams('export')) });
+            window.location.assign(`http://localhost:4000/export/${currentRepo}/${kind}?${query}`);
+        } catch (err) {
+            console.error('Error starting the export:', err);
         }
-        setChartData(data);
-        setTotalLines(totalLines);
-        return totalLines; // Used for Repository Summary -> "Approximate repo size"
     };
 
+    // Branches tracked for the repository currently shown, for the branch selector
+    const currentBranches = trackedRepos.find((tracked) => tracked.repo === currentRepo)?.trackedBranches ?? [];
+
+    if (comparedRepos) return <Compare repos={comparedRepos} onClose={closeComparison}/>;
+
     return (
         <div style={{
             display: 'flex',
             justifyContent: 'space-between',
             alignItems: 'flex-start',
-            height: '100vh',
+            height: 'calc(100vh - 3rem)', // Below the account bar
             width: '100vw',
             boxSizing: 'border-box',
             padding: '1rem',
@@ -204,19 +379,105 @@ function App() {
                     onChange={(e) => setRepoInput(e.target.value)}
                     style={{marginRight: '1rem', padding: '0.5rem'}}
                 />
+                <select
+                    value={providerInput}
+                    onChange={(e) => setProviderInput(e.target.value)}
+                    style={{marginRight: '1rem', padding: '0.5rem'}}
+                >
+                    <option value="github">GitHub</option>
+                    <option value="gitlab">GitLab</option>
+                    <option value="gitea">Gitea</option>
+                    <option value="bitbucket">Bitbucket</option>
+                </select>
+                {user.isAdmin && (
+                    <>
+                        <input
+                            type="text"
+                            placeholder="API URL (self-hosted only)"
+                            value={apiUrlInput}
+                            onChange={(e) => setApiUrlInput(e.target.value)}
+                            style={{marginRight: '1rem', padding: '0.5rem'}}
+                        />
+                        <input
+                            type="text"
+                            placeholder="local clone path (optional)"
+                            value={localPathInput}
+                            onChange={(e) => setLocalPathInput(e.target.value)}
+                            style={{marginRight: '1rem', padding: '0.5rem'}}
+                        />
+                    </>
+                )}
                 <button onClick={startTrackingRepo}>Track Repository</button>
+                {trackedRepos.length > 0 && (
+                    <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                        {trackedRepos.map((tracked) => (
+                            <li key={tracked.repo} style={{marginTop: '0.5rem'}}>
+                                <input
+                                    type="checkbox"
+                                    title="Compare"
+                                    checked={compareSelection.includes(tracked.repo)}
+                                    onChange={(e) => setCompareSelection(e.target.checked
+                                        ? [...compareSelection, tracked.repo]
+                                        : compareSelection.filter((repo) => repo !== tracked.repo))}
+                                />
+                                <span style={{marginRight: '1rem'}}>
+                                    {tracked.repo}{tracked.localPath ? ' (local)' : tracked.provider !== 'github' && ` (${tracked.provider})`}{tracked.paused && ' (paused)'}
+                                </span>
+                                <button onClick={() => viewRepo(...tracked.repo.split('/'), '', chartInterval, emptyFilters)}>View</button>
+                                {tracked.canManage && <button onClick={() => togglePaused(tracked)}>{tracked.paused ? 'Resume' : 'Pause'}</button>}
+                                <button onClick={() => removeRepo(tracked)}>Remove</button>
+                                <button onClick={() => setSettingsRepo(tracked.repo)}>Ignore rules</button>
+                                {tracked.canManage && <button onClick={() => editBranches(tracked)}>Branches</button>}
+                                <button onClick={() => setAlertSettingsRepo(tracked.repo)}>Alerts</button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {trackedRepos.length > 1 && (
+                    <button onClick={() => openComparison(compareSelection)} disabled={compareSelection.length < 2 || compareSelection.length > 8}>
+                        Compare ticked repositories
+                    </button>
+                )}
+                {settingsRepo && (
+                    <IgnoreSettings
+                        repo={settingsRepo}
+                        onSaved={() => currentRepo === settingsRepo && loadRepoData(...settingsRepo.split('/'), branch, chartInterval, filters)}
+                        onClose={() => setSettingsRepo(null)}
+                    />
+                )}
+                {alertSettingsRepo && <AlertSettings repo={alertSettingsRepo} onClose={() => setAlertSettingsRepo(null)}/>}
+                {currentRepo && <BackfillProgress repo={currentRepo}/>}
+                {currentRepo && <Alerts repo={currentRepo}/>}
                 <div style={{marginTop: '2rem'}}>
+                    {repoTracked && currentBranches.length > 1 && (
+                        <select
+                            value={branch}
+                            onChange={(e) => viewRepo(...currentRepo.split('/'), e.target.value)}
+                            style={{padding: '0.5rem'}}
+                        >
+                            <option value="">All branches</option>
+                            {currentBranches.map((name) => <option key={name} value={name}>{name}</option>)}
+                        </select>
+                    )}
+                    {repoTracked && (
+                        <FilterBar
+                            repo={currentRepo}
+                            filters={filters}
+                            onChange={(next) => viewRepo(...currentRepo.split('/'), branch, chartInterval, next)}
+                        />
+                    )}
                     {repoTracked && (
                         <div>
                             {commits.length === 0 ? (
-                                <p>No commits found yet.</p>
+                                <p>{hasFilters(filters) ? 'No commits match the filters.' : 'No commits found yet.'}</p>
                             ) : (
                                 <ul>
-                                    {[...commits].slice(-5).reverse().map((commit) => (
+                                    {commits.map((commit) => (
                                         <li key={commit.sha} style={{marginBottom: '1rem'}}>
                                             <strong>Author:</strong> {commit.author}<br/>
                                             <strong>Date:</strong> {new Date(commit.timestamp).toLocaleString()}<br/>
                                             <strong>SHA:</strong> {commit.sha}<br/>
+                                            {commit.message && <><strong>Message:</strong> {commit.message.split('\n')[0]}<br/></>}
                                             <strong style={{color: 'green'}}>+{commit.additions}</strong>
                                             <span> / </span>
                                             <strong style={{color: 'red'}}>-{commit.deletions}</strong>
@@ -229,24 +490,80 @@ function App() {
                 </div>
             </div>
 
-            {/*Center block: Codebase chart*/}
-            <div style={{flex: 2, marginTop: '6rem'}}>
+            {/*Center block: Codebase chart, releases, hotspots, contribution analytics and pull requests*/}
+            <div style={{flex: 2, marginTop: '6rem', maxHeight: 'calc(100vh - 8rem)', overflowY: 'auto'}}>
                 {repoTracked && (
                     <div>
                         <h2>Codebase Size</h2>
+                        <select
+                            value={chartInterval}
+                            onChange={(e) => viewRepo(...currentRepo.split('/'), branch, e.target.value)}
+                            style={{padding: '0.25rem'}}
+                        >
+                            <option value="day">Per day</option>
+                            <option value="week">Per week</option>
+                            <option value="month">Per month</option>
+                        </select>
+                        <label style={{marginLeft: '1rem'}}>
+                            <input type="checkbox" checked={showTags} onChange={(e) => setShowTags(e.target.checked)}/>
+                            {' '}Show tags and releases
+                        </label>
+                        {languages.length > 0 && (
+                            <label style={{marginLeft: '1rem'}}>
+                                <input type="checkbox" checked={showDeltaCurve} onChange={(e) => setShowDeltaCurve(e.target.checked)}/>
+                                {' '}Show sum of added - deleted lines
+                            </label>
+                        )}
                         {chartData.length === 0 ? (
                             <p>Loading chart...</p>
                         ) : (
                             <ResponsiveContainer width="100%" height={600}>
-                                <LineChart data={chartData}>
+                                <ComposedChart data={chartData}>
                                     <CartesianGrid strokeDasharray="3 3"/>
                                     <XAxis dataKey="name"/>
                                     <YAxis label={{value: 'Lines of Code', angle: -90, position: 'insideLeft'}}/>
                                     <Tooltip/>
-                                    <Line type="monotone" dataKey="lines" stroke="#8884d8" strokeWidth={2}/>
-                                </LineChart>
+                                    {languages.length > 0 && <Legend verticalAlign="top"/>}
+                                    {/*Real size per language from the snapshots, stacked. Function dataKeys, since languages like ".toml" have dots*/}
+                                    {languages.map((language, index) => (
+                                        <Area
+                                            key={language}
+                                            type="stepAfter"
+                                            dataKey={(point) => point[`language:${language}`]}
+                                            name={language}
+                                            stackId="languages"
+                                            stroke={languageColors[index]}
+                                            fill={languageColors[index]}
+                                        />
+                                    ))}
+                                    {(languages.length === 0 || showDeltaCurve) && (
+                                        <Line
+                                            type="monotone"
+                                            dataKey="lines"
+                                            name="Sum of added - deleted lines"
+                                            stroke={languages.length === 0 ? '#8884d8' : '#333'}
+                                            strokeDasharray={languages.length === 0 ? undefined : '5 5'}
+                                            strokeWidth={2}
+                                            dot={languages.length === 0 ? undefined : false}
+                                        />
+                                    )}
+                                    {/*Releases solid, plain tags dashed*/}
+                                    {[...tagMarkers].map(([name, marker]) => (
+                                        <ReferenceLine
+                                            key={name}
+                                            x={name}
+                                            stroke={marker.release ? '#82ca9d' : '#aaa'}
+                                            strokeDasharray={marker.release ? undefined : '4 4'}
+                                            label={{value: marker.names.join(', '), position: 'insideTopRight', fontSize: 11}}
+                                        />
+                                    ))}
+                                </ComposedChart>
                             </ResponsiveContainer>
                         )}
+                        <Releases repo={currentRepo} branch={branch} commitCount={repoStats?.totalCommits ?? 0}/>
+                        <Hotspots repo={currentRepo} branch={branch} commitCount={repoStats?.totalCommits ?? 0}/>
+                        <Analytics repo={currentRepo} branch={branch} commitCount={repoStats?.totalCommits ?? 0}/>
+                        <PullRequests repo={currentRepo}/>
                     </div>
                 )}
             </div>
@@ -256,21 +573,40 @@ function App() {
                 <div style={{flex: 1, marginLeft: '8rem', overflowY: 'auto'}}>
                     <h2>Repository Summary</h2>
                     <p><strong>Total Commits:</strong> {repoStats.totalCommits}</p>
-                    <p><strong>Approximate repo size:</strong> {totalLines} lines</p>
+                    {hasFilters(filters) && <p><strong>Net lines in the filtered commits:</strong> {totalLines}</p>}
+                    {!hasFilters(filters) && (latestSnapshot
+                        ? <p><strong>Repo size:</strong> {latestSnapshot.totalLines} lines in {latestSnapshot.totalFiles} files (as of {new Date(latestSnapshot.committedAt).toLocaleDateString()})</p>
+                        : <p><strong>Approximate repo size:</strong> {totalLines} lines</p>)}
+                    <p>
+                        <strong>Export:</strong>{' '}
+                        <button onClick={() => downloadExport('commits', { format: 'csv' })}>commits (CSV)</button>{' '}
+                        <button onClick={() => downloadExport('commits', { format: 'json' })}>commits (JSON)</button>{' '}
+                        <button onClick={() => downloadExport('authors', { format: 'csv' })}>authors (CSV)</button>{' '}
+                        <button onClick={() => downloadExport('report', { interval: chartInterval })}>report (HTML)</button>
+                    </p>
                     <h3>Author Contributions:</h3>
+                    <button onClick={() => setShowIdentities(!showIdentities)}>Manage identities</button>
+                    {showIdentities && (
+                        <IdentitySettings
+                            repo={currentRepo}
+                            onChanged={() => loadRepoData(...currentRepo.split('/'), branch, chartInterval, filters)}
+                            onClose={() => setShowIdentities(false)}
+                        />
+                    )}
                     <ul style={{listStyleType: 'none', paddingLeft: 0}}>
                         {repoStats.authors.map((a) => (
-                            <li key={a.author}
+                            <li key={a.identityId ?? a.author}
                                 style={{marginBottom: '1.5rem', padding: '0.5rem 0', borderBottom: '1px solid #ccc'}}>
                                 <div><strong>Author:</strong> {a.author}</div>
-                                <div><strong>Commits:</strong> {a.commits} ({a.commitPercent ?? '0.0'}%)</div>
+                                <div><strong>Commits:</strong> {a.commits} ({a.commitPercent.toFixed(1)}%)</div>
                                 <div>
                                     <strong style={{color: 'green'}}>+{a.additions}</strong>
                                     <span> / </span>
                                     <strong style={{color: 'red'}}>-{a.deletions}</strong>
-                                    <span> ({a.changePercent ?? '0.0'}% of code changes)</span>
+                                    <span> ({a.changePercent.toFixed(1)}% of code changes)</span>
                                 </div>
-                                <div><strong>Avg change:</strong> {a.avgLinesChanged} lines/commit</div>
+                                <div><strong>Avg change:</strong> {a.avgLinesChanged.toFixed(2)} lines/commit</div>
+                                {a.coAuthored > 0 && <div><strong>Co-authored:</strong> {a.coAuthored} commits</div>}
                             </li>
                         ))}
                     </ul>
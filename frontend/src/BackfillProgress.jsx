@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { openEventStream } from './liveUpdates.js';
+
+/**
+ * Formats a number of seconds as e.g. "1h 5m" or "40s"
+ * @param seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m`;
+    return `${seconds}s`;
+};
+
+/**
+ * Progress bar for the newest backfill job (history download) of a repository, with buttons to cancel or restart it. <br>
+ * Progress comes in live, as 'backfill' events from the backend. Shows nothing once the job has completed.
+ * @param repo "owner/repo"
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function BackfillProgress({ repo }) {
+    const [job, setJob] = useState(null);
+
+    useEffect(() => {
+        // Fetches the newest job of the repository
+        const loadJob = async () => {
+            try {
+                const response = await axios.get('http://localhost:4000/jobs', { params: { repo } });
+                setJob(response.data[0] || null);
+            } catch (err) {
+                console.error('Error loading backfill jobs:', err);
+            }
+        };
+        setJob(null);
+        loadJob();
+        return openEventStream(repo, {
+            // Older jobs (e.g. of another branch) don't replace the newest one
+            backfill: ({ job: changed }) => setJob((current) => (!current || changed.id >= current.id ? changed : current)),
+            resync: loadJob,
+        });
+    }, [repo]);
+
+    /**
+     * Cancels or restarts the job
+     * @param action 'cancel' or 'restart'
+     * @returns {Promise<void>}
+     */
+    const changeJob = async (action) => {
+        try {
+            const response = await axios.post(`http://localhost:4000/jobs/${job.id}/${action}`);
+            setJob(response.data);
+        } catch (err) {
+            console.error(`Error trying to ${action} backfill job:`, err);
+        }
+    };
+
+    if (!job || job.status === 'completed') return null;
+    const active = job.status === 'queued' || job.status === 'running';
+
+    return (
+        <div style={{marginTop: '1rem', padding: '0.5rem', border: '1px solid #ccc'}}>
+            <strong>Downloading history{job.branch && ` of ${job.branch}`} ({job.status})</strong>
+            <div style={{height: '0.75rem', marginTop: '0.5rem', backgroundColor: '#ccc'}}>
+                <div style={{height: '100%', width: `${job.percent ?? 0}%`, backgroundColor: '#8884d8'}}/>
+            </div>
+            <div>
+                {job.processed}{job.estimatedTotal ? ` / ~${job.estimatedTotal}` : ''} commits
+                {job.percent !== null && ` (${job.percent}%)`}
+                {job.etaSeconds !== null && `, about ${formatDuration(job.etaSeconds)} left`}
+            </div>
+            {job.error && <div style={{color: 'red'}}>{job.error}</div>}
+            {active
+                ? <button onClick={() => changeJob('cancel')}>Cancel</button>
+                : <button onClick={() => changeJob('restart')}>Resume</button>}
+        </div>
+    );
+}
+
+export default BackfillProgress;
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+    LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ResponsiveContainer,
+} from 'recharts';
+import { toQuery } from './filters.js';
+
+const colors = ['#8884d8', '#82ca9d', '#ff7300', '#d0393e', '#0088fe', '#a05195', '#ffc658', '#555']; // One per repository, in order
+
+/**
+ * Comparison page: several tracked repositories drawn over each other, from the backend's '/compare' endpoint. <br>
+ * Codebase size and commits per week, active contributors per month, and churn (solid) against net growth (dashed).
+ * The series can be lined up by date, or by time since each repository's first commit (for projects that started apart),
+ * and shown as a percentage of each repository's own total, to compare the shape of small and big projects.
+ * @param repos "owner/repo" of the repositories compared
+ * @param onClose
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function Compare({ repos, onClose }) {
+    const [comparison, setComparison] = useState(null);
+    const [align, setAlign] = useState('calendar'); // 'calendar' or 'start'
+    const [scale, setScale] = useState('absolute'); // 'absolute' or 'percent'
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setError('');
+        axios.get('http://localhost:4000/compare', { params: toQuery({ repo: repos, align, scale }) })
+            .then((response) => setComparison(response.data))
+            .catch((err) => {
+                console.error('Error loading comparison:', err);
+                setError(err.response?.data?.error || 'Error loading comparison. Check console.');
+            });
+    }, [repos, align, scale]);
+
+    const unit = scale === 'percent' ? '%' : '';
+    const xLabel = align === 'start' ? 'since first commit' : '';
+
+    /**
+     * A chart with a line per repository. Lines read their values with a function, since a string dataKey
+     * would take a name like "owner/app.js" for a path
+     * @param title
+     * @param rows Rows of one of the comparison's series
+     * @param period 'Week' or 'Month', for labelling the axis when lined up by start
+     * @returns {JSX.Element}
+     */
+    const chart = (title, rows, period) => (
+        <div>
+            <h3>{title}</h3>
+            <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={rows}>
+                    <CartesianGrid strokeDasharray="3 3"/>
+                    <XAxis dataKey="period" label={xLabel && {value: `${period} ${xLabel}`, position: 'insideBottom', offset: -5}}/>
+                    <YAxis unit={unit}/>
+                    <Tooltip/>
+                    <Legend verticalAlign="top"/>
+                    {repos.map((repo, index) => (
+                        <Line key={repo} type="monotone" dataKey={(row) => row[repo]} name={repo} stroke={colors[index % colors.length]} dot={false} connectNulls={false}/>
+                    ))}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    );
+
+    return (
+        <div style={{padding: '1rem', height: 'calc(100vh - 3rem)', boxSizing: 'border-box', overflowY: 'auto'}}>
+            <h2>Comparing {repos.join(', ')}</h2>
+            <select value={align} onChange={(e) => setAlign(e.target.value)} style={{marginRight: '1rem', padding: '0.25rem'}}>
+                <option value="calendar">By date</option>
+                <option value="start">Since each first commit</option>
+            </select>
+            <select value={scale} onChange={(e) => setScale(e.target.value)} style={{marginRight: '1rem', padding: '0.25rem'}}>
+                <option value="absolute">Absolute numbers</option>
+                <option value="percent">Percent of each repository's total</option>
+            </select>
+            <button onClick={onClose}>Back to dashboard</button>
+            {error && <p>{error}</p>}
+            {comparison && (
+                <>
+                    <table style={{marginTop: '1rem', borderCollapse: 'collapse'}}>
+                        <thead>
+                            <tr>
+                                {['Repository', 'Commits', 'Authors', 'Net lines', 'First commit', 'Last commit'].map((heading) => (
+                                    <th key={heading} style={{textAlign: 'left', paddingRight: '1rem'}}>{heading}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {repos.map((repo, index) => {
+                                const summary = comparison.summaries[repo];
+                                return (
+                                    <tr key={repo}>
+                                        <td style={{paddingRight: '1rem', color: colors[index % colors.length]}}>{repo}</td>
+                                        <td>{summary.totalCommits}</td>
+                                        <td>{summary.authors}</td>
+                                        <td>{summary.netLines}</td>
+                                        <td>{summary.firstCommitAt ? new Date(summary.firstCommitAt).toLocaleDateString() : '-'}</td>
+                                        <td>{summary.lastCommitAt ? new Date(summary.lastCommitAt).toLocaleDateString() : '-'}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    {chart('Codebase size', comparison.size, 'Week')}
+                    {chart('Commits per week', comparison.commits, 'Week')}
+                    {chart('Active contributors per month', comparison.contributors, 'Month')}
+                    <div>
+                        <h3>Churn (solid) vs. net growth (dashed) per week</h3>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <LineChart data={comparison.churn}>
+                                <CartesianGrid strokeDasharray="3 3"/>
+                                <XAxis dataKey="period" label={xLabel && {value: `Week ${xLabel}`, position: 'insideBottom', offset: -5}}/>
+                                <YAxis unit={unit}/>
+                                <Tooltip/>
+                                <Legend verticalAlign="top"/>
+                                {repos.flatMap((repo, index) => [
+                                    <Line key={`${repo}:churn`} type="monotone" dataKey={(row) => row[`${repo}:churn`]} name={`${repo} churn`}
+                                          stroke={colors[index % colors.length]} dot={false}/>,
+                                    <Line key={`${repo}:net`} type="monotone" dataKey={(row) => row[`${repo}:net`]} name={`${repo} net`}
+                                          stroke={colors[index % colors.length]} strokeDasharray="4 4" dot={false}/>,
+                                ])}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default Compare;
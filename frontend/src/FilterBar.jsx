@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { emptyFilters, hasFilters } from './filters.js';
+
+/**
+ * Filter bar above the dashboard: time range (presets, since a tag, or custom dates), authors and a commit message search. <br>
+ * The filters apply to the commit list, chart and author stats (see filters.js for how they reach the backend).
+ * Every change is passed to `onChange` as a complete filters object. The search is applied on Enter or "Search".
+ * @param repo "owner/repo"
+ * @param filters
+ * @param onChange
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function FilterBar({ repo, filters, onChange }) {
+    const [tags, setTags] = useState([]);
+    const [identities, setIdentities] = useState([]);
+    const [search, setSearch] = useState(filters.q); // Search text being typed, applied on submit
+
+    useEffect(() => {
+        axios.get(`http://localhost:4000/repos/${repo}/tags`)
+            .then((response) => setTags(response.data))
+            .catch((err) => {
+                setTags([]);
+                console.error('Error loading tags:', err);
+            });
+        axios.get('http://localhost:4000/identities', { params: { repo } })
+            .then((response) => setIdentities(response.data))
+            .catch((err) => console.error('Error loading identities:', err));
+    }, [repo]);
+
+    useEffect(() => {
+        setSearch(filters.q); // E.g. cleared, or another repository shown
+    }, [filters.q]);
+
+    /**
+     * Changes the time range. A tag range starts with the first tag that has a stored commit, until another one is picked
+     * @param range
+     */
+    const changeRange = (range) => {
+        if (range === 'tag') {
+            const tag = tags.find((candidate) => candidate.timestamp);
+            onChange({ ...filters, range, sinceTag: tag?.name ?? '', since: tag?.timestamp ?? '', until: '' });
+        } else {
+            onChange({ ...filters, range, sinceTag: '', since: '', until: '' });
+        }
+    };
+
+    /**
+     * Picks the tag a "since tag" range starts at
+     * @param name
+     */
+    const changeTag = (name) => {
+        const tag = tags.find((candidate) => candidate.name === name);
+        onChange({ ...filters, sinceTag: name, since: tag?.timestamp ?? '' });
+    };
+
+    return (
+        <div style={{display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'flex-start', marginTop: '1rem'}}>
+            <select value={filters.range} onChange={(e) => changeRange(e.target.value)} style={{padding: '0.25rem'}}>
+                <option value="all">All time</option>
+                <option value="7d">Last 7 days</option>
+                <option value="30d">Last 30 days</option>
+                <option value="90d">Last 90 days</option>
+                <option value="tag" disabled={!tags.some((tag) => tag.timestamp)}>Since tag</option>
+                <option value="custom">Custom range</option>
+            </select>
+            {filters.range === 'tag' && (
+                <select value={filters.sinceTag} onChange={(e) => changeTag(e.target.value)} style={{padding: '0.25rem'}}>
+                    {/*The tag from the URL stays selectable, even if it's not in the list (anymore)*/}
+                    {!tags.some((tag) => tag.name === filters.sinceTag) && <option value={filters.sinceTag}>{filters.sinceTag}</option>}
+                    {tags.map((tag) => (
+                        <option key={tag.name} value={tag.name} disabled={!tag.timestamp}>
+                            {tag.name}{tag.timestamp ? ` (${new Date(tag.timestamp).toLocaleDateString()})` : ' (commit not stored)'}
+                        </option>
+                    ))}
+                </select>
+            )}
+            {filters.range === 'custom' && (
+                <span>
+                    <input type="date" value={filters.since} onChange={(e) => onChange({ ...filters, since: e.target.value })}/>
+                    {' to '}
+                    <input type="date" value={filters.until} onChange={(e) => onChange({ ...filters, until: e.target.value })}/>
+                </span>
+            )}
+            <select
+                multiple
+                value={filters.authors.map(String)}
+                onChange={(e) => onChange({ ...filters, authors: [...e.target.selectedOptions].map((option) => parseInt(option.value, 10)) })}
+                title="Authors (Ctrl/Cmd-click for several)"
+                style={{padding: '0.25rem', minWidth: '10rem', height: '4rem'}}
+            >
+                {identities.map((identity) => <option key={identity.id} value={identity.id}>{identity.name}</option>)}
+            </select>
+            <form
+                onSubmit={(e) => {
+                    e.preventDefault();
+                    onChange({ ...filters, q: search.trim() });
+                }}
+            >
+                <input
+                    type="text"
+                    placeholder="Search commit messages"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    style={{padding: '0.25rem'}}
+                />
+                <button type="submit">Search</button>
+            </form>
+            {hasFilters(filters) && <button onClick={() => onChange(emptyFilters)}>Clear filters</button>}
+        </div>
+    );
+}
+
+export default FilterBar;
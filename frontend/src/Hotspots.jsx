@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const windows = { // Time windows selectable in the dropdown, in days (null = entire history)
+    'All time': null,
+    'Last 30 days': 30,
+    'Last 90 days': 90,
+    'Last year': 365,
+};
+
+/**
+ * Ranked list of the files/directories that change the most (churn = additions + deletions),
+ * and who changes them. Data comes from the backend's '/hotspots/:owner/:repo' endpoint.
+ * @param repo "owner/repo"
+ * @param branch Only count commits seen on this branch ('' for every tracked branch)
+ * @param commitCount Number of commits currently shown. Used to refetch whenever new commits arrive
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function Hotspots({ repo, branch, commitCount }) {
+    const [level, setLevel] = useState('file');
+    const [windowName, setWindowName] = useState('All time');
+    const [hotspots, setHotspots] = useState([]);
+
+    useEffect(() => {
+        const days = windows[windowName];
+        const params = { level, limit: 15 };
+        if (level === 'directory') params.depth = 2; // Keeps deeply nested folders from splitting into one entry each
+        if (days) params.since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        if (branch) params.branch = branch;
+        axios.get(`http://localhost:4000/hotspots/${repo}`, { params })
+            .then((response) => setHotspots(response.data.hotspots))
+            .catch((err) => console.error('Error loading hotspots:', err));
+    }, [repo, branch, level, windowName, commitCount]);
+
+    const maxChurn = hotspots.length > 0 ? hotspots[0].churn : 0;
+
+    return (
+        <div>
+            <h2>Hotspots</h2>
+            <select value={level} onChange={(e) => setLevel(e.target.value)} style={{marginRight: '1rem', padding: '0.25rem'}}>
+                <option value="file">Files</option>
+                <option value="directory">Directories</option>
+            </select>
+            <select value={windowName} onChange={(e) => setWindowName(e.target.value)} style={{padding: '0.25rem'}}>
+                {Object.keys(windows).map((name) => <option key={name} value={name}>{name}</option>)}
+            </select>
+            {hotspots.length === 0 ? (
+                <p>No file changes in this period.</p>
+            ) : (
+                <ol style={{paddingLeft: '1.5rem'}}>
+                    {hotspots.map((hotspot) => (
+                        <li key={hotspot.path} style={{marginBottom: '0.75rem'}}>
+                            <div><strong>{hotspot.path}</strong> ({hotspot.commits} commits)</div>
+                            {/*Bar relative to the biggest hotspot*/}
+                            <div style={{
+                                height: '0.5rem',
+                                width: `${(hotspot.churn / maxChurn) * 100}%`,
+                                backgroundColor: '#8884d8',
+                            }}/>
+                            <div>
+                                <strong style={{color: 'green'}}>+{hotspot.additions}</strong>
+                                <span> / </span>
+                                <strong style={{color: 'red'}}>-{hotspot.deletions}</strong>
+                                <span> by {hotspot.authors.slice(0, 3).map((a) => `${a.author} (${a.churn})`).join(', ')}</span>
+                            </div>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
+
+export default Hotspots;
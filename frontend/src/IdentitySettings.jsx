@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+/**
+ * Panel for managing the author identities of a repository: the people behind the commits, each with the logins,
+ * emails and names they commit under (aliases). <br>
+ * Identities can be renamed, merged (same person committing under several emails) and split (different people merged by mistake).
+ * Author stats follow the identities, so `onChanged` is called to reload them after every change.
+ * @param repo "owner/repo"
+ * @param onChanged
+ * @param onClose
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function IdentitySettings({ repo, onChanged, onClose }) {
+    const [identities, setIdentities] = useState([]);
+    const [selected, setSelected] = useState([]); // Ids of the identities ticked for merging, in the order they were ticked
+    const [names, setNames] = useState({}); // Identity id -> name being edited
+    const [status, setStatus] = useState('');
+    const [version, setVersion] = useState(0); // Bumped after every change, to reload the identities
+
+    useEffect(() => {
+        setSelected([]);
+        axios.get('http://localhost:4000/identities', { params: { repo } })
+            .then((response) => {
+                setIdentities(response.data);
+                setNames(Object.fromEntries(response.data.map((identity) => [identity.id, identity.name])));
+            })
+            .catch((err) => console.error('Error loading identities:', err));
+    }, [repo, version]);
+
+    /**
+     * Sends a change to the backend, then reloads the identities and the author stats
+     * @param request Function doing the request
+     * @param done Status shown afterwards
+     * @returns {Promise<void>}
+     */
+    const change = async (request, done) => {
+        try {
+            await request();
+            setStatus(done);
+            setVersion(version + 1);
+            onChanged();
+        } catch (err) {
+            console.error('Error changing identities:', err);
+            setStatus(err.response?.data?.error || 'Error changing identities. Check console.');
+        }
+    };
+
+    /**
+     * Ticks or unticks an identity for merging
+     * @param id
+     */
+    const toggleSelected = (id) => {
+        setSelected(selected.includes(id) ? selected.filter((other) => other !== id) : [...selected, id]);
+    };
+
+    /**
+     * Merges the ticked identities into the first one ticked
+     * @returns {Promise<void>}
+     */
+    const mergeSelected = () => change(
+        () => axios.post(`http://localhost:4000/identities/${selected[0]}/merge`, { identityIds: selected.slice(1) }),
+        `Merged ${selected.length} identities`
+    );
+
+    /**
+     * Saves the edited name of an identity
+     * @param identity
+     * @returns {Promise<void>}
+     */
+    const rename = (identity) => change(
+        () => axios.patch(`http://localhost:4000/identities/${identity.id}`, { name: names[identity.id] }),
+        `Renamed to ${names[identity.id]}`
+    );
+
+    /**
+     * Moves an alias of an identity into a new identity of its own
+     * @param identity
+     * @param alias
+     * @returns {Promise<void>}
+     */
+    const splitOff = (identity, alias) => change(
+        () => axios.post(`http://localhost:4000/identities/${identity.id}/split`, { aliasIds: [alias.id] }),
+        `Split ${alias.value} off ${identity.name}`
+    );
+
+    return (
+        <div style={{marginTop: '1rem', padding: '0.5rem', border: '1px solid #ccc'}}>
+            <h3>Author identities</h3>
+            <p>Tick identities and merge them into the first one ticked, or split an alias off into its own identity.</p>
+            <button onClick={mergeSelected} disabled={selected.length < 2}>Merge selected</button>
+            <button onClick={onClose}>Close</button>
+            {status && <p>{status}</p>}
+            <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                {identities.map((identity) => (
+                    <li key={identity.id} style={{marginTop: '0.75rem'}}>
+                        <input type="checkbox" checked={selected.includes(identity.id)} onChange={() => toggleSelected(identity.id)}/>
+                        <input
+                            type="text"
+                            value={names[identity.id] ?? ''}
+                            onChange={(e) => setNames({ ...names, [identity.id]: e.target.value })}
+                            style={{padding: '0.25rem'}}
+                        />
+                        {names[identity.id] !== identity.name && <button onClick={() => rename(identity)}>Rename</button>}
+                        <ul>
+                            {identity.aliases.map((alias) => (
+                                <li key={alias.id}>
+                                    {alias.kind}: {alias.value}
+                                    {identity.aliases.length > 1 && <button onClick={() => splitOff(identity, alias)}>Split off</button>}
+                                </li>
+                            ))}
+                        </ul>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default IdentitySettings;
@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+/**
+ * Settings panel for a tracked repository's ignore rules (gitignore-style, one per line). <br>
+ * Files matching the rules are left out of additions/deletions. Saving makes the backend recompute the stored commits.
+ * @param repo "owner/repo"
+ * @param onSaved Called after the rules are saved, so the dashboard can reload the recomputed numbers
+ * @param onClose
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function IgnoreSettings({ repo, onSaved, onClose }) {
+    const [rulesText, setRulesText] = useState('');
+    const [isDefault, setIsDefault] = useState(true);
+    const [status, setStatus] = useState('');
+
+    useEffect(() => {
+        setStatus('');
+        axios.get(`http://localhost:4000/repos/${repo}/ignore-rules`)
+            .then((response) => {
+                setRulesText(response.data.rules.join('\n'));
+                setIsDefault(response.data.isDefault);
+            })
+            .catch((err) => console.error('Error loading ignore rules:', err));
+    }, [repo]);
+
+    /**
+     * Sends the rules to the backend. `null` resets the repository to the default rules
+     * @param rules
+     * @returns {Promise<void>}
+     */
+    const saveRules = async (rules) => {
+        setStatus('Saving and recomputing...');
+        try {
+            const response = await axios.put(`http://localhost:4000/repos/${repo}/ignore-rules`, { rules });
+            setRulesText(response.data.rules.join('\n'));
+            setIsDefault(response.data.isDefault);
+            setStatus(`Saved. ${response.data.updated} commits recomputed`
+                + (response.data.missingFileData > 0 ? `, ${response.data.missingFileData} are being re-fetched from GitHub.` : '.'));
+            onSaved();
+        } catch (err) {
+            console.error('Error saving ignore rules:', err);
+            setStatus(err.response?.data?.error || 'Error saving rules. Check console.');
+        }
+    };
+
+    return (
+        <div style={{marginTop: '1rem', padding: '0.5rem', border: '1px solid #ccc'}}>
+            <h3>Ignore rules for {repo}{isDefault && ' (defaults)'}</h3>
+            <p>One gitignore-style pattern per line, e.g. <code>yarn.lock</code>, <code>vendor/</code> or <code>*.pb.go</code></p>
+            <textarea
+                value={rulesText}
+                onChange={(e) => setRulesText(e.target.value)}
+                rows={8}
+                style={{width: '100%', boxSizing: 'border-box', fontFamily: 'monospace'}}
+            />
+            <button onClick={() => saveRules(rulesText.split('\n'))}>Save</button>
+            <button onClick={() => saveRules(null)}>Reset to defaults</button>
+            <button onClick={onClose}>Close</button>
+            {status && <p>{status}</p>}
+        </div>
+    );
+}
+
+export default IgnoreSettings;
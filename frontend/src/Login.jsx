@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { startSession } from './session.js';
+
+/**
+ * Sign-in form, which also creates accounts. The first account made on a backend becomes its admin.
+ * @param onSignedIn Receives the backend's answer (`{token, user, workspaces}`) once the session is stored
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function Login({ onSignedIn }) {
+    const [registering, setRegistering] = useState(false); // Whether the form creates an account rather than signing in
+    const [email, setEmail] = useState('');
+    const [name, setName] = useState('');
+    const [password, setPassword] = useState('');
+    const [status, setStatus] = useState('');
+
+    /**
+     * Signs in (or signs up), then stores the session
+     * @param e Submit event
+     * @returns {Promise<void>}
+     */
+    const submit = async (e) => {
+        e.preventDefault();
+        setStatus('');
+        try {
+            const response = registering
+                ? await axios.post('http://localhost:4000/auth/register', { email, name, password })
+                : await axios.post('http://localhost:4000/auth/login', { email, password });
+            startSession(response.data.token);
+            onSignedIn(response.data);
+        } catch (err) {
+            console.error('Error signing in:', err);
+            setStatus(err.response?.data?.error || 'Error signing in. Check console.');
+        }
+    };
+
+    return (
+        <div style={{maxWidth: '20rem', margin: '4rem auto'}}>
+            <h1>GitStatViewer</h1>
+            <form onSubmit={submit} style={{display: 'flex', flexDirection: 'column', gap: '0.5rem'}}>
+                <input type="email" placeholder="email" value={email} onChange={(e) => setEmail(e.target.value)} style={{padding: '0.5rem'}}/>
+                {registering && (
+                    <input type="text" placeholder="name" value={name} onChange={(e) => setName(e.target.value)} style={{padding: '0.5rem'}}/>
+                )}
+                <input
+                    type="password"
+                    placeholder={registering ? 'password (at least 8 characters)' : 'password'}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    style={{padding: '0.5rem'}}
+                />
+                <button type="submit">{registering ? 'Create account' : 'Sign in'}</button>
+            </form>
+            <button onClick={() => setRegistering(!registering)} style={{marginTop: '0.5rem'}}>
+                {registering ? 'I have an account' : 'Create an account'}
+            </button>
+            {status && <p>{status}</p>}
+        </div>
+    );
+}
+
+export default Login;
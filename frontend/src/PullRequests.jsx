@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { openEventStream } from './liveUpdates.js';
+
+/**
+ * Formats a duration in hours as hours, or days once it's over two days
+ * @param hours
+ * @returns {string}
+ */
+const formatHours = (hours) => {
+    if (hours === null) return '-';
+    return hours < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} days`;
+};
+
+/**
+ * Code review statistics of a repository's pull requests, from the backend's '/stats/:owner/:repo/pulls' endpoint: <br>
+ * time to first review, time to merge, the size distribution and each reviewer's load. Reloaded when the backend
+ * reports newly synced pull requests. Not shown for forges without pull request support (only GitHub for now).
+ * @param repo "owner/repo"
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function PullRequests({ repo }) {
+    const [stats, setStats] = useState(null);
+    const [syncing, setSyncing] = useState(false);
+
+    useEffect(() => {
+        const loadStats = () => {
+            axios.get(`http://localhost:4000/stats/${repo}/pulls`)
+                .then((response) => setStats(response.data))
+                .catch((err) => console.error('Error loading pull request stats:', err));
+        };
+        setStats(null);
+        loadStats();
+        return openEventStream(repo, { pulls: loadStats, resync: loadStats });
+    }, [repo]);
+
+    /**
+     * Syncs the pull requests now. The stats are reloaded by the 'pulls' event, if anything changed
+     * @returns {Promise<void>}
+     */
+    const syncNow = async () => {
+        setSyncing(true);
+        try {
+            await axios.post(`http://localhost:4000/pulls/${repo}/sync`);
+        } catch (err) {
+            console.error('Error syncing pull requests:', err);
+        } finally {
+            setSyncing(false);
+        }
+    };
+
+    if (!stats || (stats.total === 0 && !stats.syncedAt)) return null; // Nothing synced (yet), or not a GitHub repository
+    const maxSize = Math.max(1, ...stats.sizes.map((size) => size.count));
+
+    return (
+        <div>
+            <h2>Pull Requests</h2>
+            <p>
+                {stats.total} pull requests: {stats.open} open, {stats.merged} merged, {stats.closedUnmerged} closed without merging.{' '}
+                <button onClick={syncNow} disabled={syncing}>{syncing ? 'Syncing...' : 'Sync now'}</button>
+            </p>
+            <table style={{borderCollapse: 'collapse'}}>
+                <thead>
+                    <tr>
+                        <th/>
+                        <th style={{padding: '0 0.75rem'}}>Median</th>
+                        <th style={{padding: '0 0.75rem'}}>90th percentile</th>
+                        <th style={{padding: '0 0.75rem'}}>Average</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {[['Time to first review', stats.timeToFirstReview], ['Time to merge', stats.timeToMerge]].map(([label, duration]) => (
+                        <tr key={label}>
+                            <td><strong>{label}</strong> ({duration.count})</td>
+                            <td style={{padding: '0 0.75rem'}}>{formatHours(duration.medianHours)}</td>
+                            <td style={{padding: '0 0.75rem'}}>{formatHours(duration.p90Hours)}</td>
+                            <td style={{padding: '0 0.75rem'}}>{formatHours(duration.averageHours)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <h3>Size (changed lines)</h3>
+            <div style={{display: 'flex', alignItems: 'flex-end', height: '5rem', gap: '0.5rem'}}>
+                {stats.sizes.map((size) => (
+                    <div key={size.size} style={{display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%', justifyContent: 'flex-end'}}>
+                        <span style={{fontSize: '0.75rem'}}>{size.count}</span>
+                        <div
+                            title={size.maxLines === null ? 'More lines than L' : `Up to ${size.maxLines} lines`}
+                            style={{width: '2rem', height: `${(size.count / maxSize) * 3}rem`, minHeight: '1px', backgroundColor: '#8884d8'}}
+                        />
+                        <span>{size.size}</span>
+                    </div>
+                ))}
+            </div>
+
+            <h3>Reviewer load</h3>
+            {stats.reviewers.length === 0 ? (
+                <p>No reviews yet.</p>
+            ) : (
+                <ul>
+                    {stats.reviewers.map((reviewer) => (
+                        <li key={reviewer.identityId ?? reviewer.reviewer}>
+                            <strong>{reviewer.reviewer}</strong>: reviewed {reviewer.pullRequests} pull requests ({reviewer.reviews} reviews),
+                            {' '}{reviewer.approvals} approvals, {reviewer.changesRequested} change requests,
+                            {' '}median response {formatHours(reviewer.medianResponseHours)}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default PullRequests;
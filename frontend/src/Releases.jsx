@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { openEventStream } from './liveUpdates.js';
+
+const releasesShown = 5; // Releases listed before "Show all"
+
+/**
+ * What went into each release, from the backend's '/stats/:owner/:repo/releases' endpoint: the commits, authors and
+ * added/deleted lines between each tag and the one before it, newest first, starting with what's unreleased. <br>
+ * Commits are assigned to releases by date, so the numbers are exact for a single release branch.
+ * @param repo "owner/repo"
+ * @param branch Only count commits seen on this branch ('' for every tracked branch)
+ * @param commitCount Number of commits currently shown. Used to refetch whenever new commits arrive
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function Releases({ repo, branch, commitCount }) {
+    const [releases, setReleases] = useState([]);
+    const [showAll, setShowAll] = useState(false);
+    const [tagChanges, setTagChanges] = useState(0); // Counts 'tags' events, to refetch when tags are added or deleted
+
+    useEffect(() => {
+        const params = branch ? { branch } : {};
+        axios.get(`http://localhost:4000/stats/${repo}/releases`, { params })
+            .then((response) => setReleases(response.data.releases))
+            .catch((err) => console.error('Error loading releases:', err));
+    }, [repo, branch, commitCount, tagChanges]);
+
+    useEffect(() => openEventStream(repo, { tags: () => setTagChanges((count) => count + 1) }), [repo]);
+
+    if (!releases.some((release) => release.tag)) return null; // No tags with a stored commit
+    const shown = showAll ? releases : releases.slice(0, releasesShown);
+
+    return (
+        <div>
+            <h2>Releases</h2>
+            <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                {shown.map((release) => (
+                    <li key={release.tag ?? 'unreleased'} style={{marginBottom: '0.75rem'}}>
+                        <strong>{release.tag ?? 'Unreleased'}</strong>
+                        {release.releaseName && release.releaseName !== release.tag && ` "${release.releaseName}"`}
+                        {release.prerelease && ' (pre-release)'}
+                        {release.timestamp && ` - ${new Date(release.timestamp).toLocaleDateString()}`}
+                        <br/>
+                        {release.previousTag ? `Since ${release.previousTag}: ` : 'From the first commit: '}
+                        {release.commits} commits, +{release.additions} / -{release.deletions} lines
+                        {release.authors.length > 0 && (
+                            <>
+                                <br/>
+                                <span style={{fontSize: '0.875rem'}}>
+                                    {release.authors.map((author) => `${author.author} (${author.commits})`).join(', ')}
+                                </span>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {releases.length > releasesShown && (
+                <button onClick={() => setShowAll(!showAll)}>{showAll ? 'Show fewer' : `Show all ${releases.length}`}</button>
+            )}
+        </div>
+    );
+}
+
+export default Releases;
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import App from './App.jsx';
+import Login from './Login.jsx';
+import WorkspaceSettings from './WorkspaceSettings.jsx';
+import { hasSession, endSession, currentWorkspaceId, setWorkspace } from './session.js';
+
+/**
+ * Shows the sign-in form until the user is signed in, then the dashboard of their current workspace, under a bar with
+ * the workspace switcher, the workspace settings and signing out. <br>
+ * Switching workspaces starts the dashboard over, since every workspace tracks its own repositories.
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function Session() {
+    const [account, setAccount] = useState(null); // `{user, workspaces}` of the signed-in user
+    const [signedOut, setSignedOut] = useState(!hasSession());
+    const [workspaceId, setWorkspaceId] = useState(currentWorkspaceId()); // null for the user's first workspace
+    const [showSettings, setShowSettings] = useState(false);
+
+    useEffect(() => {
+        // The backend answers 401 once the session expired or was revoked
+        const interceptor = axios.interceptors.response.use(null, (err) => {
+            if (err.response?.status === 401 && hasSession()) {
+                endSession();
+                setSignedOut(true);
+                setAccount(null);
+            }
+            return Promise.reject(err);
+        });
+        return () => axios.interceptors.response.eject(interceptor);
+    }, []);
+
+    useEffect(() => {
+        if (signedOut) return;
+        axios.get('http://localhost:4000/auth/me')
+            .then((response) => setAccount({ user: response.data.user, workspaces: response.data.workspaces }))
+            .catch((err) => console.error('Error loading account:', err));
+    }, [signedOut]);
+
+    /**
+     * Reloads the user's workspaces, e.g. after one was renamed or made
+     * @returns {Promise<void>}
+     */
+    const loadWorkspaces = async () => {
+        try {
+            const response = await axios.get('http://localhost:4000/workspaces');
+            setAccount((current) => ({ ...current, workspaces: response.data }));
+        } catch (err) {
+            console.error('Error loading workspaces:', err);
+        }
+    };
+
+    /**
+     * Moves the dashboard to another workspace. The repository shown belongs to the old one, so the view is reset
+     * @param id
+     */
+    const switchWorkspace = (id) => {
+        setWorkspace(id);
+        setWorkspaceId(id);
+        setShowSettings(false);
+        window.history.replaceState(null, '', window.location.pathname);
+    };
+
+    /**
+     * Asks for a name and makes a new workspace, then switches to it
+     * @returns {Promise<void>}
+     */
+    const createWorkspace = async () => {
+        const name = prompt('Name of the new workspace');
+        if (!name?.trim()) return;
+        try {
+            const response = await axios.post('http://localhost:4000/workspaces', { name: name.trim() });
+            await loadWorkspaces();
+            switchWorkspace(response.data.id);
+        } catch (err) {
+            console.error('Error creating workspace:', err);
+            alert(err.response?.data?.error || 'Error creating workspace. Check console.');
+        }
+    };
+
+    /**
+     * Signs out, revoking the session token
+     * @returns {Promise<void>}
+     */
+    const signOut = async () => {
+        try {
+            await axios.post('http://localhost:4000/auth/logout');
+        } catch (err) {
+            console.error('Error signing out:', err);
+        }
+        endSession();
+        setSignedOut(true);
+        setAccount(null);
+        setWorkspaceId(null);
+    };
+
+    if (signedOut) {
+        return (
+            <Login
+                onSignedIn={(data) => {
+                    setAccount({ user: data.user, workspaces: data.workspaces });
+                    setWorkspaceId(null);
+                    setSignedOut(false);
+                }}
+            />
+        );
+    }
+    if (!account) return <p>Loading...</p>;
+
+    const workspace = account.workspaces.find((candidate) => candidate.id === workspaceId) ?? account.workspaces[0];
+
+    return (
+        <div>
+            <div style={{display: 'flex', gap: '0.5rem', alignItems: 'center', padding: '0.5rem 1rem', borderBottom: '1px solid #ccc'}}>
+                <span>{account.user.name}{account.user.isAdmin && ' (admin)'}</span>
+                {workspace && (
+                    <select value={workspace.id} onChange={(e) => switchWorkspace(parseInt(e.target.value, 10))}>
+                        {account.workspaces.map((candidate) => <option key={candidate.id} value={candidate.id}>{candidate.name}</option>)}
+                    </select>
+                )}
+                <button onClick={createWorkspace}>New workspace</button>
+                {workspace && <button onClick={() => setShowSettings(!showSettings)}>Workspace settings</button>}
+                <button onClick={signOut}>Sign out</button>
+            </div>
+            {showSettings && workspace && (
+                <WorkspaceSettings
+                    key={workspace.id}
+                    workspace={workspace}
+                    onChanged={loadWorkspaces}
+                    onClose={() => setShowSettings(false)}
+                />
+            )}
+            {workspace ? <App key={workspace.id} user={account.user}/> : <p>You are not in a workspace. Make one to track repositories.</p>}
+        </div>
+    );
+}
+
+export default Session;
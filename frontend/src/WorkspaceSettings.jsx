@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+/**
+ * Settings panel for the current workspace and the signed-in user: the workspace's name, GitHub token and members
+ * (which only owners can change), and the user's API tokens for scripts. <br>
+ * `onChanged` is called after the workspace itself changed (e.g. renamed), so the workspace switcher can reload.
+ * @param workspace `{id, name, role, hasGithubToken}`
+ * @param onChanged
+ * @param onClose
+ * @returns {JSX.Element}
+ * @constructor
+ */
+function WorkspaceSettings({ workspace, onChanged, onClose }) {
+    const [name, setName] = useState(workspace.name);
+    const [githubToken, setGithubToken] = useState('');
+    const [members, setMembers] = useState([]);
+    const [memberEmail, setMemberEmail] = useState('');
+    const [memberRole, setMemberRole] = useState('member');
+    const [apiTokens, setApiTokens] = useState([]);
+    const [tokenName, setTokenName] = useState('');
+    const [newToken, setNewToken] = useState(null); // API token just made, shown once
+    const [status, setStatus] = useState('');
+    const [version, setVersion] = useState(0); // Bumped after every change, to reload the settings
+    const isOwner = workspace.role === 'owner';
+
+    useEffect(() => {
+        Promise.all([
+            axios.get(`http://localhost:4000/workspaces/${workspace.id}/members`),
+            axios.get('http://localhost:4000/auth/tokens'),
+        ])
+            .then(([membersResponse, tokensResponse]) => {
+                setMembers(membersResponse.data);
+                setApiTokens(tokensResponse.data);
+            })
+            .catch((err) => console.error('Error loading workspace settings:', err));
+    }, [workspace.id, version]);
+
+    /**
+     * Sends a change to the backend, then reloads the settings. Errors from the backend are shown in the panel
+     * @param request Function making the request
+     * @param done Status shown afterwards
+     * @returns {Promise<void>}
+     */
+    const change = async (request, done = '') => {
+        setStatus('');
+        try {
+            await request();
+            setStatus(done);
+            setVersion(version + 1);
+        } catch (err) {
+            console.error('Error changing workspace settings:', err);
+            setStatus(err.response?.data?.error || 'Error saving. Check console.');
+        }
+    };
+
+    /**
+     * Saves a workspace setting (name or GitHub token)
+     * @param body
+     * @param done
+     * @returns {Promise<void>}
+     */
+    const saveWorkspace = (body, done) => change(async () => {
+        await axios.patch(`http://localhost:4000/workspaces/${workspace.id}`, body);
+        onChanged();
+    }, done);
+
+    return (
+        <div style={{marginTop: '1rem', padding: '0.5rem', border: '1px solid #ccc'}}>
+            <h3>Workspace settings</h3>
+            {isOwner && (
+                <>
+                    <input type="text" value={name} onChange={(e) => setName(e.target.value)}/>
+                    <button onClick={() => saveWorkspace({ name }, 'Renamed')}>Rename</button>
+                    <h4>GitHub token</h4>
+                    <p style={{fontSize: '0.875rem'}}>
+                        {workspace.hasGithubToken
+                            ? 'GitHub repositories this workspace starts tracking are fetched with its own token.'
+                            : "GitHub repositories are fetched with the server's token."}
+                    </p>
+                    <input
+                        type="password"
+                        placeholder="ghp_..."
+                        value={githubToken}
+                        onChange={(e) => setGithubToken(e.target.value)}
+                    />
+                    <button
+                        onClick={() => saveWorkspace({ githubToken }, 'GitHub token saved').then(() => setGithubToken(''))}
+                        disabled={!githubToken.trim()}
+                    >
+                        Save token
+                    </button>
+                    {workspace.hasGithubToken && (
+                        <button onClick={() => saveWorkspace({ githubToken: null }, 'GitHub token removed')}>Remove token</button>
+                    )}
+                </>
+            )}
+
+            <h4>Members</h4>
+            <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                {members.map((member) => (
+                    <li key={member.id}>
+                        <span style={{marginRight: '0.5rem'}}>{member.name} ({member.email}, {member.role})</span>
+                        {isOwner && (
+                            <button onClick={() => change(() => axios.delete(`http://localhost:4000/workspaces/${workspace.id}/members/${member.id}`))}>
+                                Remove
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {isOwner && (
+                <>
+                    <input type="email" placeholder="email" value={memberEmail} onChange={(e) => setMemberEmail(e.target.value)}/>
+                    <select value={memberRole} onChange={(e) => setMemberRole(e.target.value)}>
+                        <option value="member">Member</option>
+                        <option value="owner">Owner</option>
+                    </select>
+                    <button
+                        onClick={() => change(async () => {
+                            await axios.post(`http://localhost:4000/workspaces/${workspace.id}/members`, { email: memberEmail, role: memberRole });
+                            setMemberEmail('');
+                        })}
+                    >
+                        Add member
+                    </button>
+                </>
+            )}
+
+            <h4>Your API tokens</h4>
+            <ul style={{listStyleType: 'none', paddingLeft: 0}}>
+                {apiTokens.map((token) => (
+                    <li key={token.id}>
+                        <span style={{marginRight: '0.5rem'}}>
+                            {token.name} (last used {token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'never'})
+                        </span>
+                        <button onClick={() => change(() => axios.delete(`http://localhost:4000/auth/tokens/${token.id}`))}>Revoke</button>
+                    </li>
+                ))}
+            </ul>
+            <input type="text" placeholder="token name, e.g. CI" value={tokenName} onChange={(e) => setTokenName(e.target.value)}/>
+            <button
+                onClick={() => change(async () => {
+                    const response = await axios.post('http://localhost:4000/auth/tokens', { name: tokenName });
+                    setNewToken(response.data.token);
+                    setTokenName('');
+                })}
+            >
+                Create token
+            </button>
+            {newToken && <p>New token (copy it now, it isn't shown again): <code>{newToken}</code></p>}
+            <div>
+                <button onClick={onClose}>Close</button>
+            </div>
+            {status && <p>{status}</p>}
+        </div>
+    );
+}
+
+export default WorkspaceSettings;
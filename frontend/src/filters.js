@@ -0,0 +1,104 @@
+/**
+ * The dashboard's filters (time range, authors, message search), how they're sent to the backend ('/commits', '/stats'
+ * and '/export' take the same query parameters) and how they're kept in the page URL, so a filtered view can be shared.
+ */
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Time range presets, in days back from now. Kept relative in the URL, so a shared "last 30 days" link stays current
+export const presets = { '7d': 7, '30d': 30, '90d': 90 };
+
+// No filters: the entire history, every author
+export const emptyFilters = { range: 'all', since: '', until: '', sinceTag: '', authors: [], q: '' };
+
+/**
+ * Whether any filter is set.
+ * @param filters
+ * @returns {boolean}
+ */
+export function hasFilters(filters) {
+    return filters.range !== 'all' || filters.authors.length > 0 || filters.q !== '';
+}
+
+/**
+ * Turns the filters into the backend's query parameters. <br>
+ * `range` is 'all', a preset ('7d', '30d', '90d'), 'tag' (`since` is the tagged commit's timestamp)
+ * or 'custom' (`since`/`until` are local dates, "2024-05-13", and `until` includes the whole day).
+ * @param filters
+ * @returns {object}
+ */
+export function filterParams(filters) {
+    const params = {};
+    if (presets[filters.range]) {
+        params.since = new Date(Date.now() - presets[filters.range] * dayMs).toISOString();
+    } else if (filters.range === 'tag' && filters.since) {
+        params.since = filters.since;
+    } else if (filters.range === 'custom') {
+        if (filters.since) params.since = new Date(`${filters.since}T00:00:00`).toISOString();
+        if (filters.until) params.until = new Date(`${filters.until}T23:59:59.999`).toISOString();
+    }
+    if (filters.authors.length > 0) params.author = filters.authors;
+    if (filters.q) params.q = filters.q;
+    return params;
+}
+
+/**
+ * Builds a query string, repeating the parameter for lists (`author=3&author=7`), as the backend expects.
+ * Empty values are left out.
+ * @param params
+ * @returns {URLSearchParams}
+ */
+export function toQuery(params) {
+    const query = new URLSearchParams();
+    for (const [name, value] of Object.entries(params)) {
+        for (const item of [value].flat()) {
+            if (item !== undefined && item !== null && item !== '') query.append(name, item);
+        }
+    }
+    return query;
+}
+
+/**
+ * The URL query string of a dashboard view.
+ * @param repo "owner/repo"
+ * @param branch
+ * @param interval Chart interval
+ * @param filters
+ * @returns {string}
+ */
+export function viewToSearch({ repo, branch, interval, filters }) {
+    return toQuery({
+        repo,
+        branch,
+        interval: interval === 'day' ? '' : interval,
+        range: filters.range === 'all' ? '' : filters.range,
+        since: filters.range === 'tag' || filters.range === 'custom' ? filters.since : '',
+        until: filters.range === 'custom' ? filters.until : '',
+        sinceTag: filters.range === 'tag' ? filters.sinceTag : '',
+        author: filters.authors,
+        q: filters.q,
+    }).toString();
+}
+
+/**
+ * Reads a dashboard view from the URL query string (the opposite of `viewToSearch()`).
+ * @param search `window.location.search`
+ * @returns {{repo: string, branch: string, interval: string, filters: object}}
+ */
+export function searchToView(search) {
+    const query = new URLSearchParams(search);
+    const range = query.get('range') || 'all';
+    return {
+        repo: query.get('repo') || '',
+        branch: query.get('branch') || '',
+        interval: query.get('interval') || 'day',
+        filters: {
+            range: presets[range] || ['tag', 'custom'].includes(range) ? range : 'all',
+            since: query.get('since') || '',
+            until: query.get('until') || '',
+            sinceTag: query.get('sinceTag') || '',
+            authors: query.getAll('author').map((id) => parseInt(id, 10)).filter((id) => !isNaN(id)),
+            q: query.get('q') || '',
+        },
+    };
+}
@@ -0,0 +1,186 @@
+import { linkParams } from './session.js';
+
+/**
+ * Live updates from the backend's '/events' stream (Server-Sent Events), and the helpers that add a newly stored commit
+ * to the numbers already shown, so the dashboard doesn't have to reload them for every commit. <br>
+ * The period and percentage logic mirrors the backend's stats.js, so an updated number equals what a reload would give.
+ */
+
+const reconnectDelay = 3000; // Wait before reconnecting, when the browser gave up on the stream
+
+/**
+ * Subscribes to the live events of a repository. <br>
+ * The browser reconnects by itself after a dropped connection, sending the id of the last event received so the backend
+ * replays what was missed. If the browser gives up (e.g. the backend was down, or the link token in the URL expired),
+ * the stream is reopened here, the same way, with a new link token.
+ * @param repo "owner/repo"
+ * @param handlers Event type ('commit', 'linked', 'stats', 'backfill', 'pulls', 'tags', 'alert', 'rewrite', 'resync', 'snapshots') -> function receiving the event's data
+ * @returns {function(): void} Closes the stream
+ */
+export function openEventStream(repo, handlers) {
+    let source = null;
+    let lastEventId = '';
+    let retryTimer = null;
+    let closed = false;
+    const connect = async () => {
+        let params;
+        try {
+            params = new URLSearchParams({ repo, ...(await linkParams('events')) });
+        } catch (err) {
+            console.error('Error opening the event stream:', err);
+            if (!closed) retryTimer = setTimeout(connect, reconnectDelay);
+            return;
+        }
+        if (closed) return;
+        if (lastEventId) params.set('lastEventId', lastEventId);
+        source = new EventSource(`http://localhost:4000/events?${params}`);
+        for (const [type, handler] of Object.entries(handlers)) {
+            source.addEventListener(type, (event) => {
+                lastEventId = event.lastEventId;
+                handler(JSON.parse(event.data));
+            });
+        }
+        source.onerror = () => {
+            if (source.readyState !== EventSource.CLOSED) return; // Still reconnecting by itself
+            retryTimer = setTimeout(connect, reconnectDelay);
+        };
+    };
+    connect();
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        source?.close();
+    };
+}
+
+/**
+ * Start of the day, week (Monday) or month the timestamp falls in, in UTC, as the backend labels periods ("2024-05-13" or "2024-05").
+ * @param timestamp
+ * @param interval 'day', 'week' or 'month'
+ * @returns {string}
+ */
+export function periodOf(timestamp, interval) {
+    const date = new Date(timestamp);
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    if (interval === 'month') start.setUTCDate(1);
+    return start.toISOString().slice(0, interval === 'month' ? 7 : 10);
+}
+
+/**
+ * The period after the given one.
+ * @param period
+ * @param interval
+ * @returns {string}
+ */
+function nextPeriod(period, interval) {
+    const next = new Date(period);
+    if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+    if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+    if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+    return next.toISOString().slice(0, interval === 'month' ? 7 : 10);
+}
+
+/**
+ * Adds a commit to the list of latest commits, newest first. A commit already in the list is replaced.
+ * @param commits
+ * @param commit `{sha, author, timestamp, additions, deletions}`
+ * @param limit Length of the list
+ * @returns {object[]}
+ */
+export function addCommitToList(commits, commit, limit) {
+    const merged = [commit, ...commits.filter((other) => other.sha !== commit.sha)];
+    merged.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return merged.slice(0, limit);
+}
+
+/**
+ * Adds a commit to the author stats (as returned by '/stats/:owner/:repo/authors'), and recomputes the percentages.
+ * @param authors
+ * @param totalCommits Number of commits, including this one
+ * @param event Data of a 'commit' event: `{commit, identity, coAuthors}`
+ * @returns {object[]}
+ */
+export function addCommitToAuthors(authors, totalCommits, { commit, identity, coAuthors }) {
+    const updated = authors.map((stats) => ({ ...stats }));
+    const statsOf = (someone) => {
+        let stats = updated.find((other) => (someone.id !== null
+            ? other.identityId === someone.id
+            : other.identityId === null && other.author === someone.name));
+        if (!stats) {
+            stats = { identityId: someone.id, author: someone.name, commits: 0, coAuthored: 0, additions: 0, deletions: 0 };
+            updated.push(stats);
+        }
+        return stats;
+    };
+    const author = statsOf(identity);
+    author.commits += 1;
+    author.additions += commit.additions ?? 0;
+    author.deletions += commit.deletions ?? 0;
+    const counted = [author];
+    for (const coAuthor of coAuthors) {
+        const stats = statsOf(coAuthor);
+        if (counted.includes(stats)) continue;
+        counted.push(stats);
+        stats.coAuthored += 1;
+    }
+
+    const totalLinesChanged = updated.reduce((sum, stats) => sum + stats.additions + stats.deletions, 0);
+    const withPercentages = updated.map((stats) => {
+        const linesChanged = stats.additions + stats.deletions;
+        return {
+            ...stats,
+            avgLinesChanged: stats.commits > 0 ? linesChanged / stats.commits : 0,
+            commitPercent: (stats.commits / totalCommits) * 100,
+            changePercent: totalLinesChanged > 0 ? (linesChanged / totalLinesChanged) * 100 : 0,
+        };
+    });
+    withPercentages.sort((a, b) => b.commits - a.commits || b.coAuthored - a.coAuthored);
+    return withPercentages;
+}
+
+/**
+ * Adds a commit to the chart's time series (as returned by '/stats/:owner/:repo/timeseries'). <br>
+ * The series is extended with empty periods when the commit falls outside of it, and the running total of lines
+ * goes up from the commit's period on.
+ * @param series
+ * @param commit `{timestamp, additions, deletions}`
+ * @param interval 'day', 'week' or 'month'
+ * @returns {object[]}
+ */
+export function addCommitToSeries(series, commit, interval) {
+    const period = periodOf(commit.timestamp, interval);
+    const empty = (name, totalLines) => ({ period: name, commits: 0, additions: 0, deletions: 0, netLines: 0, totalLines });
+    let extended = series;
+    if (extended.length === 0) {
+        extended = [empty(period, 0)];
+    } else if (period < extended[0].period) {
+        const baseline = extended[0].totalLines - extended[0].netLines; // Lines before the first period
+        const before = [];
+        for (let name = period; name < extended[0].period; name = nextPeriod(name, interval)) before.push(empty(name, baseline));
+        extended = [...before, ...extended];
+    } else if (period > extended[extended.length - 1].period) {
+        const last = extended[extended.length - 1];
+        const after = [];
+        for (let name = nextPeriod(last.period, interval); name <= period; name = nextPeriod(name, interval)) {
+            after.push(empty(name, last.totalLines));
+        }
+        extended = [...extended, ...after];
+    }
+
+    const additions = commit.additions ?? 0;
+    const deletions = commit.deletions ?? 0;
+    const netLines = additions - deletions;
+    return extended.map((point) => {
+        if (point.period < period) return point;
+        if (point.period > period) return { ...point, totalLines: point.totalLines + netLines };
+        return {
+            ...point,
+            commits: point.commits + 1,
+            additions: point.additions + additions,
+            deletions: point.deletions + deletions,
+            netLines: point.netLines + netLines,
+            totalLines: point.totalLines + netLines,
+        };
+    });
+}
@@ -0,0 +1,47 @@
+/**
+ * Puts the backend's lines of code snapshots ('/repos/:owner/:repo/loc-snapshots', one per week of the default branch)
+ * onto the codebase chart, as the real size per language next to the running sum of additions - deletions.
+ */
+
+const shownLanguages = 7; // Biggest languages drawn as their own area. The rest are added up as "Other"
+
+/**
+ * The languages to draw, biggest first (by lines in the newest snapshot), ending with "Other" when anything is left over.
+ * @param snapshots
+ * @returns {string[]}
+ */
+export function chartLanguages(snapshots) {
+    const latest = snapshots[snapshots.length - 1];
+    if (!latest) return [];
+    const languages = Object.entries(latest.languages)
+        .filter(([language]) => language !== 'Other')
+        .sort((a, b) => b[1].lines - a[1].lines)
+        .map(([language]) => language);
+    const shown = languages.slice(0, shownLanguages);
+    const grouped = snapshots.some((snapshot) => Object.keys(snapshot.languages).some((language) => !shown.includes(language)));
+    return grouped ? [...shown, 'Other'] : shown;
+}
+
+/**
+ * Adds the size per language to every chart point, from the newest snapshot taken up to the end of its period. <br>
+ * Points before the first snapshot get no sizes, so the areas start where the snapshots do.
+ * @param points Chart points, each with the `period` ("2024-05-13", or "2024-05" for months) of the timeseries it was made from
+ * @param snapshots Oldest first
+ * @param languages See `chartLanguages()`
+ * @returns {object[]} The points, with a `language:<name>` value per language
+ */
+export function addSnapshotsToPoints(points, snapshots, languages) {
+    let index = -1; // Newest snapshot within the points so far
+    return points.map((point, position) => {
+        const end = position + 1 < points.length ? new Date(points[position + 1].period) : null; // Start of the next period
+        while (index + 1 < snapshots.length && (!end || new Date(snapshots[index + 1].committedAt) < end)) index++;
+        const snapshot = snapshots[index];
+        if (!snapshot) return point;
+        const values = Object.fromEntries(languages.map((language) => [`language:${language}`, 0]));
+        for (const [language, { lines }] of Object.entries(snapshot.languages)) {
+            const key = languages.includes(language) ? `language:${language}` : 'language:Other';
+            if (key in values) values[key] += lines;
+        }
+        return { ...point, ...values };
+    });
+}
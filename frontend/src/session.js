@@ -0,0 +1,81 @@
+import axios from 'axios';
+
+/**
+ * The signed-in session: the backend token and the workspace the dashboard is in, kept in localStorage so they survive reloads. <br>
+ * Every axios request sends them as headers (`Authorization`, `X-Workspace-Id`). EventSource and downloads can't send
+ * headers, so those add `linkParams()` to their URL instead: a short-lived token that only opens that kind of URL,
+ * rather than the session token (see the backend's auth.js).
+ */
+
+const tokenKey = 'gitstatviewer.token';
+const workspaceKey = 'gitstatviewer.workspace';
+
+/**
+ * Points the axios headers at the stored session.
+ */
+function applySession() {
+    const token = localStorage.getItem(tokenKey);
+    const workspaceId = localStorage.getItem(workspaceKey);
+    if (token) axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    else delete axios.defaults.headers.common['Authorization'];
+    if (workspaceId) axios.defaults.headers.common['X-Workspace-Id'] = workspaceId;
+    else delete axios.defaults.headers.common['X-Workspace-Id'];
+}
+
+applySession();
+
+/**
+ * Whether there is a stored session (which may still have expired, the backend answers 401 then).
+ * @returns {boolean}
+ */
+export function hasSession() {
+    return localStorage.getItem(tokenKey) !== null;
+}
+
+/**
+ * Stores the token from signing in.
+ * @param token
+ */
+export function startSession(token) {
+    localStorage.setItem(tokenKey, token);
+    applySession();
+}
+
+/**
+ * Forgets the token and workspace, after signing out or when the backend no longer accepts the token.
+ */
+export function endSession() {
+    localStorage.removeItem(tokenKey);
+    localStorage.removeItem(workspaceKey);
+    applySession();
+}
+
+/**
+ * The id of the workspace requests are made in, or null for the user's first one.
+ * @returns {number|null}
+ */
+export function currentWorkspaceId() {
+    const workspaceId = localStorage.getItem(workspaceKey);
+    return workspaceId ? parseInt(workspaceId, 10) : null;
+}
+
+/**
+ * Switches the workspace requests are made in.
+ * @param workspaceId
+ */
+export function setWorkspace(workspaceId) {
+    localStorage.setItem(workspaceKey, String(workspaceId));
+    applySession();
+}
+
+/**
+ * The session as query parameters, for URLs that can't send headers: a new link token (which expires after a minute,
+ * so it's fetched right before the URL is opened) and the workspace.
+ * @param purpose 'events' (the event stream) or 'export' (export downloads)
+ * @returns {Promise<{access_token: string, workspace?: string}>}
+ */
+export async function linkParams(purpose) {
+    const response = await axios.post('http://localhost:4000/auth/link-token', { purpose });
+    const workspaceId = localStorage.getItem(workspaceKey);
+    return { access_token: response.data.token, ...(workspaceId && { workspace: workspaceId }) };
+}